@@ -0,0 +1,354 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const {
+  isLibraryImageFile,
+  NORMALIZE_STRATEGIES,
+  parseNormalizeStrategy,
+  DUPLICATE_POLICIES
+} = require('./constants');
+const { parseCsv } = require('./metadata_transfer');
+const {
+  LIBRARY_DIR,
+  buildUploadFilename,
+  parseTagList,
+  removeFileIfExists,
+  ingestUploadedFile
+} = require('./upload_helper');
+const { isConvertibleImageFile, parseFrameIndex } = require('./conversion_helper');
+
+// Size of the uploaded ZIP itself
+const MAX_ARCHIVE_BYTES = 1024 * 1024 * 1024;
+// Size-bomb guards, checked against the central directory before anything is
+// extracted. yauzl enforces the declared sizes while inflating, so an entry
+// cannot produce more bytes than it claims.
+const MAX_ARCHIVE_ENTRIES = 5000;
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024; // Same ceiling as a form upload
+const MAX_EXTRACTED_BYTES = 4 * 1024 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+
+const MANIFEST_NAMES = ['manifest.json', 'tags.csv'];
+
+// Manifest columns/keys (case-insensitive) -> option
+const MANIFEST_FIELDS = new Map([
+  ['file', 'file'],
+  ['filename', 'file'],
+  ['path', 'file'],
+  ['tags', 'tags'],
+  ['matte', 'matte'],
+  ['filter', 'filter'],
+  ['name', 'customName'],
+  ['customname', 'customName']
+]);
+
+function archiveError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
+// Finder and Explorer leftovers (__MACOSX/, .DS_Store, ._foo.jpg) are not content
+function isHiddenEntry(fileName) {
+  return fileName.split('/').some(segment => segment === '__MACOSX' || segment.startsWith('.'));
+}
+
+function isImageEntry(fileName) {
+  return isLibraryImageFile(fileName) || isConvertibleImageFile(fileName);
+}
+
+function openZip(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => {
+      if (error) {
+        reject(archiveError('VALIDATION_ERROR', 'File is not a valid ZIP archive.', error.message));
+      } else {
+        resolve(zipfile);
+      }
+    });
+  });
+}
+
+/**
+ * Every entry in the central directory
+ * yauzl refuses absolute paths and ".." segments (zip-slip), which rejects the
+ * whole archive.
+ */
+function listEntries(zipfile) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', entry => {
+      entries.push(entry);
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', error => {
+      reject(/invalid relative path|absolute path/.test(error.message)
+        ? archiveError('VALIDATION_ERROR', 'Archive contains an unsafe path.', error.message)
+        : archiveError('VALIDATION_ERROR', 'File is not a valid ZIP archive.', error.message));
+    });
+    zipfile.readEntry();
+  });
+}
+
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+async function readEntryBuffer(zipfile, entry) {
+  const chunks = [];
+  for await (const chunk of await openEntryStream(zipfile, entry)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Manifest rows as { "<path in archive>": {tags, matte, filter, customName} }
+ * tags.csv needs a header row with a file column (tags separated by ; or ,).
+ * manifest.json is a list of objects, {images: [...]} or {"<path>": {...}}.
+ * Paths are relative to the manifest's folder.
+ */
+function parseManifest(content, manifestName) {
+  let items;
+  if (manifestName.endsWith('.csv')) {
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map(name => MANIFEST_FIELDS.get(name.trim().toLowerCase()) || null);
+    if (!columns.includes('file')) {
+      throw archiveError('VALIDATION_ERROR', `${manifestName} needs a header row with a "file" column`);
+    }
+    items = rows.map(cells => Object.fromEntries(
+      columns.map((column, index) => [column, (cells[index] ?? '').trim()]).filter(([column]) => column)
+    ));
+  } else {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw archiveError('VALIDATION_ERROR', `${manifestName} is not valid JSON`, error.message);
+    }
+    items = Array.isArray(data) ? data : data?.images || data;
+    if (items && !Array.isArray(items) && typeof items === 'object') {
+      items = Object.entries(items).map(([file, options]) => ({ ...options, file }));
+    }
+    if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object')) {
+      throw archiveError('VALIDATION_ERROR', `${manifestName} must be a list of files or an object keyed by file`);
+    }
+    items = items.map(item => Object.fromEntries(
+      Object.entries(item)
+        .map(([key, value]) => [MANIFEST_FIELDS.get(key.toLowerCase()), value])
+        .filter(([column]) => column)
+    ));
+  }
+
+  const manifest = new Map();
+  for (const item of items) {
+    const file = String(item.file || '').trim().replace(/\\/g, '/').replace(/^\.?\//, '');
+    if (!file) continue;
+    manifest.set(file, {
+      tags: parseTagList(Array.isArray(item.tags) ? item.tags : String(item.tags || '').split(/[;,]/)),
+      matte: item.matte || undefined,
+      filter: item.filter || undefined,
+      customName: item.customName ? String(item.customName) : undefined
+    });
+  }
+  return manifest;
+}
+
+/**
+ * Import the images in a ZIP archive through the upload pipeline
+ *
+ * Image entries are extracted one at a time into library/ under a fresh
+ * upload filename (only the entry's base name is used, never its path) and
+ * ingested like a form upload. An optional manifest.json or tags.csv (at the
+ * top level, or in the single folder the archive wraps everything in) sets
+ * per-file tags, matte, filter and custom name; its tags add to the upload's.
+ * Throws VALIDATION_ERROR (not a ZIP, unsafe path, bad manifest, unknown
+ * normalize strategy or duplicate policy, invalid frame) or TOO_LARGE
+ * (too many entries, too much data) before anything is imported.
+ * @param {string} frameArtPath
+ * @param {string} archivePath
+ * @param {Object} [options]
+ * @param {string} [options.matte] - Default for every image
+ * @param {string} [options.filter] - Default for every image
+ * @param {string[]} [options.tags] - Added to every image
+ * @param {string} [options.normalize] - Frame-ready strategy for every image
+ * @param {number|string} [options.frame] - Frame kept from multi-page and animated images
+ * @param {string} [options.duplicatePolicy] - Overrides the setting for every image;
+ *   rejected duplicates are reported as skipped
+ * @param {number} [options.maxEntries]
+ * @param {number} [options.maxEntryBytes]
+ * @param {number} [options.maxExtractedBytes] - Declared size of all image entries
+ * @param {string} [options.logPrefix]
+ * @param {import('./job_manager').Job} [options.job] - Progress per image; on
+ *   cancel the remaining entries are reported as skipped
+ * @returns {Promise<{manifest: string|null, imported: number, skipped: number, failed: number, warnings: string[], entries: Object[]}>}
+ *   entries: [{entry, status: 'imported'|'skipped'|'failed', filename?, reason?, duplicates?}]
+ */
+async function importArchive(frameArtPath, archivePath, {
+  matte,
+  filter,
+  tags = [],
+  normalize,
+  frame,
+  duplicatePolicy,
+  maxEntries = MAX_ARCHIVE_ENTRIES,
+  maxEntryBytes = MAX_ENTRY_BYTES,
+  maxExtractedBytes = MAX_EXTRACTED_BYTES,
+  logPrefix = '[Archive]',
+  job
+} = {}) {
+  if (!parseNormalizeStrategy(normalize)) {
+    throw archiveError('VALIDATION_ERROR', `Invalid normalize strategy: ${normalize}`, [
+      `normalize must be one of: ${NORMALIZE_STRATEGIES.join(', ')}`
+    ]);
+  }
+  if (parseFrameIndex(frame) === null) {
+    throw archiveError('VALIDATION_ERROR', `Invalid frame: ${frame}`, ['frame must be a whole number (0 is the first frame)']);
+  }
+  if (duplicatePolicy !== undefined && duplicatePolicy !== '' && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    throw archiveError('VALIDATION_ERROR', `Invalid duplicate policy: ${duplicatePolicy}`, [
+      `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}`
+    ]);
+  }
+
+  const zipfile = await openZip(archivePath);
+  try {
+    if (zipfile.entryCount > maxEntries) {
+      throw archiveError('TOO_LARGE', `Archive has more than ${maxEntries} entries`);
+    }
+
+    const entries = (await listEntries(zipfile))
+      .filter(entry => !entry.fileName.endsWith('/') && !isHiddenEntry(entry.fileName));
+
+    const imageEntries = entries.filter(entry => isImageEntry(entry.fileName));
+    const declaredBytes = imageEntries.reduce((total, entry) => total + entry.uncompressedSize, 0);
+    if (declaredBytes > maxExtractedBytes) {
+      throw archiveError('TOO_LARGE', `Archive expands to more than ${formatMegabytes(maxExtractedBytes)}`);
+    }
+
+    // Shallowest manifest wins: "pack/manifest.json" when the zip wraps a folder
+    const manifestEntry = entries
+      .filter(entry => MANIFEST_NAMES.includes(path.posix.basename(entry.fileName).toLowerCase()))
+      .sort((a, b) => a.fileName.split('/').length - b.fileName.split('/').length)[0];
+    let manifest = new Map();
+    let manifestBase = '';
+    if (manifestEntry) {
+      if (manifestEntry.uncompressedSize > MAX_MANIFEST_BYTES) {
+        throw archiveError('TOO_LARGE', `${manifestEntry.fileName} is larger than ${formatMegabytes(MAX_MANIFEST_BYTES)}`);
+      }
+      const content = (await readEntryBuffer(zipfile, manifestEntry)).toString('utf8');
+      manifest = parseManifest(content, path.posix.basename(manifestEntry.fileName).toLowerCase());
+      manifestBase = path.posix.dirname(manifestEntry.fileName);
+      manifestBase = manifestBase === '.' ? '' : `${manifestBase}/`;
+    }
+
+    const libraryPath = path.join(frameArtPath, LIBRARY_DIR);
+    await fs.mkdir(libraryPath, { recursive: true });
+
+    const report = [];
+    const usedManifestKeys = new Set();
+    let processed = 0;
+    job?.step('Importing images', { total: imageEntries.length });
+    for (const entry of entries) {
+      const entryName = entry.fileName;
+      if (entry === manifestEntry) {
+        continue;
+      }
+      if (!isImageEntry(entryName)) {
+        report.push({ entry: entryName, status: 'skipped', reason: 'Not an image' });
+        continue;
+      }
+      if (job?.cancelled) {
+        report.push({ entry: entryName, status: 'skipped', reason: 'Cancelled' });
+        continue;
+      }
+      job?.progress(processed++, imageEntries.length, entryName);
+      if (entry.isEncrypted()) {
+        report.push({ entry: entryName, status: 'failed', reason: 'Encrypted entries are not supported' });
+        continue;
+      }
+      if (entry.uncompressedSize > maxEntryBytes) {
+        report.push({ entry: entryName, status: 'failed', reason: `Larger than ${formatMegabytes(maxEntryBytes)}` });
+        continue;
+      }
+
+      const relativeName = entryName.startsWith(manifestBase) ? entryName.slice(manifestBase.length) : entryName;
+      const manifestKey = manifest.has(relativeName) ? relativeName : path.posix.basename(entryName);
+      const options = manifest.get(manifestKey) || {};
+      if (manifest.has(manifestKey)) {
+        usedManifestKeys.add(manifestKey);
+      }
+
+      const originalname = path.posix.basename(entryName);
+      const { filename, context } = buildUploadFilename({ originalname });
+      const filePath = path.join(libraryPath, filename);
+      try {
+        await pipeline(await openEntryStream(zipfile, entry), createWriteStream(filePath));
+        const ingested = await ingestUploadedFile(frameArtPath, {
+          file: { path: filePath, filename, originalname },
+          uploadContext: context,
+          customName: options.customName,
+          matte: options.matte ?? matte,
+          filter: options.filter ?? filter,
+          tags: [...new Set([...tags, ...(options.tags || [])])],
+          normalize,
+          frame,
+          duplicatePolicy,
+          logPrefix
+        });
+        const imported = { entry: entryName, status: 'imported', filename: ingested.filename };
+        if (ingested.duplicates) {
+          imported.duplicates = ingested.duplicates;
+        }
+        report.push(imported);
+      } catch (error) {
+        await removeFileIfExists(filePath);
+        if (error.code === 'CONFLICT') {
+          // Rejected by the duplicate policy
+          report.push({ entry: entryName, status: 'skipped', reason: error.message, duplicates: error.details });
+          continue;
+        }
+        console.warn(`${logPrefix} Failed to import ${entryName}:`, error.message);
+        report.push({ entry: entryName, status: 'failed', reason: error.message });
+      }
+    }
+
+    job?.progress(processed, imageEntries.length);
+
+    const warnings = [...manifest.keys()]
+      .filter(key => !usedManifestKeys.has(key))
+      .map(key => `${path.posix.basename(manifestEntry.fileName)} lists "${key}", which is not an image in the archive`);
+
+    const count = status => report.filter(item => item.status === status).length;
+    return {
+      manifest: manifestEntry ? manifestEntry.fileName : null,
+      imported: count('imported'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      warnings,
+      entries: report
+    };
+  } finally {
+    zipfile.close();
+  }
+}
+
+module.exports = {
+  MAX_ARCHIVE_BYTES,
+  MAX_ARCHIVE_ENTRIES,
+  MAX_ENTRY_BYTES,
+  MAX_EXTRACTED_BYTES,
+  parseManifest,
+  importArchive
+};
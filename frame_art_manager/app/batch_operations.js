@@ -0,0 +1,381 @@
+const fs = require('fs').promises;
+const path = require('path');
+const MetadataHelper = require('./metadata_helper');
+const TrashHelper = require('./trash_helper');
+const { MATTE_TYPES, FILTER_TYPES, isMatteValidForPortrait } = require('./constants');
+const { addTagsToLibrary, normalizeTagLibrary, getTagNames } = require('./tag_helper');
+const { removeImageFromCollections, renameImageInCollections } = require('./collection_helper');
+const { removeImageFromVariantGroup, renameImageInVariantGroups } = require('./variant_helper');
+const { sanitizeBaseName, extractUuidSegment, baseWithoutUuid } = require('./filename_helper');
+const { renameConversionSource } = require('./conversion_helper');
+
+const MAX_BATCH_SIZE = 1000;
+const BATCH_OPERATION_NAMES = ['matte', 'filter', 'tags', 'rename', 'delete'];
+
+// Rename pattern tokens: {base}, {title}, {date}, {n} / {n:3} (zero-padded)
+const RENAME_TOKEN_PATTERN = /\{(base|title|date|n)(?::(\d{1,2}))?\}/g;
+const RENAME_PATTERN_MAX_LENGTH = 200;
+
+/**
+ * Validate a batch request
+ * @param {string[]} filenames
+ * @param {Object} operations - { matte?, filter?, tags?, rename?, delete? }
+ * @returns {{values: {filenames: string[], operations: Object}, errors: string[]}}
+ */
+function validateBatchRequest(filenames, operations) {
+  const errors = [];
+  const values = { filenames: [], operations: {} };
+
+  if (!Array.isArray(filenames) || filenames.length === 0 || filenames.some(name => typeof name !== 'string' || !name)) {
+    errors.push('filenames must be a non-empty array of filenames');
+  } else if (filenames.length > MAX_BATCH_SIZE) {
+    errors.push(`A batch can have at most ${MAX_BATCH_SIZE} images`);
+  } else {
+    values.filenames = [...new Set(filenames)];
+  }
+
+  if (!operations || typeof operations !== 'object' || Array.isArray(operations)) {
+    errors.push(`operations must be an object with any of: ${BATCH_OPERATION_NAMES.join(', ')}`);
+    return { values, errors };
+  }
+
+  const has = key => operations[key] !== undefined;
+  const ops = values.operations;
+
+  if (has('matte')) {
+    const matte = MATTE_TYPES.find(option => option.toLowerCase() === String(operations.matte).trim().toLowerCase());
+    if (matte) ops.matte = matte;
+    else errors.push(`Unknown matte: ${operations.matte}`);
+  }
+
+  if (has('filter')) {
+    const filter = FILTER_TYPES.find(option => option.toLowerCase() === String(operations.filter).trim().toLowerCase());
+    if (filter) ops.filter = filter;
+    else errors.push(`Unknown filter: ${operations.filter}`);
+  }
+
+  if (has('tags')) {
+    const list = typeof operations.tags === 'string' ? operations.tags.split(',') : operations.tags;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be a list of tags (or a comma-separated string)');
+    } else {
+      ops.tags = [...new Set(list.map(tag => tag.trim()).filter(Boolean))];
+    }
+  }
+
+  if (has('rename')) {
+    const rename = typeof operations.rename === 'string' ? { pattern: operations.rename } : operations.rename;
+    const pattern = typeof rename?.pattern === 'string' ? rename.pattern.trim() : '';
+    const start = rename?.start === undefined ? 1 : rename.start;
+    const unknownToken = pattern.replace(RENAME_TOKEN_PATTERN, '').match(/\{[^}]*\}/);
+    if (!pattern) {
+      errors.push('rename.pattern is required');
+    } else if (pattern.length > RENAME_PATTERN_MAX_LENGTH) {
+      errors.push(`rename.pattern must be at most ${RENAME_PATTERN_MAX_LENGTH} characters`);
+    } else if (unknownToken) {
+      errors.push(`Unknown rename token ${unknownToken[0]} (use {base}, {title}, {date}, {n} or {n:3})`);
+    } else if (!Number.isInteger(start) || start < 0) {
+      errors.push('rename.start must be a non-negative integer');
+    } else {
+      ops.rename = { pattern, start };
+    }
+  }
+
+  if (has('delete')) {
+    if (operations.delete !== true && operations.delete !== false) {
+      errors.push('delete must be true or false');
+    } else if (operations.delete) {
+      ops.delete = true;
+    }
+  }
+
+  const requested = Object.keys(ops);
+  if (errors.length === 0 && requested.length === 0) {
+    errors.push(`No operations given (expected any of: ${BATCH_OPERATION_NAMES.join(', ')})`);
+  }
+  if (ops.delete && requested.length > 1) {
+    errors.push('delete cannot be combined with other operations');
+  }
+
+  return { values, errors };
+}
+
+/**
+ * New base name for an image from a rename pattern
+ * e.g. "grandma-80th-{n:2}" -> "grandma-80th-07"
+ */
+function renderRenamePattern(pattern, { filename, record, number }) {
+  const base = baseWithoutUuid(filename);
+  return pattern.replace(RENAME_TOKEN_PATTERN, (_, token, width) => {
+    switch (token) {
+      case 'base': return base;
+      case 'title': return record.title || base;
+      case 'date': return (record.added || '').slice(0, 10);
+      case 'n': return String(number).padStart(Number(width || 0), '0');
+      default: return '';
+    }
+  });
+}
+
+/**
+ * BatchOperations - one request, many images, one metadata write
+ *
+ * Applies matte/filter/tag replacement/pattern rename, or delete (to the
+ * trash), to a list of images. Every file gets its own result; a file that
+ * can't be changed (missing, name taken, matte not available for portrait)
+ * is reported and left untouched while the rest go ahead. The whole batch is
+ * written once and recorded as one semantic commit.
+ */
+class BatchOperations {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.helper = new MetadataHelper(frameArtPath);
+    this.trash = new TrashHelper(frameArtPath);
+  }
+
+  /**
+   * Run a batch
+   * Throws VALIDATION_ERROR (with details) for an invalid request.
+   * @param {string[]} filenames
+   * @param {Object} operations - See validateBatchRequest
+   * @param {Object} [options]
+   * @param {import('./job_manager').Job} [options.job] - Progress per image;
+   *   cancelling throws CANCELLED and rolls the whole batch back
+   * @returns {Promise<{result: Object, message: string, committed: boolean}>}
+   */
+  async run(filenames, operations, { job } = {}) {
+    const { values, errors } = validateBatchRequest(filenames, operations);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
+    }
+
+    // File moves done so far, undone if the metadata write fails
+    const undo = [];
+    try {
+      return await this.helper.mutateMetadataWithCommit(
+        metadata => this.apply(metadata, values.filenames, values.operations, undo, job),
+        formatBatchMessage,
+        { paths: result => result.paths }
+      );
+    } catch (error) {
+      for (const step of undo.reverse()) {
+        await step().catch(undoError => console.warn('[BATCH] Rollback step failed:', undoError.message));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the operations to metadata in memory, moving files as needed
+   * Note: This modifies the metadata object passed to it
+   */
+  async apply(metadata, filenames, operations, undo, job) {
+    const results = [];
+    const paths = [];
+    const claimed = new Set();
+    const now = new Date().toISOString();
+    const tagLibrary = normalizeTagLibrary(metadata.tags);
+    // What it takes to undo the batch (see journal_helper.js)
+    const inverse = { changes: [], renames: [], trash: [], tagEntries: [] };
+
+    job?.step('Applying changes', { total: filenames.length });
+    for (const [index, filename] of filenames.entries()) {
+      job?.throwIfCancelled();
+      job?.progress(index, filenames.length, filename);
+      const record = metadata.images[filename];
+      if (!record) {
+        results.push({ filename, status: 'error', error: 'Image not found' });
+        continue;
+      }
+
+      try {
+        if (operations.delete) {
+          const { entry, rollback } = await this.trash.stageImage(filename, metadata);
+          undo.push(rollback);
+          removeImageFromVariantGroup(metadata, filename);
+          delete metadata.images[filename];
+          removeImageFromCollections(metadata, filename);
+          paths.push(...this.trash.getImageFiles(filename, record));
+          inverse.trash.push({ id: entry.id, filename });
+          results.push({ filename, status: 'deleted', trashId: entry.id });
+          continue;
+        }
+
+        const updates = this.planUpdates(record, operations);
+        const newFilename = operations.rename
+          ? await this.planRename(metadata, filename, record, operations.rename.start + index, operations.rename.pattern, claimed)
+          : filename;
+
+        const changed = Object.keys(updates);
+        if (changed.length === 0 && newFilename === filename) {
+          results.push({ filename, status: 'unchanged' });
+          continue;
+        }
+
+        const updated = { ...record, ...updates, updated: now };
+        if (newFilename !== filename) {
+          paths.push(...await this.moveImageFiles(filename, newFilename, undo, record));
+          if (record.conversion) {
+            updated.conversion = renameConversionSource(record.conversion, newFilename);
+          }
+          delete metadata.images[filename];
+          renameImageInCollections(metadata, filename, newFilename);
+          renameImageInVariantGroups(metadata, filename, newFilename);
+          inverse.renames.push({ from: filename, to: newFilename });
+        }
+        metadata.images[newFilename] = updated;
+        if (changed.length > 0) {
+          const before = Object.fromEntries(changed.map(field => [field, record[field] === undefined ? null : record[field]]));
+          inverse.changes.push({ filename: newFilename, before, after: { ...updates } });
+        }
+
+        const result = { filename, status: 'updated', changes: changed };
+        if (newFilename !== filename) {
+          result.newFilename = newFilename;
+          result.changes.push('filename');
+        }
+        results.push(result);
+      } catch (error) {
+        results.push({ filename, status: 'error', error: error.message });
+      }
+    }
+
+    if (operations.tags) {
+      addTagsToLibrary(metadata, operations.tags);
+    }
+    if (operations.tags || operations.delete) {
+      await this.helper.cleanupUnusedTags(metadata);
+      const remaining = new Set(getTagNames(metadata.tags));
+      inverse.tagEntries = tagLibrary.filter(entry => !remaining.has(entry.name));
+    }
+
+    job?.throwIfCancelled();
+    job?.step('Writing metadata and committing');
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      operations,
+      results,
+      updated: count('updated'),
+      deleted: count('deleted'),
+      unchanged: count('unchanged'),
+      failed: count('error'),
+      paths,
+      inverse
+    };
+  }
+
+  /**
+   * Record fields that change for one image (empty when nothing does)
+   * Throws when the matte isn't available for the image's orientation.
+   */
+  planUpdates(record, operations) {
+    const updates = {};
+    if (operations.matte !== undefined && record.matte !== operations.matte) {
+      const dimensions = record.dimensions || {};
+      const portrait = dimensions.height > dimensions.width;
+      if (portrait && !isMatteValidForPortrait(operations.matte)) {
+        throw new Error(`Matte ${operations.matte} is not available for portrait images`);
+      }
+      updates.matte = operations.matte;
+    }
+    if (operations.filter !== undefined && record.filter !== operations.filter) {
+      updates.filter = operations.filter;
+    }
+    if (operations.tags !== undefined) {
+      const current = record.tags || [];
+      const same = current.length === operations.tags.length && current.every(tag => operations.tags.includes(tag));
+      if (!same) {
+        updates.tags = [...operations.tags];
+      }
+    }
+    return updates;
+  }
+
+  /**
+   * Target filename for a pattern rename; the uuid segment and extension are kept
+   * Throws when the name is taken (in the library or earlier in this batch).
+   */
+  async planRename(metadata, filename, record, number, pattern, claimed) {
+    const uuid = extractUuidSegment(filename);
+    if (!uuid) {
+      throw new Error('Could not extract UUID from filename');
+    }
+
+    const base = sanitizeBaseName(renderRenamePattern(pattern, { filename, record, number }), baseWithoutUuid(filename));
+    const newFilename = `${base}-${uuid}${path.extname(filename)}`;
+    if (newFilename === filename) {
+      return filename;
+    }
+
+    const onDisk = await fs.access(path.join(this.frameArtPath, 'library', newFilename)).then(() => true, () => false);
+    if (claimed.has(newFilename) || metadata.images[newFilename] || onDisk) {
+      throw new Error(`A file named ${newFilename} already exists`);
+    }
+    claimed.add(newFilename);
+    return newFilename;
+  }
+
+  /**
+   * Rename an image's library file, thumbnail, original backup and, for a
+   * converted image, the upload it was made from (record.conversion.source)
+   * @returns {Promise<string[]>} Library-relative paths touched (old and new)
+   */
+  async moveImageFiles(filename, newFilename, undo, record) {
+    const pairs = [
+      ['library', filename, newFilename],
+      ['thumbs', `thumb_${filename}`, `thumb_${newFilename}`],
+      ['originals', this.helper.getBackupFilename(filename), this.helper.getBackupFilename(newFilename)]
+    ];
+    if (record?.conversion?.source) {
+      pairs.push(['originals', record.conversion.source, renameConversionSource(record.conversion, newFilename).source]);
+    }
+    const moves = pairs.map(([dir, from, to]) => [path.join(dir, from), path.join(dir, to)]);
+
+    const touched = [];
+    for (const [from, to] of moves) {
+      try {
+        await fs.rename(path.join(this.frameArtPath, from), path.join(this.frameArtPath, to));
+      } catch (error) {
+        if (error.code === 'ENOENT' && !from.startsWith('library')) continue;
+        throw error;
+      }
+      undo.push(() => fs.rename(path.join(this.frameArtPath, to), path.join(this.frameArtPath, from)));
+      touched.push(from, to);
+    }
+    return touched;
+  }
+}
+
+/**
+ * One commit message for the whole batch, e.g.
+ * "batch update of 12 images: matte → shadowbox_polar, tags → beach, summer"
+ * with renames listed as " -- "-joined details
+ */
+function formatBatchMessage({ operations, results, updated, deleted }) {
+  const plural = count => `${count} image${count === 1 ? '' : 's'}`;
+
+  if (operations.delete) {
+    const names = results.filter(result => result.status === 'deleted').map(result => result.filename);
+    return [`deleted ${plural(deleted)} (moved to trash)`, ...names].join(' -- ');
+  }
+
+  const parts = [];
+  if (operations.matte !== undefined) parts.push(`matte → ${operations.matte}`);
+  if (operations.filter !== undefined) parts.push(`filter → ${operations.filter}`);
+  if (operations.tags !== undefined) parts.push(`tags → ${operations.tags.join(', ') || '(none)'}`);
+  if (operations.rename) parts.push(`renamed as ${operations.rename.pattern}`);
+
+  const renames = results
+    .filter(result => result.newFilename)
+    .map(result => `${result.filename} → ${result.newFilename}`);
+  return [`batch update of ${plural(updated)}: ${parts.join(', ')}`, ...renames].join(' -- ');
+}
+
+module.exports = BatchOperations;
+module.exports.validateBatchRequest = validateBatchRequest;
+module.exports.renderRenamePattern = renderRenamePattern;
+module.exports.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
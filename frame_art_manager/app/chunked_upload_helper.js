@@ -0,0 +1,425 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { ensureStateDir, getStateDir, writeFileAtomic } = require('./state_helper');
+const {
+  LIBRARY_DIR,
+  buildUploadFilename,
+  isAllowedImageType,
+  removeFileIfExists,
+  ingestUploadedFile
+} = require('./upload_helper');
+const { NORMALIZE_STRATEGIES, parseNormalizeStrategy, DUPLICATE_POLICIES } = require('./constants');
+const { parseFrameIndex } = require('./conversion_helper');
+
+const UPLOADS_DIR_NAME = 'chunked-uploads';
+const SESSION_FILE = 'session.json';
+const RESULT_FILE = 'result.json';
+const CHUNK_FILE_PATTERN = /^chunk-(\d+)$/;
+
+// Largest image accepted in pieces (a single-request upload stops at 50MB)
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+const DEFAULT_CHUNK_BYTES = 4 * 1024 * 1024;
+const MIN_CHUNK_BYTES = 256 * 1024;
+const MAX_CHUNK_BYTES = 16 * 1024 * 1024;
+// Sessions untouched this long are purged with their chunks
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Upload ids are generated here; anything else is rejected before touching the disk
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{32}$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+// Uploads being finalized in this process (chunk writes and a second finalize wait)
+const finalizing = new Set();
+
+function uploadSessionError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * ChunkedUploadHelper - resumable uploads sent in pieces
+ *
+ * A client creates a session (file name, type, size), PUTs the chunks in any
+ * order and as often as it likes, asks which chunks arrived after a dropped
+ * connection, then finalizes with the file's SHA-256. Finalizing joins the
+ * chunks into library/ and runs the normal upload pipeline. A finalized
+ * upload keeps its result, so a client that lost the finalize response gets
+ * the same image back instead of adding it twice.
+ *
+ * Sessions live in the git-excluded state area:
+ *
+ *   .frame_art_manager/chunked-uploads/<id>/session.json  { id, filename, mimetype, size, chunkSize, fields, createdAt }
+ *   .frame_art_manager/chunked-uploads/<id>/chunk-<n>
+ *   .frame_art_manager/chunked-uploads/<id>/result.json   finalize's result (the chunks are gone by then)
+ *
+ * A session expires SESSION_TTL_MS after its last chunk or its finalize
+ * (purgeExpired runs periodically on the server).
+ */
+class ChunkedUploadHelper {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.uploadsPath = path.join(getStateDir(frameArtPath), UPLOADS_DIR_NAME);
+  }
+
+  /**
+   * Start an upload
+   * Throws VALIDATION_ERROR (with details) or TOO_LARGE.
+   * @param {Object} options
+   * @param {string} options.filename - Original file name
+   * @param {number} options.size - Bytes
+   * @param {string} [options.mimetype]
+   * @param {number} [options.chunkSize] - Between 256KB and 16MB
+   * @param {Object} [options.fields] - Upload form fields kept for finalize (customName, matte, filter, tags, normalize, frame, duplicatePolicy)
+   * @returns {Promise<Object>} Session status (see getStatus)
+   */
+  async create({ filename, size, mimetype = '', chunkSize = DEFAULT_CHUNK_BYTES, fields = {} } = {}) {
+    const errors = [];
+    if (typeof filename !== 'string' || !filename.trim() || filename.length > 255) {
+      errors.push('filename must be a non-empty string of at most 255 characters');
+    } else if (!isAllowedImageType({ mimetype, originalname: filename })) {
+      errors.push('Unsupported file type');
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      errors.push('size must be a positive integer');
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_BYTES || chunkSize > MAX_CHUNK_BYTES) {
+      errors.push(`chunkSize must be between ${MIN_CHUNK_BYTES} and ${MAX_CHUNK_BYTES} bytes`);
+    }
+    if (!parseNormalizeStrategy(fields.normalize)) {
+      errors.push(`normalize must be one of: ${NORMALIZE_STRATEGIES.join(', ')}`);
+    }
+    if (parseFrameIndex(fields.frame) === null) {
+      errors.push('frame must be a whole number (0 is the first frame)');
+    }
+    if (fields.duplicatePolicy !== undefined && fields.duplicatePolicy !== '' && !DUPLICATE_POLICIES.includes(fields.duplicatePolicy)) {
+      errors.push(`duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      throw uploadSessionError('VALIDATION_ERROR', errors.join('; '), errors);
+    }
+    if (size > MAX_UPLOAD_BYTES) {
+      throw uploadSessionError('TOO_LARGE', `File is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)}MB`);
+    }
+
+    const session = {
+      id: crypto.randomBytes(16).toString('hex'),
+      filename: path.basename(filename.trim()),
+      mimetype: typeof mimetype === 'string' ? mimetype : '',
+      size,
+      chunkSize,
+      fields: pickFields(fields),
+      createdAt: new Date().toISOString()
+    };
+    const sessionDir = await ensureStateDir(this.frameArtPath, UPLOADS_DIR_NAME, session.id);
+    await writeFileAtomic(path.join(sessionDir, SESSION_FILE), JSON.stringify(session, null, 2) + '\n');
+    return this.describe(session, []);
+  }
+
+  /**
+   * Where an upload stands; clients resume by sending the missing chunks
+   * `finalizing` is set while a finalize runs and `result` once it succeeded.
+   * Throws NOT_FOUND for an unknown or expired upload.
+   * @returns {Promise<{id, filename, size, chunkSize, totalChunks, received: number[], missing: number[], receivedBytes, finalizing: boolean, result: Object|null, createdAt, expiresAt}>}
+   */
+  async getStatus(id) {
+    const session = await this.readSession(id);
+    const { mtimeMs } = await fs.stat(path.join(this.sessionDir(id), SESSION_FILE));
+    const result = await this.readResult(id);
+    return this.describe(session, await this.listChunks(id), mtimeMs, result);
+  }
+
+  /**
+   * Store one chunk (sending a chunk again replaces it)
+   * Every chunk but the last must be exactly chunkSize bytes.
+   * Throws NOT_FOUND, VALIDATION_ERROR (bad index or length) or CONFLICT (finalizing).
+   * @param {string} id
+   * @param {number} index - 0-based
+   * @param {Buffer} data
+   */
+  async writeChunk(id, index, data) {
+    const session = await this.readSession(id);
+    if (finalizing.has(this.sessionDir(id))) {
+      throw uploadSessionError('CONFLICT', 'Upload is being finalized');
+    }
+    if (await this.readResult(id)) {
+      throw uploadSessionError('CONFLICT', 'Upload is already finalized');
+    }
+    const totalChunks = countChunks(session);
+    if (!Number.isInteger(index) || index < 0 || index >= totalChunks) {
+      throw uploadSessionError('VALIDATION_ERROR', `Chunk index must be between 0 and ${totalChunks - 1}`);
+    }
+    const expected = chunkLength(session, index);
+    if (!Buffer.isBuffer(data) || data.length !== expected) {
+      throw uploadSessionError('VALIDATION_ERROR', `Chunk ${index} must be ${expected} bytes (got ${Buffer.isBuffer(data) ? data.length : 0})`);
+    }
+
+    const sessionDir = this.sessionDir(id);
+    await writeFileAtomic(path.join(sessionDir, `chunk-${index}`), data);
+    // The session file's mtime is the upload's last activity (for expiry)
+    const now = new Date();
+    await fs.utimes(path.join(sessionDir, SESSION_FILE), now, now);
+    return this.describe(session, await this.listChunks(id));
+  }
+
+  /**
+   * Join the chunks into library/ and run the upload pipeline
+   * An added image's result is kept with the session and returned again by a
+   * repeated finalize (a client retrying after a lost response). A rejected
+   * upload's session is removed; it is kept only when chunks are missing
+   * (CONFLICT, with the missing indices in details) so the client can send
+   * them and try again.
+   * Throws NOT_FOUND, CONFLICT, VALIDATION_ERROR (missing or mismatched
+   * checksum, not an image) or anything ingestUploadedFile throws.
+   * @param {string} id
+   * @param {Object} options
+   * @param {string} options.sha256 - Hex SHA-256 of the whole file
+   * @param {Job} [options.job]
+   * @returns {Promise<{filename: string, data: Object, duplicates: Object|null, sha256: string}>}
+   */
+  async finalize(id, { sha256, job } = {}) {
+    const session = await this.readSession(id);
+    const expectedHash = typeof sha256 === 'string' ? sha256.trim().toLowerCase() : '';
+    if (!SHA256_PATTERN.test(expectedHash)) {
+      throw uploadSessionError('VALIDATION_ERROR', 'sha256 is required (64 hex characters)');
+    }
+
+    const sessionDir = this.sessionDir(id);
+    if (finalizing.has(sessionDir)) {
+      throw uploadSessionError('CONFLICT', 'Upload is already being finalized');
+    }
+    finalizing.add(sessionDir);
+
+    let filePath = null;
+    let keepSession = false;
+    try {
+      const earlier = await this.readResult(id);
+      if (earlier) {
+        keepSession = true;
+        return earlier;
+      }
+
+      const { missing } = this.describe(session, await this.listChunks(id));
+      if (missing.length > 0) {
+        keepSession = true;
+        throw uploadSessionError('CONFLICT', `Upload is missing ${missing.length} chunk(s)`, { missing });
+      }
+
+      job?.step('Assembling chunks', { total: countChunks(session) });
+      const libraryPath = path.join(this.frameArtPath, LIBRARY_DIR);
+      await fs.mkdir(libraryPath, { recursive: true });
+      const { filename, context } = buildUploadFilename({ originalname: session.filename, mimetype: session.mimetype });
+      filePath = path.join(libraryPath, filename);
+      const actualHash = await joinChunks(sessionDir, countChunks(session), filePath, job);
+
+      if (actualHash !== expectedHash) {
+        await removeFileIfExists(filePath);
+        throw uploadSessionError('VALIDATION_ERROR', 'Checksum mismatch: the uploaded file is corrupt', [
+          `expected sha256 ${expectedHash}, got ${actualHash}`
+        ]);
+      }
+
+      const result = await ingestUploadedFile(this.frameArtPath, {
+        file: { path: filePath, filename, mimetype: session.mimetype, originalname: session.filename },
+        uploadContext: context,
+        customName: session.fields.customName,
+        matte: session.fields.matte,
+        filter: session.fields.filter,
+        tags: session.fields.tags,
+        normalize: session.fields.normalize,
+        frame: session.fields.frame,
+        duplicatePolicy: session.fields.duplicatePolicy,
+        logPrefix: '[Chunked Upload]',
+        job
+      });
+      // In the library now (possibly renamed), so no longer ours to clean up
+      filePath = null;
+
+      const { filename: addedFilename, data, duplicates } = result;
+      const finished = { filename: addedFilename, data, duplicates: duplicates || null, sha256: actualHash };
+      await this.keepResult(id, finished);
+      keepSession = true;
+      return finished;
+    } catch (error) {
+      if (filePath) {
+        await removeFileIfExists(filePath);
+      }
+      throw error;
+    } finally {
+      finalizing.delete(sessionDir);
+      if (!keepSession) {
+        await this.remove(id);
+      }
+    }
+  }
+
+  /**
+   * Abandon an upload and delete its chunks
+   */
+  async remove(id) {
+    if (!UPLOAD_ID_PATTERN.test(id || '')) return;
+    await fs.rm(this.sessionDir(id), { recursive: true, force: true });
+  }
+
+  /**
+   * Remove uploads with no activity within SESSION_TTL_MS
+   * @param {Object} [options]
+   * @param {number} [options.now=Date.now()]
+   * @returns {Promise<string[]>} Removed upload ids
+   */
+  async purgeExpired({ now = Date.now() } = {}) {
+    let ids;
+    try {
+      ids = await fs.readdir(this.uploadsPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const removed = [];
+    for (const id of ids) {
+      const sessionDir = this.sessionDir(id);
+      if (finalizing.has(sessionDir)) continue;
+      // A folder without a readable session file is debris from an interrupted create
+      const lastActivity = await fs.stat(path.join(sessionDir, SESSION_FILE))
+        .then(stat => stat.mtimeMs, () => fs.stat(sessionDir).then(stat => stat.mtimeMs, () => 0));
+      if (now - lastActivity >= SESSION_TTL_MS) {
+        await fs.rm(sessionDir, { recursive: true, force: true });
+        removed.push(id);
+      }
+    }
+    return removed;
+  }
+
+  sessionDir(id) {
+    return path.join(this.uploadsPath, id);
+  }
+
+  async readSession(id) {
+    if (typeof id !== 'string' || !UPLOAD_ID_PATTERN.test(id)) {
+      throw uploadSessionError('NOT_FOUND', `Upload ${id} not found`);
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.sessionDir(id), SESSION_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw uploadSessionError('NOT_FOUND', `Upload ${id} not found`);
+      }
+      throw error;
+    }
+  }
+
+  async readResult(id) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.sessionDir(id), RESULT_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Store finalize's result and drop the chunks; the expiry restarts from now
+  async keepResult(id, result) {
+    const sessionDir = this.sessionDir(id);
+    await writeFileAtomic(path.join(sessionDir, RESULT_FILE), JSON.stringify(result, null, 2) + '\n');
+    for (const index of await this.listChunks(id)) {
+      await fs.rm(path.join(sessionDir, `chunk-${index}`), { force: true });
+    }
+    const now = new Date();
+    await fs.utimes(path.join(sessionDir, SESSION_FILE), now, now);
+  }
+
+  async listChunks(id) {
+    const names = await fs.readdir(this.sessionDir(id)).catch(() => []);
+    return names
+      .map(name => CHUNK_FILE_PATTERN.exec(name))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  describe(session, received, lastActivity = Date.now(), result = null) {
+    const totalChunks = countChunks(session);
+    if (result) {
+      received = Array.from({ length: totalChunks }, (_, index) => index);
+    }
+    const have = new Set(received);
+    const missing = [];
+    for (let index = 0; index < totalChunks; index++) {
+      if (!have.has(index)) missing.push(index);
+    }
+    return {
+      id: session.id,
+      filename: session.filename,
+      size: session.size,
+      chunkSize: session.chunkSize,
+      totalChunks,
+      received,
+      missing,
+      receivedBytes: received.reduce((total, index) => total + chunkLength(session, index), 0),
+      finalizing: finalizing.has(this.sessionDir(session.id)),
+      result,
+      createdAt: session.createdAt,
+      expiresAt: new Date(lastActivity + SESSION_TTL_MS).toISOString()
+    };
+  }
+}
+
+function countChunks(session) {
+  return Math.ceil(session.size / session.chunkSize);
+}
+
+function chunkLength(session, index) {
+  return Math.min(session.chunkSize, session.size - index * session.chunkSize);
+}
+
+function pickFields(fields) {
+  const picked = {};
+  for (const key of ['customName', 'matte', 'filter', 'normalize', 'frame', 'duplicatePolicy']) {
+    if (typeof fields[key] === 'string') {
+      picked[key] = fields[key];
+    }
+  }
+  // JSON clients may send the frame as a number
+  if (Number.isInteger(fields.frame)) {
+    picked.frame = String(fields.frame);
+  }
+  picked.tags = Array.isArray(fields.tags) ? fields.tags.filter(tag => typeof tag === 'string') : [];
+  return picked;
+}
+
+// Append the chunks in order to target, returning the hex SHA-256 of the result
+async function joinChunks(sessionDir, totalChunks, target, job) {
+  const hash = crypto.createHash('sha256');
+  const output = createWriteStream(target);
+  try {
+    for (let index = 0; index < totalChunks; index++) {
+      job?.progress(index, totalChunks);
+      for await (const data of createReadStream(path.join(sessionDir, `chunk-${index}`))) {
+        hash.update(data);
+        if (!output.write(data)) {
+          await once(output, 'drain');
+        }
+      }
+    }
+    output.end();
+    await once(output, 'finish');
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+  job?.progress(totalChunks, totalChunks);
+  return hash.digest('hex');
+}
+
+module.exports = ChunkedUploadHelper;
+module.exports.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+module.exports.MIN_CHUNK_BYTES = MIN_CHUNK_BYTES;
+module.exports.MAX_CHUNK_BYTES = MAX_CHUNK_BYTES;
+module.exports.SESSION_TTL_MS = SESSION_TTL_MS;
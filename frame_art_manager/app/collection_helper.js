@@ -0,0 +1,213 @@
+/**
+ * Collections (albums)
+ *
+ * Curated, ordered image lists kept in metadata.json next to images and tags:
+ *
+ *   "collections": {
+ *     "3f9a1c2e": { "name": "Best of 2025", "description": "...", "cover": "lake-bbbb2222.jpg",
+ *                   "images": ["lake-bbbb2222.jpg", "sunset-aaaa1111.jpg"], "created": "...", "updated": "..." }
+ *   }
+ *
+ * Unlike tags they are ordered and never feed the shuffler's tag pools.
+ * Membership follows images through renames, deletes and trash restores.
+ */
+
+const crypto = require('crypto');
+
+const COLLECTION_FIELDS = {
+  name: { label: 'Name', maxLength: 100 },
+  description: { label: 'Description', maxLength: 1000 }
+};
+
+const MAX_COLLECTION_IMAGES = 5000;
+
+// Collection ids are generated here; anything else is rejected before lookup
+const COLLECTION_ID_PATTERN = /^[0-9a-f]{8}$/;
+
+function generateCollectionId(existing = {}) {
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (Object.prototype.hasOwnProperty.call(existing, id));
+  return id;
+}
+
+/**
+ * metadata.collections as an object keyed by id (empty when missing or malformed)
+ * Note: This modifies the metadata object passed to it
+ */
+function ensureCollections(metadata) {
+  if (!metadata.collections || typeof metadata.collections !== 'object' || Array.isArray(metadata.collections)) {
+    metadata.collections = {};
+  }
+  return metadata.collections;
+}
+
+/**
+ * API shape of a stored collection: the record plus its id
+ */
+function toCollection(id, record) {
+  return {
+    id,
+    name: record.name,
+    description: record.description || null,
+    cover: record.cover || null,
+    images: Array.isArray(record.images) ? [...record.images] : [],
+    created: record.created || null,
+    updated: record.updated || null
+  };
+}
+
+/**
+ * Validate collection fields
+ * Only name, description, cover and images are considered. With
+ * `partial: false` a name is required.
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false]
+ * @returns {{values: Object, errors: string[]}} Normalized values (description null = clear) and validation errors
+ */
+function validateCollectionInput(input = {}, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = key => Object.prototype.hasOwnProperty.call(input, key);
+
+  if (has('name') || !partial) {
+    const { label, maxLength } = COLLECTION_FIELDS.name;
+    const name = typeof input.name === 'string' ? input.name.replace(/\s+/g, ' ').trim() : '';
+    if (!name) {
+      errors.push(`${label} is required`);
+    } else if (name.length > maxLength) {
+      errors.push(`${label} must be at most ${maxLength} characters`);
+    } else {
+      values.name = name;
+    }
+  }
+
+  if (has('description')) {
+    const { label, maxLength } = COLLECTION_FIELDS.description;
+    const description = input.description;
+    if (description === null || description === undefined) {
+      values.description = null;
+    } else if (typeof description !== 'string') {
+      errors.push(`${label} must be a string`);
+    } else if (description.trim().length > maxLength) {
+      errors.push(`${label} must be at most ${maxLength} characters`);
+    } else {
+      values.description = description.trim() || null;
+    }
+  }
+
+  if (has('cover')) {
+    if (input.cover === null || input.cover === undefined || input.cover === '') {
+      values.cover = null;
+    } else if (typeof input.cover !== 'string') {
+      errors.push('Cover must be an image filename');
+    } else {
+      values.cover = input.cover;
+    }
+  }
+
+  if (has('images')) {
+    const images = normalizeFilenameList(input.images);
+    if (!images) {
+      errors.push('Images must be a list of filenames');
+    } else if (images.length > MAX_COLLECTION_IMAGES) {
+      errors.push(`A collection can have at most ${MAX_COLLECTION_IMAGES} images`);
+    } else {
+      values.images = images;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Deduplicated list of filenames, in order (null when not a list of strings)
+ */
+function normalizeFilenameList(list) {
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item)) {
+    return null;
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Collections an image belongs to, with its position in each
+ * @returns {Array<{id: string, index: number, cover: boolean}>}
+ */
+function getImageMemberships(metadata, filename) {
+  const memberships = [];
+  const collections = metadata.collections && typeof metadata.collections === 'object' ? metadata.collections : {};
+  for (const [id, record] of Object.entries(collections)) {
+    const index = Array.isArray(record.images) ? record.images.indexOf(filename) : -1;
+    if (index !== -1) {
+      memberships.push({ id, index, cover: record.cover === filename });
+    }
+  }
+  return memberships;
+}
+
+/**
+ * Drop an image from every collection (and as cover)
+ * Note: This modifies the metadata object passed to it
+ * @returns {Array<{id: string, index: number, cover: boolean}>} Memberships, for restoreImageToCollections
+ */
+function removeImageFromCollections(metadata, filename) {
+  const memberships = getImageMemberships(metadata, filename);
+  const collections = metadata.collections;
+  for (const { id, index, cover } of memberships) {
+    collections[id].images.splice(index, 1);
+    if (cover) {
+      delete collections[id].cover;
+    }
+  }
+  return memberships;
+}
+
+/**
+ * Put an image back into the collections it was removed from, at its old position
+ * Collections deleted in the meantime are skipped.
+ * Note: This modifies the metadata object passed to it
+ */
+function restoreImageToCollections(metadata, filename, memberships = []) {
+  const collections = metadata.collections && typeof metadata.collections === 'object' ? metadata.collections : {};
+  for (const { id, index, cover } of memberships) {
+    const record = collections[id];
+    if (!record || !Array.isArray(record.images) || record.images.includes(filename)) continue;
+
+    record.images.splice(Math.min(index, record.images.length), 0, filename);
+    if (cover && !record.cover) {
+      record.cover = filename;
+    }
+  }
+}
+
+/**
+ * Follow an image rename in every collection
+ * Note: This modifies the metadata object passed to it
+ */
+function renameImageInCollections(metadata, oldFilename, newFilename) {
+  for (const { id, index, cover } of getImageMemberships(metadata, oldFilename)) {
+    const record = metadata.collections[id];
+    record.images[index] = newFilename;
+    if (cover) {
+      record.cover = newFilename;
+    }
+  }
+}
+
+module.exports = {
+  COLLECTION_FIELDS,
+  COLLECTION_ID_PATTERN,
+  MAX_COLLECTION_IMAGES,
+  generateCollectionId,
+  ensureCollections,
+  toCollection,
+  validateCollectionInput,
+  normalizeFilenameList,
+  getImageMemberships,
+  removeImageFromCollections,
+  restoreImageToCollections,
+  renameImageInCollections
+};
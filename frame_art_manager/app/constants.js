@@ -8,6 +8,8 @@
  * See frame-art-shuffler/docs/MATTE_BEHAVIOR.md for details.
  */
 
+const path = require('path');
+
 // Available matte types from Samsung Frame TV
 const MATTE_TYPE_LIST = [
   'none',
@@ -124,6 +126,117 @@ function normalizeFilterValue(value) {
   return match || DEFAULT_FILTER;
 }
 
+/**
+ * Optional descriptive fields stored on each image record.
+ * All values are strings; an empty value removes the field.
+ */
+const ARTWORK_FIELDS = {
+  title: { label: 'Title', maxLength: 200 },
+  artist: { label: 'Artist', maxLength: 200 },
+  year: { label: 'Year/date', maxLength: 40 },
+  medium: { label: 'Medium', maxLength: 200 },
+  sourceUrl: { label: 'Source URL', maxLength: 2048 },
+  license: { label: 'License', maxLength: 100 },
+  notes: { label: 'Notes', maxLength: 5000 }
+};
+
+const ARTWORK_FIELD_NAMES = Object.keys(ARTWORK_FIELDS);
+
+// "1889", "c. 1889", "1880s", "1503-1519", "44 BC", or an ISO date "1889-06-18"
+const YEAR_PATTERN = /^(?:(?:c|ca|circa)\.?\s*)?\d{1,4}(?:s|\s*[-–]\s*\d{1,4})?(?:\s*(?:BC|BCE|AD|CE))?$/i;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}(?:-\d{2})?$/;
+
+/**
+ * Validate descriptive field updates
+ * Only keys in ARTWORK_FIELDS are considered; other keys are ignored.
+ * @param {Object} input - Raw values keyed by field name
+ * @returns {{values: Object, errors: string[]}} Trimmed values (null = clear the field) and validation errors
+ */
+function validateArtworkFields(input = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const field of ARTWORK_FIELD_NAMES) {
+    if (!Object.prototype.hasOwnProperty.call(input, field)) {
+      continue;
+    }
+
+    const raw = input[field];
+    const { label, maxLength } = ARTWORK_FIELDS[field];
+
+    if (raw === null || raw === undefined) {
+      values[field] = null;
+      continue;
+    }
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      errors.push(`${label} must be a string`);
+      continue;
+    }
+
+    // Notes keep their line breaks; every other field is a single line
+    const value = field === 'notes'
+      ? String(raw).replace(/\r\n/g, '\n').trim()
+      : String(raw).replace(/\s+/g, ' ').trim();
+
+    if (!value) {
+      values[field] = null;
+      continue;
+    }
+    if (value.length > maxLength) {
+      errors.push(`${label} must be at most ${maxLength} characters`);
+      continue;
+    }
+
+    if (field === 'year' && !YEAR_PATTERN.test(value) && !ISO_DATE_PATTERN.test(value)) {
+      errors.push(`${label} must look like 1889, c. 1889, 1880s, 1503-1519 or 1889-06-18`);
+      continue;
+    }
+
+    if (field === 'sourceUrl') {
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch {
+        parsed = null;
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        errors.push(`${label} must be an http(s) URL`);
+        continue;
+      }
+    }
+
+    values[field] = value;
+  }
+
+  return { values, errors };
+}
+
+// Extensions of images kept in library/ (HEIC uploads are converted to JPEG)
+const LIBRARY_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif'];
+
+function isLibraryImageFile(filename) {
+  return LIBRARY_IMAGE_EXTENSIONS.includes(path.extname(filename || '').toLowerCase());
+}
+
+// Frame-ready normalization at upload time (see ImageEditService.normalizeForFrame):
+// 'auto' smart-crops near-16:9 images and blur-fills portraits and panoramas
+const NORMALIZE_STRATEGIES = ['none', 'auto', 'attention', 'entropy', 'blur'];
+const DEFAULT_NORMALIZE_STRATEGY = 'none';
+
+// Strategy from a form field (missing/empty is the default); null when unknown
+function parseNormalizeStrategy(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_NORMALIZE_STRATEGY;
+  }
+  const candidate = String(value).trim().toLowerCase();
+  return NORMALIZE_STRATEGIES.includes(candidate) ? candidate : null;
+}
+
+// What an upload does when it looks like an image already in the library
+// (perceptual hash within the duplicateThreshold setting)
+const DUPLICATE_POLICIES = ['allow', 'warn', 'reject', 'replace-existing', 'keep-as-variant'];
+const DEFAULT_DUPLICATE_POLICY = 'warn';
+
 module.exports = {
   MATTE_TYPES,
   PORTRAIT_MATTE_TYPES,
@@ -135,5 +248,15 @@ module.exports = {
   normalizeMatteValue,
   normalizeFilterValue,
   isMatteValidForPortrait,
-  getMattesForOrientation
+  getMattesForOrientation,
+  ARTWORK_FIELDS,
+  ARTWORK_FIELD_NAMES,
+  validateArtworkFields,
+  LIBRARY_IMAGE_EXTENSIONS,
+  isLibraryImageFile,
+  NORMALIZE_STRATEGIES,
+  DEFAULT_NORMALIZE_STRATEGY,
+  parseNormalizeStrategy,
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY
 };
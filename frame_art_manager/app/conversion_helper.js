@@ -0,0 +1,517 @@
+/**
+ * Format conversion on ingest
+ *
+ * The TV and the thumbnail pipeline take JPEG and PNG, plus the WebP, AVIF and
+ * GIF stills library/ has always kept. Uploads in any other format (HEIC, TIFF,
+ * camera RAW, SVG, BMP) or with several frames (animated GIF/WebP, multi-page
+ * TIFF, HEIC sequences) become one high-quality JPEG, or a PNG when the image
+ * has transparency:
+ *
+ *   - multi-page and animated inputs keep one frame (`frame`, default the first)
+ *   - SVG is rasterized to fit 3840x2160
+ *   - RAW files use their largest embedded JPEG preview (sharp cannot demosaic)
+ *   - BMP is decoded here (sharp has no BMP loader)
+ *
+ * ingestUploadedFile keeps the uploaded file in originals/ (see getSourceFilename).
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+const HEIC_EXTENSIONS = new Set(['.heic', '.heif']);
+const HEIC_MIME_TYPES = new Set([
+  'image/heic',
+  'image/heif',
+  'image/heic-sequence',
+  'image/heif-sequence'
+]);
+
+// Camera RAW files are recognised by extension; browsers rarely send a type
+const RAW_EXTENSIONS = new Set([
+  '.raw', '.dng', '.cr2', '.cr3', '.crw', '.nef', '.nrw', '.arw', '.srf', '.sr2', '.orf',
+  '.rw2', '.rwl', '.raf', '.pef', '.srw', '.x3f', '.3fr', '.erf', '.kdc', '.mrw', '.iiq'
+]);
+const RAW_MIME_TYPES = new Set([
+  'image/x-adobe-dng',
+  'image/x-canon-cr2',
+  'image/x-canon-cr3',
+  'image/x-nikon-nef',
+  'image/x-sony-arw',
+  'image/x-olympus-orf',
+  'image/x-panasonic-rw2',
+  'image/x-fuji-raf',
+  'image/x-pentax-pef',
+  'image/x-samsung-srw',
+  'image/x-dcraw'
+]);
+
+// Source formats: label for progress and errors, extensions (the first is
+// used when the upload's own extension does not match its content)
+const SOURCE_FORMATS = {
+  heic: { label: 'HEIC', extensions: ['.heic', '.heif'] },
+  raw: { label: 'RAW', extensions: [...RAW_EXTENSIONS] },
+  bmp: { label: 'BMP', extensions: ['.bmp', '.dib'] },
+  svg: { label: 'SVG', extensions: ['.svg'] },
+  tiff: { label: 'TIFF', extensions: ['.tif', '.tiff'] },
+  gif: { label: 'GIF', extensions: ['.gif'] },
+  webp: { label: 'WebP', extensions: ['.webp'] },
+  heif: { label: 'AVIF', extensions: ['.avif'] }
+};
+
+const CONVERTIBLE_EXTENSIONS = new Set([
+  ...HEIC_EXTENSIONS,
+  ...RAW_EXTENSIONS,
+  ...SOURCE_FORMATS.bmp.extensions,
+  ...SOURCE_FORMATS.svg.extensions,
+  ...SOURCE_FORMATS.tiff.extensions
+]);
+
+// Stills sharp reads that are kept as uploaded
+const LIBRARY_FORMATS = new Set(['jpeg', 'png', 'webp', 'gif', 'heif']);
+
+const SVG_TARGET_WIDTH = 3840;
+const SVG_TARGET_HEIGHT = 2160;
+// sharp rejects higher densities
+const MAX_SVG_DENSITY = 100000;
+const JPEG_OPTIONS = { quality: 95, chromaSubsampling: '4:4:4' };
+const HEIC_JPEG_QUALITY = 0.95;
+const MAX_FRAME_INDEX = 9999;
+// sharp's default limitInputPixels; BMPs are decoded in JS before sharp sees them
+const MAX_INPUT_PIXELS = 0x3fff * 0x3fff;
+// RAW files can contain JPEG markers by chance; only this many are tried
+const MAX_PREVIEW_CANDIDATES = 50;
+const JPEG_SOI = Buffer.from([0xff, 0xd8, 0xff]);
+
+// EXIF orientation as sharp operations (flop happens before the rotation)
+const ORIENTATION_OPERATIONS = {
+  2: { flop: true },
+  3: { angle: 180 },
+  4: { flip: true },
+  5: { angle: 270, flop: true },
+  6: { angle: 90 },
+  7: { angle: 90, flop: true },
+  8: { angle: 270 }
+};
+
+function isHeicType({ mimetype, ext }) {
+  const normalizedMime = (mimetype || '').toLowerCase();
+  const normalizedExt = (ext || '').toLowerCase();
+  return HEIC_MIME_TYPES.has(normalizedMime) || HEIC_EXTENSIONS.has(normalizedExt);
+}
+
+/**
+ * Whether a filename has the extension of a format that is converted on ingest
+ */
+function isConvertibleImageFile(filename) {
+  return CONVERTIBLE_EXTENSIONS.has(path.extname(filename || '').toLowerCase());
+}
+
+/**
+ * Parse the `frame` upload field: missing or empty means the first frame
+ * @returns {number|null} Frame index, or null when the value is invalid
+ */
+function parseFrameIndex(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text) || Number(text) > MAX_FRAME_INDEX) {
+    return null;
+  }
+  return Number(text);
+}
+
+/**
+ * Name the uploaded file is kept under in originals/
+ * ("poster-1a2b3c4d.png" from an SVG -> "poster-1a2b3c4d_source.svg")
+ */
+function getSourceFilename(filename, sourceExt) {
+  const ext = path.extname(filename);
+  return `${filename.slice(0, filename.length - ext.length)}_source${sourceExt}`;
+}
+
+/**
+ * A record's conversion with its kept upload renamed to follow a new library filename
+ */
+function renameConversionSource(conversion, filename) {
+  if (!conversion?.source) {
+    return conversion;
+  }
+  return { ...conversion, source: getSourceFilename(filename, path.extname(conversion.source)) };
+}
+
+function conversionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function looksLikeSvg(buffer) {
+  const head = buffer.subarray(0, 4096).toString('utf8').replace(/^﻿/, '').trimStart();
+  return head.startsWith('<') && /<svg[\s>]/i.test(head);
+}
+
+/**
+ * What an upload needs converting from, judged by its content first
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string} [options.mimetype]
+ * @param {string} [options.ext] - Extension of the uploaded name
+ * @returns {Promise<{from: string, label: string, extension: string, frames?: number}|null>}
+ *   null when the upload can go into library/ as it is (or sharp cannot read
+ *   it at all, which the upload pipeline reports as an invalid image)
+ */
+async function getConversionSource(buffer, { mimetype, ext } = {}) {
+  const normalizedExt = (ext || '').toLowerCase();
+  const normalizedMime = (mimetype || '').toLowerCase();
+  const source = (from, extra = {}) => {
+    const { label, extensions } = SOURCE_FORMATS[from] || { label: from.toUpperCase(), extensions: [`.${from}`] };
+    return {
+      from,
+      label,
+      extension: extensions.includes(normalizedExt) ? normalizedExt : extensions[0],
+      ...extra
+    };
+  };
+
+  if (isHeicType({ mimetype, ext })) {
+    return source('heic');
+  }
+  if (buffer.length >= 2 && buffer.toString('latin1', 0, 2) === 'BM') {
+    return source('bmp');
+  }
+  if (RAW_EXTENSIONS.has(normalizedExt) || RAW_MIME_TYPES.has(normalizedMime)) {
+    return source('raw');
+  }
+  if (looksLikeSvg(buffer)) {
+    return source('svg');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+  const frames = metadata.pages || 1;
+  if (LIBRARY_FORMATS.has(metadata.format) && frames === 1) {
+    return null;
+  }
+  return source(metadata.format, { frames });
+}
+
+function checkFrame(frame, frames, label) {
+  if (frame >= frames) {
+    throw conversionError('VALIDATION_ERROR',
+      `Frame ${frame} is out of range: the ${label} image has ${frames} frame${frames === 1 ? '' : 's'}`);
+  }
+}
+
+/**
+ * Convert an upload to JPEG or PNG
+ * Frames only apply to inputs that have several; `frame` is ignored otherwise.
+ * Throws VALIDATION_ERROR for a frame the input does not have; other errors
+ * mean the file could not be converted.
+ * @param {Buffer} buffer
+ * @param {Object} source - From getConversionSource
+ * @param {Object} [options]
+ * @param {number} [options.frame] - Frame of a multi-page or animated input (default 0)
+ * @returns {Promise<{buffer: Buffer, format: string, extension: string, from: string, frame: number, frames: number}>}
+ */
+async function convertImageBuffer(buffer, source, { frame = 0 } = {}) {
+  let frames = source.frames || 1;
+  const result = (output, format) => ({
+    buffer: output,
+    format,
+    extension: format === 'png' ? '.png' : '.jpg',
+    from: source.from,
+    frame: frames > 1 ? frame : 0,
+    frames
+  });
+
+  switch (source.from) {
+    case 'heic': {
+      // heic-convert decodes what sharp's libheif build cannot (HEVC)
+      const images = await heicConvert.all({ buffer, format: 'JPEG', quality: HEIC_JPEG_QUALITY });
+      frames = images.length;
+      checkFrame(frames > 1 ? frame : 0, frames, source.label);
+      return result(Buffer.from(await images[frames > 1 ? frame : 0].convert()), 'jpeg');
+    }
+    case 'raw': {
+      const { preview, orientation } = await extractRawPreview(buffer);
+      const { image, hasAlpha } = await openOriented(preview, orientation);
+      return result(...await encode(image, hasAlpha));
+    }
+    case 'bmp': {
+      const { data, width, height, channels } = decodeBmp(buffer);
+      const image = sharp(data, { raw: { width, height, channels } });
+      return result(...await encode(image, channels === 4));
+    }
+    case 'svg': {
+      const metadata = await sharp(buffer).metadata();
+      const scale = Math.min(SVG_TARGET_WIDTH / metadata.width, SVG_TARGET_HEIGHT / metadata.height);
+      const density = Math.min((metadata.density || 72) * scale, MAX_SVG_DENSITY);
+      const image = sharp(buffer, { density })
+        .resize(SVG_TARGET_WIDTH, SVG_TARGET_HEIGHT, { fit: 'inside' });
+      return result(...await encode(image, true));
+    }
+    default: {
+      const metadata = await sharp(buffer).metadata();
+      frames = metadata.pages || 1;
+      checkFrame(frames > 1 ? frame : 0, frames, source.label);
+      const image = sharp(buffer, { page: frames > 1 ? frame : 0 }).rotate();
+      return result(...await encode(image, metadata.hasAlpha));
+    }
+  }
+}
+
+/**
+ * JPEG, or PNG when an alpha channel is actually used
+ * @returns {Promise<[Buffer, string]>}
+ */
+async function encode(image, hasAlpha) {
+  const srgb = image.toColourspace('srgb');
+  if (!hasAlpha) {
+    return [await srgb.jpeg(JPEG_OPTIONS).toBuffer(), 'jpeg'];
+  }
+
+  const { data, info } = await srgb.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+  let transparent = false;
+  for (let i = info.channels - 1; i < data.length; i += info.channels) {
+    if (data[i] < 255) {
+      transparent = true;
+      break;
+    }
+  }
+  return transparent
+    ? [await sharp(data, raw).png().toBuffer(), 'png']
+    : [await sharp(data, raw).removeAlpha().jpeg(JPEG_OPTIONS).toBuffer(), 'jpeg'];
+}
+
+/**
+ * Open an image upright: by its own EXIF orientation, or else by the one given
+ * @returns {Promise<{image: sharp.Sharp, hasAlpha: boolean}>}
+ */
+async function openOriented(buffer, fallbackOrientation) {
+  const metadata = await sharp(buffer).metadata();
+  if (metadata.orientation || !ORIENTATION_OPERATIONS[fallbackOrientation]) {
+    return { image: sharp(buffer).rotate(), hasAlpha: metadata.hasAlpha };
+  }
+  const { angle, flip, flop } = ORIENTATION_OPERATIONS[fallbackOrientation];
+  let image = sharp(buffer);
+  if (angle) image = image.rotate(angle);
+  if (flip) image = image.flip();
+  if (flop) image = image.flop();
+  return { image, hasAlpha: metadata.hasAlpha };
+}
+
+/**
+ * Largest JPEG preview embedded in a camera RAW file
+ * Also returns the orientation from the file's TIFF header (most RAW formats
+ * are TIFF-based), which previews usually lack.
+ * @returns {Promise<{preview: Buffer, orientation?: number}>}
+ */
+async function extractRawPreview(buffer) {
+  const candidates = [];
+  let offset = buffer.indexOf(JPEG_SOI);
+  while (offset !== -1 && candidates.length < MAX_PREVIEW_CANDIDATES) {
+    const candidate = buffer.subarray(offset);
+    try {
+      const { format, width, height } = await sharp(candidate).metadata();
+      if (format === 'jpeg' && width && height) {
+        candidates.push({ candidate, area: width * height });
+      }
+    } catch (error) {
+      // Not a JPEG after all (or RAW data in lossless JPEG, which sharp can't read)
+    }
+    offset = buffer.indexOf(JPEG_SOI, offset + JPEG_SOI.length);
+  }
+
+  // Largest first; the header may parse while the data does not decode
+  candidates.sort((a, b) => b.area - a.area);
+  for (const { candidate } of candidates) {
+    try {
+      await sharp(candidate).stats();
+      return { preview: candidate, orientation: readTiffOrientation(buffer) };
+    } catch (error) {
+      // Try the next one
+    }
+  }
+  throw new Error('No embedded preview found in the RAW file');
+}
+
+/**
+ * Orientation tag (0x0112) from a TIFF header's first IFD
+ * @returns {number|undefined}
+ */
+function readTiffOrientation(buffer) {
+  const byteOrder = buffer.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return undefined;
+  }
+  const littleEndian = byteOrder === 'II';
+  const readUInt16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readUInt32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  try {
+    const ifdOffset = readUInt32(4);
+    const entries = readUInt16(ifdOffset);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (readUInt16(entry) === 0x0112) {
+        return readUInt16(entry + 8);
+      }
+    }
+  } catch (error) {
+    // Truncated or not really TIFF
+  }
+  return undefined;
+}
+
+/**
+ * Channel of a BITFIELDS mask as {mask, shift, max}
+ */
+function maskChannel(mask) {
+  if (!mask) {
+    return null;
+  }
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  let bits = 0;
+  while (((mask >>> (shift + bits)) & 1) === 1) bits++;
+  return { mask, shift, max: 2 ** bits - 1 };
+}
+
+function readChannel(value, channel) {
+  return Math.round((((value & channel.mask) >>> channel.shift) * 255) / channel.max);
+}
+
+/**
+ * Decode a Windows bitmap to raw RGB(A) pixels
+ * Handles 1/4/8-bit palette, 16/24/32-bit and BITFIELDS bitmaps, top-down or
+ * bottom-up; RLE-compressed bitmaps are refused.
+ * @returns {{data: Buffer, width: number, height: number, channels: number}}
+ */
+function decodeBmp(buffer) {
+  const fail = message => {
+    throw new Error(`Unsupported BMP: ${message}`);
+  };
+  if (buffer.length < 26 || buffer.toString('latin1', 0, 2) !== 'BM') {
+    fail('not a bitmap');
+  }
+
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  let width;
+  let height;
+  let bitsPerPixel;
+  let compression = 0;
+  let colorsUsed = 0;
+  let paletteEntrySize = 4;
+  if (headerSize === 12) {
+    width = buffer.readUInt16LE(18);
+    height = buffer.readInt16LE(20);
+    bitsPerPixel = buffer.readUInt16LE(24);
+    paletteEntrySize = 3;
+  } else if (headerSize >= 40 && buffer.length >= 14 + headerSize) {
+    width = buffer.readInt32LE(18);
+    height = buffer.readInt32LE(22);
+    bitsPerPixel = buffer.readUInt16LE(28);
+    compression = buffer.readUInt32LE(30);
+    colorsUsed = buffer.readUInt32LE(46);
+  } else {
+    fail(`header size ${headerSize}`);
+  }
+
+  const topDown = height < 0;
+  height = Math.abs(height);
+  if (width <= 0 || height === 0) {
+    fail('empty image');
+  }
+  if (width * height > MAX_INPUT_PIXELS) {
+    throw conversionError('VALIDATION_ERROR',
+      `BMP is too large: ${width}x${height} is over the ${MAX_INPUT_PIXELS} pixel limit`);
+  }
+
+  // Masks follow a 40-byte header and sit at the same offset in larger ones
+  let masks = null;
+  if (compression === 3 || compression === 6) {
+    if (bitsPerPixel !== 16 && bitsPerPixel !== 32) {
+      fail(`bit fields with ${bitsPerPixel} bits per pixel`);
+    }
+    const count = compression === 6 || headerSize >= 56 ? 4 : 3;
+    masks = [0, 1, 2, 3].map(i => (i < count ? buffer.readUInt32LE(54 + i * 4) : 0));
+  } else if (compression !== 0) {
+    fail(`compression ${compression} (RLE is not supported)`);
+  } else if (bitsPerPixel === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  } else if (bitsPerPixel === 32) {
+    masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+  } else if (![1, 4, 8, 24].includes(bitsPerPixel)) {
+    fail(`${bitsPerPixel} bits per pixel`);
+  }
+
+  const channels = masks?.[3] ? 4 : 3;
+  const [red, green, blue, alpha] = (masks || []).map(maskChannel);
+  const paletteOffset = 14 + headerSize;
+  const paletteSize = bitsPerPixel <= 8 ? colorsUsed || 2 ** bitsPerPixel : 0;
+  const rowSize = Math.ceil((width * bitsPerPixel) / 32) * 4;
+  if (dataOffset + rowSize * height > buffer.length || paletteOffset + paletteSize * paletteEntrySize > buffer.length) {
+    fail('file is truncated');
+  }
+
+  const data = Buffer.alloc(width * height * channels);
+  let transparent = false;
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * channels;
+      if (bitsPerPixel <= 8) {
+        const bit = x * bitsPerPixel;
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & (2 ** bitsPerPixel - 1);
+        if (index >= paletteSize) {
+          fail('palette index out of range');
+        }
+        const entry = paletteOffset + index * paletteEntrySize;
+        data[out] = buffer[entry + 2];
+        data[out + 1] = buffer[entry + 1];
+        data[out + 2] = buffer[entry];
+      } else if (bitsPerPixel === 24) {
+        const pixel = row + x * 3;
+        data[out] = buffer[pixel + 2];
+        data[out + 1] = buffer[pixel + 1];
+        data[out + 2] = buffer[pixel];
+      } else {
+        const value = bitsPerPixel === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+        data[out] = red ? readChannel(value, red) : 0;
+        data[out + 1] = green ? readChannel(value, green) : 0;
+        data[out + 2] = blue ? readChannel(value, blue) : 0;
+        if (alpha) {
+          data[out + 3] = readChannel(value, alpha);
+          transparent = transparent || data[out + 3] > 0;
+        }
+      }
+    }
+  }
+
+  // Some writers declare an alpha mask and leave it all zero
+  if (channels === 4 && !transparent) {
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  }
+  return { data, width, height, channels };
+}
+
+module.exports = {
+  HEIC_EXTENSIONS,
+  RAW_EXTENSIONS,
+  CONVERTIBLE_EXTENSIONS,
+  isHeicType,
+  isConvertibleImageFile,
+  parseFrameIndex,
+  getSourceFilename,
+  renameConversionSource,
+  getConversionSource,
+  convertImageBuffer,
+  decodeBmp
+};
@@ -0,0 +1,323 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { normalizeTagLibrary } = require('./tag_helper');
+
+/**
+ * Embedded metadata extraction (EXIF / IPTC / XMP)
+ *
+ * Produces the `embeddedMetadata` object stored on an image record:
+ * {
+ *   capturedAt: '2023-05-20T17:02:00+02:00',  // local capture time, offset when known
+ *   camera: 'Canon EOS R5',
+ *   lens: 'RF24-105mm F4 L IS USM',
+ *   gps: { latitude, longitude, altitude? },
+ *   keywords: ['paris', 'tower'],               // IPTC keywords + XMP dc:subject
+ *   xmpTitle: 'Eiffel & Sky',
+ *   xmpCreator: 'Jane Doe',
+ *   orientation: 6,                             // EXIF orientation 1-8
+ *   source: 'upload' | 'original' | 'library',  // which file it was read from
+ *   extractedAt: ISO timestamp
+ * }
+ * Keys are omitted when the file has no such data. The XMP fields are
+ * prefixed so they never collide with the editable title/artist fields.
+ */
+
+// IPTC IIM record 2 datasets we care about
+const IPTC_KEYWORDS = 25;
+const IPTC_OBJECT_NAME = 5;
+const IPTC_BYLINE = 80;
+const PHOTOSHOP_IPTC_RESOURCE = 0x0404;
+
+function cleanString(value) {
+  if (typeof value !== 'string') return null;
+  // EXIF ASCII values are often NUL/space padded
+  const cleaned = value.replace(/\0/g, '').replace(/\s+/g, ' ').trim();
+  return cleaned || null;
+}
+
+function uniqueCaseInsensitive(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * exif-reader returns wall-clock capture times as UTC Dates; turn them back
+ * into local "YYYY-MM-DDTHH:MM:SS" and append the EXIF offset when present.
+ */
+function formatCaptureDate(date, offset) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  const local = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+  const cleanOffset = cleanString(offset);
+  return cleanOffset && /^[+-]\d{2}:\d{2}$/.test(cleanOffset) ? `${local}${cleanOffset}` : local;
+}
+
+function gpsCoordinate(parts, ref) {
+  if (!Array.isArray(parts) || parts.length === 0 || parts.some(n => typeof n !== 'number' || !Number.isFinite(n))) {
+    return null;
+  }
+  const [degrees = 0, minutes = 0, seconds = 0] = parts;
+  let value = degrees + minutes / 60 + seconds / 3600;
+  if (ref === 'S' || ref === 'W') value = -value;
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Parse a raw EXIF block (as returned by sharp().metadata().exif)
+ * @param {Buffer} buffer
+ * @returns {Object} Partial embedded metadata
+ */
+function parseExif(buffer) {
+  const result = {};
+  if (!buffer || buffer.length === 0) return result;
+
+  let exif;
+  try {
+    exif = exifReader(buffer);
+  } catch (error) {
+    console.warn('[EXIF] Could not parse EXIF block:', error.message);
+    return result;
+  }
+
+  const image = exif.Image || {};
+  const photo = exif.Photo || {};
+  const gps = exif.GPSInfo || {};
+
+  const capturedAt = formatCaptureDate(photo.DateTimeOriginal, photo.OffsetTimeOriginal) ||
+    formatCaptureDate(photo.DateTimeDigitized, photo.OffsetTimeDigitized) ||
+    formatCaptureDate(image.DateTime, photo.OffsetTime);
+  if (capturedAt) result.capturedAt = capturedAt;
+
+  const make = cleanString(image.Make);
+  const model = cleanString(image.Model);
+  if (make || model) {
+    // Most cameras repeat the make in the model ("Canon" / "Canon EOS R5")
+    result.camera = make && model && !model.toLowerCase().startsWith(make.toLowerCase())
+      ? `${make} ${model}`
+      : (model || make);
+  }
+
+  const lens = cleanString(photo.LensModel) || cleanString(photo.LensMake);
+  if (lens) result.lens = lens;
+
+  const latitude = gpsCoordinate(gps.GPSLatitude, cleanString(gps.GPSLatitudeRef));
+  const longitude = gpsCoordinate(gps.GPSLongitude, cleanString(gps.GPSLongitudeRef));
+  if (latitude !== null && longitude !== null) {
+    result.gps = { latitude, longitude };
+    if (typeof gps.GPSAltitude === 'number' && Number.isFinite(gps.GPSAltitude)) {
+      const altitude = Math.round(gps.GPSAltitude * 10) / 10;
+      result.gps.altitude = gps.GPSAltitudeRef === 1 ? -altitude : altitude;
+    }
+  }
+
+  if (Number.isInteger(image.Orientation) && image.Orientation >= 1 && image.Orientation <= 8) {
+    result.orientation = image.Orientation;
+  }
+
+  return result;
+}
+
+// Walk IPTC IIM datasets (0x1C record dataset length data ...)
+function readIimDatasets(buffer, start = 0, end = buffer.length) {
+  const datasets = [];
+  let pos = start;
+  while (pos + 5 <= end && buffer[pos] === 0x1c) {
+    const record = buffer[pos + 1];
+    const dataset = buffer[pos + 2];
+    const length = buffer.readUInt16BE(pos + 3);
+    if (length & 0x8000) {
+      // Extended datasets are only used for huge binary payloads - stop here
+      break;
+    }
+    const dataStart = pos + 5;
+    if (dataStart + length > end) break;
+    datasets.push({ record, dataset, value: buffer.toString('utf8', dataStart, dataStart + length) });
+    pos = dataStart + length;
+  }
+  return datasets;
+}
+
+// Locate the IPTC block inside a Photoshop "8BIM" resource section
+function findPhotoshopIptc(buffer) {
+  let pos = buffer.indexOf('8BIM');
+  while (pos !== -1 && pos + 12 <= buffer.length) {
+    const resourceId = buffer.readUInt16BE(pos + 4);
+    const nameLength = buffer[pos + 6];
+    // Pascal name (length byte + text) is padded to an even size
+    let cursor = pos + 6 + ((nameLength + 2) & ~1);
+    if (cursor + 4 > buffer.length) break;
+    const size = buffer.readUInt32BE(cursor);
+    cursor += 4;
+    if (resourceId === PHOTOSHOP_IPTC_RESOURCE) {
+      return { start: cursor, end: Math.min(cursor + size, buffer.length) };
+    }
+    pos = cursor + size + (size % 2);
+    if (buffer.toString('ascii', pos, pos + 4) !== '8BIM') break;
+  }
+  return null;
+}
+
+/**
+ * Parse an IPTC block: either raw IIM datasets or a Photoshop APP13 payload
+ * @param {Buffer} buffer
+ * @returns {Object} Partial embedded metadata ({ keywords, xmpTitle, xmpCreator } style keys)
+ */
+function parseIptc(buffer) {
+  const result = {};
+  if (!buffer || buffer.length === 0) return result;
+
+  let datasets;
+  if (buffer[0] === 0x1c) {
+    datasets = readIimDatasets(buffer);
+  } else {
+    const block = findPhotoshopIptc(buffer);
+    datasets = block ? readIimDatasets(buffer, block.start, block.end) : [];
+  }
+
+  const appRecord = datasets.filter(d => d.record === 2);
+  const keywords = appRecord
+    .filter(d => d.dataset === IPTC_KEYWORDS)
+    .map(d => cleanString(d.value))
+    .filter(Boolean);
+  if (keywords.length > 0) result.keywords = uniqueCaseInsensitive(keywords);
+
+  const objectName = appRecord.find(d => d.dataset === IPTC_OBJECT_NAME);
+  if (objectName && cleanString(objectName.value)) result.iptcTitle = cleanString(objectName.value);
+
+  const byline = appRecord.find(d => d.dataset === IPTC_BYLINE);
+  if (byline && cleanString(byline.value)) result.iptcCreator = cleanString(byline.value);
+
+  return result;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Values of a dc:* property: rdf:li items, or a plain attribute/element value
+function readXmpProperty(xml, property) {
+  const element = xml.match(new RegExp(`<${property}(?:\\s[^>]*)?>([\\s\\S]*?)</${property}>`));
+  if (element) {
+    const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(m => m[1]);
+    const values = items.length > 0 ? items : [element[1]];
+    return values.map(value => cleanString(decodeXmlEntities(value.replace(/<[^>]+>/g, '')))).filter(Boolean);
+  }
+  const attribute = xml.match(new RegExp(`\\s${property}="([^"]*)"`));
+  return attribute ? [cleanString(decodeXmlEntities(attribute[1]))].filter(Boolean) : [];
+}
+
+/**
+ * Parse an XMP packet (title, creator and subject keywords from Dublin Core)
+ * @param {Buffer|string} buffer
+ * @returns {Object} Partial embedded metadata
+ */
+function parseXmp(buffer) {
+  const result = {};
+  if (!buffer || buffer.length === 0) return result;
+
+  const xml = buffer.toString('utf8');
+  const [title] = readXmpProperty(xml, 'dc:title');
+  if (title) result.xmpTitle = title;
+
+  const creators = readXmpProperty(xml, 'dc:creator');
+  if (creators.length > 0) result.xmpCreator = creators.join(', ');
+
+  const subjects = readXmpProperty(xml, 'dc:subject');
+  if (subjects.length > 0) result.keywords = uniqueCaseInsensitive(subjects);
+
+  return result;
+}
+
+/**
+ * Combine sharp metadata into one embeddedMetadata object
+ * @param {Object} info - Result of sharp().metadata()
+ * @param {string} source - 'upload' | 'original' | 'library'
+ * @returns {Object}
+ */
+function buildEmbeddedMetadata(info, source) {
+  const exif = parseExif(info.exif);
+  const iptc = parseIptc(info.iptc);
+  const xmp = parseXmp(info.xmp);
+
+  const result = { ...exif };
+
+  // sharp already reads orientation; prefer it over our EXIF parse
+  if (Number.isInteger(info.orientation)) {
+    result.orientation = info.orientation;
+  }
+
+  const keywords = uniqueCaseInsensitive([...(iptc.keywords || []), ...(xmp.keywords || [])]);
+  if (keywords.length > 0) result.keywords = keywords;
+
+  const title = xmp.xmpTitle || iptc.iptcTitle;
+  if (title) result.xmpTitle = title;
+  const creator = xmp.xmpCreator || iptc.iptcCreator;
+  if (creator) result.xmpCreator = creator;
+
+  result.source = source;
+  result.extractedAt = new Date().toISOString();
+  return result;
+}
+
+/**
+ * Read EXIF/IPTC/XMP from an image file or buffer
+ * Only the container headers are read - pixels are not decoded.
+ * @param {Buffer|string} input - Image buffer or file path
+ * @param {string} [source='upload'] - Recorded in the result
+ * @returns {Promise<Object>} embeddedMetadata object
+ */
+async function extractEmbeddedMetadata(input, source = 'upload') {
+  const info = await sharp(input).metadata();
+  return buildEmbeddedMetadata(info, source);
+}
+
+/**
+ * Map embedded keywords onto tag names, reusing the spelling of existing
+ * library tags when they only differ by case. Keywords matching a tag alias
+ * map to that tag.
+ * @param {string[]} keywords
+ * @param {Array<string|Object>} existingTags - Global tag list (names or tag library entries)
+ * @returns {string[]}
+ */
+function suggestTagsFromKeywords(keywords = [], existingTags = []) {
+  const library = normalizeTagLibrary(existingTags);
+  const byLower = new Map();
+  for (const entry of library) {
+    (entry.aliases || []).forEach(alias => byLower.set(alias.toLowerCase(), entry.name));
+  }
+  // Real tag names take precedence over aliases
+  for (const entry of library) {
+    byLower.set(entry.name.toLowerCase(), entry.name);
+  }
+  return uniqueCaseInsensitive(
+    keywords
+      .map(keyword => cleanString(String(keyword).replace(/,/g, ' ')))
+      .filter(Boolean)
+      .map(keyword => byLower.get(keyword.toLowerCase()) || keyword)
+  );
+}
+
+module.exports = {
+  extractEmbeddedMetadata,
+  buildEmbeddedMetadata,
+  parseExif,
+  parseIptc,
+  parseXmp,
+  suggestTagsFromKeywords
+};
@@ -0,0 +1,44 @@
+/**
+ * Library filename helpers
+ *
+ * Library images are named `<base>-<uuid8><ext>` (e.g. "sunset-1a2b3c4d.jpg"):
+ * a sanitized, human-readable base plus an 8-hex segment that keeps names unique.
+ */
+
+const path = require('path');
+
+const FALLBACK_BASE_NAME = 'image';
+
+function sanitizeBaseName(rawName, fallback = FALLBACK_BASE_NAME) {
+  if (!rawName || typeof rawName !== 'string') {
+    return fallback;
+  }
+
+  const normalized = rawName
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return normalized || fallback;
+}
+
+function extractUuidSegment(filename) {
+  const match = filename.match(/-([0-9a-f]{8})(\.[^.]+)$/i);
+  return match ? match[1] : null;
+}
+
+function baseWithoutUuid(filename) {
+  const ext = path.extname(filename);
+  const nameWithoutExt = path.basename(filename, ext);
+  return nameWithoutExt.replace(/-([0-9a-f]{8})$/i, '');
+}
+
+module.exports = {
+  FALLBACK_BASE_NAME,
+  sanitizeBaseName,
+  extractUuidSegment,
+  baseWithoutUuid
+};
@@ -1,6 +1,8 @@
 const simpleGit = require('simple-git');
 const path = require('path');
 const fs = require('fs').promises;
+const LibraryIndex = require('./library_index');
+const { ARTWORK_FIELD_NAMES } = require('./constants');
 
 // Global sync lock to prevent concurrent git operations
 let syncInProgress = false;
@@ -10,6 +12,22 @@ let syncInProgress = false;
 // Feature: Auto-recovery from stale Git lock files (v1.22.2 + dfc7d24)
 const STALE_LOCK_AGE_MS = 5 * 60 * 1000;
 
+// A changed descriptive field line in a metadata.json diff: -/+, key, JSON value
+const ARTWORK_FIELD_LINE = /^\s*([+-])\s*"(\w+)":\s*("(?:[^"\\]|\\.)*"|[^,\s]+),?\s*$/;
+const FIELD_VALUE_PREVIEW_LENGTH = 60;
+
+// Quote and shorten a descriptive field value for a commit message
+function formatFieldValue(value) {
+  if (value === null || value === undefined) {
+    return '(none)';
+  }
+  const singleLine = String(value).replace(/\s+/g, ' ');
+  const preview = singleLine.length > FIELD_VALUE_PREVIEW_LENGTH
+    ? `${singleLine.slice(0, FIELD_VALUE_PREVIEW_LENGTH - 1)}…`
+    : singleLine;
+  return `'${preview}'`;
+}
+
 /**
  * GitHelper - Manages Git LFS operations for the Frame Art repository
  * Handles verification, pull, commit, push, and status tracking
@@ -642,6 +660,9 @@ class GitHelper {
         error: error.message,
         remoteChangesSummary
       };
+    } finally {
+      // The pull may have rewritten metadata.json and library files
+      LibraryIndex.invalidate(this.frameArtPath, 'git-pull');
     }
   }
 
@@ -739,6 +760,54 @@ class GitHelper {
     }
   }
 
+  /**
+   * The paths git can stage: present in the working tree, or tracked (so a
+   * removal can be staged). Untracked files that no longer exist are dropped
+   * so one of them can't fail a whole commit.
+   * @param {string[]} paths - Repo-relative paths
+   * @returns {Promise<string[]>}
+   */
+  async filterCommittablePaths(paths) {
+    if (paths.length === 0) {
+      return [];
+    }
+    const tracked = new Set((await this.git.raw(['ls-files', '--', ...paths])).split('\n').filter(Boolean));
+    const committable = [];
+    for (const relativePath of paths) {
+      const exists = await fs.access(path.join(this.frameArtPath, relativePath)).then(() => true, () => false);
+      if (exists || tracked.has(relativePath)) {
+        committable.push(relativePath);
+      }
+    }
+    return committable;
+  }
+
+  /**
+   * Commit only the given paths
+   * Unlike commitChanges, anything else already staged stays staged for a later
+   * commit, so the message describes exactly what it contains.
+   * @param {string} message - Commit message
+   * @param {string[]} paths - Paths to stage and commit
+   * @returns {Promise<{success: boolean, commit?: string, error?: string}>}
+   */
+  async commitPaths(message, paths) {
+    try {
+      await this.git.add(paths);
+      const commitResult = await this.git.commit(message, paths);
+
+      return {
+        success: true,
+        commit: commitResult.commit,
+        message: `Committed: ${message}`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Push changes to remote
    * @returns {Promise<{success: boolean, error?: string}>}
@@ -1023,6 +1092,8 @@ class GitHelper {
     let addedTags = [];
     let removedTags = [];
     let propertyChanges = [];
+    let removedFields = {}; // Descriptive field values on - lines, keyed by field name
+    let addedFields = {}; // Descriptive field values on + lines
     let inTagsArray = false;
     let imageHasActualChanges = false; // Track if current image has real changes (+ or - lines)
     let inImagesSection = false; // Track if we're in the "images" section
@@ -1053,9 +1124,10 @@ class GitHelper {
           if (nextTrimmed === '') continue;
           if (nextTrimmed.match(/^"tags"\s*:\s*\[/) || nextTrimmed.match(/^"\w+"\s*:/)) {
             // Save the last image's changes before leaving images section
+            const fieldChanges = this.diffArtworkFields(removedFields, addedFields);
             if (currentImage && imageHasActualChanges && 
-                (addedTags.length > 0 || removedTags.length > 0 || propertyChanges.length > 0)) {
-              changes.push(...this.formatImageChanges(currentImage, addedTags, removedTags, propertyChanges));
+                (addedTags.length > 0 || removedTags.length > 0 || propertyChanges.length > 0 || fieldChanges.length > 0)) {
+              changes.push(...this.formatImageChanges(currentImage, addedTags, removedTags, propertyChanges, fieldChanges));
             }
             inImagesSection = false;
             currentImage = null;
@@ -1082,15 +1154,18 @@ class GitHelper {
         }
         
         // Save previous image changes if it had ACTUAL changes (not just context lines)
+        const fieldChanges = this.diffArtworkFields(removedFields, addedFields);
         if (currentImage && imageHasActualChanges && !currentImageIsNew &&
-            (addedTags.length > 0 || removedTags.length > 0 || propertyChanges.length > 0)) {
-          changes.push(...this.formatImageChanges(currentImage, addedTags, removedTags, propertyChanges));
+            (addedTags.length > 0 || removedTags.length > 0 || propertyChanges.length > 0 || fieldChanges.length > 0)) {
+          changes.push(...this.formatImageChanges(currentImage, addedTags, removedTags, propertyChanges, fieldChanges));
         }
         
         currentImage = imageMatch[1];
         addedTags = [];
         removedTags = [];
         propertyChanges = [];
+        removedFields = {};
+        addedFields = {};
         inTagsArray = false;
         imageHasActualChanges = false; // Reset for new image
         // Check if this entire image entry is new (line starts with +)
@@ -1130,6 +1205,27 @@ class GitHelper {
         }
       }
       
+      // Detect descriptive field changes (title, artist, ...); values are
+      // paired up per image once all of its lines have been seen
+      if (currentImage && !inTagsArray && !currentImageIsNew) {
+        const fieldMatch = line.match(ARTWORK_FIELD_LINE);
+        if (fieldMatch && ARTWORK_FIELD_NAMES.includes(fieldMatch[2])) {
+          let value;
+          try {
+            value = String(JSON.parse(fieldMatch[3]));
+          } catch {
+            value = fieldMatch[3];
+          }
+          imageHasActualChanges = true;
+          if (fieldMatch[1] === '-') {
+            removedFields[fieldMatch[2]] = value;
+          } else {
+            addedFields[fieldMatch[2]] = value;
+          }
+          continue;
+        }
+      }
+
       // Detect other property changes (matte, filter, etc.)
       // Check if line starts with - or + (after optional whitespace from diff)
       // Skip reporting matte/filter for completely new images (they're just defaults)
@@ -1173,23 +1269,42 @@ class GitHelper {
     }
     
     // Don't forget the last image - but only if it had actual changes and isn't completely new
+    const fieldChanges = this.diffArtworkFields(removedFields, addedFields);
     if (currentImage && imageHasActualChanges && !currentImageIsNew &&
-        (addedTags.length > 0 || removedTags.length > 0 || propertyChanges.length > 0)) {
-      changes.push(...this.formatImageChanges(currentImage, addedTags, removedTags, propertyChanges));
+        (addedTags.length > 0 || removedTags.length > 0 || propertyChanges.length > 0 || fieldChanges.length > 0)) {
+      changes.push(...this.formatImageChanges(currentImage, addedTags, removedTags, propertyChanges, fieldChanges));
     }
     
     return changes;
   }
 
+  /**
+   * Pair up descriptive field values seen on - and + lines of one image
+   * @param {Object} removedFields - field -> old value
+   * @param {Object} addedFields - field -> new value
+   * @returns {Array<{field: string, from: ?string, to: ?string}>} Fields whose value actually changed
+   */
+  diffArtworkFields(removedFields, addedFields) {
+    return ARTWORK_FIELD_NAMES
+      .filter(field => field in removedFields || field in addedFields)
+      .map(field => ({
+        field,
+        from: field in removedFields ? removedFields[field] : null,
+        to: field in addedFields ? addedFields[field] : null
+      }))
+      .filter(change => change.from !== change.to);
+  }
+
   /**
    * Format image changes into readable strings
    * @param {string} imageName - Name of the image file
    * @param {Array<string>} addedTags - Tags that were added
    * @param {Array<string>} removedTags - Tags that were removed
    * @param {Array<string>} propertyChanges - Properties that changed
+   * @param {Array<{field: string, from: ?string, to: ?string}>} [fieldChanges] - Descriptive field changes
    * @returns {Array<string>} - Formatted change descriptions
    */
-  formatImageChanges(imageName, addedTags, removedTags, propertyChanges) {
+  formatImageChanges(imageName, addedTags, removedTags, propertyChanges, fieldChanges = []) {
     const changes = [];
     const fileName = imageName.split('/').pop();
     // Extract base name without UUID and extension
@@ -1219,6 +1334,10 @@ class GitHelper {
       const uniqueProps = [...new Set(propertyChanges)];
       changes.push(`  ${baseName}: updated ${uniqueProps.join(', ')} (${fileName})`);
     }
+
+    fieldChanges.forEach(({ field, from, to }) => {
+      changes.push(`  ${baseName}: ${field}: ${formatFieldValue(from)} → ${formatFieldValue(to)} (${fileName})`);
+    });
     
     return changes;
   }
@@ -3,6 +3,7 @@ const path = require('path');
 const crypto = require('crypto');
 const sharp = require('sharp');
 const MetadataHelper = require('./metadata_helper');
+const { NORMALIZE_STRATEGIES } = require('./constants');
 
 function toPercent(value, fallback = 0) {
   const num = Number(value);
@@ -38,6 +39,19 @@ const PRESET_TARGET_RESOLUTIONS = {
   '16:9sam': { width: 3840, height: 2160 }
 };
 
+const FRAME_READY_RESOLUTION = PRESET_TARGET_RESOLUTIONS['16:9sam'];
+
+// 'auto' smart-crops images within this aspect range; anything narrower or
+// wider (portraits, panoramas) would lose too much, so it is blur-filled
+const AUTO_CROP_MIN_ASPECT = 1.5;
+const AUTO_CROP_MAX_ASPECT = 2.1;
+
+// Blur-fill background: built small (cheap to blur), tinted towards the
+// image's dominant colour, then scaled up to the frame size
+const BLUR_FILL_SCALE = 10;
+const BLUR_FILL_SIGMA = 6;
+const BLUR_FILL_TINT_ALPHA = 0.35;
+
 /**
  * Calculate the largest axis-aligned inscribed rectangle after rotation.
  * When an image is rotated by an arbitrary angle, the corners extend beyond
@@ -225,6 +239,88 @@ function getOrientedDimensions(metadata) {
   };
 }
 
+/**
+ * Strategy actually used to make an image Frame-ready
+ * @param {string} strategy - One of NORMALIZE_STRATEGIES except 'none'
+ * @param {{width: number, height: number}} dimensions - Oriented dimensions
+ * @returns {string|null} 'resize', 'attention', 'entropy' or 'blur'; null when
+ *   the image is already at the Frame resolution
+ */
+function resolveNormalizeStrategy(strategy, { width, height }) {
+  const target = FRAME_READY_RESOLUTION;
+  if (width === target.width && height === target.height) {
+    return null;
+  }
+
+  // Exactly 16:9 only needs scaling, whatever was asked for
+  if (width * target.height === height * target.width) {
+    return 'resize';
+  }
+
+  if (strategy === 'auto') {
+    const aspect = width / height;
+    return aspect >= AUTO_CROP_MIN_ASPECT && aspect <= AUTO_CROP_MAX_ASPECT ? 'attention' : 'blur';
+  }
+
+  return strategy;
+}
+
+/**
+ * Render an image at the Frame resolution with a resolved strategy
+ * @returns {Promise<sharp.Sharp>} Pipeline for the caller to encode and write
+ */
+async function renderFrameReady(sourcePath, strategy) {
+  const { width, height } = FRAME_READY_RESOLUTION;
+  // Bake in the EXIF orientation first so every step sees upright pixels
+  const upright = await sharp(sourcePath).rotate().toBuffer();
+
+  if (strategy !== 'blur') {
+    const position = strategy === 'attention'
+      ? sharp.strategy.attention
+      : strategy === 'entropy'
+        ? sharp.strategy.entropy
+        : 'centre';
+    return sharp(upright).resize(width, height, {
+      fit: sharp.fit.cover,
+      position,
+      kernel: sharp.kernel.lanczos3
+    });
+  }
+
+  const { dominant } = await sharp(upright).stats();
+  const smallWidth = Math.round(width / BLUR_FILL_SCALE);
+  const smallHeight = Math.round(height / BLUR_FILL_SCALE);
+
+  const background = await sharp(upright)
+    .resize(smallWidth, smallHeight, { fit: sharp.fit.cover })
+    .removeAlpha()
+    .blur(BLUR_FILL_SIGMA)
+    .composite([{
+      input: {
+        create: {
+          width: smallWidth,
+          height: smallHeight,
+          channels: 4,
+          background: { ...dominant, alpha: BLUR_FILL_TINT_ALPHA }
+        }
+      }
+    }])
+    .png()
+    .toBuffer();
+
+  const foreground = await sharp(upright)
+    .resize(width, height, { fit: sharp.fit.inside, kernel: sharp.kernel.lanczos3 })
+    .png()
+    .toBuffer();
+
+  const backdrop = await sharp(background)
+    .resize(width, height, { fit: sharp.fit.fill })
+    .png()
+    .toBuffer();
+
+  return sharp(backdrop).composite([{ input: foreground, gravity: 'centre' }]);
+}
+
 function uniqueOverlayId(prefix = 'overlay') {
   return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
 }
@@ -1119,6 +1215,95 @@ class ImageEditService {
     };
   }
 
+  /**
+   * Make an image Frame-ready: 3840x2160 by smart crop or blur-fill
+   *
+   * The untouched file goes to originals/ first so revertToOriginal still
+   * works, and the strategy used is recorded as `normalization` on the record.
+   * Throws VALIDATION_ERROR for an unknown strategy.
+   * @param {string} filename
+   * @param {string} [strategy] - 'auto', 'attention', 'entropy' or 'blur'
+   * @param {{thumbnail?: boolean}} [options] - thumbnail: false skips the
+   *   thumbnail (callers that make one afterwards)
+   * @returns {Promise<Object|null>} { backupCreated, dimensions, aspectRatio,
+   *   normalization, imageData }, or null when the image was already Frame-ready
+   */
+  async normalizeForFrame(filename, strategy = 'auto', { thumbnail = true } = {}) {
+    if (!NORMALIZE_STRATEGIES.includes(strategy) || strategy === 'none') {
+      const error = new Error(`Invalid normalize strategy: ${strategy}`);
+      error.code = 'VALIDATION_ERROR';
+      error.details = [`normalize must be one of: ${NORMALIZE_STRATEGIES.filter(s => s !== 'none').join(', ')}`];
+      throw error;
+    }
+
+    const sourcePath = path.join(this.libraryPath, filename);
+    const metadata = await sharp(sourcePath).metadata();
+    const orientedDimensions = getOrientedDimensions(metadata);
+
+    const resolved = resolveNormalizeStrategy(strategy, orientedDimensions);
+    if (!resolved) {
+      return null;
+    }
+
+    const { backupPath, created: backupCreated } = await this.ensureOriginalBackup(filename);
+
+    const tmpName = `${filename}.edit-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const tmpPath = path.join(this.libraryPath, tmpName);
+
+    try {
+      let transformer = await renderFrameReady(sourcePath, resolved);
+      if (metadata.format) {
+        transformer = transformer.toFormat(metadata.format);
+      }
+      await transformer.toFile(tmpPath);
+      await fs.rename(tmpPath, sourcePath);
+    } catch (error) {
+      await fs.unlink(tmpPath).catch(() => {});
+      if (backupCreated) {
+        await this.removeOriginalBackup(filename);
+      }
+      throw error;
+    }
+
+    const dimensions = { ...FRAME_READY_RESOLUTION };
+    const aspectRatio = formatAspectRatio(dimensions.width, dimensions.height);
+    const normalization = {
+      strategy: resolved,
+      requested: strategy,
+      from: orientedDimensions,
+      width: dimensions.width,
+      height: dimensions.height,
+      normalizedAt: new Date().toISOString()
+    };
+
+    let imageData;
+    try {
+      imageData = await this.helper.updateImage(filename, { dimensions, aspectRatio, normalization });
+    } catch (error) {
+      await this.restoreFromBackup(filename, backupPath);
+      if (backupCreated) {
+        await this.removeOriginalBackup(filename);
+      }
+      throw error;
+    }
+
+    if (thumbnail) {
+      try {
+        await this.helper.generateThumbnail(filename);
+      } catch (thumbError) {
+        console.warn('Thumbnail regeneration failed after normalization:', thumbError.message);
+      }
+    }
+
+    return {
+      backupCreated,
+      dimensions,
+      aspectRatio,
+      normalization,
+      imageData
+    };
+  }
+
   async restoreFromBackup(filename, backupPath) {
     const sourcePath = path.join(this.libraryPath, filename);
     const tmpName = `${filename}.revert-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
@@ -1147,7 +1332,8 @@ class ImageEditService {
 
     let imageData;
     try {
-      imageData = await this.helper.updateImage(filename, { dimensions, aspectRatio });
+      // Undefined drops any Frame-ready normalization record
+      imageData = await this.helper.updateImage(filename, { dimensions, aspectRatio, normalization: undefined });
     } catch (error) {
       console.warn('Metadata update failed during revert:', error.message);
     }
@@ -0,0 +1,497 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const sharp = require('sharp');
+const GitHelper = require('./git_helper');
+const MetadataHelper = require('./metadata_helper');
+const { ARTWORK_FIELD_NAMES } = require('./constants');
+const { addTagsToLibrary } = require('./tag_helper');
+const { ensureStateDir, writeFileAtomic } = require('./state_helper');
+
+const COMMIT_PATTERN = /^[0-9a-f]{7,40}$/i;
+const LFS_POINTER_PREFIX = 'version https://git-lfs.github.com/spec/v1';
+const LOG_FIELD_SEPARATOR = '\x1f';
+
+const DEFAULT_HISTORY_LIMIT = 50;
+// metadata.json commits scanned for changes to the image's record; each one
+// means parsing a full historical metadata.json
+const MAX_METADATA_COMMITS = 200;
+const HISTORY_THUMB_SIZE = { width: 400, height: 300 };
+const HISTORY_THUMBS_DIR = 'history-thumbs';
+const RESTORE_STAGING_DIR = 'restore-staging';
+
+// Record keys that are bookkeeping rather than something the user changed
+const IGNORED_RECORD_KEYS = new Set(['updated']);
+const SUMMARIZED_RECORD_KEYS = new Set(['tags', ...ARTWORK_FIELD_NAMES, ...IGNORED_RECORD_KEYS]);
+// Record keys read from the image file; a metadata-only restore keeps the current ones
+const FILE_DERIVED_KEYS = ['dimensions', 'aspectRatio', 'sourceHash', 'normalization', 'conversion', 'embeddedMetadata'];
+
+/**
+ * ImageHistory - per-image versions from the library's git history
+ *
+ * A version is any commit that changed `library/<file>` (pixels) or the
+ * image's record in metadata.json. Pixel versions get a thumbnail rendered on
+ * demand (cached by blob id in the state area); any version can be restored
+ * as a new commit. Renamed images only show history under their current name.
+ */
+class ImageHistory {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.libraryPath = path.join(frameArtPath, 'library');
+    this.gitHelper = new GitHelper(frameArtPath);
+    this.helper = new MetadataHelper(frameArtPath);
+  }
+
+  /**
+   * List an image's versions, newest first
+   * @param {string} filename
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @returns {Promise<{filename: string, versions: Object[], truncated: boolean}>}
+   */
+  async getHistory(filename, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    assertPlainFilename(filename);
+    await this.assertGitRepo();
+    const imagePath = `library/${filename}`;
+
+    // Deletions are not versions; a deleted-then-restored image lists both lives
+    const imageCommits = await this.log(['--diff-filter=ACMRT', '--', imagePath]);
+    // One extra commit is the baseline for the oldest one in the window
+    const metadataCommits = await this.log([`-n${MAX_METADATA_COMMITS + 1}`, '--', 'metadata.json']);
+    const records = await this.readRecords(metadataCommits.map(commit => commit.commit), filename);
+
+    const metadataChanges = new Map();
+    const oldestFirst = [...metadataCommits].reverse();
+    let previous = null;
+    oldestFirst.forEach((commit, index) => {
+      const record = records.get(commit.commit) || null;
+      const isBaseline = index === 0 && metadataCommits.length > MAX_METADATA_COMMITS;
+      if (!isBaseline && comparableRecord(record) !== comparableRecord(previous)) {
+        metadataChanges.set(commit.commit, { before: previous, after: record });
+      }
+      previous = record;
+    });
+
+    const byCommit = new Map();
+    const addVersion = commit => {
+      if (!byCommit.has(commit.commit)) {
+        byCommit.set(commit.commit, { ...commit, imageChanged: false, metadataChanged: false });
+      }
+      return byCommit.get(commit.commit);
+    };
+    const oldestImageCommit = imageCommits[imageCommits.length - 1];
+    for (const commit of imageCommits) {
+      addVersion(commit).imageChanged = true;
+    }
+    for (const commit of metadataCommits) {
+      if (metadataChanges.has(commit.commit)) {
+        addVersion(commit).metadataChanged = true;
+      }
+    }
+
+    // Commits made within the same second only order correctly by git's own walk
+    const walk = await this.log([`-n${imageCommits.length + metadataCommits.length}`, '--', imagePath, 'metadata.json']);
+    const position = new Map(walk.map((commit, index) => [commit.commit, index]));
+
+    const versions = Array.from(byCommit.values())
+      .sort((a, b) => (position.get(a.commit) ?? Infinity) - (position.get(b.commit) ?? Infinity) || b.timestamp - a.timestamp)
+      .map(version => {
+        const change = metadataChanges.get(version.commit);
+        const summary = [];
+        if (version.imageChanged) {
+          summary.push(version.commit === oldestImageCommit?.commit ? 'image added' : 'image replaced');
+        }
+        if (change) {
+          summary.push(...this.summarizeRecordChange(filename, change.before, change.after));
+        }
+        return {
+          commit: version.commit,
+          shortCommit: version.commit.slice(0, 7),
+          date: version.date,
+          message: version.message,
+          imageChanged: version.imageChanged,
+          metadataChanged: version.metadataChanged,
+          summary,
+          record: change ? change.after : undefined
+        };
+      });
+
+    return {
+      filename,
+      versions: versions.slice(0, limit),
+      truncated: versions.length > limit || metadataCommits.length > MAX_METADATA_COMMITS
+    };
+  }
+
+  /**
+   * Thumbnail of the image as of a commit, rendered once and cached by blob id
+   * @returns {Promise<string>} Path of the cached JPEG
+   */
+  async getThumbnail(filename, commit) {
+    assertPlainFilename(filename);
+    await this.assertGitRepo();
+    const spec = `${this.resolveCommitSpec(commit)}:library/${filename}`;
+    const blob = (await this.runGit(['rev-parse', '--verify', '--quiet', spec]).catch(() => null))?.toString().trim();
+    if (!blob) {
+      throw notFound(`${filename} does not exist at ${commit}`);
+    }
+
+    const cacheDir = await ensureStateDir(this.frameArtPath, HISTORY_THUMBS_DIR);
+    const thumbPath = path.join(cacheDir, `${blob}.jpg`);
+    try {
+      await fs.access(thumbPath);
+      return thumbPath;
+    } catch {
+      // Not rendered yet
+    }
+
+    const content = await this.readFileAtCommit(commit, `library/${filename}`);
+    const thumbnail = await sharp(content)
+      .rotate()
+      .resize(HISTORY_THUMB_SIZE.width, HISTORY_THUMB_SIZE.height, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+    await writeFileAtomic(thumbPath, thumbnail);
+    return thumbPath;
+  }
+
+  /**
+   * Bring back the pixels and/or metadata record of a prior version as a new commit
+   * Throws NOT_FOUND when the commit has no such file/record and
+   * VALIDATION_ERROR when nothing is selected or the image is no longer in
+   * the library and only its pixels are requested.
+   * @param {string} filename
+   * @param {string} commit
+   * @param {Object} [options]
+   * @param {boolean} [options.image=true] - Restore the image file (and thumbnail)
+   * @param {boolean} [options.metadata=true] - Restore the metadata record
+   * @returns {Promise<{result: Object, message: string, committed: boolean}>}
+   */
+  async restoreVersion(filename, commit, { image = true, metadata = true } = {}) {
+    if (!image && !metadata) {
+      throw validationError('Choose the image, its metadata, or both to restore');
+    }
+    assertPlainFilename(filename);
+    await this.assertGitRepo();
+    const spec = this.resolveCommitSpec(commit);
+    const fullCommit = (await this.runGit(['rev-parse', '--verify', '--quiet', `${spec}^{commit}`]).catch(() => null))?.toString().trim();
+    if (!fullCommit) {
+      throw notFound(`Commit ${commit} not found`);
+    }
+
+    let record = null;
+    if (metadata) {
+      record = (await this.readRecords([fullCommit], filename)).get(fullCommit);
+      if (!record) {
+        throw notFound(`${filename} has no metadata at ${commit}`);
+      }
+    }
+
+    let pixels = null;
+    if (image) {
+      const content = await this.readFileAtCommit(fullCommit, `library/${filename}`);
+      const info = await sharp(content).metadata();
+      pixels = { content, width: info.width, height: info.height };
+    }
+
+    const imagePath = path.join(this.libraryPath, filename);
+    const tmpDir = await ensureStateDir(this.frameArtPath);
+    const restored = [image && 'image', metadata && 'metadata'].filter(Boolean);
+    const date = (await this.runGit(['show', '-s', '--format=%aI', fullCommit])).toString().trim();
+
+    // The current file and thumbnail, put back if the metadata write or commit fails
+    let staged = null;
+    try {
+      return await this.helper.mutateMetadataWithCommit(async data => {
+        const current = data.images[filename];
+        if (!current && !metadata) {
+          throw validationError(`${filename} is not in the library; restore its metadata as well`);
+        }
+
+        const next = { ...(metadata ? record : current), updated: new Date().toISOString() };
+        if (pixels) {
+          next.dimensions = { width: pixels.width, height: pixels.height };
+          next.aspectRatio = Math.round((pixels.width / pixels.height) * 100) / 100;
+          staged = await this.stageImageFiles(filename);
+          await writeFileAtomic(imagePath, pixels.content, { tmpDir });
+          await this.helper.generateThumbnail(filename);
+        } else if (current) {
+          for (const key of FILE_DERIVED_KEYS) {
+            if (Object.prototype.hasOwnProperty.call(current, key)) {
+              next[key] = current[key];
+            } else {
+              delete next[key];
+            }
+          }
+        }
+
+        data.images[filename] = next;
+        if (Array.isArray(next.tags)) {
+          addTagsToLibrary(data, next.tags);
+        }
+        return { filename, commit: fullCommit, date, restored, record: next };
+      }, formatRestoreMessage, {
+        paths: pixels ? [`library/${filename}`, `thumbs/thumb_${filename}`] : []
+      });
+    } catch (error) {
+      await staged?.rollback();
+      throw error;
+    } finally {
+      await staged?.discard();
+    }
+  }
+
+  /**
+   * Copy an image's library file and thumbnail aside before a restore overwrites them
+   * rollback() puts them back (and removes ones that didn't exist before);
+   * discard() drops the copies.
+   * @returns {Promise<{rollback: Function, discard: Function}>}
+   */
+  async stageImageFiles(filename) {
+    const stagingDir = await fs.mkdtemp(path.join(await ensureStateDir(this.frameArtPath, RESTORE_STAGING_DIR), 'restore-'));
+    const files = [path.join('library', filename), path.join('thumbs', `thumb_${filename}`)];
+    const copied = [];
+    try {
+      for (const relativePath of files) {
+        try {
+          await fs.copyFile(path.join(this.frameArtPath, relativePath), path.join(stagingDir, path.basename(relativePath)));
+          copied.push(relativePath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    } catch (error) {
+      await fs.rm(stagingDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    return {
+      rollback: async () => {
+        for (const relativePath of files) {
+          const target = path.join(this.frameArtPath, relativePath);
+          const restore = copied.includes(relativePath)
+            ? fs.rename(path.join(stagingDir, path.basename(relativePath)), target)
+            : fs.rm(target, { force: true });
+          await restore.catch(rollbackError => console.warn(`[HISTORY] Failed to roll back ${relativePath}:`, rollbackError.message));
+        }
+      },
+      discard: () => fs.rm(stagingDir, { recursive: true, force: true })
+    };
+  }
+
+  /**
+   * Human-readable changes between two versions of an image record,
+   * in the same wording as sync commit messages
+   */
+  summarizeRecordChange(filename, before, after) {
+    if (!before && after) return ['added to metadata'];
+    if (before && !after) return ['removed from metadata'];
+
+    const beforeTags = before.tags || [];
+    const afterTags = after.tags || [];
+    const addedTags = afterTags.filter(tag => !beforeTags.includes(tag));
+    const removedTags = beforeTags.filter(tag => !afterTags.includes(tag));
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const propertyChanges = [...keys].filter(key => !SUMMARIZED_RECORD_KEYS.has(key) &&
+      JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+
+    const fieldChanges = ARTWORK_FIELD_NAMES
+      .filter(field => (before[field] ?? null) !== (after[field] ?? null))
+      .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+    return this.gitHelper
+      .formatImageChanges(filename, addedTags, removedTags, propertyChanges, fieldChanges)
+      .map(line => line.trim());
+  }
+
+  async assertGitRepo() {
+    const { isValid } = await this.gitHelper.verifyGitRepo();
+    if (!isValid) {
+      const error = new Error('Image history needs the library to be a git repository');
+      error.code = 'GIT_UNAVAILABLE';
+      throw error;
+    }
+  }
+
+  resolveCommitSpec(commit) {
+    if (typeof commit !== 'string' || !COMMIT_PATTERN.test(commit)) {
+      throw notFound(`Commit ${commit} not found`);
+    }
+    return commit;
+  }
+
+  /**
+   * git log for the given arguments
+   * @returns {Promise<Array<{commit: string, date: string, timestamp: number, message: string}>>}
+   */
+  async log(args) {
+    const format = ['%H', '%aI', '%ct', '%s'].join(LOG_FIELD_SEPARATOR);
+    const output = (await this.runGit(['log', `--format=${format}`, ...args])).toString();
+    return output.split('\n').filter(Boolean).map(line => {
+      const [commit, date, timestamp, message] = line.split(LOG_FIELD_SEPARATOR);
+      return { commit, date, timestamp: Number(timestamp), message };
+    });
+  }
+
+  /**
+   * File content at a commit, resolving Git LFS pointers to the real content
+   * @returns {Promise<Buffer>}
+   */
+  async readFileAtCommit(commit, relativePath) {
+    let content;
+    try {
+      content = await this.runGit(['cat-file', 'blob', `${commit}:${relativePath}`]);
+    } catch {
+      throw notFound(`${relativePath} does not exist at ${commit}`);
+    }
+
+    if (content.subarray(0, LFS_POINTER_PREFIX.length).toString() !== LFS_POINTER_PREFIX) {
+      return content;
+    }
+    try {
+      return await this.runGit(['lfs', 'smudge', '--', relativePath], { input: content });
+    } catch (error) {
+      throw new Error(`Could not fetch LFS content for ${relativePath} at ${commit}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The image's metadata record at each commit (null where it had none)
+   * Streams every metadata.json through one `git cat-file --batch` so only
+   * one historical document is held in memory at a time.
+   * @param {string[]} commits
+   * @param {string} filename
+   * @returns {Promise<Map<string, Object|null>>}
+   */
+  readRecords(commits, filename) {
+    return new Promise((resolve, reject) => {
+      const records = new Map();
+      if (commits.length === 0) {
+        resolve(records);
+        return;
+      }
+
+      const child = spawn('git', ['cat-file', '--batch'], { cwd: this.frameArtPath });
+      let chunks = [];
+      let buffered = 0;
+      let expectedSize = null;
+      let index = 0;
+      let stderr = '';
+
+      const take = size => {
+        const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+        const taken = all.subarray(0, size);
+        const rest = all.subarray(size);
+        chunks = rest.length > 0 ? [rest] : [];
+        buffered = rest.length;
+        return taken;
+      };
+
+      const drain = () => {
+        while (index < commits.length) {
+          if (expectedSize === null) {
+            const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+            chunks = all.length > 0 ? [all] : [];
+            const newline = all.indexOf(0x0a);
+            if (newline === -1) return;
+            const header = take(newline + 1).toString().trim();
+            if (header.endsWith(' missing')) {
+              records.set(commits[index++], null);
+              continue;
+            }
+            expectedSize = Number(header.split(' ')[2]);
+          }
+          // Content is followed by a newline
+          if (buffered < expectedSize + 1) return;
+          const content = take(expectedSize + 1).subarray(0, expectedSize);
+          expectedSize = null;
+          records.set(commits[index++], extractRecord(content, filename));
+        }
+      };
+
+      child.stdout.on('data', chunk => {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        drain();
+      });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => {
+        if (code !== 0 || index < commits.length) {
+          reject(new Error(`git cat-file failed (${code}): ${stderr.trim()}`));
+        } else {
+          resolve(records);
+        }
+      });
+      child.stdin.end(commits.map(commit => `${commit}:metadata.json`).join('\n') + '\n');
+    });
+  }
+
+  /**
+   * Run git in the library and collect binary stdout
+   * @returns {Promise<Buffer>}
+   */
+  runGit(args, { input } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', args, { cwd: this.frameArtPath });
+      const chunks = [];
+      let stderr = '';
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => {
+        if (code === 0) {
+          resolve(Buffer.concat(chunks));
+        } else {
+          reject(new Error(stderr.trim() || `git ${args[0]} exited with ${code}`));
+        }
+      });
+      child.stdin.end(input);
+    });
+  }
+}
+
+function extractRecord(content, filename) {
+  try {
+    return JSON.parse(content.toString('utf8')).images?.[filename] || null;
+  } catch {
+    // A corrupt historical metadata.json has nothing usable for this image
+    return null;
+  }
+}
+
+// Stable string for comparing records, ignoring bookkeeping keys
+function comparableRecord(record) {
+  if (!record) return null;
+  const keys = Object.keys(record).filter(key => !IGNORED_RECORD_KEYS.has(key)).sort();
+  return JSON.stringify(keys.map(key => [key, record[key]]));
+}
+
+/**
+ * e.g. "restored image and metadata of sunset-1a2b3c4d.jpg from 9f8e7d6 (2025-06-01)"
+ */
+function formatRestoreMessage({ filename, commit, date, restored }) {
+  return `restored ${restored.join(' and ')} of ${filename} from ${commit.slice(0, 7)} (${date.slice(0, 10)})`;
+}
+
+// Filenames come from URL params; anything with a path component never names a library image
+function assertPlainFilename(filename) {
+  if (typeof filename !== 'string' || !filename || path.basename(filename) !== filename) {
+    throw notFound(`Image ${filename} not found`);
+  }
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+module.exports = ImageHistory;
@@ -0,0 +1,428 @@
+/**
+ * Server-side image queries for GET /api/images/search
+ *
+ * Mirrors the gallery filters in public/js/app.js (portrait, non-16:9,
+ * tag include/exclude, recently displayed) so scripts and HA automations can
+ * ask "which images match" without the UI.
+ */
+
+const { hasTag } = require('./tag_helper');
+
+const SORT_FIELDS = ['name', 'date', 'modified', 'displayed', 'size'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Same tolerance as isAspectRatio16x9 in app.js
+const ASPECT_16X9 = 1.78;
+const ASPECT_16X9_TOLERANCE = 0.05;
+
+function queryError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+// ============================================
+// Tag expressions
+// ============================================
+//
+//   expr    := orExpr
+//   orExpr  := andExpr ( OR andExpr )*
+//   andExpr := notExpr ( [AND] notExpr )*      adjacent terms are ANDed
+//   notExpr := NOT notExpr | primary
+//   primary := TAG | "quoted tag" | ( expr )
+//
+// Operators are case-insensitive; &&, || and ! are accepted as aliases.
+// Tags match case-insensitively and hierarchically ("season" matches
+// "season/winter/christmas").
+
+function tokenizeTagExpression(input) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < input.length) {
+    const char = input[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      pos++;
+    } else if (input.startsWith('&&', pos)) {
+      tokens.push({ type: 'AND' });
+      pos += 2;
+    } else if (input.startsWith('||', pos)) {
+      tokens.push({ type: 'OR' });
+      pos += 2;
+    } else if (char === '!') {
+      tokens.push({ type: 'NOT' });
+      pos++;
+    } else if (char === '"') {
+      const end = input.indexOf('"', pos + 1);
+      if (end === -1) {
+        throw queryError('Unterminated quoted tag in tag expression');
+      }
+      tokens.push({ type: 'TAG', value: input.slice(pos + 1, end) });
+      pos = end + 1;
+    } else {
+      const match = input.slice(pos).match(/^[^\s()"!]+/);
+      const word = match[0];
+      const upper = word.toUpperCase();
+      if (upper === 'AND' || upper === 'OR' || upper === 'NOT') {
+        tokens.push({ type: upper });
+      } else {
+        tokens.push({ type: 'TAG', value: word });
+      }
+      pos += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a boolean tag expression such as `(winter OR snow) AND NOT family`
+ * @param {string} input
+ * @returns {Object} AST of { type: 'tag'|'and'|'or'|'not', ... }
+ * @throws {Error} code INVALID_QUERY on syntax errors
+ */
+function parseTagExpression(input) {
+  const tokens = tokenizeTagExpression(String(input || ''));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (peek() && (peek().type === 'AND' || peek().type === 'TAG' || peek().type === 'NOT' || peek().type === '(')) {
+      if (peek().type === 'AND') next();
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw queryError('Tag expression ended unexpectedly');
+    }
+    if (token.type === 'TAG') {
+      return { type: 'tag', value: token.value };
+    }
+    if (token.type === '(') {
+      const node = parseOr();
+      const closing = next();
+      if (!closing || closing.type !== ')') {
+        throw queryError('Missing closing parenthesis in tag expression');
+      }
+      return node;
+    }
+    throw queryError(`Unexpected ${token.type === ')' ? "')'" : token.type} in tag expression`);
+  }
+
+  if (tokens.length === 0) {
+    throw queryError('Tag expression is empty');
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw queryError(`Unexpected ${tokens[index].type === ')' ? "')'" : tokens[index].type} in tag expression`);
+  }
+  return ast;
+}
+
+/**
+ * Evaluate a parsed tag expression against an image's tags
+ * @param {Object} ast - From parseTagExpression
+ * @param {string[]} tags - Image tags
+ * @returns {boolean}
+ */
+function matchesTagExpression(ast, tags = []) {
+  const evaluate = node => {
+    switch (node.type) {
+      case 'tag':
+        return hasTag(tags, node.value, { ignoreCase: true });
+      case 'and':
+        return evaluate(node.left) && evaluate(node.right);
+      case 'or':
+        return evaluate(node.left) || evaluate(node.right);
+      case 'not':
+        return !evaluate(node.operand);
+      default:
+        return false;
+    }
+  };
+
+  return evaluate(ast);
+}
+
+// ============================================
+// Query parameters
+// ============================================
+
+function parseNumberParam(value, name, { min = -Infinity } = {}) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    throw queryError(`${name} must be a number${min > -Infinity ? ` >= ${min}` : ''}`);
+  }
+  return number;
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw queryError(`${name} must be an ISO date (e.g. 2025-01-31 or 2025-01-31T12:00:00Z)`);
+  }
+  return time;
+}
+
+function parseBooleanParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const normalized = String(value).toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) return true;
+  if (['false', '0', 'no'].includes(normalized)) return false;
+  throw queryError(`${name} must be true or false`);
+}
+
+/**
+ * Parse a duration such as "90m", "12h", "7d" or "2w"
+ * @returns {number|undefined} Milliseconds
+ */
+function parseDurationParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/i);
+  if (!match) {
+    throw queryError(`${name} must be a duration like 90m, 12h, 7d or 2w`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Validate and normalize raw query-string parameters
+ * @param {Object} query - req.query
+ * @returns {Object} Normalized criteria
+ * @throws {Error} code INVALID_QUERY
+ */
+function parseSearchParams(query = {}) {
+  const criteria = {};
+
+  if (query.tags !== undefined && String(query.tags).trim() !== '') {
+    criteria.tagExpression = parseTagExpression(query.tags);
+  }
+
+  if (query.q !== undefined && String(query.q).trim() !== '') {
+    criteria.text = String(query.q).trim().toLowerCase();
+  }
+
+  if (query.orientation !== undefined && query.orientation !== '') {
+    const orientation = String(query.orientation).toLowerCase();
+    if (!['portrait', 'landscape', 'square'].includes(orientation)) {
+      throw queryError('orientation must be portrait, landscape or square');
+    }
+    criteria.orientation = orientation;
+  }
+
+  criteria.minAspect = parseNumberParam(query.minAspect, 'minAspect', { min: 0 });
+  criteria.maxAspect = parseNumberParam(query.maxAspect, 'maxAspect', { min: 0 });
+  criteria.is16x9 = parseBooleanParam(query.is16x9, 'is16x9');
+
+  criteria.addedAfter = parseDateParam(query.addedAfter, 'addedAfter');
+  criteria.addedBefore = parseDateParam(query.addedBefore, 'addedBefore');
+  criteria.updatedAfter = parseDateParam(query.updatedAfter, 'updatedAfter');
+  criteria.updatedBefore = parseDateParam(query.updatedBefore, 'updatedBefore');
+
+  criteria.minSize = parseNumberParam(query.minSize, 'minSize', { min: 0 });
+  criteria.maxSize = parseNumberParam(query.maxSize, 'maxSize', { min: 0 });
+
+  criteria.hasBackup = parseBooleanParam(query.hasBackup, 'hasBackup');
+
+  criteria.displayedWithin = parseDurationParam(query.displayedWithin, 'displayedWithin');
+  criteria.notDisplayedWithin = parseDurationParam(query.notDisplayedWithin, 'notDisplayedWithin');
+
+  const sort = query.sort ? String(query.sort).toLowerCase() : 'date';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw queryError(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  }
+  criteria.sort = sort;
+
+  const order = query.order ? String(query.order).toLowerCase() : (sort === 'name' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw queryError('order must be asc or desc');
+  }
+  criteria.order = order;
+
+  const limit = parseNumberParam(query.limit, 'limit', { min: 1 });
+  criteria.limit = Math.min(Math.floor(limit || DEFAULT_LIMIT), MAX_LIMIT);
+  criteria.offset = Math.floor(parseNumberParam(query.offset, 'offset', { min: 0 }) || 0);
+
+  return criteria;
+}
+
+/**
+ * Whether the criteria need display history (from the shuffler's event log)
+ */
+function needsDisplayHistory(criteria) {
+  return criteria.displayedWithin !== undefined ||
+    criteria.notDisplayedWithin !== undefined ||
+    criteria.sort === 'displayed';
+}
+
+function getOrientation(aspectRatio) {
+  if (!aspectRatio) return null;
+  if (aspectRatio < 1) return 'portrait';
+  if (aspectRatio > 1) return 'landscape';
+  return 'square';
+}
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+function inRange(value, min, max) {
+  if (min === undefined && max === undefined) return true;
+  if (value === null || value === undefined) return false;
+  if (min !== undefined && value < min) return false;
+  if (max !== undefined && value > max) return false;
+  return true;
+}
+
+function matchesCriteria(filename, image, criteria, lastDisplayed, now) {
+  if (criteria.tagExpression && !matchesTagExpression(criteria.tagExpression, image.tags || [])) {
+    return false;
+  }
+
+  if (criteria.text) {
+    const haystack = [filename, image.title, image.artist].filter(Boolean).map(v => v.toLowerCase());
+    if (!haystack.some(value => value.includes(criteria.text))) return false;
+  }
+
+  if (criteria.orientation && getOrientation(image.aspectRatio) !== criteria.orientation) {
+    return false;
+  }
+  if (!inRange(image.aspectRatio, criteria.minAspect, criteria.maxAspect)) {
+    return false;
+  }
+  if (criteria.is16x9 !== undefined) {
+    const is16x9 = Boolean(image.aspectRatio) && Math.abs(image.aspectRatio - ASPECT_16X9) < ASPECT_16X9_TOLERANCE;
+    if (is16x9 !== criteria.is16x9) return false;
+  }
+
+  if (!inRange(toTime(image.added), criteria.addedAfter, criteria.addedBefore)) {
+    return false;
+  }
+  // Never-updated images count as updated when added (same as the Modified sort)
+  if (!inRange(toTime(image.updated || image.added), criteria.updatedAfter, criteria.updatedBefore)) {
+    return false;
+  }
+
+  if (!inRange(image.fileSize, criteria.minSize, criteria.maxSize)) {
+    return false;
+  }
+
+  if (criteria.hasBackup !== undefined && Boolean(image.hasBackup) !== criteria.hasBackup) {
+    return false;
+  }
+
+  const displayedAt = lastDisplayed[filename];
+  if (criteria.displayedWithin !== undefined && !(displayedAt && now - displayedAt <= criteria.displayedWithin)) {
+    return false;
+  }
+  if (criteria.notDisplayedWithin !== undefined && displayedAt && now - displayedAt <= criteria.notDisplayedWithin) {
+    return false;
+  }
+
+  return true;
+}
+
+function compareImages(criteria, lastDisplayed) {
+  const direction = criteria.order === 'asc' ? 1 : -1;
+  const byName = ([a], [b]) => a.localeCompare(b);
+
+  const keyFor = ([filename, image]) => {
+    switch (criteria.sort) {
+      case 'date':
+        return toTime(image.added) || 0;
+      case 'modified':
+        return toTime(image.updated || image.added) || 0;
+      case 'displayed':
+        return lastDisplayed[filename] || 0;
+      case 'size':
+        return image.fileSize || 0;
+      default:
+        return null;
+    }
+  };
+
+  return (a, b) => {
+    if (criteria.sort === 'name') {
+      return direction * byName(a, b);
+    }
+    const diff = keyFor(a) - keyFor(b);
+    // Ties fall back to filename so pages are stable
+    return diff !== 0 ? direction * diff : byName(a, b);
+  };
+}
+
+/**
+ * Filter, sort and paginate library records
+ * @param {Object} images - Records keyed by filename (as from GET /api/images)
+ * @param {Object} criteria - From parseSearchParams
+ * @param {Object} [options]
+ * @param {Object} [options.lastDisplayed] - filename -> last displayed epoch ms
+ * @param {number} [options.now] - Reference time for displayed windows
+ * @returns {{total: number, offset: number, limit: number, sort: string, order: string, filenames: string[], images: Object}}
+ */
+function searchImages(images, criteria, { lastDisplayed = {}, now = Date.now() } = {}) {
+  const matches = Object.entries(images)
+    .filter(([filename, image]) => matchesCriteria(filename, image, criteria, lastDisplayed, now))
+    .sort(compareImages(criteria, lastDisplayed));
+
+  const page = matches.slice(criteria.offset, criteria.offset + criteria.limit);
+
+  return {
+    total: matches.length,
+    offset: criteria.offset,
+    limit: criteria.limit,
+    sort: criteria.sort,
+    order: criteria.order,
+    filenames: page.map(([filename]) => filename),
+    images: Object.fromEntries(page)
+  };
+}
+
+module.exports = {
+  parseTagExpression,
+  matchesTagExpression,
+  parseSearchParams,
+  needsDisplayHistory,
+  searchImages
+};
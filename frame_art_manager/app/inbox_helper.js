@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const path = require('path');
+const MetadataHelper = require('./metadata_helper');
+const { isLibraryImageFile } = require('./constants');
+const { ensureGitExcluded } = require('./state_helper');
+const { logSyncOperation } = require('./sync_log');
+const {
+  LIBRARY_DIR,
+  buildUploadFilename,
+  ingestUploadedFile
+} = require('./upload_helper');
+const { isConvertibleImageFile } = require('./conversion_helper');
+
+const INBOX_DIR_NAME = 'inbox';
+const QUARANTINE_DIR_NAME = '_quarantine';
+const REASON_SUFFIX = '.reason.txt';
+
+// Files younger than this may still be copying in (SMB, sync clients)
+const INBOX_SETTLE_MS = 10 * 1000;
+
+// Litter from file managers; left alone rather than quarantined
+const IGNORED_FILES = new Set(['thumbs.db', 'desktop.ini']);
+
+// Nobody reviews an inbox import, so laxer policies (allow, warn) become reject
+const INBOX_DUPLICATE_POLICIES = new Set(['reject', 'replace-existing', 'keep-as-variant']);
+
+function isIgnored(name) {
+  return name.startsWith('.') || IGNORED_FILES.has(name.toLowerCase());
+}
+
+function isSupportedFile(name) {
+  return isLibraryImageFile(name) || isConvertibleImageFile(name);
+}
+
+/**
+ * InboxHelper - imports files dropped into <FRAME_ART_PATH>/inbox/
+ *
+ * Each settled file goes through the upload pipeline (upload_helper.js) with
+ * its subfolder names as tags: inbox/winter/snow/x.jpg -> tags winter, snow.
+ * Near-duplicates of library images are rejected unless the duplicatePolicy
+ * setting replaces them or keeps them as variants. Rejected duplicates and
+ * files that fail to import are moved to inbox/_quarantine/ (same subfolders) next to a
+ * "<name>.reason.txt" explaining why. The inbox is git-excluded; imported
+ * images are synced like uploads. Each pass that did something adds an
+ * "inbox" entry to the sync log.
+ */
+class InboxHelper {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.inboxPath = path.join(frameArtPath, INBOX_DIR_NAME);
+    this.quarantinePath = path.join(this.inboxPath, QUARANTINE_DIR_NAME);
+  }
+
+  async ensureInbox() {
+    await fs.mkdir(this.quarantinePath, { recursive: true });
+    await ensureGitExcluded(this.frameArtPath, INBOX_DIR_NAME);
+  }
+
+  /**
+   * Import every settled file in the inbox
+   * @param {Object} [options]
+   * @param {number} [options.settleMs] - Skip files modified more recently than this
+   * @param {number} [options.now]
+   * @returns {Promise<{imported: Object[], duplicates: Object[], quarantined: Object[], pending: number}>}
+   */
+  async processInbox({ settleMs = INBOX_SETTLE_MS, now = Date.now() } = {}) {
+    await this.ensureInbox();
+    const result = { imported: [], duplicates: [], quarantined: [], pending: 0 };
+    const { duplicatePolicy } = await new MetadataHelper(this.frameArtPath).getSettings();
+    const inboxPolicy = INBOX_DUPLICATE_POLICIES.has(duplicatePolicy) ? duplicatePolicy : 'reject';
+
+    for (const relativePath of await this.listFiles()) {
+      const sourcePath = path.join(this.inboxPath, relativePath);
+      let stats;
+      try {
+        stats = await fs.stat(sourcePath);
+      } catch {
+        continue; // Removed while we were scanning
+      }
+      if (settleMs > 0 && now - stats.mtimeMs < settleMs) {
+        result.pending++;
+        continue;
+      }
+      await this.importFile(relativePath, stats, result, inboxPolicy);
+    }
+
+    await this.removeEmptyFolders(this.inboxPath);
+    if (result.imported.length + result.duplicates.length + result.quarantined.length > 0) {
+      await logSyncOperation(this.frameArtPath, summarizeInboxRun(result));
+    }
+    return result;
+  }
+
+  /**
+   * Inbox-relative paths of candidate files (quarantine and dotfiles skipped)
+   */
+  async listFiles(relativeDir = '') {
+    const entries = await fs.readdir(path.join(this.inboxPath, relativeDir), { withFileTypes: true });
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (isIgnored(entry.name) || (!relativeDir && entry.name === QUARANTINE_DIR_NAME)) {
+        continue;
+      }
+      const relativePath = path.join(relativeDir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(relativePath));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  }
+
+  async importFile(relativePath, stats, result, duplicatePolicy) {
+    const sourcePath = path.join(this.inboxPath, relativePath);
+    const name = path.basename(relativePath);
+    const tags = path.dirname(relativePath).split(path.sep).map(segment => segment.trim()).filter(segment => segment && segment !== '.');
+
+    if (!isSupportedFile(name)) {
+      return this.quarantine(relativePath, 'Unsupported file type', result);
+    }
+    if (!stats.size) {
+      return this.quarantine(relativePath, 'File is empty', result);
+    }
+
+    // The pipeline deletes what it rejects, so it works on a copy and the
+    // inbox file is only removed once the image is in the library
+    const libraryPath = path.join(this.frameArtPath, LIBRARY_DIR);
+    await fs.mkdir(libraryPath, { recursive: true });
+    const { filename, context } = buildUploadFilename({ originalname: name });
+    const copyPath = path.join(libraryPath, filename);
+    try {
+      await fs.copyFile(sourcePath, copyPath);
+      const ingested = await ingestUploadedFile(this.frameArtPath, {
+        file: { path: copyPath, filename, originalname: name },
+        uploadContext: context,
+        tags,
+        duplicatePolicy,
+        logPrefix: '[Inbox]'
+      });
+      await fs.unlink(sourcePath);
+      const imported = { source: relativePath, filename: ingested.filename, tags };
+      if (ingested.duplicates) {
+        imported.duplicates = ingested.duplicates;
+      }
+      result.imported.push(imported);
+      console.log(`[Inbox] Imported ${relativePath} -> ${ingested.filename}`);
+    } catch (error) {
+      await fs.unlink(copyPath).catch(() => {});
+      // Rejected by the duplicate policy
+      if (error.code === 'CONFLICT' && error.details?.matches?.length) {
+        const [closest] = error.details.matches;
+        result.duplicates.push({ source: relativePath, duplicateOf: closest.filename, distance: closest.distance });
+        return this.quarantine(relativePath, `Duplicate of ${closest.filename} (distance ${closest.distance})`, null);
+      }
+      const reason = error.details ? `${error.message} (${error.details})` : error.message;
+      return this.quarantine(relativePath, reason, result);
+    }
+  }
+
+  /**
+   * Move a file to inbox/_quarantine/<same subfolders>/ with a reason file
+   * @param {Object|null} result - Where to record it (null when already recorded)
+   */
+  async quarantine(relativePath, reason, result) {
+    const parsed = path.parse(relativePath);
+    const targetDir = path.join(this.quarantinePath, parsed.dir);
+    await fs.mkdir(targetDir, { recursive: true });
+
+    // Never overwrite an earlier quarantined file of the same name
+    let targetName = parsed.base;
+    for (let n = 2; await fs.access(path.join(targetDir, targetName)).then(() => true, () => false); n++) {
+      targetName = `${parsed.name}-${n}${parsed.ext}`;
+    }
+
+    await fs.rename(path.join(this.inboxPath, relativePath), path.join(targetDir, targetName));
+    await fs.writeFile(
+      path.join(targetDir, `${targetName}${REASON_SUFFIX}`),
+      `${reason}\nFile: inbox/${relativePath.split(path.sep).join('/')}\nQuarantined: ${new Date().toISOString()}\n`
+    );
+    console.warn(`[Inbox] Quarantined ${relativePath}: ${reason}`);
+    if (result) {
+      result.quarantined.push({ source: relativePath, reason });
+    }
+  }
+
+  /**
+   * Remove subfolders emptied by imports (the inbox and quarantine stay)
+   */
+  async removeEmptyFolders(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    let empty = true;
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && entryPath !== this.quarantinePath && await this.removeEmptyFolders(entryPath)) {
+        continue;
+      }
+      empty = false;
+    }
+    if (empty && dir !== this.inboxPath) {
+      await fs.rmdir(dir).catch(() => {});
+      return true;
+    }
+    return false;
+  }
+}
+
+/**
+ * Sync log entry for one inbox pass
+ */
+function summarizeInboxRun({ imported, duplicates, quarantined }) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const parts = [];
+  if (imported.length) parts.push(`imported ${plural(imported.length, 'image')}`);
+  if (duplicates.length) parts.push(`rejected ${plural(duplicates.length, 'duplicate')}`);
+  if (quarantined.length) parts.push(`quarantined ${plural(quarantined.length, 'file')}`);
+
+  const details = [
+    ...imported.map(item => `${item.source} -> ${item.filename}${item.tags.length ? ` (tags: ${item.tags.join(', ')})` : ''}` +
+      (item.duplicates ? `; duplicate of ${item.duplicates.matches[0].filename} (${item.duplicates.action})` : '')),
+    ...duplicates.map(item => `${item.source}: duplicate of ${item.duplicateOf}`),
+    ...quarantined.map(item => `${item.source}: ${item.reason}`)
+  ];
+
+  return {
+    operation: 'inbox',
+    status: duplicates.length + quarantined.length > 0 ? 'warning' : 'success',
+    message: `Inbox: ${parts.join(', ')}`,
+    details
+  };
+}
+
+module.exports = InboxHelper;
+module.exports.INBOX_DIR_NAME = INBOX_DIR_NAME;
+module.exports.QUARANTINE_DIR_NAME = QUARANTINE_DIR_NAME;
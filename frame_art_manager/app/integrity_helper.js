@@ -0,0 +1,524 @@
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const MetadataHelper = require('./metadata_helper');
+const TrashHelper = require('./trash_helper');
+const { computePerceptualHash } = require('./hash_helper');
+const { DEFAULT_MATTE, DEFAULT_FILTER, isLibraryImageFile } = require('./constants');
+const { addTagsToLibrary, getTagNames } = require('./tag_helper');
+const { removeImageFromVariantGroup } = require('./variant_helper');
+
+const LIBRARY_DIR = 'library';
+const THUMBS_DIR = 'thumbs';
+const ORIGINALS_DIR = 'originals';
+const THUMB_PREFIX = 'thumb_';
+const BACKUP_PATTERN = /_original(\.[^.]+)$/;
+
+const LFS_POINTER_SIGNATURE = 'version https://git-lfs.github.com/spec/v1';
+
+// Finding type -> repair action. A broken (empty/undecodable) library file is
+// restored from its original backup instead when that backup is usable.
+const FINDING_TYPES = {
+  'missing-thumbnail': 'regenerate-thumbnail',
+  'stale-thumbnail': 'regenerate-thumbnail',
+  'orphaned-thumbnail': 'delete-orphan',
+  'orphaned-original': 'delete-orphan',
+  'missing-file': 'delete-orphan',
+  'untracked-file': 're-import',
+  'dimension-mismatch': 're-measure',
+  'lfs-pointer': 'hydrate',
+  'empty-file': 'move-to-trash',
+  'undecodable-file': 'move-to-trash',
+  'missing-source-hash': 're-hash',
+  'unknown-tag': 'add-tags'
+};
+
+function aspectRatioOf(width, height) {
+  return Math.round((width / height) * 100) / 100;
+}
+
+async function statIfExists(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function listDir(dirPath) {
+  try {
+    return (await fs.readdir(dirPath)).filter(name => !name.startsWith('.'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function isLfsPointerFile(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(LFS_POINTER_SIGNATURE.length);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    return buffer.slice(0, bytesRead).toString('utf8') === LFS_POINTER_SIGNATURE;
+  } catch {
+    return false;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Read an image's header, and with `deep` decode every pixel as well
+ * (truncated files often have a valid header)
+ * @returns {Promise<{width: number, height: number}>}
+ */
+async function measureImage(filePath, { deep = false } = {}) {
+  const info = await sharp(filePath).metadata();
+  if (!info.width || !info.height) {
+    throw new Error('Missing image dimensions');
+  }
+  if (deep) {
+    await sharp(filePath, { failOn: 'truncated' })
+      .resize(64, 64, { fit: 'inside' })
+      .raw()
+      .toBuffer();
+  }
+  return { width: info.width, height: info.height };
+}
+
+function finding(type, relativePath, filename, message, extra = {}) {
+  return {
+    id: `${type}:${relativePath}`,
+    type,
+    filename,
+    path: relativePath,
+    message,
+    repair: FINDING_TYPES[type],
+    ...extra
+  };
+}
+
+/**
+ * IntegrityScanner - checks library/, thumbs/, originals/ and metadata.json
+ * against each other and repairs what it finds
+ *
+ * A scan returns findings such as a missing or stale thumbnail, an orphaned
+ * backup, recorded dimensions that no longer match the file, an LFS pointer
+ * that was never downloaded, or a tag missing from the global list. Each
+ * finding has a stable id (`<type>:<path>`) and the repair action that fixes
+ * it. repair(ids) rescans, so it only acts on what is still wrong, and
+ * applies every metadata fix in one write and one commit.
+ */
+class IntegrityScanner {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.helper = new MetadataHelper(frameArtPath);
+  }
+
+  resolve(...segments) {
+    return path.join(this.frameArtPath, ...segments);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.deep] - Fully decode each image (slow) instead of reading headers
+   * @returns {Promise<{scannedAt: string, deep: boolean, totals: Object, findings: Object[]}>}
+   */
+  async scan({ deep = false } = {}) {
+    const metadata = await this.helper.readMetadata();
+    const images = metadata.images || {};
+    const findings = [];
+
+    const libraryFiles = new Set((await listDir(this.resolve(LIBRARY_DIR))).filter(isLibraryImageFile));
+    const thumbFiles = await listDir(this.resolve(THUMBS_DIR));
+    const originalFiles = await listDir(this.resolve(ORIGINALS_DIR));
+
+    for (const [filename, record] of Object.entries(images)) {
+      findings.push(...await this.checkImage(filename, record, { deep }));
+    }
+
+    for (const filename of libraryFiles) {
+      if (!images[filename]) {
+        findings.push(finding('untracked-file', `${LIBRARY_DIR}/${filename}`, filename,
+          'Image file has no metadata record'));
+      }
+    }
+
+    for (const thumbFile of thumbFiles) {
+      const filename = thumbFile.startsWith(THUMB_PREFIX) ? thumbFile.slice(THUMB_PREFIX.length) : null;
+      if (!filename || (!images[filename] && !libraryFiles.has(filename))) {
+        findings.push(finding('orphaned-thumbnail', `${THUMBS_DIR}/${thumbFile}`, null,
+          'Thumbnail does not belong to any image'));
+      }
+    }
+
+    // Files kept from format conversion on upload (record.conversion.source)
+    const sourceFiles = new Set(Object.values(images).map(record => record.conversion?.source).filter(Boolean));
+    for (const backupFile of originalFiles) {
+      if (sourceFiles.has(backupFile)) continue;
+      const match = backupFile.match(BACKUP_PATTERN);
+      const filename = match ? backupFile.slice(0, match.index) + match[1] : null;
+      if (!filename || (!images[filename] && !libraryFiles.has(filename))) {
+        findings.push(finding('orphaned-original', `${ORIGINALS_DIR}/${backupFile}`, null,
+          'Original backup does not belong to any image'));
+      }
+    }
+
+    // Tags used by images but missing from the global list (normally added on use)
+    const known = new Set(getTagNames(metadata.tags));
+    const unknown = new Map();
+    for (const [filename, record] of Object.entries(images)) {
+      for (const tag of record.tags || []) {
+        if (!known.has(tag)) {
+          unknown.set(tag, [...(unknown.get(tag) || []), filename]);
+        }
+      }
+    }
+    for (const [tag, filenames] of unknown) {
+      const count = `${filenames.length} image${filenames.length === 1 ? '' : 's'}`;
+      findings.push({
+        ...finding('unknown-tag', tag, null, `Tag "${tag}" is used by ${count} but missing from the tag list`),
+        path: null,
+        tag,
+        images: filenames
+      });
+    }
+
+    return {
+      scannedAt: new Date().toISOString(),
+      deep,
+      totals: {
+        images: Object.keys(images).length,
+        libraryFiles: libraryFiles.size,
+        thumbnails: thumbFiles.length,
+        originals: originalFiles.length
+      },
+      findings
+    };
+  }
+
+  /**
+   * Findings for one metadata record and its files
+   */
+  async checkImage(filename, record, { deep }) {
+    const libraryPath = `${LIBRARY_DIR}/${filename}`;
+    const stats = await statIfExists(this.resolve(libraryPath));
+    if (!stats) {
+      return [finding('missing-file', libraryPath, filename, 'Metadata record has no image file')];
+    }
+
+    let problem = null;
+    let type = null;
+    let dimensions = null;
+    if (!stats.size) {
+      type = 'empty-file';
+      problem = 'Image file is empty (0 bytes)';
+    } else if (await isLfsPointerFile(this.resolve(libraryPath))) {
+      return [finding('lfs-pointer', libraryPath, filename, 'Image is an LFS pointer that was never downloaded')];
+    } else {
+      try {
+        dimensions = await measureImage(this.resolve(libraryPath), { deep });
+      } catch (error) {
+        type = 'undecodable-file';
+        problem = `Image file cannot be decoded: ${error.message}`;
+      }
+    }
+
+    if (problem) {
+      // Offer the pre-edit backup when it is still a good image
+      const backupPath = this.resolve(ORIGINALS_DIR, this.helper.getBackupFilename(filename));
+      const usableBackup = await statIfExists(backupPath)
+        && await measureImage(backupPath, { deep }).then(() => true, () => false);
+      return [finding(type, libraryPath, filename, problem, usableBackup ? { repair: 'restore-original' } : {})];
+    }
+
+    const findings = [];
+    const recorded = record.dimensions || {};
+    const aspectRatio = aspectRatioOf(dimensions.width, dimensions.height);
+    if (recorded.width !== dimensions.width || recorded.height !== dimensions.height || record.aspectRatio !== aspectRatio) {
+      const was = recorded.width && recorded.height ? `${recorded.width}x${recorded.height}` : 'none';
+      findings.push(finding('dimension-mismatch', libraryPath, filename,
+        `Recorded size ${was} (ratio ${record.aspectRatio ?? 'none'}) but the file is ${dimensions.width}x${dimensions.height} (ratio ${aspectRatio})`,
+        { recorded: { dimensions: record.dimensions || null, aspectRatio: record.aspectRatio ?? null }, actual: { dimensions, aspectRatio } }));
+    }
+
+    const thumbPath = `${THUMBS_DIR}/${THUMB_PREFIX}${filename}`;
+    const thumbStats = await statIfExists(this.resolve(thumbPath));
+    if (!thumbStats) {
+      findings.push(finding('missing-thumbnail', thumbPath, filename, 'Thumbnail is missing'));
+    } else if (!thumbStats.size || await isLfsPointerFile(this.resolve(thumbPath))) {
+      findings.push(finding('missing-thumbnail', thumbPath, filename, 'Thumbnail is empty or was never downloaded'));
+    } else if (thumbStats.mtimeMs < stats.mtimeMs) {
+      findings.push(finding('stale-thumbnail', thumbPath, filename, 'Thumbnail is older than the image file'));
+    }
+
+    if (!record.sourceHash) {
+      findings.push(finding('missing-source-hash', libraryPath, filename, 'No source hash (duplicate detection skips this image)'));
+    }
+
+    return findings;
+  }
+
+  /**
+   * Repair findings by id
+   * Files are fixed first (downloads, restores, thumbnails, deletions), then
+   * measurements, hashes, imports, tags and removed records are written in one
+   * metadata write and one commit with the touched files.
+   * @param {string[]} ids - Finding ids from scan()
+   * @returns {Promise<{result: {repaired: Object[], skipped: Object[], failed: Object[], paths: string[]},
+   *   message: string|null, committed: boolean}>}
+   */
+  async repair(ids) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string')) {
+      const error = new Error('ids must be a non-empty array of finding ids');
+      error.code = 'VALIDATION_ERROR';
+      error.details = [error.message];
+      throw error;
+    }
+
+    const requested = [...new Set(ids)];
+    const deep = requested.some(id => id.startsWith('undecodable-file:'));
+    const current = new Map((await this.scan({ deep })).findings.map(item => [item.id, item]));
+
+    const repaired = [];
+    const skipped = [];
+    const failed = [];
+    const paths = [];
+    const selected = [];
+    for (const id of requested) {
+      const item = current.get(id);
+      if (!item) {
+        skipped.push({ id, reason: 'No longer found' });
+      } else {
+        selected.push(item);
+      }
+    }
+
+    const byAction = action => selected.filter(item => item.repair === action);
+    const fail = (item, error) => failed.push({ id: item.id, action: item.repair, error: error.message });
+
+    // Filenames whose record needs new dimensions / hash / thumbnail after the file phase
+    const remeasure = new Set(byAction('re-measure').map(item => item.filename));
+    const rehash = new Set(byAction('re-hash').map(item => item.filename));
+    const thumbnails = new Map(byAction('regenerate-thumbnail').map(item => [item.filename, item]));
+    const pendingFile = new Map();
+
+    const hydrate = byAction('hydrate');
+    if (hydrate.length > 0) {
+      try {
+        await this.hydrate(hydrate.map(item => item.path));
+        for (const item of hydrate) {
+          if (await isLfsPointerFile(this.resolve(item.path))) {
+            fail(item, new Error('File is still an LFS pointer after git lfs pull'));
+          } else {
+            paths.push(item.path);
+            repaired.push({ id: item.id, action: item.repair });
+          }
+        }
+      } catch (error) {
+        hydrate.forEach(item => fail(item, error));
+      }
+    }
+
+    for (const item of byAction('restore-original')) {
+      try {
+        const backupFile = this.helper.getBackupFilename(item.filename);
+        const tmpPath = this.resolve(LIBRARY_DIR, `${item.filename}.restore-${Date.now()}`);
+        await fs.copyFile(this.resolve(ORIGINALS_DIR, backupFile), tmpPath);
+        await fs.rename(tmpPath, this.resolve(item.path));
+        await fs.unlink(this.resolve(ORIGINALS_DIR, backupFile));
+        paths.push(item.path, `${ORIGINALS_DIR}/${backupFile}`);
+        remeasure.add(item.filename);
+        thumbnails.set(item.filename, { ...item, internal: true });
+        pendingFile.set(item.filename, item);
+      } catch (error) {
+        fail(item, error);
+      }
+    }
+
+    for (const item of byAction('delete-orphan').filter(entry => entry.type !== 'missing-file')) {
+      try {
+        await fs.unlink(this.resolve(item.path));
+        paths.push(item.path);
+        repaired.push({ id: item.id, action: item.repair });
+      } catch (error) {
+        fail(item, error);
+      }
+    }
+
+    // Measured and hashed outside the metadata lock; applied below
+    const imports = byAction('re-import');
+    const measured = {};
+    for (const filename of [...remeasure, ...imports.map(item => item.filename)]) {
+      try {
+        measured[filename] = await measureImage(this.resolve(LIBRARY_DIR, filename));
+      } catch (error) {
+        const item = pendingFile.get(filename) || selected.find(entry => entry.filename === filename && ['re-measure', 're-import'].includes(entry.repair));
+        fail(item, error);
+      }
+    }
+    const hashes = {};
+    for (const filename of [...rehash, ...imports.map(item => item.filename)]) {
+      try {
+        const source = await this.helper.getMetadataSourceFile(filename);
+        hashes[filename] = await computePerceptualHash(await fs.readFile(source.path));
+      } catch (error) {
+        if (rehash.has(filename)) {
+          fail(selected.find(entry => entry.filename === filename && entry.repair === 're-hash'), error);
+        }
+      }
+    }
+
+    for (const item of imports) {
+      const thumbPath = `${THUMBS_DIR}/${THUMB_PREFIX}${item.filename}`;
+      if (measured[item.filename] && !await statIfExists(this.resolve(thumbPath))) {
+        thumbnails.set(item.filename, { ...item, path: thumbPath, internal: true });
+      }
+    }
+    for (const [filename, item] of thumbnails) {
+      try {
+        await this.helper.generateThumbnail(filename);
+        paths.push(`${THUMBS_DIR}/${THUMB_PREFIX}${filename}`);
+        if (item.repair === 'regenerate-thumbnail') {
+          repaired.push({ id: item.id, action: item.repair });
+        }
+      } catch (error) {
+        if (!item.internal) {
+          fail(item, error);
+        }
+      }
+    }
+
+    const failedIds = new Set(failed.map(entry => entry.id));
+    const staged = [];
+    const recordWork = selected.filter(item => !failedIds.has(item.id) && (
+      ['re-measure', 're-hash', 're-import', 'add-tags', 'restore-original', 'move-to-trash'].includes(item.repair)
+      || item.type === 'missing-file'
+    ));
+
+    if (recordWork.length === 0 && paths.length === 0) {
+      return { result: { repaired, skipped, failed, paths }, message: null, committed: false };
+    }
+
+    try {
+      return await this.helper.mutateMetadataWithCommit(async metadata => {
+        const trash = new TrashHelper(this.frameArtPath);
+        const now = new Date().toISOString();
+        for (const item of recordWork) {
+          const record = metadata.images[item.filename];
+          try {
+            switch (item.repair) {
+              case 're-measure':
+              case 'restore-original': {
+                if (!record) throw new Error('Image no longer in metadata');
+                const dimensions = measured[item.filename];
+                metadata.images[item.filename] = {
+                  ...record,
+                  dimensions,
+                  aspectRatio: aspectRatioOf(dimensions.width, dimensions.height),
+                  updated: now
+                };
+                break;
+              }
+              case 're-hash':
+                if (!record) throw new Error('Image no longer in metadata');
+                metadata.images[item.filename] = { ...record, sourceHash: hashes[item.filename] };
+                break;
+              case 're-import': {
+                if (record) throw new Error('Image already has a metadata record');
+                const dimensions = measured[item.filename];
+                metadata.images[item.filename] = {
+                  matte: DEFAULT_MATTE,
+                  filter: DEFAULT_FILTER,
+                  tags: [],
+                  dimensions,
+                  aspectRatio: aspectRatioOf(dimensions.width, dimensions.height),
+                  added: now,
+                  ...(hashes[item.filename] ? { sourceHash: hashes[item.filename] } : {})
+                };
+                break;
+              }
+              case 'add-tags':
+                addTagsToLibrary(metadata, [item.tag]);
+                break;
+              case 'delete-orphan':
+              case 'move-to-trash': {
+                if (!record) throw new Error('Image no longer in metadata');
+                const { entry, rollback } = await trash.stageImage(item.filename, metadata);
+                staged.push(rollback);
+                removeImageFromVariantGroup(metadata, item.filename);
+                delete metadata.images[item.filename];
+                paths.push(...entry.files);
+                break;
+              }
+            }
+            repaired.push({ id: item.id, action: item.repair });
+          } catch (error) {
+            fail(item, error);
+          }
+        }
+        if (staged.length > 0) {
+          await this.helper.cleanupUnusedTags(metadata);
+        }
+        return { repaired, skipped, failed, paths: [...new Set(paths)] };
+      }, formatRepairMessage, { paths: result => result.paths });
+    } catch (error) {
+      for (const rollback of staged.reverse()) {
+        await rollback().catch(rollbackError => console.warn('[INTEGRITY] Rollback failed:', rollbackError.message));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Download LFS objects for the given paths
+   */
+  async hydrate(relativePaths) {
+    const GitHelper = require('./git_helper');
+    const git = new GitHelper(this.frameArtPath);
+    const { isValid } = await git.verifyGitRepo();
+    if (!isValid) {
+      throw new Error('Library is not a git repository');
+    }
+    await git.git.raw(['lfs', 'pull', '--include', relativePaths.join(',')]);
+  }
+}
+
+// Commit message wording per action: verb, singular noun, plural noun
+const ACTION_WORDING = {
+  'regenerate-thumbnail': ['regenerated', 'thumbnail', 'thumbnails'],
+  're-measure': ['re-measured', 'image', 'images'],
+  'delete-orphan': ['removed', 'orphan', 'orphans'],
+  're-hash': ['re-hashed', 'image', 'images'],
+  're-import': ['re-imported', 'image', 'images'],
+  'add-tags': ['added', 'missing tag', 'missing tags'],
+  'hydrate': ['downloaded', 'LFS file', 'LFS files'],
+  'restore-original': ['restored', 'image from its original', 'images from their originals'],
+  'move-to-trash': ['trashed', 'broken image', 'broken images']
+};
+
+/**
+ * e.g. "integrity repair: regenerated 3 thumbnails, re-hashed 1 image"
+ */
+function formatRepairMessage({ repaired }) {
+  const counts = new Map();
+  for (const { action } of repaired) {
+    counts.set(action, (counts.get(action) || 0) + 1);
+  }
+  const parts = [...counts].map(([action, count]) => {
+    const [verb, singular, plural] = ACTION_WORDING[action];
+    return `${verb} ${count} ${count === 1 ? singular : plural}`;
+  });
+  return `integrity repair: ${parts.join(', ') || 'no changes'}`;
+}
+
+module.exports = IntegrityScanner;
+module.exports.FINDING_TYPES = FINDING_TYPES;
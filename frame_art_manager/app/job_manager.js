@@ -0,0 +1,462 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { ensureStateDir, getStateDir, writeFileAtomic } = require('./state_helper');
+
+const JOBS_FILE_NAME = 'jobs.json';
+// Finished jobs kept (in memory and on disk) for the jobs panel
+const MAX_STORED_JOBS = 100;
+// Step history kept per job
+const MAX_JOB_LOG = 50;
+// Progress is persisted at most this often; status changes are written at once
+const PERSIST_INTERVAL_MS = 1000;
+// A tracked request whose client left is failed once its job goes this long
+// without an update (the handler is assumed to have stopped)
+const ABANDONED_JOB_MS = 5 * 60 * 1000;
+
+const ACTIVE_STATUSES = new Set(['running']);
+// Client-chosen ids (X-Job-Id) so the browser can subscribe before the response
+const JOB_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function jobError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function cancelledError() {
+  return jobError('CANCELLED', 'Job was cancelled');
+}
+
+/**
+ * Handle passed to the code doing the work
+ *
+ * Helpers take it as an optional `job` and report through it: step() when a
+ * new phase starts, progress() inside loops, throwIfCancelled() (or the
+ * `cancelled` flag) at points where stopping leaves things consistent.
+ */
+class Job {
+  constructor(manager, record) {
+    this.manager = manager;
+    this.record = record;
+  }
+
+  get id() {
+    return this.record.id;
+  }
+
+  get cancelled() {
+    return this.record.cancelRequested;
+  }
+
+  get finished() {
+    return !ACTIVE_STATUSES.has(this.record.status);
+  }
+
+  setLabel(label) {
+    this.record.label = label;
+    this.manager.changed(this, { persist: true });
+  }
+
+  /**
+   * Start a new phase, e.g. "Generating thumbnail"
+   * @param {string} step
+   * @param {Object} [options]
+   * @param {number} [options.total] - Items this phase will report progress for
+   */
+  step(step, { total = null } = {}) {
+    if (this.finished) return;
+    Object.assign(this.record, { step, message: null, current: total === null ? null : 0, total });
+    this.record.log.push({ at: new Date().toISOString(), step });
+    if (this.record.log.length > MAX_JOB_LOG) {
+      this.record.log.splice(0, this.record.log.length - MAX_JOB_LOG);
+    }
+    this.manager.changed(this, { persist: true });
+  }
+
+  /**
+   * Progress within the current step
+   * @param {number} current
+   * @param {number} [total]
+   * @param {string} [message] - e.g. the file being processed
+   */
+  progress(current, total = this.record.total, message = null) {
+    if (this.finished) return;
+    Object.assign(this.record, { current, total, message });
+    this.manager.changed(this);
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw cancelledError();
+    }
+  }
+}
+
+/**
+ * JobManager - long-running work with ids, progress, cancellation and history
+ *
+ * One manager per library, shared by every request (getJobManager). Jobs are
+ * persisted to .frame_art_manager/jobs.json so the jobs panel survives a
+ * restart; jobs that were running when the server stopped come back as
+ * "interrupted". Subscribers (the SSE route) get a snapshot on every change.
+ *
+ * Statuses: running, succeeded, failed, cancelled, interrupted.
+ */
+class JobManager extends EventEmitter {
+  constructor(frameArtPath) {
+    super();
+    this.setMaxListeners(0);
+    this.frameArtPath = frameArtPath;
+    this.jobsFile = path.join(getStateDir(frameArtPath), JOBS_FILE_NAME);
+    this.jobs = new Map();
+    this.handles = new Map();
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  async load() {
+    let stored = [];
+    try {
+      const data = JSON.parse(await fs.readFile(this.jobsFile, 'utf8'));
+      stored = Array.isArray(data.jobs) ? data.jobs : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Jobs] Could not read job history:', error.message);
+      }
+    }
+
+    let interrupted = 0;
+    for (const record of stored) {
+      if (!record || typeof record.id !== 'string' || this.jobs.has(record.id)) continue;
+      if (ACTIVE_STATUSES.has(record.status)) {
+        const now = new Date().toISOString();
+        Object.assign(record, {
+          status: 'interrupted',
+          error: 'The server restarted while this job was running',
+          finishedAt: now,
+          updatedAt: now
+        });
+        interrupted++;
+      }
+      this.jobs.set(record.id, record);
+    }
+    if (interrupted > 0) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Register a running job
+   * @param {string} type - e.g. upload, sync, batch, hash-backfill, thumbnails
+   * @param {Object} [options]
+   * @param {string} [options.label] - Shown in the jobs panel
+   * @param {string} [options.id] - Client-chosen id; ignored if malformed or taken
+   * @param {boolean} [options.cancellable]
+   * @returns {Job}
+   */
+  create(type, { label = type, id, cancellable = true } = {}) {
+    const jobId = typeof id === 'string' && JOB_ID_PATTERN.test(id) && !this.jobs.has(id)
+      ? id
+      : crypto.randomUUID();
+    const now = new Date().toISOString();
+    const record = {
+      id: jobId,
+      type,
+      label,
+      status: 'running',
+      cancellable,
+      cancelRequested: false,
+      step: null,
+      message: null,
+      current: null,
+      total: null,
+      log: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+    this.jobs.set(jobId, record);
+    const job = new Job(this, record);
+    this.handles.set(jobId, job);
+    this.prune();
+    this.changed(job, { persist: true });
+    return job;
+  }
+
+  /**
+   * Mark a job finished
+   * A job whose cancellation was requested ends as "cancelled" whether it
+   * stopped by throwing CANCELLED or by returning early with partial results.
+   * @param {Job} job
+   * @param {Object} outcome - {result} or {error}
+   */
+  finish(job, { result = null, error = null } = {}) {
+    if (job.finished) return;
+    const now = new Date().toISOString();
+    const status = job.cancelled && (!error || error.code === 'CANCELLED')
+      ? 'cancelled'
+      : error ? 'failed' : 'succeeded';
+    Object.assign(job.record, {
+      status,
+      result,
+      error: error && status !== 'cancelled' ? (error.message || String(error)) : null,
+      message: null,
+      updatedAt: now,
+      finishedAt: now
+    });
+    this.handles.delete(job.id);
+    this.changed(job, { persist: true });
+  }
+
+  /**
+   * Run work as a job and wait for it (the HTTP request returns the result)
+   * @param {string} type
+   * @param {Object} options - As for create()
+   * @param {function(Job): Promise<*>} work
+   */
+  async run(type, options, work) {
+    const job = this.create(type, options);
+    try {
+      const result = await work(job);
+      this.finish(job, { result: summarizeResult(result) });
+      return result;
+    } catch (error) {
+      this.finish(job, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Start work in the background; the caller gets the job snapshot at once
+   * @returns {Object} Job snapshot
+   */
+  start(type, options, work) {
+    const job = this.create(type, options);
+    Promise.resolve()
+      .then(() => work(job))
+      .then(result => this.finish(job, { result: summarizeResult(result) }))
+      .catch(error => {
+        if (error.code !== 'CANCELLED') {
+          console.warn(`[Jobs] ${job.record.label} failed:`, error.message);
+        }
+        this.finish(job, { error });
+      });
+    return this.get(job.id);
+  }
+
+  /**
+   * Ask a running job to stop; it does so at its next safe point
+   * Throws NOT_FOUND, or CONFLICT when the job is finished or not cancellable.
+   */
+  cancel(id) {
+    const record = this.jobs.get(id);
+    if (!record) {
+      throw jobError('NOT_FOUND', `Job not found: ${id}`);
+    }
+    if (!ACTIVE_STATUSES.has(record.status)) {
+      throw jobError('CONFLICT', `Job already ${record.status}`);
+    }
+    if (!record.cancellable) {
+      throw jobError('CONFLICT', `${record.label} cannot be cancelled`);
+    }
+    if (!record.cancelRequested) {
+      record.cancelRequested = true;
+      this.changed(this.handles.get(id), { persist: true });
+    }
+    return this.get(id);
+  }
+
+  get(id) {
+    const record = this.jobs.get(id);
+    return record ? snapshot(record) : null;
+  }
+
+  /**
+   * Jobs, newest first
+   * @param {Object} [options]
+   * @param {boolean} [options.active] - Only running jobs
+   */
+  list({ active = false } = {}) {
+    return [...this.jobs.values()]
+      .filter(record => !active || ACTIVE_STATUSES.has(record.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(snapshot);
+  }
+
+  /**
+   * Listen to one job's updates
+   * @returns {function} Unsubscribe
+   */
+  subscribe(id, listener) {
+    const handler = update => {
+      if (update.id === id) listener(update);
+    };
+    this.on('update', handler);
+    return () => this.off('update', handler);
+  }
+
+  changed(job, { persist = false } = {}) {
+    if (!job) return;
+    job.record.updatedAt = new Date().toISOString();
+    this.emit('update', snapshot(job.record));
+    if (persist) {
+      this.save().catch(error => console.warn('[Jobs] Could not save job history:', error.message));
+    } else {
+      this.scheduleSave();
+    }
+  }
+
+  // Drop the oldest finished jobs beyond MAX_STORED_JOBS
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(record => !ACTIVE_STATUSES.has(record.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    for (const record of finished.slice(MAX_STORED_JOBS)) {
+      this.jobs.delete(record.id);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.warn('[Jobs] Could not save job history:', error.message));
+    }, PERSIST_INTERVAL_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    // Serialized so an older snapshot never lands after a newer one
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      const stateDir = await ensureStateDir(this.frameArtPath);
+      const data = JSON.stringify({ jobs: [...this.jobs.values()] }, null, 2) + '\n';
+      await writeFileAtomic(this.jobsFile, data, { tmpDir: stateDir });
+    });
+    return this.saving;
+  }
+}
+
+function snapshot(record) {
+  return { ...record, log: record.log.map(entry => ({ ...entry })) };
+}
+
+// Results are stored with the job; large ones (file lists) are summarized
+function summarizeResult(result) {
+  if (result === undefined || result === null) return null;
+  try {
+    const text = JSON.stringify(result);
+    return text.length > 4096 ? { summary: `${text.slice(0, 200)}…` } : JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+const managers = new Map();
+
+/**
+ * The job manager for a library (created on first use)
+ * @param {string} frameArtPath
+ * @returns {JobManager}
+ */
+function getJobManager(frameArtPath) {
+  let manager = managers.get(frameArtPath);
+  if (!manager) {
+    manager = new JobManager(frameArtPath);
+    managers.set(frameArtPath, manager);
+  }
+  return manager;
+}
+
+/**
+ * Express middleware tracking a request as a job
+ *
+ * Creates the job before the body is read (so uploads can be watched while the
+ * server processes them), sets req.job, echoes the id in X-Job-Id and adds
+ * `jobId` to JSON object responses. The job finishes with the response: 2xx/3xx
+ * succeeded, otherwise failed (or cancelled if that was requested). A client
+ * disconnecting doesn't stop the handler, so its job still finishes with the
+ * handler's response; it only fails if the handler goes quiet for abandonMs.
+ * @param {string} type
+ * @param {Object} [options]
+ * @param {string|function(Request): string} [options.label]
+ * @param {boolean} [options.cancellable]
+ * @param {number} [options.abandonMs]
+ */
+function trackJob(type, { label = type, cancellable = true, abandonMs = ABANDONED_JOB_MS } = {}) {
+  return (req, res, next) => {
+    const manager = getJobManager(req.frameArtPath);
+    manager.ready.then(() => {
+      const job = manager.create(type, {
+        label: typeof label === 'function' ? label(req) : label,
+        id: req.get('X-Job-Id'),
+        cancellable
+      });
+      req.job = job;
+      res.set('X-Job-Id', job.id);
+
+      const json = res.json.bind(res);
+      res.json = body => {
+        const isObject = body && typeof body === 'object' && !Array.isArray(body);
+        if (res.statusCode < 400) {
+          manager.finish(job, { result: summarizeResult(isObject ? { ...body, jobId: undefined } : null) });
+        } else {
+          manager.finish(job, {
+            error: job.cancelled ? cancelledError() : new Error((isObject && body.error) || `HTTP ${res.statusCode}`)
+          });
+        }
+        return json(isObject ? { ...body, jobId: job.id } : body);
+      };
+      // Responses that bypassed res.json (errors from middleware, aborted uploads)
+      const finishFromStatus = () => {
+        if (job.finished) return;
+        if (res.statusCode >= 400) {
+          manager.finish(job, { error: job.cancelled ? cancelledError() : new Error(`HTTP ${res.statusCode}`) });
+        } else {
+          manager.finish(job);
+        }
+      };
+      const end = res.end.bind(res);
+      res.end = (...args) => {
+        finishFromStatus();
+        return end(...args);
+      };
+      const failIfAbandoned = () => {
+        if (job.finished) return;
+        const quietMs = Date.now() - Date.parse(job.record.updatedAt);
+        if (quietMs >= abandonMs) {
+          manager.finish(job, { error: new Error('Request closed before it finished') });
+        } else {
+          setTimeout(failIfAbandoned, abandonMs - quietMs).unref();
+        }
+      };
+      res.on('close', () => {
+        if (job.finished) return;
+        if (res.writableFinished) {
+          finishFromStatus();
+        } else {
+          // The client left; the handler carries on and answers into the void
+          setTimeout(failIfAbandoned, abandonMs).unref();
+        }
+      });
+      next();
+    }).catch(next);
+  };
+}
+
+module.exports = {
+  JOB_ID_PATTERN,
+  JobManager,
+  Job,
+  getJobManager,
+  trackJob,
+  cancelledError
+};
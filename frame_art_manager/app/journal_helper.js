@@ -0,0 +1,513 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const MetadataHelper = require('./metadata_helper');
+const TrashHelper = require('./trash_helper');
+const BatchOperations = require('./batch_operations');
+const { ensureStateDir, getStateDir, writeFileAtomic } = require('./state_helper');
+const { addTagsToLibrary, normalizeTagLibrary, getTagNames } = require('./tag_helper');
+const { renameImageInCollections } = require('./collection_helper');
+const { renameImageInVariantGroups } = require('./variant_helper');
+const { renameConversionSource } = require('./conversion_helper');
+
+const JOURNAL_DIR_NAME = 'journal';
+const JOURNAL_FILE = 'journal.json';
+const STASH_DIR = 'stash';
+const MAX_JOURNAL_ENTRIES = 50;
+const DEFAULT_LIST_LIMIT = 20;
+
+// Journal ids are generated here; anything else is rejected before lookup
+const JOURNAL_ID_PATTERN = /^\d+-[0-9a-f]{8}$/;
+
+// Serializes journal.json read-modify-writes per library (in this process)
+const journalQueues = new Map();
+
+/**
+ * JournalHelper - undo for library mutations made through the API
+ *
+ * Each journaled operation stores its inverse in the git-excluded state area:
+ *
+ *   .frame_art_manager/journal/journal.json      { entries: [{ id, action, summary, createdAt, undoneAt, inverse }] }
+ *   .frame_art_manager/journal/stash/<id>/...     file contents an inverse needs (e.g. the edited image a revert discarded)
+ *
+ * An inverse can hold:
+ *   changes:    [{ filename, before, after }] record fields to set back (null = field was absent)
+ *   tagEntries: tag library entries pruned by the operation
+ *   renames:    [{ from, to }] renames to move back
+ *   trash:      [{ id, filename }] trash entries to restore
+ *   revert:     { filename, before, after } an edit discarded by revert-to-original
+ *
+ * Undo refuses (CONFLICT) when an image has changed again since the
+ * operation, so it never overwrites later edits. Only the last
+ * MAX_JOURNAL_ENTRIES operations are kept.
+ */
+class JournalHelper {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.journalPath = path.join(getStateDir(frameArtPath), JOURNAL_DIR_NAME);
+    this.helper = new MetadataHelper(frameArtPath);
+  }
+
+  /**
+   * Most recent operations, newest first (without their inverse)
+   * @param {Object} [options]
+   * @param {number} [options.limit=20]
+   * @returns {Promise<Object[]>} [{ id, action, summary, createdAt, undoneAt, undoable }]
+   */
+  async listEntries({ limit = DEFAULT_LIST_LIMIT } = {}) {
+    const { entries } = await this.readJournal();
+    return entries.slice(-limit).reverse().map(toListEntry);
+  }
+
+  /**
+   * Add an operation to the journal, dropping the oldest beyond MAX_JOURNAL_ENTRIES
+   * @param {string} action - e.g. 'delete', 'rename', 'batch-remove-tag'
+   * @param {string} summary - Human-readable description ("Deleted sunset")
+   * @param {Object} inverse - See the class comment
+   * @param {Object} [options]
+   * @param {string} [options.id] - Id reserved with createId (when files were stashed for it)
+   * @returns {Promise<Object>} The entry
+   */
+  async record(action, summary, inverse, { id = createId() } = {}) {
+    const entry = { id, action, summary, createdAt: new Date().toISOString(), undoneAt: null, inverse };
+    const dropped = await this.updateJournal(journal => {
+      journal.entries.push(entry);
+      return journal.entries.splice(0, Math.max(0, journal.entries.length - MAX_JOURNAL_ENTRIES));
+    });
+    for (const old of dropped) {
+      await fs.rm(path.join(this.journalPath, STASH_DIR, old.id), { recursive: true, force: true });
+    }
+    return entry;
+  }
+
+  /**
+   * Run a metadata-only operation and journal the record fields it changed
+   * Each metadata mutation the task makes is diffed inside its lock (see
+   * MetadataHelper.observeMutations), so concurrent writes by other requests
+   * never end up in the inverse. Nothing is recorded when no field or tag
+   * library entry changed. Journaling problems are logged, never thrown.
+   * @param {string} action
+   * @param {Function} summarize - (changes, result) => summary
+   * @param {Object} scope
+   * @param {string[]} [scope.filenames] - Images the task may touch (default: all)
+   * @param {string[]} scope.fields - Record fields the task may change
+   * @param {Function} task - async () => result
+   * @returns {Promise<{result: any, journalId: string|null}>}
+   */
+  async trackFieldChanges(action, summarize, { filenames, fields }, task) {
+    const changes = new Map();
+    const pruned = new Map();
+    let remainingTags = null;
+    let observeError = null;
+    const result = await this.helper.observeMutations(task, (before, after) => {
+      try {
+        const names = filenames || Object.keys(before.images || {});
+        for (const change of diffImageFields(before.images || {}, after.images || {}, names, fields)) {
+          const earlier = changes.get(change.filename);
+          // Several mutations: the first value before, the last one after
+          changes.set(change.filename, earlier
+            ? { filename: change.filename, before: { ...change.before, ...earlier.before }, after: { ...earlier.after, ...change.after } }
+            : change);
+        }
+        remainingTags = new Set(getTagNames(after.tags));
+        for (const entry of normalizeTagLibrary(before.tags)) {
+          if (!remainingTags.has(entry.name) && !pruned.has(entry.name)) {
+            pruned.set(entry.name, entry);
+          }
+        }
+      } catch (error) {
+        observeError = error;
+      }
+    });
+
+    try {
+      if (observeError) {
+        throw observeError;
+      }
+      const changeList = [...changes.values()];
+      const tagEntries = [...pruned.values()].filter(entry => !remainingTags.has(entry.name));
+      if (changeList.length === 0 && tagEntries.length === 0) {
+        return { result, journalId: null };
+      }
+      const entry = await this.record(action, summarize(changeList, result), { changes: changeList, tagEntries });
+      return { result, journalId: entry.id };
+    } catch (error) {
+      console.warn(`[JOURNAL] Could not journal ${action}:`, error.message);
+      return { result, journalId: null };
+    }
+  }
+
+  /**
+   * Journal an operation whose inverse is already known, logging instead of throwing
+   * @returns {Promise<string|null>} The entry id
+   */
+  async tryRecord(action, summary, inverse) {
+    try {
+      return (await this.record(action, summary, inverse)).id;
+    } catch (error) {
+      console.warn(`[JOURNAL] Could not journal ${action}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run a revert-to-original, keeping the edited file so it can be undone
+   * @param {string} filename
+   * @param {Function} task - async () => revert result ({ dimensions, aspectRatio })
+   * @returns {Promise<{result: any, journalId: string|null}>}
+   */
+  async trackRevert(filename, task) {
+    const id = createId();
+    const stashDir = await ensureStateDir(this.frameArtPath, JOURNAL_DIR_NAME, STASH_DIR, id);
+    let stashed = false;
+    let before = null;
+    try {
+      const metadata = await this.helper.readMetadata();
+      const record = metadata.images[filename] || {};
+      before = { dimensions: record.dimensions || null, aspectRatio: record.aspectRatio || null };
+      await fs.copyFile(path.join(this.frameArtPath, 'library', filename), path.join(stashDir, filename));
+      stashed = true;
+    } catch (error) {
+      console.warn(`[JOURNAL] Could not keep ${filename} for undo:`, error.message);
+    }
+
+    let result;
+    try {
+      result = await task();
+    } catch (error) {
+      await fs.rm(stashDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    if (!stashed) {
+      await fs.rm(stashDir, { recursive: true, force: true });
+      return { result, journalId: null };
+    }
+
+    try {
+      const after = { dimensions: result.dimensions, aspectRatio: result.aspectRatio };
+      const summary = `Reverted ${filename} to the original`;
+      const entry = await this.record('revert', summary, { revert: { filename, before, after } }, { id });
+      return { result, journalId: entry.id };
+    } catch (error) {
+      console.warn('[JOURNAL] Could not journal revert:', error.message);
+      await fs.rm(stashDir, { recursive: true, force: true });
+      return { result, journalId: null };
+    }
+  }
+
+  /**
+   * Apply an operation's inverse
+   * The entry is marked undone under the journal lock before anything is
+   * applied, so a second undo of it is refused; if applying fails, images
+   * already restored from the trash go back to it and the entry is undoable
+   * again. Throws NOT_FOUND for an unknown id and CONFLICT when the operation
+   * was already undone or the images changed since.
+   * @param {string} id
+   * @returns {Promise<{entry: Object, message: string|null, committed: boolean}>}
+   */
+  async undo(id) {
+    if (typeof id !== 'string' || !JOURNAL_ID_PATTERN.test(id)) {
+      throw notFound(`Journal entry ${id} not found`);
+    }
+    const undoneAt = new Date().toISOString();
+    const entry = await this.updateJournal(journal => {
+      const stored = journal.entries.find(item => item.id === id);
+      if (!stored) {
+        throw notFound(`Journal entry ${id} not found`);
+      }
+      if (stored.undoneAt) {
+        throw conflict('This operation was already undone', []);
+      }
+      stored.undoneAt = undoneAt;
+      return { ...stored, undoneAt: null };
+    });
+
+    const inverse = entry.inverse || {};
+    let outcome = { message: null, committed: false };
+    const restored = [];
+    try {
+      if (inverse.trash?.length) {
+        await this.undoTrash(inverse.trash, restored);
+      }
+      if (inverse.changes?.length || inverse.renames?.length || inverse.tagEntries?.length) {
+        outcome = await this.undoChanges(entry);
+      }
+      if (inverse.revert) {
+        await this.undoRevert(entry);
+      }
+    } catch (error) {
+      const trash = await this.retrash(inverse.trash, restored);
+      await this.updateJournal(journal => {
+        const stored = journal.entries.find(item => item.id === id);
+        if (stored && stored.undoneAt === undoneAt) {
+          stored.undoneAt = null;
+          if (trash) stored.inverse.trash = trash;
+        }
+      });
+      throw error;
+    }
+    await fs.rm(path.join(this.journalPath, STASH_DIR, id), { recursive: true, force: true });
+
+    return { entry: toListEntry({ ...entry, undoneAt }), ...outcome };
+  }
+
+  /**
+   * Restore trashed images (all or nothing as far as can be checked up front)
+   * @param {Object[]} items - [{ id, filename }]
+   * @param {Object[]} restored - Receives each item once it is restored
+   */
+  async undoTrash(items, restored) {
+    const trash = new TrashHelper(this.frameArtPath);
+    const metadata = await this.helper.readMetadata();
+    const problems = [];
+    for (const { id, filename } of items) {
+      try {
+        await trash.readEntry(id);
+      } catch (error) {
+        if (error.code !== 'NOT_FOUND') throw error;
+        problems.push(`${filename} is no longer in the trash`);
+        continue;
+      }
+      if (metadata.images[filename]) {
+        problems.push(`An image named ${filename} exists again`);
+      }
+    }
+    if (problems.length > 0) {
+      throw conflict(problems.join('; '), problems);
+    }
+
+    for (const item of items) {
+      await trash.restore(item.id);
+      restored.push(item);
+    }
+  }
+
+  /**
+   * Put images restored by a failed undo back in the trash
+   * @returns {Promise<Object[]|null>} The inverse's trash items with the new
+   *   trash ids (null when nothing was restored)
+   */
+  async retrash(items, restored) {
+    if (restored.length === 0) {
+      return null;
+    }
+    const trash = new TrashHelper(this.frameArtPath);
+    const ids = new Map();
+    for (const { id, filename } of restored) {
+      try {
+        ids.set(id, (await trash.moveToTrash(filename)).id);
+      } catch (error) {
+        console.warn(`[JOURNAL] Could not put ${filename} back in the trash:`, error.message);
+      }
+    }
+    return items.map(item => (ids.has(item.id) ? { ...item, id: ids.get(item.id) } : item));
+  }
+
+  /**
+   * Set record fields back and move renamed images back, as one commit
+   */
+  async undoChanges(entry) {
+    const { changes = [], renames = [], tagEntries = [] } = entry.inverse;
+    const batch = new BatchOperations(this.frameArtPath);
+    const undoMoves = [];
+
+    try {
+      return await this.helper.mutateMetadataWithCommit(async metadata => {
+        const problems = [];
+        for (const { filename, after } of changes) {
+          const record = metadata.images[filename];
+          if (!record) {
+            problems.push(`${filename} no longer exists`);
+          } else if (Object.entries(after).some(([field, value]) => !sameValue(record[field], value))) {
+            problems.push(`${filename} has changed since`);
+          }
+        }
+        for (const { from, to } of renames) {
+          const taken = await fs.access(path.join(this.frameArtPath, 'library', from)).then(() => true, () => false);
+          if (!metadata.images[to]) {
+            problems.push(`${to} no longer exists`);
+          } else if (metadata.images[from] || taken) {
+            problems.push(`An image named ${from} exists again`);
+          }
+        }
+        if (problems.length > 0) {
+          throw conflict(problems.join('; '), problems);
+        }
+
+        const now = new Date().toISOString();
+        for (const { filename, before } of changes) {
+          const record = { ...metadata.images[filename], updated: now };
+          for (const [field, value] of Object.entries(before)) {
+            if (value === null) {
+              delete record[field];
+            } else {
+              record[field] = value;
+            }
+          }
+          metadata.images[filename] = record;
+          if (Array.isArray(record.tags)) {
+            addTagsToLibrary(metadata, record.tags);
+          }
+        }
+        // Prune tags only the operation introduced, then bring back what it pruned
+        await this.helper.cleanupUnusedTags(metadata);
+        if (tagEntries.length > 0) {
+          metadata.tags = normalizeTagLibrary([...normalizeTagLibrary(metadata.tags), ...tagEntries]);
+        }
+
+        const paths = [];
+        for (const { from, to } of renames) {
+          const record = metadata.images[to];
+          paths.push(...await batch.moveImageFiles(to, from, undoMoves, record));
+          metadata.images[from] = { ...record, updated: now };
+          if (record.conversion) {
+            metadata.images[from].conversion = renameConversionSource(record.conversion, from);
+          }
+          delete metadata.images[to];
+          renameImageInCollections(metadata, to, from);
+          renameImageInVariantGroups(metadata, to, from);
+        }
+        return { paths };
+      }, () => `undo: ${entry.summary}`, { paths: result => result.paths });
+    } catch (error) {
+      for (const step of undoMoves.reverse()) {
+        await step().catch(undoError => console.warn('[JOURNAL] Rollback step failed:', undoError.message));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Put an edited image back after a revert-to-original, with the original as its backup again
+   */
+  async undoRevert(entry) {
+    const { filename, before, after } = entry.inverse.revert;
+    const stashPath = path.join(this.journalPath, STASH_DIR, entry.id, filename);
+    const libraryPath = path.join(this.frameArtPath, 'library', filename);
+    const backupPath = path.join(this.frameArtPath, 'originals', this.helper.getBackupFilename(filename));
+
+    const metadata = await this.helper.readMetadata();
+    const record = metadata.images[filename];
+    const exists = filePath => fs.access(filePath).then(() => true, () => false);
+    if (!record || !(await exists(libraryPath))) {
+      throw conflict(`${filename} no longer exists`, []);
+    }
+    if (await exists(backupPath) || !sameValue(record.dimensions, after.dimensions)) {
+      throw conflict(`${filename} has been edited since the revert`, []);
+    }
+    if (!(await exists(stashPath))) {
+      const error = new Error(`The edited version of ${filename} is no longer available`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+
+    await fs.mkdir(path.dirname(backupPath), { recursive: true });
+    await fs.copyFile(libraryPath, backupPath);
+    const tmpPath = path.join(path.dirname(libraryPath), `${filename}.undo-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`);
+    await fs.copyFile(stashPath, tmpPath);
+    await fs.rename(tmpPath, libraryPath);
+
+    const updates = {};
+    if (before.dimensions) updates.dimensions = before.dimensions;
+    if (before.aspectRatio) updates.aspectRatio = before.aspectRatio;
+    if (Object.keys(updates).length > 0) {
+      await this.helper.updateImage(filename, updates);
+    }
+    try {
+      await this.helper.generateThumbnail(filename);
+    } catch (thumbError) {
+      console.warn('Thumbnail regeneration failed after undoing revert:', thumbError.message);
+    }
+  }
+
+  async readJournal() {
+    try {
+      const journal = JSON.parse(await fs.readFile(path.join(this.journalPath, JOURNAL_FILE), 'utf8'));
+      return { entries: Array.isArray(journal.entries) ? journal.entries : [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { entries: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serialized read-modify-write of journal.json
+   * @param {Function} mutator - (journal) => any, edits journal.entries in place
+   */
+  async updateJournal(mutator) {
+    const key = this.journalPath;
+    const previous = journalQueues.get(key) || Promise.resolve();
+    const run = previous.then(async () => {
+      await ensureStateDir(this.frameArtPath, JOURNAL_DIR_NAME);
+      const journal = await this.readJournal();
+      const result = await mutator(journal);
+      await writeFileAtomic(path.join(this.journalPath, JOURNAL_FILE), JSON.stringify(journal, null, 2));
+      return result;
+    });
+    const tail = run.catch(() => {});
+    journalQueues.set(key, tail);
+    tail.then(() => {
+      if (journalQueues.get(key) === tail) {
+        journalQueues.delete(key);
+      }
+    });
+    return run;
+  }
+}
+
+function createId() {
+  return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function toListEntry({ id, action, summary, createdAt, undoneAt }) {
+  return { id, action, summary, createdAt, undoneAt: undoneAt || null, undoable: !undoneAt };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Field-level differences between two versions of the same records
+ * @returns {Array<{filename: string, before: Object, after: Object}>} Absent fields are null
+ */
+function diffImageFields(beforeImages, afterImages, filenames, fields) {
+  const changes = [];
+  for (const filename of filenames) {
+    const before = beforeImages[filename];
+    const after = afterImages[filename];
+    if (!before || !after) continue;
+
+    const change = { filename, before: {}, after: {} };
+    for (const field of fields) {
+      if (!sameValue(before[field], after[field])) {
+        change.before[field] = before[field] === undefined ? null : before[field];
+        change.after[field] = after[field] === undefined ? null : after[field];
+      }
+    }
+    if (Object.keys(change.before).length > 0) {
+      changes.push(change);
+    }
+  }
+  return changes;
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+function conflict(message, details) {
+  const error = new Error(message);
+  error.code = 'CONFLICT';
+  error.details = details;
+  return error;
+}
+
+module.exports = JournalHelper;
+module.exports.diffImageFields = diffImageFields;
+module.exports.MAX_JOURNAL_ENTRIES = MAX_JOURNAL_ENTRIES;
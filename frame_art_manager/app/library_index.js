@@ -0,0 +1,194 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// One index per library root, shared by every request in this process
+const indexes = new Map();
+
+/**
+ * LibraryIndex - in-memory view of the library used by the read endpoints
+ *
+ * Holds the parsed metadata.json images enriched with on-disk file size and
+ * original-backup presence, plus a content ETag. Building it parses metadata
+ * and stats every library file, so it is only rebuilt after invalidation:
+ * - our own metadata writes (MetadataHelper.writeMetadata)
+ * - git pulls / conflict resets (GitHelper)
+ * - filesystem events in library/ and originals/
+ * - metadata.json changing on disk behind our back (mtime/size check per read)
+ */
+class LibraryIndex {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.metadataPath = path.join(frameArtPath, 'metadata.json');
+    this.libraryPath = path.join(frameArtPath, 'library');
+    this.originalsPath = path.join(frameArtPath, 'originals');
+    this.snapshot = null;
+    this.building = null;
+    this.generation = 0;
+    this.watchers = [];
+    this.watching = false;
+  }
+
+  /**
+   * Get the shared index for a library root
+   * @param {string} frameArtPath
+   * @returns {LibraryIndex}
+   */
+  static for(frameArtPath) {
+    let index = indexes.get(frameArtPath);
+    if (!index) {
+      index = new LibraryIndex(frameArtPath);
+      indexes.set(frameArtPath, index);
+    }
+    return index;
+  }
+
+  /**
+   * Drop the cached snapshot for a library root (no-op if never built)
+   * @param {string} frameArtPath
+   * @param {string} [reason] - For debugging only
+   */
+  static invalidate(frameArtPath, reason) {
+    const index = indexes.get(frameArtPath);
+    if (index) {
+      index.invalidate(reason);
+    }
+  }
+
+  invalidate(_reason) {
+    this.generation++;
+    this.snapshot = null;
+  }
+
+  /**
+   * Watch library/ and originals/ so files added, replaced or removed outside
+   * the API (git checkout, scripts, manual copies) refresh the index.
+   */
+  startWatching() {
+    if (this.watching) {
+      return;
+    }
+    this.watching = true;
+
+    for (const dir of [this.libraryPath, this.originalsPath]) {
+      try {
+        const watcher = fs.watch(dir, { persistent: false }, () => this.invalidate('fs-watch'));
+        watcher.on('error', error => {
+          console.warn(`[INDEX] Watcher error on ${dir}:`, error.message);
+          watcher.close();
+          this.watchers = this.watchers.filter(w => w !== watcher);
+          // Allow a later build to re-establish the watchers
+          this.watching = false;
+          this.invalidate('watch-error');
+        });
+        this.watchers.push(watcher);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`[INDEX] Could not watch ${dir}:`, error.message);
+        }
+        this.watching = false;
+      }
+    }
+  }
+
+  stopWatching() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.watching = false;
+  }
+
+  async statMetadata() {
+    try {
+      const stats = await fsp.stat(this.metadataPath);
+      return `${stats.mtimeMs}:${stats.size}`;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the current snapshot, rebuilding if it was invalidated
+   * The returned objects are shared between requests - treat them as read-only.
+   * @returns {Promise<{images: Object, etag: string, builtAt: string}>}
+   */
+  async getSnapshot() {
+    if (this.snapshot) {
+      const metadataStamp = await this.statMetadata();
+      if (metadataStamp !== this.snapshot.metadataStamp) {
+        this.invalidate('metadata-changed');
+      }
+    }
+
+    if (this.snapshot) {
+      return this.snapshot;
+    }
+
+    if (this.building && this.building.generation === this.generation) {
+      return this.building.promise;
+    }
+
+    const generation = this.generation;
+    const promise = this.build().then(snapshot => {
+      // Only cache if nothing invalidated the index while we were building
+      if (generation === this.generation) {
+        this.snapshot = snapshot;
+      }
+      return snapshot;
+    }).finally(() => {
+      if (this.building && this.building.promise === promise) {
+        this.building = null;
+      }
+    });
+
+    this.building = { generation, promise };
+    return promise;
+  }
+
+  async build() {
+    // Required lazily: metadata_helper requires this module for invalidation
+    const MetadataHelper = require('./metadata_helper');
+    const helper = new MetadataHelper(this.frameArtPath);
+
+    this.startWatching();
+
+    const metadataStamp = await this.statMetadata();
+    const metadata = await helper.readMetadata();
+
+    let backups = new Set();
+    try {
+      backups = new Set(await fsp.readdir(this.originalsPath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[INDEX] Could not list originals:', error.message);
+      }
+    }
+
+    const images = {};
+    for (const [filename, imageData] of Object.entries(metadata.images || {})) {
+      const hasBackup = backups.has(helper.getBackupFilename(filename));
+      try {
+        const stats = await fsp.stat(path.join(this.libraryPath, filename));
+        images[filename] = {
+          ...imageData,
+          fileSize: stats.size, // Add file size in bytes
+          hasBackup
+        };
+      } catch (error) {
+        // If file doesn't exist on disk, just use metadata
+        images[filename] = { ...imageData, hasBackup };
+      }
+    }
+
+    const digest = crypto.createHash('sha1').update(JSON.stringify(images)).digest('hex');
+
+    return {
+      images,
+      etag: `W/"lib-${digest.slice(0, 20)}"`,
+      metadataStamp,
+      builtAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = LibraryIndex;
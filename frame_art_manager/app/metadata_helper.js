@@ -1,17 +1,121 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const sharp = require('sharp');
 const {
   DEFAULT_MATTE,
   DEFAULT_FILTER,
   normalizeMatteValue,
-  normalizeFilterValue
+  normalizeFilterValue,
+  ARTWORK_FIELD_NAMES,
+  validateArtworkFields,
+  isLibraryImageFile,
+  DEFAULT_DUPLICATE_POLICY
 } = require('./constants');
 
+const { ensureStateDir, getStateDir, writeFileAtomic } = require('./state_helper');
+const LibraryIndex = require('./library_index');
+const { renameConversionSource } = require('./conversion_helper');
+const {
+  hasTag,
+  tagMatches,
+  normalizeTagLibrary,
+  getTagNames,
+  addTagsToLibrary,
+  validateTagAttributes
+} = require('./tag_helper');
+const {
+  COLLECTION_ID_PATTERN,
+  generateCollectionId,
+  ensureCollections,
+  toCollection,
+  validateCollectionInput,
+  normalizeFilenameList,
+  removeImageFromCollections,
+  restoreImageToCollections,
+  renameImageInCollections
+} = require('./collection_helper');
+const {
+  VARIANT_TAG_MODES,
+  getPrimaryFilename,
+  getVariantGroup,
+  getVariantGroups,
+  linkVariants,
+  setVariantTagMode,
+  setGroupPrimary,
+  removeImageFromVariantGroup,
+  restoreImageToVariantGroup,
+  renameImageInVariantGroups,
+  snapshotSharedVariantTags,
+  syncSharedVariantTags
+} = require('./variant_helper');
+
 const DEFAULT_SETTINGS = {
-  duplicateThreshold: 10
+  duplicateThreshold: 10,
+  // What uploads do with near-duplicates (see DUPLICATE_POLICIES in constants.js)
+  duplicatePolicy: DEFAULT_DUPLICATE_POLICY,
+  // Days a deleted image stays restorable in the trash (see trash_helper.js)
+  trashRetentionDays: 30,
+  // Tells the shuffler to pick one member of each variant group (see variant_helper.js)
+  shuffleOneVariantPerGroup: false
 };
 
+const LAST_GOOD_BACKUP_NAME = 'metadata.last-good.json';
+
+/**
+ * Semantic commit message for a tag rename/merge, e.g.
+ * "renamed tag Beaches → Beach (42 images)". Hierarchical descendants that
+ * moved along are listed as " -- "-joined details.
+ */
+function formatTagReplacementMessage({ operation, sources, target, renamed, images }) {
+  const count = `${images.length} image${images.length === 1 ? '' : 's'}`;
+  const summary = operation === 'merge'
+    ? `merged tags ${sources.join(', ')} → ${target} (${count})`
+    : `renamed tag ${sources[0]} → ${target} (${count})`;
+  const details = Object.entries(renamed)
+    .filter(([from]) => !sources.includes(from))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([from, to]) => `${from} → ${to}`);
+  return [summary, ...details].join(' -- ');
+}
+
+/**
+ * Combine two library entries that a rename/merge collapsed into one name
+ * The preferred entry's color and description win, aliases are unioned and
+ * the result is pinned if either was.
+ */
+function mergeTagEntries(preferred, other) {
+  const merged = { ...other, ...preferred };
+  const aliases = [...new Set([...(preferred.aliases || []), ...(other.aliases || [])])];
+  if (aliases.length > 0) {
+    merged.aliases = aliases;
+  }
+  if (preferred.pinned || other.pinned) {
+    merged.pinned = true;
+  }
+  return merged;
+}
+
+function throwIfInvalid(errors) {
+  if (errors.length > 0) {
+    const error = new Error(errors.join('; '));
+    error.code = 'VALIDATION_ERROR';
+    error.details = errors;
+    throw error;
+  }
+}
+
+// Per-file mutation queues (keyed by metadata.json path). Every writer runs its
+// read-modify-write through this chain so concurrent requests in this process
+// can't overwrite each other's changes.
+const mutationQueues = new Map();
+
+// Marks code running under withMetadataLock (the queue is not reentrant)
+const metadataLockHolders = new AsyncLocalStorage();
+
+// Observer of the mutations a task makes, however deep in its calls (see observeMutations)
+const mutationObservers = new AsyncLocalStorage();
+
 class MetadataHelper {
   constructor(frameArtPath) {
     this.frameArtPath = frameArtPath;
@@ -19,6 +123,7 @@ class MetadataHelper {
     this.libraryPath = path.join(frameArtPath, 'library');
     this.thumbsPath = path.join(frameArtPath, 'thumbs');
     this.originalsPath = path.join(frameArtPath, 'originals');
+    this.lastGoodPath = path.join(getStateDir(frameArtPath), LAST_GOOD_BACKUP_NAME);
   }
 
   /**
@@ -46,30 +151,79 @@ class MetadataHelper {
 
   /**
    * Read metadata.json
+   * If the file is not valid JSON (truncated write, bad merge, hand edit), the
+   * last-good backup is restored and returned. Throws when there is nothing to
+   * restore rather than handing callers an empty library they might persist.
    */
   async readMetadata() {
+    let data;
     try {
-      const data = await fs.readFile(this.metadataPath, 'utf8');
-      const parsed = JSON.parse(data);
-      
-      // Deprecate 'tvs' array - remove it if present
-      if (parsed.tvs) {
-        delete parsed.tvs;
-      }
-      
-      return parsed;
+      data = await fs.readFile(this.metadataPath, 'utf8');
     } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { version: "1.0", images: {}, tags: [] };
+      }
       console.error('Error reading metadata:', error);
-      return { version: "1.0", images: {}, tags: [] };
+      throw error;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (parseError) {
+      // The rewrite takes the lock so it can't race a writer; mutations already hold it
+      parsed = metadataLockHolders.getStore() === this.metadataPath
+        ? await this.restoreLastGoodMetadata(parseError)
+        : await this.withMetadataLock(() => this.restoreLastGoodMetadata(parseError));
     }
+
+    return parsed;
+  }
+
+  /**
+   * Replace a corrupt metadata.json with the last-good backup
+   * Runs under withMetadataLock. A file that a writer fixed while this waited
+   * for the lock is returned as it is.
+   * @param {Error} parseError - The JSON error that triggered the restore
+   * @returns {Promise<Object>} The restored metadata
+   */
+  async restoreLastGoodMetadata(parseError) {
+    try {
+      return JSON.parse(await fs.readFile(this.metadataPath, 'utf8'));
+    } catch (error) {
+      // Still corrupt (or gone): restore below
+    }
+
+    let backup;
+    try {
+      const backupData = await fs.readFile(this.lastGoodPath, 'utf8');
+      backup = JSON.parse(backupData);
+    } catch (backupError) {
+      console.error('metadata.json is corrupt and no usable last-good backup exists:', parseError.message);
+      const error = new Error(`metadata.json is not valid JSON: ${parseError.message}`);
+      error.code = 'METADATA_CORRUPT';
+      throw error;
+    }
+
+    console.warn(`⚠️  metadata.json is not valid JSON (${parseError.message}); restoring last-good backup`);
+    const tmpDir = await ensureStateDir(this.frameArtPath);
+    await writeFileAtomic(this.metadataPath, JSON.stringify(backup, null, 2), { tmpDir });
+    return backup;
   }
 
   /**
    * Write metadata.json
+   * Crash-safe (temp file + fsync + rename); the written content also becomes
+   * the last-good backup used by readMetadata. Callers that read-modify-write
+   * should go through mutateMetadata instead of calling this directly.
    */
   async writeMetadata(data) {
     try {
-      await fs.writeFile(this.metadataPath, JSON.stringify(data, null, 2));
+      const payload = JSON.stringify(data, null, 2);
+      const tmpDir = await ensureStateDir(this.frameArtPath);
+      await writeFileAtomic(this.metadataPath, payload, { tmpDir });
+      await writeFileAtomic(this.lastGoodPath, payload, { tmpDir });
+      LibraryIndex.invalidate(this.frameArtPath, 'metadata-write');
       return true;
     } catch (error) {
       console.error('Error writing metadata:', error);
@@ -78,13 +232,149 @@ class MetadataHelper {
   }
 
   /**
-   * Add new image entry to metadata
+   * Run a task exclusively with respect to every other metadata writer for
+   * this library (in this process). Also used by git commit paths so a commit
+   * never races a half-applied mutation.
+   * @param {Function} task - async () => any
+   * @returns {Promise<any>} Result of the task
    */
-  async addImage(filename, matte = DEFAULT_MATTE, filter = DEFAULT_FILTER, tags = []) {
-    const metadata = await this.readMetadata();
+  async withMetadataLock(task) {
+    const key = this.metadataPath;
+    const previous = mutationQueues.get(key) || Promise.resolve();
+    const run = previous.then(() => metadataLockHolders.run(key, task));
+    const tail = run.catch(() => {});
+    mutationQueues.set(key, tail);
+    tail.then(() => {
+      if (mutationQueues.get(key) === tail) {
+        mutationQueues.delete(key);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Run a task, showing each metadata mutation it makes to an observer
+   * The observer is called inside the mutation's lock with the metadata as it
+   * was before the mutator and as it is about to be written, so it sees only
+   * that mutation's changes. An observer that throws aborts the mutation.
+   * @param {Function} task - async () => any
+   * @param {Function} observer - (before, after) => void
+   * @returns {Promise<any>} Result of the task
+   */
+  async observeMutations(task, observer) {
+    return mutationObservers.run(observer, task);
+  }
+
+  /**
+   * Serialized read-modify-write of metadata.json
+   * The mutator receives the current metadata and edits it in place; its return
+   * value is passed through. Throwing from the mutator aborts without writing.
+   * Mutators must not call other locked helper methods (the queue is not reentrant).
+   * @param {Function} mutator - async (metadata) => any
+   * @returns {Promise<any>} Result of the mutator
+   */
+  async mutateMetadata(mutator) {
+    return this.withMetadataLock(async () => {
+      const metadata = await this.readMetadata();
+      if (!metadata.images) {
+        metadata.images = {};
+      }
+      const observer = mutationObservers.getStore();
+      const before = observer ? structuredClone(metadata) : null;
+      // Tag edits to one member of a shared-tags variant group apply to all
+      const sharedTags = snapshotSharedVariantTags(metadata);
+      const result = await mutator(metadata);
+      syncSharedVariantTags(metadata, sharedTags);
+      observer?.(before, metadata);
+      await this.writeMetadata(metadata);
+      return result;
+    });
+  }
+
+  /**
+   * Serialized read-modify-write recorded as its own semantic git commit
+   * For bulk operations whose generated per-image commit message would be
+   * noise (e.g. a tag rename touching hundreds of images). Metadata edits that
+   * were already uncommitted are committed first under their generated message,
+   * so the operation's commit contains only the operation. Outside a git repo
+   * this behaves like mutateMetadata.
+   * @param {Function} mutator - async (metadata) => result
+   * @param {Function} formatMessage - (result) => commit message
+   * @param {Object} [options]
+   * @param {string[]|Function} [options.paths] - Other library-relative paths the mutator wrote that belong in
+   *   the same commit, or (result) => paths when they are only known after the mutator ran
+   * @returns {Promise<{result: any, message: string, committed: boolean}>}
+   */
+  async mutateMetadataWithCommit(mutator, formatMessage, { paths = [] } = {}) {
+    // Required lazily: git_helper is not needed for plain directories (tests, scripts)
+    const GitHelper = require('./git_helper');
+    const git = new GitHelper(this.frameArtPath);
+
+    return this.withMetadataLock(async () => {
+      const metadata = await this.readMetadata();
+      if (!metadata.images) {
+        metadata.images = {};
+      }
+      const observer = mutationObservers.getStore();
+      const before = observer ? structuredClone(metadata) : null;
+      // Mutate in memory first so a rejected operation leaves git untouched
+      const sharedTags = snapshotSharedVariantTags(metadata);
+      const result = await mutator(metadata);
+      syncSharedVariantTags(metadata, sharedTags);
+      observer?.(before, metadata);
+
+      const { isValid } = await git.verifyGitRepo();
+      if (isValid) {
+        const status = await git.getStatus();
+        const pending = status.files.filter(file => file.path === 'metadata.json');
+        if (pending.length > 0) {
+          const pendingMessage = await git.generateCommitMessage(pending);
+          const pendingResult = await git.commitPaths(pendingMessage, ['metadata.json']);
+          if (!pendingResult.success) {
+            console.warn('[METADATA] Could not commit pending metadata changes:', pendingResult.error);
+          }
+        }
+      }
+
+      await this.writeMetadata(metadata);
+
+      const message = formatMessage(result);
+      let committed = false;
+      if (isValid) {
+        const extraPaths = typeof paths === 'function' ? paths(result) : paths;
+        const commitPaths = ['metadata.json', ...await git.filterCommittablePaths([...new Set(extraPaths)])];
+        const commitResult = await git.commitPaths(message, commitPaths);
+        committed = Boolean(commitResult.success);
+        if (!commitResult.success) {
+          console.warn('[METADATA] Could not commit metadata change:', commitResult.error);
+        }
+      }
+
+      return { result, message, committed };
+    });
+  }
 
+  /**
+   * Add new image entry to metadata
+   * Extra fields are written with the record; descriptive fields (ARTWORK_FIELDS)
+   * among them are validated first and throw an Error with code VALIDATION_ERROR.
+   * @param {Object} [options]
+   * @param {Function} [options.beforeAdd] - (metadata) => void, run in the same write
+   *   before the record is added; throwing aborts the write
+   */
+  async addImage(filename, matte = DEFAULT_MATTE, filter = DEFAULT_FILTER, tags = [], extras = {}, { beforeAdd } = {}) {
     const normalizedMatte = normalizeMatteValue(matte);
     const normalizedFilter = normalizeFilterValue(filter);
+
+    const { values: artworkValues, errors } = validateArtworkFields(extras);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
+    }
+    const otherExtras = { ...extras };
+    ARTWORK_FIELD_NAMES.forEach(field => delete otherExtras[field]);
     
     // Get image dimensions using sharp
     const imagePath = path.join(this.libraryPath, filename);
@@ -114,41 +404,42 @@ class MetadataHelper {
       throw new Error(`Invalid image file: ${filename}`);
     }
     
-    metadata.images[filename] = {
-      matte: normalizedMatte,
-      filter: normalizedFilter,
-      tags,
-      dimensions,
-      aspectRatio,
-      added: new Date().toISOString()
-    };
-
-    // Auto-add any new tags to the global tag library
-    if (tags && Array.isArray(tags)) {
-      if (!metadata.tags) {
-        metadata.tags = [];
+    return this.mutateMetadata(async metadata => {
+      if (beforeAdd) {
+        await beforeAdd(metadata);
       }
-      tags.forEach(tag => {
-        if (tag && !metadata.tags.includes(tag)) {
-          metadata.tags.push(tag);
+
+      const image = {
+        matte: normalizedMatte,
+        filter: normalizedFilter,
+        tags,
+        dimensions,
+        aspectRatio,
+        added: new Date().toISOString(),
+        ...otherExtras
+      };
+      for (const [field, value] of Object.entries(artworkValues)) {
+        if (value !== null) {
+          image[field] = value;
         }
-      });
-    }
+      }
+      metadata.images[filename] = image;
 
-    await this.writeMetadata(metadata);
-    return metadata.images[filename];
+      // Auto-add any new tags to the global tag library
+      if (tags && Array.isArray(tags)) {
+        addTagsToLibrary(metadata, tags);
+      }
+
+      return metadata.images[filename];
+    });
   }
 
   /**
    * Update existing image metadata
+   * Descriptive fields (ARTWORK_FIELDS) are validated; an empty value removes
+   * the field. Invalid values throw an Error with code VALIDATION_ERROR.
    */
   async updateImage(filename, updates) {
-    const metadata = await this.readMetadata();
-    
-    if (!metadata.images[filename]) {
-      throw new Error(`Image ${filename} not found in metadata`);
-    }
-
     const sanitizedUpdates = { ...updates };
     if (Object.prototype.hasOwnProperty.call(sanitizedUpdates, 'matte')) {
       sanitizedUpdates.matte = normalizeMatteValue(sanitizedUpdates.matte);
@@ -157,29 +448,44 @@ class MetadataHelper {
       sanitizedUpdates.filter = normalizeFilterValue(sanitizedUpdates.filter);
     }
 
-    metadata.images[filename] = {
-      ...metadata.images[filename],
-      ...sanitizedUpdates,
-      updated: new Date().toISOString()
-    };
+    const { values: artworkValues, errors } = validateArtworkFields(sanitizedUpdates);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
+    }
+    ARTWORK_FIELD_NAMES.forEach(field => delete sanitizedUpdates[field]);
 
-    // Auto-add any new tags to the global tag library
-    if (updates.tags && Array.isArray(updates.tags)) {
-      if (!metadata.tags) {
-        metadata.tags = [];
+    return this.mutateMetadata(async metadata => {
+      if (!metadata.images[filename]) {
+        throw new Error(`Image ${filename} not found in metadata`);
       }
-      updates.tags.forEach(tag => {
-        if (tag && !metadata.tags.includes(tag)) {
-          metadata.tags.push(tag);
+
+      const image = {
+        ...metadata.images[filename],
+        ...sanitizedUpdates,
+        updated: new Date().toISOString()
+      };
+      for (const [field, value] of Object.entries(artworkValues)) {
+        if (value === null) {
+          delete image[field];
+        } else {
+          image[field] = value;
         }
-      });
-    }
+      }
+      metadata.images[filename] = image;
 
-    // Clean up unused tags from global list
-    await this.cleanupUnusedTags(metadata);
+      // Auto-add any new tags to the global tag library
+      if (updates.tags && Array.isArray(updates.tags)) {
+        addTagsToLibrary(metadata, updates.tags);
+      }
 
-    await this.writeMetadata(metadata);
-    return metadata.images[filename];
+      // Clean up unused tags from global list
+      await this.cleanupUnusedTags(metadata);
+
+      return metadata.images[filename];
+    });
   }
 
   /**
@@ -189,42 +495,36 @@ class MetadataHelper {
    * @returns {Object} Results with success/failure counts
    */
   async batchAddTag(filenames, tag) {
-    const metadata = await this.readMetadata();
-    const results = { success: 0, skipped: 0, notFound: [] };
-    const now = new Date().toISOString();
+    // Single write operation for all changes
+    return this.mutateMetadata(metadata => {
+      const results = { success: 0, skipped: 0, notFound: [] };
+      const now = new Date().toISOString();
 
-    for (const filename of filenames) {
-      if (!metadata.images[filename]) {
-        results.notFound.push(filename);
-        continue;
-      }
+      for (const filename of filenames) {
+        if (!metadata.images[filename]) {
+          results.notFound.push(filename);
+          continue;
+        }
 
-      const image = metadata.images[filename];
-      if (!image.tags) {
-        image.tags = [];
-      }
+        const image = metadata.images[filename];
+        if (!image.tags) {
+          image.tags = [];
+        }
 
-      if (image.tags.includes(tag)) {
-        results.skipped++;
-      } else {
-        image.tags.push(tag);
-        image.updated = now;
-        results.success++;
+        if (image.tags.includes(tag)) {
+          results.skipped++;
+        } else {
+          image.tags.push(tag);
+          image.updated = now;
+          results.success++;
+        }
       }
-    }
-
-    // Add tag to global tag library if not present
-    if (!metadata.tags) {
-      metadata.tags = [];
-    }
-    if (!metadata.tags.includes(tag)) {
-      metadata.tags.push(tag);
-    }
 
-    // Single write operation for all changes
-    await this.writeMetadata(metadata);
+      // Add tag to global tag library if not present
+      addTagsToLibrary(metadata, [tag]);
 
-    return results;
+      return results;
+    });
   }
 
   /**
@@ -234,90 +534,128 @@ class MetadataHelper {
    * @returns {Object} Results with success/failure counts
    */
   async batchRemoveTag(filenames, tag) {
-    const metadata = await this.readMetadata();
-    const results = { success: 0, skipped: 0, notFound: [] };
-    const now = new Date().toISOString();
+    // Single write operation for all changes
+    return this.mutateMetadata(async metadata => {
+      const results = { success: 0, skipped: 0, notFound: [] };
+      const now = new Date().toISOString();
 
-    for (const filename of filenames) {
-      if (!metadata.images[filename]) {
-        results.notFound.push(filename);
-        continue;
-      }
+      for (const filename of filenames) {
+        if (!metadata.images[filename]) {
+          results.notFound.push(filename);
+          continue;
+        }
 
-      const image = metadata.images[filename];
-      if (!image.tags || !image.tags.includes(tag)) {
-        results.skipped++;
-      } else {
-        image.tags = image.tags.filter(t => t !== tag);
-        image.updated = now;
-        results.success++;
+        const image = metadata.images[filename];
+        if (!image.tags || !image.tags.includes(tag)) {
+          results.skipped++;
+        } else {
+          image.tags = image.tags.filter(t => t !== tag);
+          image.updated = now;
+          results.success++;
+        }
       }
-    }
-
-    // Clean up unused tags from global list
-    await this.cleanupUnusedTags(metadata);
 
-    // Single write operation for all changes
-    await this.writeMetadata(metadata);
+      // Clean up unused tags from global list
+      await this.cleanupUnusedTags(metadata);
 
-    return results;
+      return results;
+    });
   }
 
   /**
    * Delete image entry from metadata
+   * @returns {Promise<Object>} The removed record
    */
   async deleteImage(filename) {
-    const metadata = await this.readMetadata();
-    
-    if (!metadata.images[filename]) {
-      throw new Error(`Image ${filename} not found in metadata`);
-    }
+    return this.mutateMetadata(async metadata => {
+      const record = metadata.images[filename];
+      if (!record) {
+        throw new Error(`Image ${filename} not found in metadata`);
+      }
 
-    delete metadata.images[filename];
+      // Returned as it was; the group is handed on without it
+      const removed = { ...record };
+      removeImageFromVariantGroup(metadata, filename);
+      delete metadata.images[filename];
+      removeImageFromCollections(metadata, filename);
+
+      // Clean up unused tags from global list
+      await this.cleanupUnusedTags(metadata);
+
+      return removed;
+    });
+  }
 
-    // Clean up unused tags from global list
-    await this.cleanupUnusedTags(metadata);
+  /**
+   * Put a previously deleted record back (trash restore)
+   * Tag library entries that were pruned with the image come back with their
+   * attributes. Throws CONFLICT if an image with that filename exists again.
+   * @param {string} filename
+   * @param {Object} record - Image record as it was when deleted
+   * @param {Object[]} [tagEntries] - Library entries for the record's tags
+   * @param {Object[]} [collections] - Collection memberships at delete time (see getImageMemberships)
+   */
+  async restoreImage(filename, record, tagEntries = [], collections = []) {
+    return this.mutateMetadata(metadata => {
+      if (metadata.images[filename]) {
+        const error = new Error(`Image ${filename} already exists in metadata`);
+        error.code = 'CONFLICT';
+        throw error;
+      }
 
-    await this.writeMetadata(metadata);
-    return true;
+      metadata.images[filename] = record;
+      metadata.tags = normalizeTagLibrary([...normalizeTagLibrary(metadata.tags), ...tagEntries]);
+      if (Array.isArray(record.tags)) {
+        addTagsToLibrary(metadata, record.tags);
+      }
+      restoreImageToCollections(metadata, filename, collections);
+      restoreImageToVariantGroup(metadata, filename);
+      return record;
+    });
   }
 
   /**
    * Rename image in metadata
    */
   async renameImage(oldFilename, newFilename) {
-    const metadata = await this.readMetadata();
-    
-    if (!metadata.images[oldFilename]) {
-      throw new Error(`Image ${oldFilename} not found in metadata`);
-    }
-    
-    if (metadata.images[newFilename]) {
-      throw new Error(`Image ${newFilename} already exists in metadata`);
-    }
-    
-    // Copy the metadata to the new filename and update timestamp
-    metadata.images[newFilename] = {
-      ...metadata.images[oldFilename],
-      updated: new Date().toISOString()
-    };
-    
-    // Delete the old entry
-    delete metadata.images[oldFilename];
-    
-    await this.writeMetadata(metadata);
-    return metadata.images[newFilename];
+    return this.mutateMetadata(metadata => {
+      if (!metadata.images[oldFilename]) {
+        throw new Error(`Image ${oldFilename} not found in metadata`);
+      }
+      
+      if (metadata.images[newFilename]) {
+        throw new Error(`Image ${newFilename} already exists in metadata`);
+      }
+      
+      // Copy the metadata to the new filename and update timestamp
+      metadata.images[newFilename] = {
+        ...metadata.images[oldFilename],
+        updated: new Date().toISOString()
+      };
+      // The caller moves the kept upload of a converted image along with the library file
+      if (metadata.images[newFilename].conversion) {
+        metadata.images[newFilename].conversion = renameConversionSource(metadata.images[newFilename].conversion, newFilename);
+      }
+      
+      // Delete the old entry
+      delete metadata.images[oldFilename];
+      renameImageInCollections(metadata, oldFilename, newFilename);
+      renameImageInVariantGroups(metadata, oldFilename, newFilename);
+      
+      return metadata.images[newFilename];
+    });
   }
 
   /**
    * Get images by tag
+   * Hierarchical: "season" also returns images tagged "season/winter/christmas".
    */
   async getImagesByTag(tag) {
-    const metadata = await this.readMetadata();
+    const { images } = await this.getLibrarySnapshot();
     const results = {};
 
-    for (const [filename, data] of Object.entries(metadata.images)) {
-      if (data.tags && data.tags.includes(tag)) {
+    for (const [filename, data] of Object.entries(images)) {
+      if (hasTag(data.tags, tag)) {
         results[filename] = data;
       }
     }
@@ -326,28 +664,19 @@ class MetadataHelper {
   }
 
   /**
-   * Get all images
+   * Get all images, enriched with fileSize and hasBackup
+   * Served from the shared LibraryIndex - do not mutate the returned records.
    */
   async getAllImages() {
-    const metadata = await this.readMetadata();
-    
-    // Enrich each image with file size from disk
-    const enrichedImages = {};
-    for (const [filename, imageData] of Object.entries(metadata.images)) {
-      const imagePath = path.join(this.libraryPath, filename);
-      try {
-        const stats = await fs.stat(imagePath);
-        enrichedImages[filename] = {
-          ...imageData,
-          fileSize: stats.size // Add file size in bytes
-        };
-      } catch (error) {
-        // If file doesn't exist on disk, just use metadata
-        enrichedImages[filename] = imageData;
-      }
-    }
-    
-    return enrichedImages;
+    const { images } = await this.getLibrarySnapshot();
+    return images;
+  }
+
+  /**
+   * Get the cached library snapshot ({ images, etag, builtAt })
+   */
+  async getLibrarySnapshot() {
+    return LibraryIndex.for(this.frameArtPath).getSnapshot();
   }
 
   /**
@@ -374,6 +703,36 @@ class MetadataHelper {
     }
   }
 
+  /**
+   * Regenerate thumbnails one image at a time
+   * @param {string[]|null} [filenames] - Defaults to every image in metadata
+   * @param {Object} [options]
+   * @param {Job} [options.job] - Progress per image; cancelling stops after the current one
+   * @returns {Promise<{regenerated: number, failed: Array<{filename: string, error: string}>}>}
+   */
+  async regenerateThumbnails(filenames = null, { job } = {}) {
+    const targets = filenames || Object.keys((await this.readMetadata()).images || {}).sort();
+    const failed = [];
+    let regenerated = 0;
+
+    job?.step('Generating thumbnails', { total: targets.length });
+    for (const [index, filename] of targets.entries()) {
+      if (job?.cancelled) {
+        break;
+      }
+      job?.progress(index, targets.length, filename);
+      try {
+        await this.generateThumbnail(filename);
+        regenerated++;
+      } catch (error) {
+        failed.push({ filename, error: error.message });
+      }
+    }
+    job?.progress(regenerated + failed.length, targets.length);
+
+    return { regenerated, failed };
+  }
+
   /**
    * Verify sync between files and metadata
    */
@@ -388,9 +747,7 @@ class MetadataHelper {
     try {
       // Get all files in library directory
       const files = await fs.readdir(this.libraryPath);
-      const imageFiles = files.filter(f => 
-        /\.(jpg|jpeg|png|gif|webp)$/i.test(f)
-      );
+      const imageFiles = files.filter(isLibraryImageFile);
 
       // Check metadata entries against disk
       for (const filename of Object.keys(metadata.images)) {
@@ -417,53 +774,259 @@ class MetadataHelper {
 
   /**
    * Add a tag to the library
+   * @param {string} tagName
+   * @param {Object} [attributes] - Optional color/description/aliases/pinned (see updateTagAttributes)
+   * @returns {Promise<string[]>} All tag names
    */
-  async addTag(tagName) {
-    const metadata = await this.readMetadata();
-    
-    if (!metadata.tags) {
-      metadata.tags = [];
+  async addTag(tagName, attributes = {}) {
+    const { values, errors } = validateTagAttributes(attributes);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
     }
 
-    if (!metadata.tags.includes(tagName)) {
-      metadata.tags.push(tagName);
-      await this.writeMetadata(metadata);
+    return this.mutateMetadata(metadata => {
+      addTagsToLibrary(metadata, [tagName]);
+      const entry = metadata.tags.find(tag => tag.name === tagName.trim());
+      if (entry) {
+        this.applyTagAttributes(metadata, entry, values);
+      }
+      return getTagNames(metadata.tags);
+    });
+  }
+
+  /**
+   * Set a tag's color, description, aliases or pinned flag
+   * Tags that are in use (directly or through a descendant) but missing from the
+   * library get an entry. Null/empty values remove the attribute. Throws
+   * VALIDATION_ERROR for bad values and NOT_FOUND for unknown tags.
+   * @param {string} tagName
+   * @param {Object} attributes
+   * @returns {Promise<Object>} The updated tag entry
+   */
+  async updateTagAttributes(tagName, attributes = {}) {
+    const name = typeof tagName === 'string' ? tagName.trim() : '';
+    const { values, errors } = validateTagAttributes(attributes);
+    if (!name) {
+      errors.unshift('Tag name is required');
+    }
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
+    }
+
+    return this.mutateMetadata(metadata => {
+      metadata.tags = normalizeTagLibrary(metadata.tags);
+      let entry = metadata.tags.find(tag => tag.name === name);
+      if (!entry) {
+        const inUse = Object.values(metadata.images).some(image => hasTag(image.tags, name));
+        if (!inUse) {
+          const error = new Error(`Tag not found: ${name}`);
+          error.code = 'NOT_FOUND';
+          throw error;
+        }
+        entry = { name };
+        metadata.tags.push(entry);
+      }
+
+      this.applyTagAttributes(metadata, entry, values);
+      return { ...entry };
+    });
+  }
+
+  /**
+   * Apply validated tag attributes to a library entry
+   * Aliases that name another tag (or another tag's alias) are rejected so
+   * keyword matching stays unambiguous.
+   * Note: This modifies the entry passed to it
+   */
+  applyTagAttributes(metadata, entry, values) {
+    if (values.aliases) {
+      const taken = new Map();
+      for (const other of metadata.tags) {
+        if (other === entry) continue;
+        taken.set(other.name.toLowerCase(), other.name);
+        (other.aliases || []).forEach(alias => taken.set(alias.toLowerCase(), other.name));
+      }
+      const conflicts = values.aliases.filter(alias => taken.has(alias.toLowerCase()));
+      if (conflicts.length > 0) {
+        const error = new Error(
+          `Alias already used by another tag: ${conflicts.map(alias => `${alias} (${taken.get(alias.toLowerCase())})`).join(', ')}`
+        );
+        error.code = 'VALIDATION_ERROR';
+        throw error;
+      }
+      // An alias equal to the tag itself adds nothing
+      values = { ...values, aliases: values.aliases.filter(alias => alias.toLowerCase() !== entry.name.toLowerCase()) };
+      if (values.aliases.length === 0) {
+        values.aliases = null;
+      }
     }
 
-    return metadata.tags;
+    for (const [attribute, value] of Object.entries(values)) {
+      if (value === null) {
+        delete entry[attribute];
+      } else {
+        entry[attribute] = value;
+      }
+    }
+    return entry;
   }
 
   /**
    * Remove a tag from the library (and all images)
+   * @returns {Promise<string[]>} Remaining tag names
    */
   async removeTag(tagName) {
-    const metadata = await this.readMetadata();
-    
-    // Remove from tag list
-    metadata.tags = (metadata.tags || []).filter(t => t !== tagName);
-    
-    // Remove from all images
-    for (const filename of Object.keys(metadata.images)) {
-      if (metadata.images[filename].tags) {
-        metadata.images[filename].tags = metadata.images[filename].tags.filter(t => t !== tagName);
+    return this.mutateMetadata(metadata => {
+      // Remove from tag list
+      metadata.tags = normalizeTagLibrary(metadata.tags).filter(t => t.name !== tagName);
+      
+      // Remove from all images
+      for (const filename of Object.keys(metadata.images)) {
+        if (metadata.images[filename].tags) {
+          metadata.images[filename].tags = metadata.images[filename].tags.filter(t => t !== tagName);
+        }
       }
+
+      return getTagNames(metadata.tags);
+    });
+  }
+
+  /**
+   * Rename a tag on every image (single write, single commit)
+   * Hierarchical descendants move with it: renaming "season" to "seasons" also
+   * turns "season/winter" into "seasons/winter".
+   * @param {string} oldName
+   * @param {string} newName
+   * @returns {Promise<{result: {renamed: Object, images: string[]}, message: string, committed: boolean}>}
+   */
+  async renameTag(oldName, newName) {
+    return this.replaceTags([oldName], newName, 'rename');
+  }
+
+  /**
+   * Merge several tags into one on every image (single write, single commit)
+   * e.g. Beach, beach, Beaches -> Beach. The target may be one of the sources.
+   * @param {string[]} sourceTags
+   * @param {string} targetTag
+   * @returns {Promise<{result: {renamed: Object, images: string[]}, message: string, committed: boolean}>}
+   */
+  async mergeTags(sourceTags, targetTag) {
+    return this.replaceTags(sourceTags, targetTag, 'merge');
+  }
+
+  /**
+   * Shared implementation of renameTag/mergeTags
+   * Throws VALIDATION_ERROR for bad names and NOT_FOUND for unknown source tags.
+   */
+  async replaceTags(sourceTags, targetTag, operation) {
+    const target = typeof targetTag === 'string' ? targetTag.trim() : '';
+    const sources = [...new Set((Array.isArray(sourceTags) ? sourceTags : [])
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim())
+      .filter(Boolean))];
+
+    const fail = (message, code = 'VALIDATION_ERROR') => {
+      const error = new Error(message);
+      error.code = code;
+      throw error;
+    };
+
+    if (!target) {
+      fail('New tag name is required');
+    }
+    if (sources.length === 0) {
+      fail(`At least one tag to ${operation} is required`);
+    }
+    // Merging "Beach" into "Beach" is a no-op for that source
+    const replaced = sources.filter(tag => tag !== target);
+    if (replaced.length === 0) {
+      fail(`Tag "${target}" already has that name`);
     }
 
-    await this.writeMetadata(metadata);
-    return metadata.tags;
+    return this.mutateMetadataWithCommit(metadata => {
+      metadata.tags = normalizeTagLibrary(metadata.tags);
+      const known = new Set(getTagNames(metadata.tags));
+      for (const image of Object.values(metadata.images)) {
+        (image.tags || []).forEach(tag => known.add(tag));
+      }
+      const missing = replaced.filter(tag => ![...known].some(existing => tagMatches(existing, tag)));
+      if (missing.length > 0) {
+        fail(`Tag not found: ${missing.join(', ')}`, 'NOT_FOUND');
+      }
+
+      // Longest source first so "a/b" wins over "a" for "a/b/c"
+      const ordered = [...replaced].sort((a, b) => b.length - a.length);
+      const renamed = {};
+      const rewrite = tag => {
+        const source = ordered.find(candidate => tagMatches(tag, candidate));
+        if (!source) {
+          return tag;
+        }
+        const next = target + tag.slice(source.length);
+        renamed[tag] = next;
+        return next;
+      };
+
+      const now = new Date().toISOString();
+      const images = [];
+      for (const [filename, image] of Object.entries(metadata.images)) {
+        if (!image.tags || !image.tags.some(tag => ordered.some(source => tagMatches(tag, source)))) {
+          continue;
+        }
+        image.tags = [...new Set(image.tags.map(rewrite))];
+        image.updated = now;
+        images.push(filename);
+      }
+
+      // Renamed library entries keep their attributes; entries that collapse
+      // into one name are combined, with the target's own entry taking precedence
+      const entries = new Map();
+      for (const entry of metadata.tags) {
+        const name = rewrite(entry.name);
+        const existing = entries.get(name);
+        if (!existing) {
+          entries.set(name, { ...entry, name });
+        } else {
+          entries.set(name, entry.name === name ? mergeTagEntries(entry, existing) : mergeTagEntries(existing, entry));
+        }
+      }
+      metadata.tags = Array.from(entries.values());
+      if (images.length > 0) {
+        addTagsToLibrary(metadata, [target]);
+      }
+
+      return { operation, sources: replaced, target, renamed, images };
+    }, formatTagReplacementMessage);
   }
 
   /**
-   * Get all tags
+   * Get all tag names
    */
   async getAllTags() {
     const metadata = await this.readMetadata();
-    return metadata.tags || [];
+    return getTagNames(metadata.tags);
+  }
+
+  /**
+   * Get the tag library: one { name, color?, description?, aliases?, pinned? }
+   * object per tag (legacy string lists are converted on read)
+   */
+  async getTagLibrary() {
+    const metadata = await this.readMetadata();
+    return normalizeTagLibrary(metadata.tags);
   }
 
   /**
    * Clean up unused tags from global tag list
-   * Removes tags that are not used by any image entry
+   * Removes tags that are not used by any image entry. Pinned tags are kept,
+   * and so are parents whose descendants are in use ("season" stays while an
+   * image is tagged "season/winter").
    * Note: This method modifies the metadata object passed to it
    */
   async cleanupUnusedTags(metadata) {
@@ -479,9 +1042,10 @@ class MetadataHelper {
       }
     }
 
-    // Filter global tags to only include those in use
-    const originalLength = metadata.tags.length;
-    metadata.tags = metadata.tags.filter(tag => tagsInUse.has(tag));
+    // Filter global tags to only include those in use (or pinned)
+    const library = normalizeTagLibrary(metadata.tags);
+    const originalLength = library.length;
+    metadata.tags = library.filter(entry => entry.pinned || hasTag(tagsInUse, entry.name));
 
     // Log if any tags were removed
     const removedCount = originalLength - metadata.tags.length;
@@ -490,6 +1054,301 @@ class MetadataHelper {
     }
   }
 
+  // ============================================
+  // Collections (see collection_helper.js)
+  // ============================================
+
+  /**
+   * All collections, sorted by name
+   * @returns {Promise<Object[]>} [{ id, name, description, cover, images, created, updated }]
+   */
+  async getCollections() {
+    const metadata = await this.readMetadata();
+    const collections = metadata.collections && typeof metadata.collections === 'object' ? metadata.collections : {};
+    return Object.entries(collections)
+      .map(([id, record]) => toCollection(id, record))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * One collection; throws NOT_FOUND for unknown ids
+   */
+  async getCollection(id) {
+    const metadata = await this.readMetadata();
+    return toCollection(id, this.findCollection(metadata, id));
+  }
+
+  /**
+   * Create a collection
+   * Throws VALIDATION_ERROR for bad fields or unknown images and CONFLICT when
+   * another collection already has the name (case-insensitive).
+   * @param {Object} input - { name, description?, cover?, images? }
+   * @returns {Promise<Object>} The new collection
+   */
+  async createCollection(input = {}) {
+    const { values, errors } = validateCollectionInput(input);
+    throwIfInvalid(errors);
+
+    return this.mutateMetadata(metadata => {
+      const collections = ensureCollections(metadata);
+      this.assertCollectionNameAvailable(metadata, values.name);
+      const images = values.images || [];
+      this.assertImagesExist(metadata, images);
+
+      const now = new Date().toISOString();
+      const id = generateCollectionId(collections);
+      const record = { name: values.name, images, created: now, updated: now };
+      if (values.description) {
+        record.description = values.description;
+      }
+      this.applyCollectionCover(record, values.cover);
+      collections[id] = record;
+      return toCollection(id, record);
+    });
+  }
+
+  /**
+   * Update a collection's name, description, cover or image order
+   * `images` replaces the whole list (reordering); use
+   * addImagesToCollection/removeImagesFromCollection for membership changes.
+   * @returns {Promise<Object>} The updated collection
+   */
+  async updateCollection(id, updates = {}) {
+    const { values, errors } = validateCollectionInput(updates, { partial: true });
+    throwIfInvalid(errors);
+
+    return this.mutateMetadata(metadata => {
+      const record = this.findCollection(metadata, id);
+      if (values.name !== undefined && values.name !== record.name) {
+        this.assertCollectionNameAvailable(metadata, values.name, id);
+        record.name = values.name;
+      }
+      if (values.description !== undefined) {
+        if (values.description) {
+          record.description = values.description;
+        } else {
+          delete record.description;
+        }
+      }
+      if (values.images !== undefined) {
+        this.assertImagesExist(metadata, values.images);
+        record.images = values.images;
+        if (record.cover && !record.images.includes(record.cover)) {
+          delete record.cover;
+        }
+      }
+      this.applyCollectionCover(record, values.cover);
+      record.updated = new Date().toISOString();
+      return toCollection(id, record);
+    });
+  }
+
+  /**
+   * Delete a collection (its images are untouched)
+   * @returns {Promise<Object>} The deleted collection
+   */
+  async deleteCollection(id) {
+    return this.mutateMetadata(metadata => {
+      const record = this.findCollection(metadata, id);
+      delete metadata.collections[id];
+      return toCollection(id, record);
+    });
+  }
+
+  /**
+   * Add images to a collection, skipping ones already in it
+   * @param {string} id
+   * @param {string[]} filenames
+   * @param {Object} [options]
+   * @param {number} [options.position] - Insert at this index (default: append)
+   * @returns {Promise<{collection: Object, added: string[]}>}
+   */
+  async addImagesToCollection(id, filenames, { position } = {}) {
+    const list = normalizeFilenameList(filenames);
+    throwIfInvalid(!list || list.length === 0 ? ['Filenames must be a non-empty list'] : []);
+
+    return this.mutateMetadata(metadata => {
+      const record = this.findCollection(metadata, id);
+      this.assertImagesExist(metadata, list);
+      const added = list.filter(filename => !record.images.includes(filename));
+      const index = Number.isInteger(position) ? Math.max(0, Math.min(position, record.images.length)) : record.images.length;
+      record.images.splice(index, 0, ...added);
+      if (added.length > 0) {
+        record.updated = new Date().toISOString();
+      }
+      return { collection: toCollection(id, record), added };
+    });
+  }
+
+  /**
+   * Remove images from a collection (the images themselves are untouched)
+   * @returns {Promise<{collection: Object, removed: string[]}>}
+   */
+  async removeImagesFromCollection(id, filenames) {
+    const list = normalizeFilenameList(filenames);
+    throwIfInvalid(!list || list.length === 0 ? ['Filenames must be a non-empty list'] : []);
+
+    return this.mutateMetadata(metadata => {
+      const record = this.findCollection(metadata, id);
+      const removed = list.filter(filename => record.images.includes(filename));
+      record.images = record.images.filter(filename => !list.includes(filename));
+      if (record.cover && !record.images.includes(record.cover)) {
+        delete record.cover;
+      }
+      if (removed.length > 0) {
+        record.updated = new Date().toISOString();
+      }
+      return { collection: toCollection(id, record), removed };
+    });
+  }
+
+  findCollection(metadata, id) {
+    const collections = metadata.collections && typeof metadata.collections === 'object' ? metadata.collections : {};
+    if (typeof id !== 'string' || !COLLECTION_ID_PATTERN.test(id) || !collections[id]) {
+      const error = new Error(`Collection not found: ${id}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    const record = collections[id];
+    if (!Array.isArray(record.images)) {
+      record.images = [];
+    }
+    return record;
+  }
+
+  assertCollectionNameAvailable(metadata, name, exceptId = null) {
+    const taken = Object.entries(ensureCollections(metadata))
+      .some(([id, record]) => id !== exceptId && String(record.name).toLowerCase() === name.toLowerCase());
+    if (taken) {
+      const error = new Error(`A collection named "${name}" already exists`);
+      error.code = 'CONFLICT';
+      throw error;
+    }
+  }
+
+  assertImagesExist(metadata, filenames) {
+    const unknown = filenames.filter(filename => !metadata.images[filename]);
+    throwIfInvalid(unknown.length > 0 ? [`Unknown image${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`] : []);
+  }
+
+  /**
+   * Set (or clear with null) a collection's cover; it must be one of its images
+   * Note: This modifies the record passed to it
+   */
+  applyCollectionCover(record, cover) {
+    if (cover === undefined) return;
+    if (cover === null) {
+      delete record.cover;
+      return;
+    }
+    throwIfInvalid(record.images.includes(cover) ? [] : [`Cover ${cover} is not in the collection`]);
+    record.cover = cover;
+  }
+
+  // ============================================
+  // Variant groups (see variant_helper.js)
+  // ============================================
+
+  /**
+   * All variant groups, sorted by primary
+   * @returns {Promise<Object[]>} [{ primary, variants, variantTags }]
+   */
+  async getVariantGroups() {
+    const metadata = await this.readMetadata();
+    return getVariantGroups(metadata.images || {});
+  }
+
+  /**
+   * The variant group an image belongs to (null when it is in none)
+   */
+  async getVariantGroup(filename) {
+    const metadata = await this.readMetadata();
+    this.findImage(metadata, filename);
+    return getVariantGroup(metadata.images, filename);
+  }
+
+  /**
+   * Link images as variants of a primary (see linkVariants in variant_helper.js)
+   * @param {string} primary
+   * @param {string[]} variants
+   * @param {Object} [options]
+   * @param {string} [options.variantTags] - 'shared' or 'per-variant' (default: keep the group's)
+   * @returns {Promise<Object>} The group
+   */
+  async linkVariants(primary, variants, { variantTags } = {}) {
+    const list = normalizeFilenameList(variants);
+    throwIfInvalid(!list || list.length === 0 ? ['Variants must be a non-empty list'] : []);
+
+    return this.mutateMetadata(metadata => {
+      this.findImage(metadata, primary);
+      this.assertImagesExist(metadata, list);
+      throwIfInvalid(linkVariants(metadata, primary, list, { variantTags }));
+      return getVariantGroup(metadata.images, primary);
+    });
+  }
+
+  /**
+   * Take an image out of its variant group
+   * A primary hands the group to its first variant. The image keeps its tags.
+   * @returns {Promise<{filename: string, group: Object|null}>} The group it left, as it is now
+   */
+  async unlinkVariant(filename) {
+    return this.mutateMetadata(metadata => {
+      this.findImage(metadata, filename);
+      const group = getVariantGroup(metadata.images, filename);
+      throwIfInvalid(group ? [] : [`${filename} is not in a variant group`]);
+      removeImageFromVariantGroup(metadata, filename);
+      const remaining = [group.primary, ...group.variants].find(member => member !== filename);
+      return { filename, group: getVariantGroup(metadata.images, remaining) };
+    });
+  }
+
+  /**
+   * Change a group's tag mode or primary
+   * @param {string} filename - Any member of the group
+   * @param {Object} updates
+   * @param {string} [updates.variantTags] - 'shared' or 'per-variant'
+   * @param {string} [updates.primary] - Member to make the primary
+   * @returns {Promise<Object>} The group
+   */
+  async updateVariantGroup(filename, { variantTags, primary } = {}) {
+    return this.mutateMetadata(metadata => {
+      this.findImage(metadata, filename);
+      const group = getVariantGroup(metadata.images, filename);
+      const members = group ? [group.primary, ...group.variants] : [];
+      const errors = [];
+      if (!group) {
+        errors.push(`${filename} is not in a variant group`);
+      }
+      if (variantTags !== undefined && !VARIANT_TAG_MODES.includes(variantTags)) {
+        errors.push(`variantTags must be one of: ${VARIANT_TAG_MODES.join(', ')}`);
+      }
+      if (group && primary !== undefined && !members.includes(primary)) {
+        errors.push(`${primary} is not in ${filename}'s variant group`);
+      }
+      throwIfInvalid(errors);
+
+      if (primary !== undefined) {
+        setGroupPrimary(metadata.images, group.primary, primary);
+      }
+      const current = getPrimaryFilename(metadata.images, filename);
+      if (variantTags !== undefined) {
+        setVariantTagMode(metadata.images, current, variantTags);
+      }
+      return getVariantGroup(metadata.images, current);
+    });
+  }
+
+  findImage(metadata, filename) {
+    const record = metadata.images?.[filename];
+    if (!record) {
+      const error = new Error(`Image ${filename} not found`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return record;
+  }
+
   /**
    * Get settings (with defaults)
    */
@@ -502,10 +1361,10 @@ class MetadataHelper {
    * Update settings
    */
   async updateSettings(updates) {
-    const metadata = await this.readMetadata();
-    metadata.settings = { ...DEFAULT_SETTINGS, ...metadata.settings, ...updates };
-    await this.writeMetadata(metadata);
-    return metadata.settings;
+    return this.mutateMetadata(metadata => {
+      metadata.settings = { ...DEFAULT_SETTINGS, ...metadata.settings, ...updates };
+      return metadata.settings;
+    });
   }
 
   /**
@@ -517,13 +1376,81 @@ class MetadataHelper {
     return `${nameWithoutExt}_original${ext}`;
   }
 
+  /**
+   * Resolve the file to read embedded EXIF/IPTC/XMP from
+   * Edits re-encode the library file and drop its metadata, so the
+   * untouched original backup is preferred when one exists.
+   * @returns {Promise<{path: string, source: string}>}
+   */
+  async getMetadataSourceFile(filename) {
+    const backupPath = path.join(this.originalsPath, this.getBackupFilename(filename));
+    try {
+      await fs.access(backupPath);
+      return { path: backupPath, source: 'original' };
+    } catch {
+      return { path: path.join(this.libraryPath, filename), source: 'library' };
+    }
+  }
+
+  /**
+   * Backfill embeddedMetadata for images that predate extraction on upload
+   * @param {Function} extract - async (filePath, source) => embeddedMetadata
+   * @returns {Promise<{updated: number, errors: string[]}>}
+   */
+  async ensureEmbeddedMetadata(extract) {
+    const metadata = await this.readMetadata();
+    const toUpdate = Object.keys(metadata.images || {}).filter(filename => !metadata.images[filename].embeddedMetadata);
+    const errors = [];
+
+    if (toUpdate.length === 0) {
+      return { updated: 0, errors };
+    }
+
+    console.log(`[EXIF] Extracting embedded metadata for ${toUpdate.length} image(s)...`);
+
+    // Same pattern as ensureSourceHashes: read files outside the lock, apply once
+    const extracted = {};
+    for (const filename of toUpdate) {
+      try {
+        const { path: sourcePath, source } = await this.getMetadataSourceFile(filename);
+        extracted[filename] = await extract(sourcePath, source);
+      } catch (error) {
+        errors.push(`${filename}: ${error.message}`);
+      }
+    }
+
+    let updated = 0;
+    if (Object.keys(extracted).length > 0) {
+      updated = await this.mutateMetadata(latest => {
+        let applied = 0;
+        for (const [filename, embeddedMetadata] of Object.entries(extracted)) {
+          const entry = latest.images[filename];
+          if (entry && !entry.embeddedMetadata) {
+            entry.embeddedMetadata = embeddedMetadata;
+            applied++;
+          }
+        }
+        return applied;
+      });
+      console.log(`[EXIF] Stored embedded metadata for ${updated} image(s)`);
+    }
+
+    if (errors.length > 0) {
+      console.warn(`[EXIF] Failed to read embedded metadata for ${errors.length} image(s):`, errors);
+    }
+
+    return { updated, errors };
+  }
+
   /**
    * Ensure all images have sourceHash (backfill on startup)
    * Computes hash from originals/ if backup exists, otherwise from library/
    * @param {Function} computeHash - async function(buffer) => hash string
+   * @param {Object} [options]
+   * @param {Job} [options.job] - Progress per image; cancelling keeps the hashes computed so far
    * @returns {Object} - { updated: number, errors: string[] }
    */
-  async ensureSourceHashes(computeHash) {
+  async ensureSourceHashes(computeHash, { job } = {}) {
     const metadata = await this.readMetadata();
     const images = metadata.images || {};
     let updated = 0;
@@ -537,7 +1464,15 @@ class MetadataHelper {
 
     console.log(`[HASH] Backfilling sourceHash for ${toUpdate.length} image(s)...`);
 
-    for (const [filename, data] of toUpdate) {
+    // Hashing is slow, so it runs against a snapshot outside the write lock;
+    // results are applied in one mutation afterwards.
+    const computed = {};
+    job?.step('Hashing images', { total: toUpdate.length });
+    for (const [index, [filename]] of toUpdate.entries()) {
+      if (job?.cancelled) {
+        break;
+      }
+      job?.progress(index, toUpdate.length, filename);
       try {
         // Check if original backup exists
         const backupFilename = this.getBackupFilename(filename);
@@ -553,17 +1488,26 @@ class MetadataHelper {
         }
 
         const buffer = await fs.readFile(sourcePath);
-        const hash = await computeHash(buffer);
-        
-        data.sourceHash = hash;
-        updated++;
+        computed[filename] = await computeHash(buffer);
       } catch (error) {
         errors.push(`${filename}: ${error.message}`);
       }
     }
 
-    if (updated > 0) {
-      await this.writeMetadata(metadata);
+    if (Object.keys(computed).length > 0) {
+      job?.step('Saving hashes');
+      updated = await this.mutateMetadata(latest => {
+        let applied = 0;
+        for (const [filename, hash] of Object.entries(computed)) {
+          const entry = latest.images[filename];
+          // Skip images deleted or hashed by someone else in the meantime
+          if (entry && !entry.sourceHash) {
+            entry.sourceHash = hash;
+            applied++;
+          }
+        }
+        return applied;
+      });
       console.log(`[HASH] Backfilled sourceHash for ${updated} image(s)`);
     }
 
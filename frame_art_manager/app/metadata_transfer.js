@@ -0,0 +1,434 @@
+const path = require('path');
+const MetadataHelper = require('./metadata_helper');
+const {
+  MATTE_TYPES,
+  FILTER_TYPES,
+  ARTWORK_FIELD_NAMES,
+  isMatteValidForPortrait,
+  validateArtworkFields
+} = require('./constants');
+const { addTagsToLibrary, normalizeTagLibrary, getTagNames } = require('./tag_helper');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Export column order; width/height/added are informational and ignored on import
+const EXPORT_COLUMNS = ['filename', 'tags', 'matte', 'filter', 'width', 'height', 'added', ...ARTWORK_FIELD_NAMES];
+const READ_ONLY_COLUMNS = new Set(['width', 'height', 'added', 'dimensions', 'aspectRatio', 'updated']);
+
+// Spreadsheet headers are matched case-insensitively ("SourceURL" -> sourceUrl)
+const COLUMN_LOOKUP = new Map(
+  [...EXPORT_COLUMNS, ...READ_ONLY_COLUMNS].map(column => [column.toLowerCase(), column])
+);
+
+// Tags in one CSV cell: "beach; summer" (commas work too)
+const TAG_SEPARATOR = '; ';
+const TAG_SPLIT_PATTERN = /[;,]/;
+
+// Commit message details beyond this are summarized as "… and N more"
+const MAX_MESSAGE_DETAILS = 20;
+
+/**
+ * Quote a CSV cell when it contains a delimiter, quote or line break (RFC 4180)
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows (arrays of cells) to CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, CRLF or LF, optional BOM)
+ * @returns {string[][]} Rows of cells; blank lines are skipped
+ * @throws {Error} VALIDATION_ERROR for an unterminated quoted cell
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw validationError(['CSV has an unterminated quoted value']);
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * One export row per image, sorted by filename
+ */
+function buildExportRows(images) {
+  return Object.keys(images).sort().map(filename => {
+    const record = images[filename];
+    const row = {
+      filename,
+      tags: Array.isArray(record.tags) ? [...record.tags] : [],
+      matte: record.matte || null,
+      filter: record.filter || null,
+      width: record.dimensions?.width ?? null,
+      height: record.dimensions?.height ?? null,
+      added: record.added || null
+    };
+    for (const field of ARTWORK_FIELD_NAMES) {
+      row[field] = record[field] ?? null;
+    }
+    return row;
+  });
+}
+
+/**
+ * Import content to row objects keyed by canonical column name
+ * CSV needs a header row with a filename column. JSON may be an export
+ * ({images: [...]}), a plain array of rows, or metadata.json-style
+ * {images: {filename: record}}.
+ * @returns {{rows: Object[], warnings: string[]}} Each row also carries its 1-based line/position as `row`
+ */
+function parseImport(content, format) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw validationError(['Import file is empty']);
+  }
+  return format === 'json' ? parseJsonImport(content) : parseCsvImport(content);
+}
+
+function parseCsvImport(content) {
+  const [header, ...lines] = parseCsv(content);
+  const warnings = [];
+  const columns = (header || []).map(name => {
+    const column = COLUMN_LOOKUP.get(name.trim().toLowerCase());
+    if (!column && name.trim()) {
+      warnings.push(`Ignored unknown column "${name.trim()}"`);
+    }
+    return column || null;
+  });
+  if (!columns.includes('filename')) {
+    throw validationError(['CSV needs a header row with a "filename" column']);
+  }
+
+  const rows = lines.map((cells, index) => {
+    const row = { row: index + 2 };
+    columns.forEach((column, position) => {
+      if (column && !READ_ONLY_COLUMNS.has(column)) {
+        row[column] = (cells[position] ?? '').trim();
+      }
+    });
+    return row;
+  });
+  return { rows, warnings };
+}
+
+function parseJsonImport(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw validationError([`Invalid JSON: ${error.message}`]);
+  }
+
+  let items = Array.isArray(data) ? data : data?.images;
+  if (items && !Array.isArray(items) && typeof items === 'object') {
+    items = Object.entries(items).map(([filename, record]) => ({ ...record, filename }));
+  }
+  if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw validationError(['JSON must be a list of images or an object with an "images" list']);
+  }
+
+  const unknown = new Set();
+  const rows = items.map((item, index) => {
+    const row = { row: index + 1 };
+    for (const [key, value] of Object.entries(item)) {
+      const column = COLUMN_LOOKUP.get(key.toLowerCase());
+      if (!column) {
+        unknown.add(key);
+      } else if (!READ_ONLY_COLUMNS.has(column)) {
+        row[column] = value;
+      }
+    }
+    return row;
+  });
+  return { rows, warnings: [...unknown].map(key => `Ignored unknown field "${key}"`) };
+}
+
+function parseTagCell(value) {
+  const list = Array.isArray(value)
+    ? value
+    : value === null || value === undefined ? [] : String(value).split(TAG_SPLIT_PATTERN);
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+function sameTags(a = [], b = []) {
+  return a.length === b.length && a.every(tag => b.includes(tag));
+}
+
+/**
+ * Work out what an import would change
+ * Empty matte/filter cells leave the value as is; empty tags or descriptive
+ * cells clear them. Rows with problems are reported and never applied.
+ * @param {Object} images - metadata.images
+ * @param {Object[]} rows - From parseImport
+ * @returns {{changes: Array<{filename: string, fields: Object}>, unchanged: number, errors: Array<{row: number, filename: ?string, error: string}>}}
+ *   fields maps each changed field to { from, to } (null = absent)
+ */
+function planImport(images, rows) {
+  const changes = [];
+  const errors = [];
+  const seen = new Set();
+  let unchanged = 0;
+
+  for (const row of rows) {
+    const filename = typeof row.filename === 'string' ? row.filename.trim() : '';
+    const fail = error => errors.push({ row: row.row, filename: filename || null, error });
+    if (!filename) {
+      fail('Missing filename');
+      continue;
+    }
+    if (seen.has(filename)) {
+      fail('Filename appears more than once');
+      continue;
+    }
+    seen.add(filename);
+    const record = images[filename];
+    if (!record) {
+      fail('Image is not in the library');
+      continue;
+    }
+
+    const problems = [];
+    const next = {};
+    if (row.tags !== undefined) {
+      const tags = parseTagCell(row.tags);
+      if (!sameTags(record.tags, tags)) next.tags = tags;
+    }
+    if (row.matte !== undefined && row.matte !== null && String(row.matte).trim()) {
+      const matte = MATTE_TYPES.find(option => option.toLowerCase() === String(row.matte).trim().toLowerCase());
+      const dimensions = record.dimensions || {};
+      if (!matte) {
+        problems.push(`Unknown matte: ${row.matte}`);
+      } else if (dimensions.height > dimensions.width && !isMatteValidForPortrait(matte)) {
+        problems.push(`Matte ${matte} is not available for portrait images`);
+      } else if (matte !== record.matte) {
+        next.matte = matte;
+      }
+    }
+    if (row.filter !== undefined && row.filter !== null && String(row.filter).trim()) {
+      const filter = FILTER_TYPES.find(option => option.toLowerCase() === String(row.filter).trim().toLowerCase());
+      if (!filter) {
+        problems.push(`Unknown filter: ${row.filter}`);
+      } else if (filter !== record.filter) {
+        next.filter = filter;
+      }
+    }
+    const artworkInput = Object.fromEntries(ARTWORK_FIELD_NAMES.filter(field => row[field] !== undefined).map(field => [field, row[field]]));
+    const { values, errors: fieldErrors } = validateArtworkFields(artworkInput);
+    problems.push(...fieldErrors);
+    for (const [field, value] of Object.entries(values)) {
+      if ((record[field] ?? null) !== value) next[field] = value;
+    }
+
+    if (problems.length > 0) {
+      problems.forEach(fail);
+      continue;
+    }
+    if (Object.keys(next).length === 0) {
+      unchanged++;
+      continue;
+    }
+
+    const fields = {};
+    for (const [field, to] of Object.entries(next)) {
+      fields[field] = { from: record[field] ?? null, to };
+    }
+    changes.push({ filename, fields });
+  }
+
+  return { changes, unchanged, errors };
+}
+
+/**
+ * MetadataTransfer - spreadsheet-friendly export and import of image metadata
+ *
+ * Export writes every image as a CSV row or JSON object. Import matches rows
+ * by filename, validates mattes, filters and descriptive fields, and can be
+ * previewed as a per-image diff; applying it is one metadata write and one
+ * semantic commit, and only happens when every row is valid.
+ */
+class MetadataTransfer {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.helper = new MetadataHelper(frameArtPath);
+  }
+
+  /**
+   * @param {string} format - csv or json
+   * @returns {Promise<string>} File content
+   */
+  async exportLibrary(format) {
+    const metadata = await this.helper.readMetadata();
+    const rows = buildExportRows(metadata.images || {});
+    if (format === 'json') {
+      return JSON.stringify({ exported: new Date().toISOString(), images: rows }, null, 2);
+    }
+    const lines = rows.map(row => EXPORT_COLUMNS.map(column => (
+      column === 'tags' ? row.tags.join(TAG_SEPARATOR) : row[column]
+    )));
+    // BOM so spreadsheet apps read the file as UTF-8
+    return '\ufeff' + toCsv([EXPORT_COLUMNS, ...lines]);
+  }
+
+  /**
+   * What an import would change, without writing anything
+   * @returns {Promise<{changes: Object[], unchanged: number, errors: Object[], warnings: string[]}>}
+   */
+  async previewImport(content, format) {
+    const { rows, warnings } = parseImport(content, format);
+    const metadata = await this.helper.readMetadata();
+    return { ...planImport(metadata.images || {}, rows), warnings };
+  }
+
+  /**
+   * Apply an import (one write, one commit)
+   * The plan is recomputed against the current metadata under the lock.
+   * Throws VALIDATION_ERROR (with per-row details) if any row is invalid.
+   * @returns {Promise<{result: Object, message: string|null, committed: boolean}>}
+   *   result has the plan plus `inverse` (see journal_helper.js)
+   */
+  async applyImport(content, format, { filename = 'import' } = {}) {
+    const { rows, warnings } = parseImport(content, format);
+    const preview = planImport((await this.helper.readMetadata()).images || {}, rows);
+    if (preview.errors.length > 0) {
+      throw validationError(preview.errors.map(formatRowError));
+    }
+    if (preview.changes.length === 0) {
+      return { result: { ...preview, warnings, inverse: null }, message: null, committed: false };
+    }
+
+    const GitHelper = require('./git_helper');
+    const git = new GitHelper(this.frameArtPath);
+    return this.helper.mutateMetadataWithCommit(async metadata => {
+      const plan = planImport(metadata.images, rows);
+      if (plan.errors.length > 0) {
+        throw validationError(plan.errors.map(formatRowError));
+      }
+
+      const tagLibrary = normalizeTagLibrary(metadata.tags);
+      const now = new Date().toISOString();
+      for (const { filename: image, fields } of plan.changes) {
+        const record = { ...metadata.images[image], updated: now };
+        for (const [field, { to }] of Object.entries(fields)) {
+          if (to === null) {
+            delete record[field];
+          } else {
+            record[field] = to;
+          }
+        }
+        metadata.images[image] = record;
+        if (fields.tags) {
+          addTagsToLibrary(metadata, fields.tags.to);
+        }
+      }
+      await this.helper.cleanupUnusedTags(metadata);
+
+      const remaining = new Set(getTagNames(metadata.tags));
+      const inverse = {
+        changes: plan.changes.map(({ filename: image, fields }) => ({
+          filename: image,
+          before: Object.fromEntries(Object.entries(fields).map(([field, { from }]) => [field, from])),
+          after: Object.fromEntries(Object.entries(fields).map(([field, { to }]) => [field, to]))
+        })),
+        tagEntries: tagLibrary.filter(entry => !remaining.has(entry.name))
+      };
+      return { ...plan, warnings, inverse, source: filename };
+    }, result => formatImportMessage(result, git));
+  }
+}
+
+function formatRowError({ row, filename, error }) {
+  return `Row ${row}${filename ? ` (${filename})` : ''}: ${error}`;
+}
+
+/**
+ * e.g. "imported metadata from tags.csv for 12 images (tags, matte)" with
+ * per-image details in the usual sync wording
+ */
+function formatImportMessage({ changes, source }, git) {
+  const fieldNames = [...new Set(changes.flatMap(change => Object.keys(change.fields)))];
+  const count = `${changes.length} image${changes.length === 1 ? '' : 's'}`;
+  const summary = `imported metadata from ${path.basename(source)} for ${count} (${fieldNames.join(', ')})`;
+
+  const details = changes.flatMap(({ filename, fields }) => {
+    const before = fields.tags?.from || [];
+    const after = fields.tags?.to || before;
+    const properties = ['matte', 'filter'].filter(field => fields[field]);
+    const fieldChanges = ARTWORK_FIELD_NAMES
+      .filter(field => fields[field])
+      .map(field => ({ field, ...fields[field] }));
+    return git.formatImageChanges(
+      filename,
+      after.filter(tag => !before.includes(tag)),
+      before.filter(tag => !after.includes(tag)),
+      properties,
+      fieldChanges
+    ).map(line => line.trim());
+  });
+
+  const shown = details.slice(0, MAX_MESSAGE_DETAILS);
+  if (details.length > shown.length) {
+    shown.push(`… and ${details.length - shown.length} more`);
+  }
+  return [summary, ...shown].join(' -- ');
+}
+
+function validationError(details) {
+  const error = new Error(details.join('; '));
+  error.code = 'VALIDATION_ERROR';
+  error.details = details;
+  return error;
+}
+
+module.exports = MetadataTransfer;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.parseCsv = parseCsv;
+module.exports.toCsv = toCsv;
+module.exports.parseImport = parseImport;
+module.exports.planImport = planImport;
@@ -0,0 +1,191 @@
+const path = require('path');
+const sharp = require('sharp');
+const MetadataHelper = require('./metadata_helper');
+const { normalizeTagLibrary } = require('./tag_helper');
+
+/**
+ * metadata.json schema migrations
+ *
+ * Each step upgrades the document from the previous version to `version`.
+ * Steps must be idempotent (safe to re-run on an already-migrated document)
+ * and return human-readable change lines; an empty array means "nothing to do".
+ * Append new steps at the end - never reorder or renumber existing ones.
+ */
+const MIGRATIONS = [
+  {
+    version: '1.1',
+    description: 'remove deprecated tvs array',
+    async migrate(metadata) {
+      if (!Object.prototype.hasOwnProperty.call(metadata, 'tvs')) {
+        return [];
+      }
+      const count = Array.isArray(metadata.tvs) ? metadata.tvs.length : 0;
+      delete metadata.tvs;
+      return [`removed deprecated tvs array (${count} entr${count === 1 ? 'y' : 'ies'})`];
+    }
+  },
+  {
+    version: '1.2',
+    description: 'backfill dimensions and aspect ratio',
+    // Formerly scripts/migrate-dimensions.js
+    async migrate(metadata, { libraryPath }) {
+      const changes = [];
+      const failed = [];
+
+      for (const [filename, imageData] of Object.entries(metadata.images || {})) {
+        if (imageData.dimensions && imageData.aspectRatio) {
+          continue;
+        }
+
+        try {
+          const info = await sharp(path.join(libraryPath, filename)).metadata();
+          if (!info.width || !info.height) {
+            throw new Error('Missing image dimensions');
+          }
+          imageData.dimensions = { width: info.width, height: info.height };
+          imageData.aspectRatio = Math.round((info.width / info.height) * 100) / 100;
+          changes.push(filename);
+        } catch (error) {
+          failed.push(`${filename}: ${error.message}`);
+        }
+      }
+
+      if (failed.length > 0) {
+        console.warn(`[MIGRATE] Could not measure ${failed.length} image(s):`, failed);
+      }
+
+      return changes.length > 0
+        ? [`backfilled dimensions for ${changes.length} image(s)`]
+        : [];
+    }
+  },
+  {
+    version: '1.3',
+    description: 'convert tag list to tag objects',
+    async migrate(metadata) {
+      const legacy = (metadata.tags || []).filter(tag => typeof tag === 'string');
+      if (Array.isArray(metadata.tags) && legacy.length === 0) {
+        return [];
+      }
+      metadata.tags = normalizeTagLibrary(metadata.tags);
+      return [`converted ${legacy.length} tag(s) to tag objects`];
+    }
+  }
+];
+
+const BASE_SCHEMA_VERSION = '1.0';
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Compare dotted version strings numerically ("1.10" > "1.9")
+ * @returns {number} negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const partsB = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  const length = Math.max(partsA.length, partsB.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Get the migration steps that still need to run for a document
+ * @param {string} fromVersion - Version recorded in metadata.json
+ * @returns {Array} Ordered pending steps
+ */
+function getPendingMigrations(fromVersion) {
+  return MIGRATIONS.filter(step => compareVersions(step.version, fromVersion) > 0);
+}
+
+/**
+ * Build the semantic commit message for a migration run, in the same
+ * " -- "-joined style as GitHelper.generateCommitMessage
+ */
+function formatMigrationCommitMessage(fromVersion, toVersion, applied) {
+  const details = applied.flatMap(step =>
+    step.changes.length > 0
+      ? step.changes.map(change => `${step.version}: ${change}`)
+      : [`${step.version}: ${step.description}`]
+  );
+  return [`migrated metadata: schema ${fromVersion} → ${toVersion}`, ...details].join(' -- ');
+}
+
+/**
+ * Bring metadata.json up to CURRENT_SCHEMA_VERSION
+ * @param {string} frameArtPath - Library root
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing
+ * @param {boolean} [options.commit=true] - Commit metadata.json with a semantic message when changed
+ * @returns {Promise<{fromVersion: string, toVersion: string, applied: Array, dryRun: boolean, committed: boolean, message: string|null}>}
+ */
+async function runMigrations(frameArtPath, { dryRun = false, commit = true } = {}) {
+  const helper = new MetadataHelper(frameArtPath);
+
+  return helper.withMetadataLock(async () => {
+    const metadata = await helper.readMetadata();
+    const fromVersion = metadata.version || BASE_SCHEMA_VERSION;
+    const result = {
+      fromVersion,
+      toVersion: fromVersion,
+      applied: [],
+      dryRun,
+      committed: false,
+      message: null
+    };
+
+    if (compareVersions(fromVersion, CURRENT_SCHEMA_VERSION) > 0) {
+      console.warn(`[MIGRATE] metadata.json schema ${fromVersion} is newer than this build supports (${CURRENT_SCHEMA_VERSION}); leaving it untouched`);
+      return result;
+    }
+
+    const pending = getPendingMigrations(fromVersion);
+    if (pending.length === 0) {
+      return result;
+    }
+
+    const context = { frameArtPath, libraryPath: helper.libraryPath, dryRun };
+    for (const step of pending) {
+      const changes = await step.migrate(metadata, context);
+      result.applied.push({ version: step.version, description: step.description, changes: changes || [] });
+    }
+
+    metadata.version = CURRENT_SCHEMA_VERSION;
+    result.toVersion = CURRENT_SCHEMA_VERSION;
+    result.message = formatMigrationCommitMessage(fromVersion, CURRENT_SCHEMA_VERSION, result.applied);
+
+    if (dryRun) {
+      return result;
+    }
+
+    await helper.writeMetadata(metadata);
+
+    if (commit) {
+      // Required lazily so the migration runner works on plain directories (tests, scripts)
+      const GitHelper = require('./git_helper');
+      const git = new GitHelper(frameArtPath);
+      const repoCheck = await git.verifyGitRepo();
+      if (repoCheck.isValid) {
+        const commitResult = await git.commitChanges(result.message, ['metadata.json']);
+        result.committed = Boolean(commitResult.success);
+        if (!commitResult.success) {
+          console.warn('[MIGRATE] Could not commit migrated metadata.json:', commitResult.error);
+        }
+      }
+    }
+
+    return result;
+  });
+}
+
+module.exports = {
+  MIGRATIONS,
+  BASE_SCHEMA_VERSION,
+  CURRENT_SCHEMA_VERSION,
+  compareVersions,
+  getPendingMigrations,
+  formatMigrationCommitMessage,
+  runMigrations
+};
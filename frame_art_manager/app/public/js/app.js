@@ -84,12 +84,16 @@ let sortAscending = typeof storedSortPreference?.ascending === 'boolean' ? store
 
 let allImages = {};
 let allTags = [];
+let allTagDetails = {}; // Tag library entries by name ({color, description, aliases, pinned})
 let allTVs = [];
 let allGlobalTagsets = {}; // Global tagsets (name -> {tags, exclude_tags})
+let allCollections = []; // Collections (albums) from /api/collections, sorted by name
+let activeCollectionId = ''; // Gallery collection filter ('' = all images)
 let currentImage = null;
 let selectedImages = new Set();
 let lastClickedIndex = null;
 let galleryHasLoadedAtLeastOnce = false;
+let galleryEtag = null; // ETag of the last /api/images response, for conditional reloads
 let currentUploadPreviewUrl = null;
 let activeUploadPreviewToken = 0;
 let thumbnailCacheBusters = {}; // Map of filename -> timestamp for cache busting edited thumbnails
@@ -802,6 +806,22 @@ function showDuplicateWarning(duplicates) {
   warningEl.classList.remove('hidden');
 }
 
+/**
+ * One-line summary of what the duplicate policy did with an upload
+ * @param {Object} duplicates - The upload response's duplicates
+ */
+function describeDuplicateOutcome(duplicates) {
+  const closest = getDisplayName(duplicates.matches[0].filename);
+  switch (duplicates.action) {
+    case 'replaced':
+      return `Replaced ${closest} (it is in the trash)`;
+    case 'kept-as-variant':
+      return `Added as a variant of ${getDisplayName(duplicates.variantOf)}`;
+    default:
+      return `Uploaded, but it looks like a duplicate of ${closest}`;
+  }
+}
+
 /**
  * Fetch all similar image groups from server (higher threshold than duplicates)
  * @param {number} threshold - Optional threshold override
@@ -881,7 +901,7 @@ function getSimilarBreakpointCounts() {
 }
 
 const ADVANCED_TAB_DEFAULT = 'tags';
-const VALID_ADVANCED_TABS = new Set(['tags', 'recency', 'settings', 'metadata', 'sync']);
+const VALID_ADVANCED_TABS = new Set(['tags', 'recency', 'settings', 'metadata', 'trash', 'integrity', 'sync']);
 
 function normalizeEditingFilterName(name) {
   if (!name) return 'none';
@@ -995,6 +1015,13 @@ function switchToAdvancedSubTab(tabName) {
     loadTagsTab();
   } else if (targetTab === 'recency') {
     loadRecencyTab();
+  } else if (targetTab === 'trash') {
+    loadTrashTab();
+  } else if (targetTab === 'integrity') {
+    loadIntegrityTab();
+  } else if (targetTab === 'settings') {
+    loadDuplicatePolicy();
+    loadVariantSettings();
   }
 }
 
@@ -1323,11 +1350,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   initMetadataViewer();
   initSyncDetail();
   initBulkActions();
+  initCollections();
   initSettingsNavigation();
   initUploadNavigation();
   initTvModal();
   initGalleryInfiniteScroll(); // Initialize infinite scroll for gallery
   initTagsetModalListeners(); // Initialize tagset modal event listeners
+  initJobsPanel();
   
   // Pre-fetch similar groups for filter counts
   fetchSimilarGroups();
@@ -2003,15 +2032,26 @@ async function loadGallery() {
     return;
   }
 
-  grid.innerHTML = '<div class="loading">Loading images...</div>';
+  if (!galleryHasLoadedAtLeastOnce) {
+    grid.innerHTML = '<div class="loading">Loading images...</div>';
+  }
 
   try {
-    const response = await fetch(`${API_BASE}/images`);
-    allImages = await response.json();
+    // Revalidate against the server's library index; 304 means allImages is current
+    const headers = galleryHasLoadedAtLeastOnce && galleryEtag ? { 'If-None-Match': galleryEtag } : {};
+    const response = await fetch(`${API_BASE}/images`, { headers });
+    if (response.status !== 304) {
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      allImages = await response.json();
+      galleryEtag = response.headers.get('ETag');
+    }
     galleryHasLoadedAtLeastOnce = true;
 
     // Also load tags for filter dropdown
     await loadTagsForFilter();
+    await loadCollections();
     
     // Prefetch last displayed times if needed for 'displayed' sort
     const sortOrderSelect = document.getElementById('sort-order');
@@ -2132,16 +2172,22 @@ function selectAllImages() {
   let filteredImages = Object.entries(allImages);
 
   // Apply same filters as renderGallery
+  const activeCollection = getActiveCollection();
+  if (activeCollection) {
+    const members = new Set(activeCollection.images);
+    filteredImages = filteredImages.filter(([filename]) => members.has(filename));
+  }
+
   if (searchTerm) {
-    filteredImages = filteredImages.filter(([filename]) => 
-      filename.toLowerCase().includes(searchTerm)
+    filteredImages = filteredImages.filter(([filename, data]) => 
+      imageMatchesSearch(filename, data, searchTerm)
     );
   }
 
   // Filter by included tags
   if (includedTags.length > 0) {
     filteredImages = filteredImages.filter(([_, data]) => 
-      data.tags && includedTags.some(tag => data.tags.includes(tag))
+      data.tags && includedTags.some(tag => imageHasTag(data.tags, tag))
     );
   }
 
@@ -2149,7 +2195,7 @@ function selectAllImages() {
   if (excludedTags.length > 0) {
     filteredImages = filteredImages.filter(([_, data]) => {
       const imageTags = data.tags || [];
-      return !excludedTags.some(tag => imageTags.includes(tag));
+      return !excludedTags.some(tag => imageHasTag(imageTags, tag));
     });
   }
 
@@ -2163,11 +2209,11 @@ function selectAllImages() {
         const tvIncludeTags = tv.tags || [];
         const tvExcludeTags = tv.exclude_tags || [];
         
-        if (tvIncludeTags.length > 0 && !tvIncludeTags.some(tag => imageTagSet.has(tag))) {
+        if (tvIncludeTags.length > 0 && !tvIncludeTags.some(tag => imageHasTag(imageTagSet, tag))) {
           continue;
         }
         
-        if (tvExcludeTags.length > 0 && tvExcludeTags.some(tag => imageTagSet.has(tag))) {
+        if (tvExcludeTags.length > 0 && tvExcludeTags.some(tag => imageHasTag(imageTagSet, tag))) {
           continue;
         }
         
@@ -2511,6 +2557,7 @@ async function removeBulkTag(tagName, isPartial) {
         }
       }
       console.log(`Batch remove tag: ${result.message}`);
+      showToast(`Removed "${tagName}" from ${result.results.success} image${result.results.success !== 1 ? 's' : ''}`, 3000, { undoId: result.journalId });
     } else {
       console.error('Batch remove tag failed:', result.error);
     }
@@ -2646,7 +2693,7 @@ function updateGalleryCardTags() {
     const tagsContainer = card.querySelector('.image-tags');
     if (tagsContainer) {
       const tags = imageData.tags || [];
-      tagsContainer.innerHTML = tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+      tagsContainer.innerHTML = tags.map(renderTagBadge).join('');
     }
   });
 }
@@ -3046,12 +3093,12 @@ function updateTvShuffleIndicator(imageTags) {
     const excludeTags = tv.exclude_tags || [];
     
     // Check include tags: if set, image must have at least one
-    if (includeTags.length > 0 && !includeTags.some(tag => imageTagSet.has(tag))) {
+    if (includeTags.length > 0 && !includeTags.some(tag => imageHasTag(imageTagSet, tag))) {
       continue;
     }
     
     // Check exclude tags: if set, image must not have any
-    if (excludeTags.length > 0 && excludeTags.some(tag => imageTagSet.has(tag))) {
+    if (excludeTags.length > 0 && excludeTags.some(tag => imageHasTag(imageTagSet, tag))) {
       continue;
     }
     
@@ -3377,17 +3424,24 @@ function renderGallery(filter = '') {
 
   let filteredImages = Object.entries(allImages);
 
+  // Filter by collection (shown in the collection's own order below)
+  const activeCollection = getActiveCollection();
+  if (activeCollection) {
+    const members = new Set(activeCollection.images);
+    filteredImages = filteredImages.filter(([filename]) => members.has(filename));
+  }
+
   // Filter by search term
   if (searchTerm) {
-    filteredImages = filteredImages.filter(([filename]) => 
-      filename.toLowerCase().includes(searchTerm)
+    filteredImages = filteredImages.filter(([filename, data]) => 
+      imageMatchesSearch(filename, data, searchTerm)
     );
   }
 
   // Filter by included tags (image must have ANY of the included tags)
   if (includedTags.length > 0) {
     filteredImages = filteredImages.filter(([_, data]) => 
-      data.tags && includedTags.some(tag => data.tags.includes(tag))
+      data.tags && includedTags.some(tag => imageHasTag(data.tags, tag))
     );
   }
 
@@ -3395,7 +3449,7 @@ function renderGallery(filter = '') {
   if (excludedTags.length > 0) {
     filteredImages = filteredImages.filter(([_, data]) => {
       const imageTags = data.tags || [];
-      return !excludedTags.some(tag => imageTags.includes(tag));
+      return !excludedTags.some(tag => imageHasTag(imageTags, tag));
     });
   }
 
@@ -3411,12 +3465,12 @@ function renderGallery(filter = '') {
         const excludeTags = tv.exclude_tags || [];
         
         // Check include tags: if set, image must have at least one
-        if (includeTags.length > 0 && !includeTags.some(tag => imageTagSet.has(tag))) {
+        if (includeTags.length > 0 && !includeTags.some(tag => imageHasTag(imageTagSet, tag))) {
           continue;
         }
         
         // Check exclude tags: if set, image must not have any
-        if (excludeTags.length > 0 && excludeTags.some(tag => imageTagSet.has(tag))) {
+        if (excludeTags.length > 0 && excludeTags.some(tag => imageHasTag(imageTagSet, tag))) {
           continue;
         }
         
@@ -3552,6 +3606,10 @@ function renderGallery(filter = '') {
       const comparison = dateA - dateB;
       return sortAscending ? comparison : -comparison;
     });
+  } else if (activeCollection) {
+    // Curated collection order (the sort dropdown doesn't apply)
+    const position = new Map(activeCollection.images.map((filename, index) => [filename, index]));
+    filteredImages.sort(([filenameA], [filenameB]) => position.get(filenameA) - position.get(filenameB));
   } else if (recentlyDisplayedFilterActive) {
     // Sort by most recent display time (Now first, then by timestamp)
     filteredImages.sort((a, b) => {
@@ -3733,7 +3791,7 @@ function renderGalleryChunk(grid, count) {
         <button class="stats-link" data-filename="${filename}" title="Stats">📊</button>
         <div class="image-filename"><span class="image-filename-text">${getDisplayName(filename)}</span>${filterMatteSuffix}${badgesHtml ? ' ' + badgesHtml : ''}</div>
         <div class="image-tags">
-          ${(data.tags || []).map(tag => `<span class="tag">${tag}</span>`).join('')}
+          ${(data.tags || []).map(renderTagBadge).join('')}
         </div>
         <div class="image-info-footer">
           ${lastDisplayHtml}
@@ -4093,20 +4151,27 @@ function updateTagFilterCount() {
 }
 
 // Upload Functions
-function isHeicUpload(file) {
+// Formats browsers can't show; the server converts them like it does on upload
+const SERVER_PREVIEW_EXTENSIONS = [
+  '.heic', '.heif', '.tif', '.tiff',
+  '.raw', '.dng', '.cr2', '.cr3', '.crw', '.nef', '.nrw', '.arw', '.srf', '.sr2', '.orf',
+  '.rw2', '.rwl', '.raf', '.pef', '.srw', '.x3f', '.3fr', '.erf', '.kdc', '.mrw', '.iiq'
+];
+
+function needsServerPreview(file) {
   if (!file) return false;
   const filename = (file.name || '').toLowerCase();
   const mimetype = (file.type || '').toLowerCase();
   return (
-    filename.endsWith('.heic') ||
-    filename.endsWith('.heif') ||
+    SERVER_PREVIEW_EXTENSIONS.some(ext => filename.endsWith(ext)) ||
     mimetype.startsWith('image/heic') ||
-    mimetype.startsWith('image/heif')
+    mimetype.startsWith('image/heif') ||
+    mimetype === 'image/tiff'
   );
 }
 
 async function createPreviewUrl(file) {
-  if (!isHeicUpload(file)) {
+  if (!needsServerPreview(file)) {
     const url = URL.createObjectURL(file);
     return {
       url,
@@ -4116,6 +4181,7 @@ async function createPreviewUrl(file) {
 
   const formData = new FormData();
   formData.append('image', file, file.name || 'preview.heic');
+  formData.append('frame', document.getElementById('frame-input')?.value || '0');
 
   const response = await fetch(`${API_BASE}/images/preview`, {
     method: 'POST',
@@ -4131,7 +4197,7 @@ async function createPreviewUrl(file) {
 
   return {
     url,
-    alt: 'Preview converted from HEIC source'
+    alt: 'Preview converted from the uploaded format'
   };
 }
 
@@ -4276,6 +4342,9 @@ function initUploadForm() {
       } else {
         showDuplicateWarning([]);
       }
+
+      // Offer keywords embedded in the file (IPTC/XMP) as suggested tags
+      setUploadEmbeddedTags(file ? await fetchEmbeddedTagSuggestions(file) : []);
       
       // Show/hide clear button based on file selection
       if (clearFileBtn) {
@@ -4284,11 +4353,23 @@ function initUploadForm() {
     });
   }
 
+  // Server-made previews show the chosen frame of a multi-page file
+  const frameInput = document.getElementById('frame-input');
+  if (frameInput && fileInput) {
+    frameInput.addEventListener('change', () => {
+      const file = fileInput.files && fileInput.files[0] ? fileInput.files[0] : null;
+      if (needsServerPreview(file)) {
+        updateUploadPreview(file);
+      }
+    });
+  }
+
   if (clearFileBtn && fileInput) {
     clearFileBtn.addEventListener('click', async () => {
       fileInput.value = '';
       await updateUploadPreview(null);
       showDuplicateWarning([]);
+      setUploadEmbeddedTags([]);
       clearFileBtn.classList.add('hidden');
       // Reset matte options to show all
       currentUploadIsPortrait = false;
@@ -4299,6 +4380,7 @@ function initUploadForm() {
   form.addEventListener('reset', () => {
     updateUploadPreview(null);
     showDuplicateWarning([]);
+    setUploadEmbeddedTags([]);
     if (clearFileBtn) clearFileBtn.classList.add('hidden');
     // Reset matte options to show all
     currentUploadIsPortrait = false;
@@ -4322,6 +4404,12 @@ function initUploadForm() {
 
     const formData = new FormData(form);
     const statusDiv = document.getElementById('upload-status');
+    const imageUrl = document.getElementById('image-url')?.value.trim() || '';
+    const hasFile = Boolean(fileInput?.files && fileInput.files.length > 0);
+    if (!hasFile && !imageUrl) {
+      statusDiv.innerHTML = '<div class="error">Select an image or paste an image URL</div>';
+      return;
+    }
     const submitButton = form.querySelector('button[type="submit"]');
     const progressContainer = document.getElementById('upload-progress-container');
     const progressBar = document.getElementById('upload-progress-bar');
@@ -4334,7 +4422,7 @@ function initUploadForm() {
     progressContainer.classList.remove('hidden');
     progressBar.style.width = '0%';
     progressBar.classList.remove('success', 'error');
-    progressText.textContent = 'Uploading... 0%';
+    progressText.textContent = hasFile ? 'Uploading... 0%' : 'Downloading...';
 
     // Create XHR for progress tracking
     const xhr = new XMLHttpRequest();
@@ -4342,7 +4430,7 @@ function initUploadForm() {
 
     // Track upload progress
     xhr.upload.addEventListener('progress', (e) => {
-      if (e.lengthComputable) {
+      if (hasFile && e.lengthComputable) {
         const percent = Math.round((e.loaded / e.total) * 100);
         progressBar.style.width = percent + '%';
         progressText.textContent = `Uploading... ${percent}%`;
@@ -4361,6 +4449,9 @@ function initUploadForm() {
           progressBar.style.width = '100%';
           progressBar.classList.add('success');
           progressText.textContent = 'Upload complete!';
+          if (result.duplicates) {
+            showToast(describeDuplicateOutcome(result.duplicates), 3000, { undoId: result.duplicates.replaced?.journalId || null });
+          }
           
           // Set sort to Date Added, descending (newest first) BEFORE navigation
           sortAscending = false;
@@ -4411,7 +4502,13 @@ function initUploadForm() {
           // Server returned error
           progressBar.classList.add('error');
           progressText.textContent = 'Upload failed';
-          statusDiv.innerHTML = `<div class="error">Upload failed: ${result.error || 'Unknown error'}</div>`;
+          if (xhr.status === 409 && result.details?.matches) {
+            // Rejected by the duplicate policy
+            showDuplicateWarning(result.details.matches.map(match => match.filename));
+            statusDiv.innerHTML = `<div class="error">Upload blocked: ${escapeHtml(result.error)}. The duplicate policy is set in Advanced &gt; Settings.</div>`;
+          } else {
+            statusDiv.innerHTML = `<div class="error">Upload failed: ${result.error || 'Unknown error'}</div>`;
+          }
           resetUploadProgressUI(submitButton, progressContainer, progressBar);
         }
       } catch (parseError) {
@@ -4439,9 +4536,16 @@ function initUploadForm() {
       resetUploadProgressUI(submitButton, progressContainer, progressBar);
     });
 
-    // Send the request
-    xhr.open('POST', `${API_BASE}/images/upload`);
-    xhr.send(formData);
+    // Send the request (a file wins over a URL when both are given)
+    if (hasFile) {
+      xhr.open('POST', `${API_BASE}/images/upload`);
+      xhr.send(formData);
+    } else {
+      formData.delete('image');
+      xhr.open('POST', `${API_BASE}/images/import-url`);
+      xhr.setRequestHeader('Content-Type', 'application/json');
+      xhr.send(JSON.stringify({ ...Object.fromEntries(formData), url: imageUrl }));
+    }
   });
   
   // Initialize upload tags functionality
@@ -4459,6 +4563,7 @@ function resetUploadProgressUI(submitButton, progressContainer, progressBar) {
 
 // Track applied tags for upload form
 let uploadAppliedTags = [];
+let uploadEmbeddedTags = []; // Keywords read from the selected file's IPTC/XMP metadata
 
 // Initialize upload tags - suggested tags and applied tags
 function initUploadTags() {
@@ -4545,6 +4650,38 @@ function removeUploadTag(tagName) {
   renderUploadTvTagsHelper();
 }
 
+/**
+ * Ask the server for keywords embedded in a file that is about to be uploaded
+ * @param {File} file
+ * @returns {Promise<string[]>} Suggested tag names
+ */
+async function fetchEmbeddedTagSuggestions(file) {
+  try {
+    const formData = new FormData();
+    formData.append('image', file);
+
+    const response = await fetch(`${API_BASE}/images/embedded-metadata`, {
+      method: 'POST',
+      body: formData
+    });
+
+    if (!response.ok) {
+      throw new Error('Embedded metadata request failed');
+    }
+
+    const result = await response.json();
+    return Array.isArray(result.suggestedTags) ? result.suggestedTags : [];
+  } catch (error) {
+    console.warn('Embedded metadata error:', error);
+    return [];
+  }
+}
+
+function setUploadEmbeddedTags(tags) {
+  uploadEmbeddedTags = tags;
+  renderUploadTvTagsHelper();
+}
+
 // Render the TV tags helper for upload form (suggested tags)
 function renderUploadTvTagsHelper() {
   const container = document.getElementById('upload-tv-tags-helper');
@@ -4560,12 +4697,16 @@ function renderUploadTvTagsHelper() {
   // Get all TV tag names for filtering
   const tvTagNames = new Set(tvTags.map(t => t.tag));
 
+  // Keywords from the file itself come first
+  const embeddedTags = uploadEmbeddedTags.filter(tag => !uploadAppliedTags.includes(tag));
+  const embeddedTagNames = new Set(embeddedTags);
+
   // Get non-TV tags: all tags minus TV tags minus applied tags
   const otherTags = (allTags || [])
-    .filter(tag => !tvTagNames.has(tag) && !uploadAppliedTags.includes(tag))
+    .filter(tag => !tvTagNames.has(tag) && !uploadAppliedTags.includes(tag) && !embeddedTagNames.has(tag))
     .sort();
 
-  if (suggestedTvTags.length === 0 && otherTags.length === 0) {
+  if (suggestedTvTags.length === 0 && otherTags.length === 0 && embeddedTags.length === 0) {
     container.innerHTML = '';
     if (wrapper) wrapper.style.display = 'none';
     return;
@@ -4616,7 +4757,14 @@ function renderUploadTvTagsHelper() {
     </button>`;
   }).join('');
 
-  container.innerHTML = tvPillsHtml + otherPillsHtml;
+  const embeddedPillsHtml = embeddedTags.map(tag => {
+    return `<button type="button" class="tv-tag-pill embedded-tag-pill" data-tag="${escapeHtml(tag)}" title="Keyword from the image file" tabindex="-1">
+      <span class="tag-label">${escapeHtml(tag)}</span>
+      <span class="tv-name">from file</span>
+    </button>`;
+  }).join('');
+
+  container.innerHTML = embeddedPillsHtml + tvPillsHtml + otherPillsHtml;
 
   // Add click handlers
   container.querySelectorAll('.tv-tag-pill').forEach(pill => {
@@ -4706,7 +4854,7 @@ function initBatchUploadForm() {
       const fileInput = document.createElement('input');
       fileInput.type = 'file';
       fileInput.multiple = true;
-      fileInput.accept = 'image/*';
+      fileInput.accept = 'image/*,.zip,application/zip';
       fileInput.style.display = 'none';
       
       // Attach to DOM - required for iOS to reliably deliver multi-select files
@@ -4737,9 +4885,16 @@ function formatFileSize(bytes) {
   return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
 }
 
+// ZIPs in a batch go to /images/upload-archive, which extracts them server-side
+function isZipFile(file) {
+  return /\.zip$/i.test(file.name) || /^application\/(x-)?zip(-compressed)?$/.test(file.type);
+}
+
 async function uploadBatchImages(files) {
-  const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB in bytes
-  const UPLOAD_TIMEOUT_MS = 120000; // 2 minute timeout per file
+  const MAX_FILE_SIZE = 200 * 1024 * 1024; // 200MB, the server's chunked upload limit
+  const MAX_ARCHIVE_SIZE = 1024 * 1024 * 1024; // 1GB, the server's archive limit
+  const UPLOAD_TIMEOUT_MS = 120000; // 2 minute timeout per request (per chunk for images)
+  const ARCHIVE_TIMEOUT_MS = 30 * 60 * 1000; // Upload plus server-side import
   let successCount = 0;
   let errorCount = 0;
   let skippedCount = 0;
@@ -4805,17 +4960,18 @@ async function uploadBatchImages(files) {
     
     const file = files[i];
     const shortName = file.name.length > 30 ? file.name.substring(0, 27) + '...' : file.name;
+    const isArchive = isZipFile(file);
     
     console.log(`[BatchUpload] Processing file ${i + 1}/${totalFiles}: ${file.name} (${formatFileSize(file.size)})`);
     
     // Check file size before uploading
-    if (file.size > MAX_FILE_SIZE) {
+    if (file.size > (isArchive ? MAX_ARCHIVE_SIZE : MAX_FILE_SIZE)) {
       skippedCount++;
       skippedFiles.push({
         name: file.name,
         size: formatFileSize(file.size)
       });
-      console.warn(`[BatchUpload] Skipped ${file.name}: ${formatFileSize(file.size)} exceeds 20MB limit`);
+      console.warn(`[BatchUpload] Skipped ${file.name}: ${formatFileSize(file.size)} exceeds ${isArchive ? '1GB' : '200MB'} limit`);
       addStatusLine(`⊘ ${shortName} - too large`, true);
       
       const completedCount = i + 1;
@@ -4831,11 +4987,35 @@ async function uploadBatchImages(files) {
     try {
       const result = await uploadSingleFileWithProgress(file, (percent) => {
         progressBar.style.width = `${percent}%`;
-      }, UPLOAD_TIMEOUT_MS);
+        if (isArchive && percent === 100) {
+          fileLabel.textContent = `Importing: ${shortName}`;
+        }
+      }, isArchive ? ARCHIVE_TIMEOUT_MS : UPLOAD_TIMEOUT_MS, {
+        ...(isArchive ? { endpoint: 'images/upload-archive', field: 'archive' } : {}),
+        // Server-side steps (format conversion, hashing, thumbnail) after the bytes are sent
+        onStep: (job) => {
+          if (job.status !== 'running' || !job.step) return;
+          const count = job.total ? ` (${Math.min(job.current + 1, job.total)}/${job.total})` : '';
+          fileLabel.textContent = `${job.step}${count}: ${shortName}`;
+        }
+      });
       
       const uploadDuration = ((Date.now() - uploadStartTime) / 1000).toFixed(1);
       
-      if (result.success) {
+      if (result.success && isArchive) {
+        // One line for the archive; each failed entry is listed in the summary
+        successCount += result.imported;
+        (result.entries || []).forEach(entry => {
+          if (entry.status === 'imported' && entry.filename) {
+            uploadedFilenames.push(entry.filename);
+          } else if (entry.status === 'failed') {
+            errorCount++;
+            errorFiles.push({ name: `${file.name}: ${entry.entry}`, error: entry.reason || 'Unknown error' });
+          }
+        });
+        console.log(`[BatchUpload] ✓ ${file.name}: ${result.imported} imported, ${result.skipped} skipped, ${result.failed} failed in ${uploadDuration}s`);
+        addStatusLine(`✓ ${shortName} - ${result.imported} image${result.imported !== 1 ? 's' : ''}`, result.failed > 0);
+      } else if (result.success) {
         successCount++;
         if (result.filename) {
           uploadedFilenames.push(result.filename);
@@ -4878,7 +5058,7 @@ async function uploadBatchImages(files) {
   }
   
   if (skippedCount > 0) {
-    summaryParts.push(`${skippedCount} skipped (over 20MB limit)`);
+    summaryParts.push(`${skippedCount} skipped (over size limit)`);
   }
   
   if (errorCount > 0) {
@@ -4897,7 +5077,7 @@ async function uploadBatchImages(files) {
     let message = 'Batch upload completed:\n\n' + summaryParts.join('\n');
     
     if (skippedFiles.length > 0) {
-      message += '\n\nSkipped files (over 20MB):';
+      message += '\n\nSkipped files (over 200MB, or 1GB for ZIP archives):';
       skippedFiles.forEach(file => {
         message += `\n• ${file.name} (${file.size})`;
       });
@@ -4973,11 +5153,20 @@ async function uploadBatchImages(files) {
 }
 
 // Upload a single file with XHR progress tracking
-function uploadSingleFileWithProgress(file, onProgress, timeoutMs = 120000) {
+// Images use the resumable chunked upload; other endpoints (ZIP archives) get
+// one multipart request. onStep gets job updates (SSE) once the file is sent
+// and the server is processing it.
+function uploadSingleFileWithProgress(file, onProgress, timeoutMs = 120000, { endpoint = 'images/upload', field = 'image', onStep = null } = {}) {
+  if (endpoint === 'images/upload' && field === 'image') {
+    return uploadFileInChunks(file, onProgress, timeoutMs, { onStep });
+  }
+
   return new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest();
+    const jobId = createJobId();
+    let stopWatching = () => {};
     const formData = new FormData();
-    formData.append('image', file);
+    formData.append(field, file);
     formData.append('matte', 'none');
     formData.append('filter', 'none');
     formData.append('tags', '');
@@ -4991,6 +5180,12 @@ function uploadSingleFileWithProgress(file, onProgress, timeoutMs = 120000) {
         onProgress(percent);
       }
     });
+    xhr.upload.addEventListener('load', () => {
+      if (onStep) {
+        stopWatching = watchJob(jobId, onStep);
+      }
+    });
+    xhr.addEventListener('loadend', () => stopWatching());
     
     xhr.addEventListener('load', () => {
       if (xhr.status >= 200 && xhr.status < 300) {
@@ -5027,11 +5222,385 @@ function uploadSingleFileWithProgress(file, onProgress, timeoutMs = 120000) {
       resolve({ success: false, error: 'Cancelled' });
     });
     
-    xhr.open('POST', `${API_BASE}/images/upload`);
+    xhr.open('POST', `${API_BASE}/${endpoint}`);
+    xhr.setRequestHeader('X-Job-Id', jobId);
     xhr.send(formData);
   });
 }
 
+// Resumable uploads - the file goes up in chunks to /images/uploads, so a
+// dropped connection resends only the chunks the server does not have yet
+const CHUNK_UPLOAD_BYTES = 4 * 1024 * 1024;
+// Waits between attempts at a chunk before giving up on the file
+const CHUNK_RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 20000, 30000];
+// Upload ids by file, so retrying the same file (even after a reload) resumes it
+const CHUNKED_UPLOADS_STORAGE_KEY = 'chunkedUploads';
+
+function getChunkedUploadKey(file) {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function readChunkedUploadIds() {
+  try {
+    return JSON.parse(localStorage.getItem(CHUNKED_UPLOADS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function rememberChunkedUpload(file, uploadId) {
+  const ids = readChunkedUploadIds();
+  if (uploadId) {
+    ids[getChunkedUploadKey(file)] = uploadId;
+  } else {
+    delete ids[getChunkedUploadKey(file)];
+  }
+  try {
+    localStorage.setItem(CHUNKED_UPLOADS_STORAGE_KEY, JSON.stringify(ids));
+  } catch (error) {
+    // Private mode or full storage: uploads still work, they just can't resume after a reload
+  }
+}
+
+// Hex SHA-256 of the file for the finalize check, read one chunk at a time
+// (vendor/sha256.min.js: WebCrypto can't hash incrementally and is missing on plain http)
+async function computeFileSha256(file) {
+  const hash = sha256.create();
+  for (let start = 0; start < file.size; start += CHUNK_UPLOAD_BYTES) {
+    hash.update(await file.slice(start, start + CHUNK_UPLOAD_BYTES).arrayBuffer());
+  }
+  return hash.hex();
+}
+
+// One request with XHR; resolves {status, body} for any HTTP response, rejects on network errors
+function sendUploadRequest(method, url, body, { timeoutMs, headers = {}, onProgress = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.timeout = timeoutMs;
+    if (onProgress) {
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) onProgress(e.loaded);
+      });
+    }
+    xhr.addEventListener('load', () => {
+      let parsed = {};
+      try {
+        parsed = JSON.parse(xhr.responseText);
+      } catch (e) {
+        // Non-JSON error pages (proxies) keep an empty body
+      }
+      resolve({ status: xhr.status, body: parsed });
+    });
+    xhr.addEventListener('error', () => reject(new Error('Network error - check your connection')));
+    xhr.addEventListener('timeout', () => reject(new Error('Upload timed out - connection too slow')));
+    xhr.addEventListener('abort', () => reject(new Error('Cancelled')));
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.send(body);
+  });
+}
+
+// Send a request again after network errors and 5xx responses, waiting longer each time
+async function sendUploadRequestWithRetry(method, url, body, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await sendUploadRequest(method, url, body, options);
+      if (response.status < 500 || attempt >= CHUNK_RETRY_DELAYS_MS.length) {
+        return response;
+      }
+    } catch (error) {
+      if (attempt >= CHUNK_RETRY_DELAYS_MS.length) {
+        throw error;
+      }
+      console.warn(`[ChunkedUpload] ${method} ${url} failed (${error.message}), retrying...`);
+    }
+    await new Promise(resolve => setTimeout(resolve, CHUNK_RETRY_DELAYS_MS[attempt]));
+  }
+}
+
+// Resume this file's earlier upload if the server still has it, otherwise start one
+async function openChunkedUpload(file, timeoutMs) {
+  const existingId = readChunkedUploadIds()[getChunkedUploadKey(file)];
+  if (existingId) {
+    const existing = await sendUploadRequestWithRetry('GET', `${API_BASE}/images/uploads/${encodeURIComponent(existingId)}`, null, { timeoutMs });
+    if (existing.status === 200) {
+      console.log(`[ChunkedUpload] Resuming ${file.name}: ${existing.body.received.length}/${existing.body.totalChunks} chunks on the server`);
+      return existing.body;
+    }
+    rememberChunkedUpload(file, null);
+  }
+
+  const created = await sendUploadRequestWithRetry('POST', `${API_BASE}/images/uploads`, JSON.stringify({
+    filename: file.name,
+    size: file.size,
+    mimetype: file.type,
+    chunkSize: CHUNK_UPLOAD_BYTES,
+    matte: 'none',
+    filter: 'none',
+    tags: ''
+  }), { timeoutMs, headers: { 'Content-Type': 'application/json' } });
+  if (created.status !== 201) {
+    throw Object.assign(new Error(created.body.error || `Server error (${created.status})`), { rejected: true });
+  }
+  rememberChunkedUpload(file, created.body.id);
+  return created.body;
+}
+
+// Finalize an upload. After a network error the server may have finished (or
+// still be running) the request, so check the session before asking again: a
+// finished upload answers with its result rather than adding the image twice.
+async function finalizeChunkedUpload(upload, checksum, { timeoutMs, onStep }) {
+  const uploadUrl = `${API_BASE}/images/uploads/${encodeURIComponent(upload.id)}`;
+  for (let attempt = 0; ; attempt++) {
+    const jobId = createJobId();
+    const stopWatching = onStep ? watchJob(jobId, onStep) : () => {};
+    try {
+      return await sendUploadRequest('POST', `${uploadUrl}/finalize`, JSON.stringify({ sha256: checksum }), {
+        timeoutMs,
+        headers: { 'Content-Type': 'application/json', 'X-Job-Id': jobId }
+      });
+    } catch (error) {
+      if (attempt >= CHUNK_RETRY_DELAYS_MS.length) {
+        throw error;
+      }
+      console.warn(`[ChunkedUpload] Finalize failed (${error.message}), checking the upload...`);
+    } finally {
+      stopWatching();
+    }
+
+    let status;
+    do {
+      await new Promise(resolve => setTimeout(resolve, CHUNK_RETRY_DELAYS_MS[attempt]));
+      status = await sendUploadRequestWithRetry('GET', uploadUrl, null, { timeoutMs });
+    } while (status.status === 200 && status.body.finalizing);
+    if (status.status !== 200) {
+      // Only a rejected finalize removes the session; nothing was added
+      throw Object.assign(new Error('The upload was not added. Please try again.'), { rejected: true });
+    }
+  }
+}
+
+// Upload an image in chunks, resuming after dropped connections; resolves like the /upload response
+async function uploadFileInChunks(file, onProgress, timeoutMs, { onStep = null } = {}) {
+  // Hashed alongside the upload; awaited (and its errors surfaced) at finalize
+  const checksum = computeFileSha256(file);
+  checksum.catch(() => {});
+  try {
+    let upload = await openChunkedUpload(file, timeoutMs);
+    const chunkUrl = index => `${API_BASE}/images/uploads/${encodeURIComponent(upload.id)}/chunks/${index}`;
+
+    // Missing chunks can show up again at finalize (e.g. a chunk write lost on the server)
+    for (let pass = 0; pass < 2; pass++) {
+      let sentBytes = upload.receivedBytes;
+      onProgress(Math.round((sentBytes / file.size) * 100));
+      for (const index of upload.missing) {
+        const start = index * upload.chunkSize;
+        const chunk = file.slice(start, Math.min(start + upload.chunkSize, file.size));
+        const response = await sendUploadRequestWithRetry('PUT', chunkUrl(index), chunk, {
+          timeoutMs,
+          headers: { 'Content-Type': 'application/octet-stream' },
+          onProgress: loaded => onProgress(Math.min(99, Math.round(((sentBytes + loaded) / file.size) * 100)))
+        });
+        if (response.status !== 200) {
+          throw Object.assign(new Error(response.body.error || `Server error (${response.status})`), { rejected: response.status === 404 });
+        }
+        sentBytes += chunk.size;
+      }
+      onProgress(100);
+
+      const finalized = await finalizeChunkedUpload(upload, await checksum, { timeoutMs, onStep });
+
+      if (finalized.status === 409 && Array.isArray(finalized.body.details?.missing)) {
+        const status = await sendUploadRequestWithRetry('GET', `${API_BASE}/images/uploads/${encodeURIComponent(upload.id)}`, null, { timeoutMs });
+        if (status.status === 200) {
+          upload = status.body;
+          continue;
+        }
+      }
+      // Added or rejected, this upload is done: the next attempt starts over
+      rememberChunkedUpload(file, null);
+      if (finalized.status >= 200 && finalized.status < 300) {
+        return finalized.body;
+      }
+      return { success: false, error: finalized.body.error || `Server error (${finalized.status})` };
+    }
+    return { success: false, error: 'Upload is still missing chunks' };
+  } catch (error) {
+    if (error.rejected) {
+      // The server refused the upload (invalid, too large, expired): nothing to resume
+      rememberChunkedUpload(file, null);
+      return { success: false, error: error.message };
+    }
+    // Network trouble: keep the upload id so trying the same file again resumes it
+    throw error;
+  }
+}
+
+// Jobs - background work tracked by the server (uploads, sync, batch edits, thumbnails)
+const JOB_STATUS_LABELS = {
+  running: 'Running',
+  succeeded: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  interrupted: 'Interrupted'
+};
+// Open job event streams, by job id, while the jobs modal is shown
+const jobStreams = new Map();
+let jobsBadgePollInterval = null;
+
+// Client-side job id so the browser can follow a request it is still sending
+function createJobId() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Follow a job's progress over Server-Sent Events
+ * @returns {function} Stops listening
+ */
+function watchJob(jobId, onUpdate) {
+  if (typeof EventSource === 'undefined') return () => {};
+  const source = new EventSource(`${API_BASE}/jobs/${encodeURIComponent(jobId)}/events`);
+  const handle = (event) => {
+    try {
+      onUpdate(JSON.parse(event.data));
+    } catch (error) {
+      console.warn('Ignoring malformed job event:', error);
+    }
+  };
+  source.addEventListener('progress', handle);
+  source.addEventListener('done', (event) => {
+    handle(event);
+    source.close();
+  });
+  // A 404 (job not created yet or already pruned) would otherwise retry forever
+  source.addEventListener('error', () => source.close());
+  return () => source.close();
+}
+
+function initJobsPanel() {
+  const modal = document.getElementById('jobs-modal');
+  document.getElementById('open-jobs-btn')?.addEventListener('click', openJobsModal);
+  document.getElementById('jobs-modal-close')?.addEventListener('click', closeJobsModal);
+  modal?.addEventListener('click', (event) => {
+    if (event.target === modal) {
+      closeJobsModal();
+    }
+  });
+
+  refreshJobsBadge();
+  jobsBadgePollInterval = setInterval(() => {
+    if (document.visibilityState === 'visible') {
+      refreshJobsBadge();
+    }
+  }, 15000);
+}
+
+async function refreshJobsBadge() {
+  const badge = document.getElementById('jobs-badge');
+  if (!badge) return;
+  try {
+    const response = await fetch(`${API_BASE}/jobs?active=true`);
+    if (!response.ok) return;
+    const { jobs } = await response.json();
+    badge.textContent = jobs.length;
+    badge.style.display = jobs.length > 0 ? '' : 'none';
+  } catch (error) {
+    // Badge is best effort; the next poll tries again
+  }
+}
+
+async function openJobsModal() {
+  document.getElementById('jobs-modal')?.classList.add('active');
+  await loadJobs();
+}
+
+function closeJobsModal() {
+  document.getElementById('jobs-modal')?.classList.remove('active');
+  jobStreams.forEach(stop => stop());
+  jobStreams.clear();
+  refreshJobsBadge();
+}
+
+async function loadJobs() {
+  const list = document.getElementById('jobs-list');
+  if (!list) return;
+  list.innerHTML = '<div class="loading-indicator">Loading jobs...</div>';
+
+  try {
+    const response = await fetch(`${API_BASE}/jobs`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load jobs');
+    }
+    if (data.jobs.length === 0) {
+      list.innerHTML = '<p class="empty-state">No jobs yet.</p>';
+      return;
+    }
+
+    list.innerHTML = data.jobs.map(job => `<div class="job-item" data-job-id="${escapeHtml(job.id)}"></div>`).join('');
+    data.jobs.forEach(job => {
+      renderJob(job);
+      if (job.status === 'running' && !jobStreams.has(job.id)) {
+        jobStreams.set(job.id, watchJob(job.id, (update) => {
+          renderJob(update);
+          if (update.status !== 'running') {
+            jobStreams.delete(update.id);
+            refreshJobsBadge();
+          }
+        }));
+      }
+    });
+  } catch (error) {
+    console.error('Error loading jobs:', error);
+    list.innerHTML = '<p class="error">Failed to load jobs</p>';
+  }
+}
+
+function renderJob(job) {
+  const row = document.querySelector(`#jobs-list .job-item[data-job-id="${CSS.escape(job.id)}"]`);
+  if (!row) return;
+
+  const running = job.status === 'running';
+  const percent = job.total ? Math.round((job.current / job.total) * 100) : null;
+  let detail = '';
+  if (running) {
+    detail = [job.step, job.total ? `${job.current}/${job.total}` : null, job.message].filter(Boolean).join(' · ');
+  } else if (job.error) {
+    detail = job.error;
+  } else {
+    detail = `${formatDate(job.finishedAt)} ${new Date(job.finishedAt).toLocaleTimeString()}`;
+  }
+
+  row.className = `job-item job-${job.status}`;
+  row.innerHTML = `
+    <div class="job-info">
+      <div class="job-label">${escapeHtml(job.label)}</div>
+      <div class="job-detail"><span class="job-status">${escapeHtml(JOB_STATUS_LABELS[job.status] || job.status)}</span> ${escapeHtml(detail)}</div>
+      ${running ? `<div class="job-progress"><div class="job-progress-bar${percent === null ? ' indeterminate' : ''}" style="width: ${percent === null ? 100 : percent}%"></div></div>` : ''}
+    </div>
+    ${running && job.cancellable ? `<button class="btn-secondary btn-small job-cancel-btn"${job.cancelRequested ? ' disabled' : ''}>${job.cancelRequested ? 'Cancelling...' : 'Cancel'}</button>` : ''}
+  `;
+  row.querySelector('.job-cancel-btn')?.addEventListener('click', () => cancelJob(job.id));
+}
+
+async function cancelJob(jobId) {
+  try {
+    const response = await fetch(`${API_BASE}/jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+    const result = await response.json();
+    if (!response.ok) {
+      showToast(result.error || 'Could not cancel job');
+      return;
+    }
+    renderJob(result.job);
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    showToast('Could not cancel job');
+  }
+}
+
 // Tag Management
 async function loadTVs() {
   try {
@@ -5062,13 +5631,83 @@ async function loadTVs() {
 
 async function loadTags() {
   try {
-    const response = await fetch(`${API_BASE}/tags`);
-    allTags = await response.json();
+    await fetchTagLibrary();
   } catch (error) {
     console.error('Error loading tags:', error);
   }
 }
 
+// Load the tag library into allTags (names) and allTagDetails (attributes by name)
+async function fetchTagLibrary() {
+  const response = await fetch(`${API_BASE}/tags/library`);
+  const library = await response.json();
+  allTagDetails = Object.fromEntries(library.map(entry => [entry.name, entry]));
+  allTags = library.map(entry => entry.name);
+}
+
+// Hierarchical tags: "season/winter/christmas" is matched by "season" and
+// "season/winter" as well as by itself (same rules as tag_helper.js)
+const TAG_PATH_SEPARATOR = '/';
+
+function tagMatchesFilter(imageTag, filterTag) {
+  return imageTag === filterTag || imageTag.startsWith(filterTag + TAG_PATH_SEPARATOR);
+}
+
+// Whether any of an image's tags (array or Set) matches a filter tag
+function imageHasTag(imageTags, filterTag) {
+  for (const tag of imageTags || []) {
+    if (tagMatchesFilter(tag, filterTag)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// "a/b/c" -> ["a", "a/b", "a/b/c"]
+function getTagAncestry(tag) {
+  const segments = tag.split(TAG_PATH_SEPARATOR);
+  return segments.map((_, index) => segments.slice(0, index + 1).join(TAG_PATH_SEPARATOR));
+}
+
+// Tags plus any parent paths that only exist implicitly, sorted so parents precede children
+function expandTagHierarchy(tags) {
+  const expanded = new Set();
+  (tags || []).forEach(tag => getTagAncestry(tag).forEach(path => expanded.add(path)));
+  return Array.from(expanded).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+function getTagDepth(tag) {
+  return tag.split(TAG_PATH_SEPARATOR).length - 1;
+}
+
+function getTagLeafName(tag) {
+  return tag.split(TAG_PATH_SEPARATOR).pop();
+}
+
+// A tag's color, inherited from the nearest ancestor that has one
+function getTagColor(tag) {
+  const ancestry = getTagAncestry(tag);
+  for (let i = ancestry.length - 1; i >= 0; i--) {
+    const color = allTagDetails[ancestry[i]]?.color;
+    if (color) return color;
+  }
+  return null;
+}
+
+// Gallery tag badge, tinted with the tag's color when it has one
+function renderTagBadge(tag) {
+  const color = getTagColor(tag);
+  const description = allTagDetails[tag]?.description;
+  const style = color ? ` style="--tag-color: ${color}"` : '';
+  const title = description ? ` title="${escapeHtml(description)}"` : '';
+  return `<span class="tag${color ? ' tag-colored' : ''}"${style}${title}>${escapeHtml(tag)}</span>`;
+}
+
+function renderTagColorDot(tag) {
+  const color = getTagColor(tag);
+  return color ? `<span class="tag-color-dot" style="background: ${color}"></span>` : '';
+}
+
 // Count images that match a TV's include/exclude tag criteria
 function countImagesForTV(tv) {
   const includeTags = tv.tags || [];
@@ -5079,12 +5718,12 @@ function countImagesForTV(tv) {
     const imageTagSet = new Set(data.tags || []);
     
     // Check include tags: if set, image must have at least one
-    if (includeTags.length > 0 && !includeTags.some(tag => imageTagSet.has(tag))) {
+    if (includeTags.length > 0 && !includeTags.some(tag => imageHasTag(imageTagSet, tag))) {
       continue;
     }
     
     // Check exclude tags: if set, image must not have any
-    if (excludeTags.length > 0 && excludeTags.some(tag => imageTagSet.has(tag))) {
+    if (excludeTags.length > 0 && excludeTags.some(tag => imageHasTag(imageTagSet, tag))) {
       continue;
     }
     
@@ -5093,12 +5732,11 @@ function countImagesForTV(tv) {
   return count;
 }
 
-// Count images that have a specific tag
+// Count images that have a specific tag (or one of its descendants)
 function countImagesForTag(tag) {
   let count = 0;
   for (const [filename, data] of Object.entries(allImages)) {
-    const imageTags = data.tags || [];
-    if (imageTags.includes(tag)) {
+    if (imageHasTag(data.tags, tag)) {
       count++;
     }
   }
@@ -5117,12 +5755,12 @@ function countImagesForNone() {
       const excludeTags = tv.exclude_tags || [];
       
       // Check include tags: if set, image must have at least one
-      if (includeTags.length > 0 && !includeTags.some(tag => imageTagSet.has(tag))) {
+      if (includeTags.length > 0 && !includeTags.some(tag => imageHasTag(imageTagSet, tag))) {
         continue;
       }
       
       // Check exclude tags: if set, image must not have any
-      if (excludeTags.length > 0 && excludeTags.some(tag => imageTagSet.has(tag))) {
+      if (excludeTags.length > 0 && excludeTags.some(tag => imageHasTag(imageTagSet, tag))) {
         continue;
       }
       
@@ -5160,8 +5798,7 @@ async function loadTagsForFilter(options = {}) {
     const hadSelections = savedState.includedTags.size > 0 || savedState.excludedTags.size > 0 || 
                           savedState.checkedTVs.size > 0 || savedState.checkedTagsets.size > 0 || savedState.noneChecked;
     
-    const response = await fetch(`${API_BASE}/tags`);
-    allTags = await response.json();
+    await fetchTagLibrary();
 
     allTags.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
 
@@ -5307,10 +5944,10 @@ async function loadTagsForFilter(options = {}) {
         let matchCount = 0;
         for (const [filename, data] of Object.entries(allImages)) {
           const imageTagSet = new Set(data.tags || []);
-          if (includeTags.length > 0 && !includeTags.some(tag => imageTagSet.has(tag))) {
+          if (includeTags.length > 0 && !includeTags.some(tag => imageHasTag(imageTagSet, tag))) {
             continue;
           }
-          if (excludeTags.length > 0 && excludeTags.some(tag => imageTagSet.has(tag))) {
+          if (excludeTags.length > 0 && excludeTags.some(tag => imageHasTag(imageTagSet, tag))) {
             continue;
           }
           matchCount++;
@@ -5343,15 +5980,16 @@ async function loadTagsForFilter(options = {}) {
       html += `<div class="tv-shortcuts-divider"></div>`;
     }
     
-    // Tags Section
+    // Tags Section (hierarchical tags are listed under their parents)
     html += `<div class="tags-header">Tags</div>`;
-    html += allTags.map(tag => {
+    html += expandTagHierarchy(allTags).map(tag => {
       const safeValue = tag.replace(/"/g, '&quot;');
       const tagCount = countImagesForTag(tag);
+      const depth = getTagDepth(tag);
       return `
-      <div class="multiselect-option" data-state="unchecked">
+      <div class="multiselect-option${depth > 0 ? ' tag-child-option' : ''}" data-state="unchecked" style="--tag-depth: ${depth}">
         <input type="checkbox" value="${safeValue}" class="tag-checkbox" data-state="unchecked">
-        <label>${escapeHtml(tag)} <span class="tv-count">(${tagCount})</span></label>
+        <label title="${escapeHtml(allTagDetails[tag]?.description || tag)}">${renderTagColorDot(tag)}${escapeHtml(getTagLeafName(tag))} <span class="tv-count">(${tagCount})</span></label>
       </div>
     `}).join('');
 
@@ -7777,6 +8415,7 @@ async function revertImageToOriginal() {
     updateToolbarState();
     refreshModalImageAfterEdit();
     setToolbarStatus('Reverted to original image.', 'success');
+    showToast('Reverted to original image', 3000, { undoId: data.journalId });
 
     await updateSyncStatus();
   } catch (error) {
@@ -7785,6 +8424,37 @@ async function revertImageToOriginal() {
   }
 }
 
+// Capture date, camera and GPS read from the file's EXIF (see exif_helper.js)
+function renderModalCaptureInfo(imageData) {
+  const container = document.getElementById('modal-capture-info');
+  const textEl = document.getElementById('modal-capture-text');
+  if (!container || !textEl) return;
+
+  const embedded = imageData?.embeddedMetadata || {};
+  const parts = [];
+  if (embedded.capturedAt) {
+    parts.push(`Captured: ${embedded.capturedAt.slice(0, 16).replace('T', ' ')}`);
+  }
+  const camera = [embedded.camera, embedded.lens].filter(Boolean).join(' · ');
+  if (camera) {
+    parts.push(camera);
+  }
+  textEl.textContent = parts.join(' — ');
+
+  if (embedded.gps) {
+    const { latitude, longitude } = embedded.gps;
+    const link = document.createElement('a');
+    link.href = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=15/${latitude}/${longitude}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+    if (parts.length) textEl.append(' — ');
+    textEl.append(link);
+  }
+
+  container.classList.toggle('hidden', !parts.length && !embedded.gps);
+}
+
 function renderModalResolutionFromMetadata(imageData) {
   const resolutionEl = document.getElementById('modal-resolution');
   const aspectBadgeEl = document.getElementById('modal-aspect-badge');
@@ -7846,6 +8516,7 @@ function initModal() {
   const matteSelect = document.getElementById('modal-matte');
   const filterSelect = document.getElementById('modal-filter');
   const expandBtn = document.getElementById('expand-image-btn');
+  const artworkSaveBtn = document.getElementById('modal-artwork-save-btn');
 
   const closeModalAndSync = async () => {
     if (editState.active) {
@@ -7869,6 +8540,40 @@ function initModal() {
   closeBtn?.addEventListener('click', closeModalAndSync);
   cancelBtn?.addEventListener('click', closeModalAndSync);
 
+  getArtworkFieldInputs().forEach(input => {
+    input.addEventListener('input', () => setArtworkDetailsStatus('Unsaved changes', { dirty: true }));
+  });
+  artworkSaveBtn?.addEventListener('click', saveArtworkDetails);
+
+  document.getElementById('modal-history')?.addEventListener('toggle', (event) => {
+    if (event.target.open && currentImage) {
+      loadImageHistory(currentImage);
+    }
+  });
+  document.getElementById('modal-history-list')?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-history-restore]');
+    if (button) {
+      restoreImageVersion(button.dataset.commit, button.dataset.historyRestore);
+    }
+  });
+
+  document.getElementById('modal-variants')?.addEventListener('toggle', (event) => {
+    if (event.target.open && currentImage) {
+      loadImageVariants(currentImage);
+    }
+  });
+  document.getElementById('modal-variants-list')?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-variant-action]');
+    if (button) {
+      updateImageVariants(button.dataset.variantAction, button.dataset.filename);
+    }
+  });
+  document.getElementById('modal-variants-list')?.addEventListener('change', (event) => {
+    if (event.target.id === 'modal-variant-tags') {
+      updateImageVariants('tags', event.target.value);
+    }
+  });
+
   window.addEventListener('click', (event) => {
     if (event.target === modal) {
       closeModalAndSync();
@@ -8058,6 +8763,7 @@ function openImageModal(filename) {
   document.getElementById('modal-actual-filename').textContent = filename;
   
   renderModalResolutionFromMetadata(imageData);
+  renderModalCaptureInfo(imageData);
 
   // Set form values
   const metadataMatte = imageData.matte || METADATA_DEFAULT_MATTE;
@@ -8078,6 +8784,10 @@ function openImageModal(filename) {
   }
 
   selectFilter('none', { silent: true });
+
+  populateArtworkDetails(imageData);
+  resetImageHistory();
+  resetImageVariants(filename);
   
   // Render tag badges and TV tags helper
   renderImageTagBadges(imageData.tags || []);
@@ -8175,6 +8885,7 @@ async function saveFilenameChange() {
       document.getElementById('modal-image').src = `library/${result.newFilename}`;
       
       hideEditFilenameForm();
+      showToast(`Renamed to ${getDisplayName(result.newFilename)}`, 3000, { undoId: result.journalId });
       
       // Update sync status since files changed
       await updateSyncStatus();
@@ -8218,12 +8929,197 @@ async function saveImageChanges() {
   }
 }
 
-async function deleteImage() {
-  if (!currentImage) return;
-  if (!confirm(`Delete "${currentImage}"? This cannot be undone.`)) return;
+// Gallery search matches the filename plus the title and artist fields
+function imageMatchesSearch(filename, data, searchTerm) {
+  return [filename, data?.title, data?.artist]
+    .some(value => value && value.toLowerCase().includes(searchTerm));
+}
 
-  if (editState.active) {
-    cancelEdits();
+// Descriptive artwork fields (title, artist, ...) in the image modal
+
+function getArtworkFieldInputs() {
+  return Array.from(document.querySelectorAll('#modal-artwork-details [data-artwork-field]'));
+}
+
+function setArtworkDetailsStatus(message, { dirty = false, error = false } = {}) {
+  const status = document.getElementById('modal-artwork-status');
+  const saveBtn = document.getElementById('modal-artwork-save-btn');
+  if (status) {
+    status.textContent = message;
+    status.classList.toggle('error', error);
+  }
+  if (saveBtn) {
+    saveBtn.disabled = !dirty;
+  }
+}
+
+function updateArtworkSummary(imageData) {
+  const summary = document.getElementById('modal-artwork-summary');
+  if (!summary) return;
+  const parts = [imageData?.title, imageData?.artist, imageData?.year].filter(Boolean);
+  summary.textContent = parts.length ? `— ${parts.join(', ')}` : '';
+}
+
+function populateArtworkDetails(imageData) {
+  getArtworkFieldInputs().forEach(input => {
+    input.value = imageData?.[input.dataset.artworkField] || '';
+  });
+  updateArtworkSummary(imageData);
+  setArtworkDetailsStatus('');
+}
+
+async function saveArtworkDetails() {
+  if (!currentImage) return;
+
+  const fields = {};
+  getArtworkFieldInputs().forEach(input => {
+    fields[input.dataset.artworkField] = input.value;
+  });
+
+  setArtworkDetailsStatus('Saving...');
+
+  try {
+    const response = await fetch(`${API_BASE}/images/${encodeURIComponent(currentImage)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields)
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      setArtworkDetailsStatus(result.error || 'Failed to save details', { dirty: true, error: true });
+      return;
+    }
+
+    allImages[currentImage] = result.data;
+    populateArtworkDetails(result.data);
+    setArtworkDetailsStatus('Saved');
+
+    // Update sync status since metadata changed
+    await updateSyncStatus();
+  } catch (error) {
+    console.error('Error saving artwork details:', error);
+    setArtworkDetailsStatus('Failed to save details', { dirty: true, error: true });
+  }
+}
+
+// Image version history from git, in the image modal
+
+function resetImageHistory() {
+  const details = document.getElementById('modal-history');
+  const list = document.getElementById('modal-history-list');
+  const summary = document.getElementById('modal-history-summary');
+  if (details) details.open = false;
+  if (list) list.innerHTML = '';
+  if (summary) summary.textContent = '';
+}
+
+async function loadImageHistory(filename) {
+  const list = document.getElementById('modal-history-list');
+  const summary = document.getElementById('modal-history-summary');
+  if (!list) return;
+
+  list.innerHTML = '<p class="history-empty">Loading history...</p>';
+
+  try {
+    const response = await fetch(`${API_BASE}/images/${encodeURIComponent(filename)}/history`);
+    const data = await response.json();
+    if (filename !== currentImage) return;
+
+    if (!response.ok) {
+      list.innerHTML = `<p class="history-empty">${escapeHtml(data.error || 'Failed to load history')}</p>`;
+      return;
+    }
+
+    const { versions, truncated } = data;
+    if (summary) {
+      summary.textContent = `— ${versions.length}${truncated ? '+' : ''} version${versions.length === 1 ? '' : 's'}`;
+    }
+    if (versions.length === 0) {
+      list.innerHTML = '<p class="history-empty">No committed versions yet. Sync to record history.</p>';
+      return;
+    }
+
+    const encodedName = encodeURIComponent(filename);
+    list.innerHTML = versions.map((version, index) => {
+      const isCurrent = index === 0;
+      const thumb = version.imageChanged
+        ? `<img class="history-thumb" loading="lazy" alt="" src="${API_BASE}/images/${encodedName}/history/${version.commit}/thumbnail">`
+        : '<div class="history-thumb history-thumb-placeholder">metadata</div>';
+      const changes = version.summary.map(line => `<li>${escapeHtml(line)}</li>`).join('');
+      const actions = isCurrent ? '<span class="history-meta">Current</span>' : [
+        version.imageChanged && version.metadataChanged
+          ? `<button class="btn-secondary" data-history-restore="both" data-commit="${version.commit}">Restore</button>`
+          : '',
+        version.imageChanged
+          ? `<button class="btn-secondary" data-history-restore="image" data-commit="${version.commit}">Restore image</button>`
+          : '',
+        version.metadataChanged
+          ? `<button class="btn-secondary" data-history-restore="metadata" data-commit="${version.commit}">Restore metadata</button>`
+          : ''
+      ].join('');
+
+      return `
+        <div class="history-item">
+          ${thumb}
+          <div class="history-info">
+            <div class="history-meta">${escapeHtml(formatDate(version.date))} · <code>${escapeHtml(version.shortCommit)}</code> · ${escapeHtml(version.message)}</div>
+            <ul class="history-summary">${changes}</ul>
+          </div>
+          <div class="history-actions">${actions}</div>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Error loading image history:', error);
+    list.innerHTML = '<p class="history-empty">Failed to load history</p>';
+  }
+}
+
+async function restoreImageVersion(commit, part) {
+  if (!currentImage || !commit) return;
+
+  const what = part === 'image' ? 'the image' : part === 'metadata' ? 'the metadata' : 'the image and metadata';
+  if (!confirm(`Restore ${what} from ${commit.slice(0, 7)}? The current version stays in history.`)) return;
+
+  if (editState.active) {
+    cancelEdits();
+  }
+
+  try {
+    const filename = currentImage;
+    const response = await fetch(`${API_BASE}/images/${encodeURIComponent(filename)}/history/${commit}/restore`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ image: part !== 'metadata', metadata: part !== 'image' })
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      alert(result.error || 'Failed to restore version');
+      return;
+    }
+
+    allImages[filename] = result.image;
+    openImageModal(filename);
+    document.getElementById('modal-history').open = true;
+    showToast(`Restored ${getDisplayName(filename)} from ${commit.slice(0, 7)}`);
+
+    await loadTagsForFilter();
+    await updateSyncStatus();
+  } catch (error) {
+    console.error('Error restoring image version:', error);
+    alert('Failed to restore version');
+  }
+}
+
+async function deleteImage() {
+  if (!currentImage) return;
+  if (!confirm(`Delete "${currentImage}"? It can be restored from Advanced → Trash.`)) return;
+
+  if (editState.active) {
+    cancelEdits();
   }
 
   try {
@@ -8235,6 +9131,7 @@ async function deleteImage() {
 
     if (result.success) {
       document.getElementById('image-modal').classList.remove('active');
+      showToast(`Deleted ${getDisplayName(currentImage)}`, 3000, { undoId: result.journalId });
       await loadGallery();
       
       // Update sync status since file was deleted
@@ -8259,10 +9156,541 @@ async function deleteImage() {
   }
 }
 
+// ============================================================================
+// TRASH
+// ============================================================================
+
+async function loadTrashTab() {
+  initTrashControls();
+  const container = document.getElementById('trash-container');
+  if (!container) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/trash`);
+    const { retentionDays, items } = await response.json();
+
+    const retentionInput = document.getElementById('trash-retention-days');
+    if (retentionInput && document.activeElement !== retentionInput) {
+      retentionInput.value = retentionDays;
+    }
+    document.getElementById('empty-trash-btn').disabled = items.length === 0;
+
+    if (items.length === 0) {
+      container.innerHTML = '<p class="empty-state">Trash is empty.</p>';
+      return;
+    }
+
+    container.innerHTML = items.map(item => `
+      <div class="trash-item" data-trash-id="${escapeHtml(item.id)}">
+        ${item.hasThumbnail
+          ? `<img class="trash-thumb" src="${API_BASE}/trash/${encodeURIComponent(item.id)}/thumbnail" alt="" loading="lazy">`
+          : '<div class="trash-thumb trash-thumb-missing">🖼️</div>'}
+        <div class="trash-info">
+          <div class="trash-name">${escapeHtml(item.title || getDisplayName(item.filename))}</div>
+          <div class="trash-meta">Deleted ${formatDate(item.deletedAt)} · purged ${formatDate(item.expiresAt)}</div>
+          ${item.tags.length > 0 ? `<div class="image-tags">${item.tags.map(renderTagBadge).join('')}</div>` : ''}
+        </div>
+        <div class="trash-actions">
+          <button class="btn-primary btn-small trash-restore-btn">Restore</button>
+          <button class="btn-secondary btn-small trash-purge-btn" title="Delete permanently">Purge</button>
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.trash-item').forEach(row => {
+      const item = items.find(candidate => candidate.id === row.dataset.trashId);
+      row.querySelector('.trash-restore-btn').addEventListener('click', () => restoreTrashItem(item));
+      row.querySelector('.trash-purge-btn').addEventListener('click', () => purgeTrashItem(item));
+    });
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    container.innerHTML = '<p class="error">Failed to load trash</p>';
+  }
+}
+
+function initTrashControls() {
+  const emptyBtn = document.getElementById('empty-trash-btn');
+  const saveBtn = document.getElementById('save-trash-retention-btn');
+  if (!emptyBtn || !saveBtn || emptyBtn.dataset.initialized) return;
+  emptyBtn.dataset.initialized = 'true';
+
+  emptyBtn.addEventListener('click', emptyTrash);
+  saveBtn.addEventListener('click', saveTrashRetention);
+}
+
+async function restoreTrashItem(item) {
+  try {
+    const response = await fetch(`${API_BASE}/trash/${encodeURIComponent(item.id)}/restore`, { method: 'POST' });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to restore image');
+      return;
+    }
+
+    showToast(`Restored ${getDisplayName(result.filename)}`);
+    await loadTrashTab();
+    await loadGallery();
+    await loadTagsForFilter({ skipRender: true });
+    await updateSyncStatus();
+  } catch (error) {
+    console.error('Error restoring image:', error);
+    showToast('Failed to restore image');
+  }
+}
+
+async function purgeTrashItem(item) {
+  if (!confirm(`Permanently delete "${item.filename}"? This cannot be undone.`)) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/trash/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to purge image');
+      return;
+    }
+    await loadTrashTab();
+  } catch (error) {
+    console.error('Error purging image:', error);
+    showToast('Failed to purge image');
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/trash`, { method: 'DELETE' });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to empty trash');
+      return;
+    }
+    showToast(`Purged ${result.count} image${result.count === 1 ? '' : 's'}`);
+    await loadTrashTab();
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    showToast('Failed to empty trash');
+  }
+}
+
+async function saveTrashRetention() {
+  const input = document.getElementById('trash-retention-days');
+  const days = parseInt(input?.value, 10);
+  if (!Number.isFinite(days) || days < 1 || days > 365) {
+    showToast('Retention must be between 1 and 365 days');
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/images/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trashRetentionDays: days })
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to save retention');
+      return;
+    }
+    showToast(`Deleted images are kept for ${result.settings.trashRetentionDays} days`);
+    await loadTrashTab();
+  } catch (error) {
+    console.error('Error saving trash retention:', error);
+    showToast('Failed to save retention');
+  }
+}
+
+// Variant groups (see variant_helper.js), in the image modal
+
+function resetImageVariants(filename) {
+  const details = document.getElementById('modal-variants');
+  const list = document.getElementById('modal-variants-list');
+  const summary = document.getElementById('modal-variants-summary');
+  if (details) details.open = false;
+  if (list) list.innerHTML = '';
+  if (summary) {
+    const primary = allImages[filename]?.variantOf || filename;
+    const members = Object.keys(allImages).filter(name => name === primary || allImages[name].variantOf === primary);
+    summary.textContent = members.length > 1 ? `— ${members.length} versions` : '';
+  }
+}
+
+async function loadImageVariants(filename) {
+  const list = document.getElementById('modal-variants-list');
+  if (!list) return;
+
+  list.innerHTML = '<p class="history-empty">Loading variants...</p>';
+
+  try {
+    const response = await fetch(`${API_BASE}/images/${encodeURIComponent(filename)}/variants`);
+    const data = await response.json();
+    if (filename !== currentImage) return;
+
+    if (!response.ok) {
+      list.innerHTML = `<p class="history-empty">${escapeHtml(data.error || 'Failed to load variants')}</p>`;
+      return;
+    }
+    renderImageVariants(data.group);
+  } catch (error) {
+    console.error('Error loading variants:', error);
+    list.innerHTML = '<p class="history-empty">Failed to load variants</p>';
+  }
+}
+
+function renderImageVariants(group) {
+  const list = document.getElementById('modal-variants-list');
+  const summary = document.getElementById('modal-variants-summary');
+  if (!group) {
+    if (summary) summary.textContent = '';
+    list.innerHTML = '<p class="history-empty">Not linked to other versions. Select images in the gallery and use Link as Variants.</p>';
+    return;
+  }
+
+  const members = [group.primary, ...group.variants];
+  if (summary) summary.textContent = `— ${members.length} versions`;
+  const rows = members.map(filename => {
+    const isPrimary = filename === group.primary;
+    const actions = [
+      isPrimary
+        ? '<span class="history-meta">Primary</span>'
+        : `<button class="btn-secondary" data-variant-action="primary" data-filename="${escapeHtml(filename)}">Make primary</button>`,
+      `<button class="btn-secondary" data-variant-action="unlink" data-filename="${escapeHtml(filename)}">Unlink</button>`
+    ].join('');
+    return `
+      <div class="history-item">
+        <img class="history-thumb" loading="lazy" alt="" src="thumbs/thumb_${encodeURIComponent(filename)}">
+        <div class="history-info">
+          <div>${escapeHtml(getDisplayName(filename))}${filename === currentImage ? ' <span class="history-meta">(this image)</span>' : ''}</div>
+        </div>
+        <div class="history-actions">${actions}</div>
+      </div>
+    `;
+  }).join('');
+
+  list.innerHTML = `
+    <div class="form-group form-group-compact">
+      <label for="modal-variant-tags">Tags:</label>
+      <select id="modal-variant-tags">
+        <option value="per-variant"${group.variantTags === 'per-variant' ? ' selected' : ''}>Each version has its own</option>
+        <option value="shared"${group.variantTags === 'shared' ? ' selected' : ''}>Shared by all versions</option>
+      </select>
+    </div>
+    ${rows}
+  `;
+}
+
+/**
+ * Change the current image's variant group from the modal
+ * @param {string} action - 'primary', 'unlink' or 'tags'
+ * @param {string} value - Member filename, or the tag mode for 'tags'
+ */
+async function updateImageVariants(action, value) {
+  const filename = currentImage;
+  const target = action === 'unlink' ? value : filename;
+  const request = action === 'unlink'
+    ? { method: 'DELETE' }
+    : {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(action === 'primary' ? { primary: value } : { variantTags: value })
+      };
+
+  try {
+    const response = await fetch(`${API_BASE}/images/${encodeURIComponent(target)}/variants`, request);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to update variants');
+      return;
+    }
+
+    // Shared tags and links touch other records, so reload them all
+    await refreshAfterBatch();
+    if (filename !== currentImage) return;
+    if (allImages[filename]) {
+      renderImageTagBadges(allImages[filename].tags || []);
+    }
+    if (action === 'unlink' && value === filename) {
+      renderImageVariants(null);
+    } else {
+      renderImageVariants(result.group);
+    }
+    await fetchSimilarGroups();
+  } catch (error) {
+    console.error('Error updating variants:', error);
+    showToast('Failed to update variants');
+  }
+}
+
+/**
+ * Link the selected images as variants of the first one selected
+ */
+async function linkSelectedAsVariants() {
+  const [primary, ...variants] = Array.from(selectedImages);
+  if (variants.length === 0) {
+    showToast('Select at least two versions of the artwork');
+    return;
+  }
+  if (!confirm(`Link ${variants.length} image${variants.length !== 1 ? 's' : ''} as variants of ${getDisplayName(primary)}?`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/images/${encodeURIComponent(primary)}/variants`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variants })
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      alert(`Failed to link variants: ${result.error || response.statusText}`);
+      return;
+    }
+    showToast(`Linked ${result.group.variants.length + 1} versions of ${getDisplayName(result.group.primary)}`);
+  } catch (error) {
+    console.error('Error linking variants:', error);
+    alert(`Failed to link variants: ${error.message}`);
+    return;
+  }
+
+  clearSelection();
+  await refreshAfterBatch();
+  // Linked variants drop out of the similar view
+  await fetchSimilarGroups();
+  if (similarFilterActive) {
+    renderGallery();
+  }
+}
+
+async function loadVariantSettings() {
+  const checkbox = document.getElementById('shuffle-one-variant-checkbox');
+  if (!checkbox) return;
+  if (!checkbox.dataset.initialized) {
+    checkbox.dataset.initialized = 'true';
+    checkbox.addEventListener('change', saveShuffleOneVariantPerGroup);
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/images/settings`);
+    const settings = await response.json();
+    checkbox.checked = Boolean(settings.shuffleOneVariantPerGroup);
+  } catch (error) {
+    console.error('Error loading variant settings:', error);
+  }
+}
+
+async function saveShuffleOneVariantPerGroup() {
+  const checkbox = document.getElementById('shuffle-one-variant-checkbox');
+  try {
+    const response = await fetch(`${API_BASE}/images/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ shuffleOneVariantPerGroup: checkbox.checked })
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to save setting');
+      return;
+    }
+    showToast(checkbox.checked ? 'The shuffle will show one variant per group' : 'The shuffle will show every variant');
+  } catch (error) {
+    console.error('Error saving variant setting:', error);
+    showToast('Failed to save setting');
+  }
+}
+
+async function loadDuplicatePolicy() {
+  const select = document.getElementById('duplicate-policy-select');
+  const saveBtn = document.getElementById('save-duplicate-policy-btn');
+  if (!select || !saveBtn) return;
+  if (!saveBtn.dataset.initialized) {
+    saveBtn.dataset.initialized = 'true';
+    saveBtn.addEventListener('click', saveDuplicatePolicy);
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/images/settings`);
+    const settings = await response.json();
+    if (document.activeElement !== select) {
+      select.value = settings.duplicatePolicy;
+    }
+  } catch (error) {
+    console.error('Error loading duplicate policy:', error);
+  }
+}
+
+async function saveDuplicatePolicy() {
+  const select = document.getElementById('duplicate-policy-select');
+  try {
+    const response = await fetch(`${API_BASE}/images/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ duplicatePolicy: select.value })
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to save duplicate policy');
+      return;
+    }
+    showToast(`Near-duplicate uploads: ${select.options[select.selectedIndex].text.toLowerCase()}`);
+  } catch (error) {
+    console.error('Error saving duplicate policy:', error);
+    showToast('Failed to save duplicate policy');
+  }
+}
+
+// ============================================================================
+// INTEGRITY
+// ============================================================================
+
+const INTEGRITY_REPAIR_LABELS = {
+  'regenerate-thumbnail': 'Regenerate',
+  're-measure': 'Re-measure',
+  'delete-orphan': 'Delete',
+  're-hash': 'Re-hash',
+  're-import': 'Re-import',
+  'add-tags': 'Add tag',
+  'hydrate': 'Download',
+  'restore-original': 'Restore original',
+  'move-to-trash': 'Move to trash'
+};
+
+let integrityFindings = [];
+
+async function loadIntegrityTab() {
+  initIntegrityControls();
+  if (integrityFindings.length === 0) {
+    await runIntegrityScan();
+  }
+}
+
+function initIntegrityControls() {
+  const scanBtn = document.getElementById('integrity-scan-btn');
+  const repairAllBtn = document.getElementById('integrity-repair-all-btn');
+  if (!scanBtn || !repairAllBtn || scanBtn.dataset.initialized) return;
+  scanBtn.dataset.initialized = 'true';
+
+  scanBtn.addEventListener('click', runIntegrityScan);
+  repairAllBtn.addEventListener('click', () => {
+    const count = integrityFindings.length;
+    if (!confirm(`Repair ${count} issue${count === 1 ? '' : 's'}? Orphaned files are deleted and broken images move to the trash.`)) return;
+    repairIntegrityFindings(integrityFindings.map(item => item.id));
+  });
+  document.getElementById('integrity-thumbnails-btn')?.addEventListener('click', regenerateAllThumbnails);
+}
+
+async function regenerateAllThumbnails() {
+  if (!confirm('Regenerate the thumbnail of every image? This runs in the background and can take a while.')) return;
+  try {
+    const response = await fetch(`${API_BASE}/images/thumbnails/regenerate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      showToast(result.error || 'Could not start thumbnail regeneration');
+      return;
+    }
+    openJobsModal();
+  } catch (error) {
+    console.error('Error starting thumbnail regeneration:', error);
+    showToast('Could not start thumbnail regeneration');
+  }
+}
+
+async function runIntegrityScan() {
+  const container = document.getElementById('integrity-container');
+  const summary = document.getElementById('integrity-summary');
+  const scanBtn = document.getElementById('integrity-scan-btn');
+  if (!container) return;
+
+  const deep = document.getElementById('integrity-deep-scan')?.checked;
+  scanBtn.disabled = true;
+  container.innerHTML = '<div class="loading-indicator">Scanning library...</div>';
+
+  try {
+    const response = await fetch(`${API_BASE}/integrity/scan${deep ? '?deep=true' : ''}`);
+    const scan = await response.json();
+    if (!response.ok) {
+      throw new Error(scan.error || 'Scan failed');
+    }
+
+    integrityFindings = scan.findings;
+    const { images, thumbnails, originals } = scan.totals;
+    summary.textContent = `Scanned ${images} images, ${thumbnails} thumbnails and ${originals} originals at ${new Date(scan.scannedAt).toLocaleTimeString()}`;
+    document.getElementById('integrity-repair-all-btn').disabled = integrityFindings.length === 0;
+    renderIntegrityFindings();
+  } catch (error) {
+    console.error('Error scanning library:', error);
+    container.innerHTML = '<p class="error">Failed to scan library</p>';
+  } finally {
+    scanBtn.disabled = false;
+  }
+}
+
+function renderIntegrityFindings() {
+  const container = document.getElementById('integrity-container');
+  if (integrityFindings.length === 0) {
+    container.innerHTML = '<p class="empty-state">No problems found.</p>';
+    return;
+  }
+
+  container.innerHTML = integrityFindings.map(item => `
+    <div class="integrity-item" data-finding-id="${escapeHtml(item.id)}">
+      <div class="trash-info">
+        <div class="trash-name">${escapeHtml(item.filename ? getDisplayName(item.filename) : (item.path || item.tag))}</div>
+        <div class="trash-meta"><span class="integrity-type">${escapeHtml(item.type)}</span> ${escapeHtml(item.message)}</div>
+      </div>
+      <div class="trash-actions">
+        <button class="btn-secondary btn-small integrity-repair-btn">${escapeHtml(INTEGRITY_REPAIR_LABELS[item.repair] || item.repair)}</button>
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.integrity-item').forEach(row => {
+    row.querySelector('.integrity-repair-btn').addEventListener('click', () => {
+      repairIntegrityFindings([row.dataset.findingId]);
+    });
+  });
+}
+
+async function repairIntegrityFindings(ids) {
+  document.getElementById('integrity-repair-all-btn').disabled = true;
+  try {
+    const response = await fetch(`${API_BASE}/integrity/repair`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      showToast(result.error || 'Repair failed');
+      return;
+    }
+
+    const parts = [`Repaired ${result.repaired.length}`];
+    if (result.failed.length > 0) parts.push(`${result.failed.length} failed`);
+    if (result.skipped.length > 0) parts.push(`${result.skipped.length} already fixed`);
+    showToast(parts.join(', '));
+    result.failed.forEach(entry => console.warn(`Repair of ${entry.id} failed: ${entry.error}`));
+
+    await runIntegrityScan();
+    if (result.repaired.length > 0) {
+      await refreshAfterBatch();
+    }
+  } catch (error) {
+    console.error('Error repairing library:', error);
+    showToast('Repair failed');
+  } finally {
+    document.getElementById('integrity-repair-all-btn').disabled = integrityFindings.length === 0;
+  }
+}
+
 // Metadata Viewer Functions
 function initMetadataViewer() {
   const btn = document.getElementById('refresh-metadata-btn');
   btn.addEventListener('click', loadMetadata);
+  initMetadataImport();
   
   // Load metadata on initial page load
   loadMetadata();
@@ -8284,6 +9712,97 @@ async function loadMetadata() {
   }
 }
 
+// Metadata import: preview the diff, then apply (POST /api/metadata/import)
+function initMetadataImport() {
+  const fileInput = document.getElementById('metadata-import-file');
+  const previewBtn = document.getElementById('metadata-import-preview-btn');
+  const applyBtn = document.getElementById('metadata-import-apply-btn');
+  if (!fileInput || !previewBtn || !applyBtn) return;
+
+  fileInput.addEventListener('change', () => {
+    previewBtn.disabled = !fileInput.files.length;
+    applyBtn.classList.add('hidden');
+    document.getElementById('metadata-import-preview').classList.add('hidden');
+  });
+  previewBtn.addEventListener('click', () => submitMetadataImport(true));
+  applyBtn.addEventListener('click', () => submitMetadataImport(false));
+}
+
+async function submitMetadataImport(preview) {
+  const file = document.getElementById('metadata-import-file').files[0];
+  if (!file) return;
+
+  const previewBtn = document.getElementById('metadata-import-preview-btn');
+  const applyBtn = document.getElementById('metadata-import-apply-btn');
+  previewBtn.disabled = true;
+  applyBtn.disabled = true;
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await fetch(`${API_BASE}/metadata/import?preview=${preview}`, { method: 'POST', body: formData });
+    const result = await response.json();
+
+    if (!response.ok) {
+      renderMetadataImportPreview({ changes: [], unchanged: 0, errors: [], warnings: [] }, result.details || [result.error]);
+      applyBtn.classList.add('hidden');
+      return;
+    }
+
+    if (preview) {
+      renderMetadataImportPreview(result);
+      applyBtn.classList.toggle('hidden', result.changes.length === 0 || result.errors.length > 0);
+      return;
+    }
+
+    document.getElementById('metadata-import-preview').classList.add('hidden');
+    applyBtn.classList.add('hidden');
+    document.getElementById('metadata-import-file').value = '';
+    showToast(`Imported metadata for ${result.changes.length} image${result.changes.length !== 1 ? 's' : ''}`, 3000, { undoId: result.journalId });
+    await refreshAfterBatch();
+    loadMetadata();
+  } catch (error) {
+    console.error('Error importing metadata:', error);
+    alert('Failed to import metadata');
+  } finally {
+    previewBtn.disabled = false;
+    applyBtn.disabled = false;
+  }
+}
+
+function renderMetadataImportPreview({ changes, unchanged, errors, warnings }, requestErrors = []) {
+  const container = document.getElementById('metadata-import-preview');
+  const formatValue = value => {
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '(none)';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  };
+
+  const problems = [
+    ...requestErrors,
+    ...errors.map(({ row, filename, error }) => `Row ${row}${filename ? ` (${filename})` : ''}: ${error}`)
+  ];
+  let html = `<p><strong>${changes.length}</strong> image${changes.length !== 1 ? 's' : ''} will change, ${unchanged} unchanged.</p>`;
+  if (problems.length > 0) {
+    html += `<div class="metadata-import-errors"><strong>Fix these rows before importing:</strong><ul>${
+      problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')
+    }</ul></div>`;
+  }
+  if (warnings.length > 0) {
+    html += `<ul>${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>`;
+  }
+  if (changes.length > 0) {
+    const rows = changes.flatMap(({ filename, fields }) => Object.entries(fields).map(([field, { from, to }]) => `
+      <tr>
+        <td>${escapeHtml(getDisplayName(filename))}</td>
+        <td>${escapeHtml(field)}</td>
+        <td><span class="import-from">${escapeHtml(formatValue(from))}</span> → <span class="import-to">${escapeHtml(formatValue(to))}</span></td>
+      </tr>`));
+    html += `<table>${rows.join('')}</table>`;
+  }
+
+  container.innerHTML = html;
+  container.classList.remove('hidden');
+}
+
 // Sync Detail Functions
 function initSyncDetail() {
   // Load initial data
@@ -8412,6 +9931,14 @@ function renderSyncLogEntry(entry) {
     detailLines.push(''); // blank line after discarded
   }
 
+  // Per-file results (inbox imports)
+  if (Array.isArray(entry.details) && entry.details.length > 0) {
+    entry.details.forEach(detail => {
+      detailLines.push(`---${detail}`);
+    });
+    detailLines.push('');
+  }
+
   // Error info
   if (entry.error) {
     detailLines.push(`Error: ${entry.error}`);
@@ -8720,6 +10247,9 @@ function initBulkActions() {
   if (bulkTagBtn) {
     bulkTagBtn.addEventListener('click', openBulkTagModal);
   }
+  document.getElementById('bulk-collection-btn')?.addEventListener('click', openCollectionModal);
+  document.getElementById('bulk-variants-btn')?.addEventListener('click', linkSelectedAsVariants);
+  initBatchEdit();
   if (bulkDeleteBtn) {
     bulkDeleteBtn.addEventListener('click', deleteBulkImages);
   }
@@ -8749,15 +10279,310 @@ function initBulkActions() {
       }
     });
   }
-  
-  // Close modal on outside click
-  const modal = document.getElementById('bulk-tag-modal');
-  if (modal) {
-    modal.addEventListener('click', (e) => {
-      if (e.target === modal) {
-        closeBulkTagModal();
-      }
+  
+  // Close modal on outside click
+  const modal = document.getElementById('bulk-tag-modal');
+  if (modal) {
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeBulkTagModal();
+      }
+    });
+  }
+}
+
+// ============================================
+// Collections (albums)
+// ============================================
+
+async function loadCollections() {
+  try {
+    const response = await fetch(`${API_BASE}/collections`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    allCollections = await response.json();
+  } catch (error) {
+    console.error('Error loading collections:', error);
+    allCollections = [];
+  }
+
+  if (activeCollectionId && !getActiveCollection()) {
+    activeCollectionId = '';
+  }
+  renderCollectionFilter();
+  renderCollectionBar();
+}
+
+function getActiveCollection() {
+  return activeCollectionId ? allCollections.find(collection => collection.id === activeCollectionId) || null : null;
+}
+
+// Replace a collection in allCollections with the server's copy (or add it)
+function storeCollection(collection) {
+  const index = allCollections.findIndex(existing => existing.id === collection.id);
+  if (index === -1) {
+    allCollections.push(collection);
+    allCollections.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  } else {
+    allCollections[index] = collection;
+  }
+}
+
+function renderCollectionFilter() {
+  const select = document.getElementById('collection-filter');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">All Images</option>' + allCollections.map(collection =>
+    `<option value="${escapeHtml(collection.id)}">${escapeHtml(collection.name)} (${collection.images.length})</option>`
+  ).join('');
+  select.value = activeCollectionId;
+  select.closest('.control-collection')?.classList.toggle('hidden', allCollections.length === 0);
+}
+
+function renderCollectionBar() {
+  const bar = document.getElementById('collection-bar');
+  if (!bar) return;
+
+  const collection = getActiveCollection();
+  bar.classList.toggle('hidden', !collection);
+  if (!collection) return;
+
+  document.getElementById('collection-bar-name').textContent = collection.name;
+  document.getElementById('collection-bar-count').textContent =
+    `${collection.images.length} image${collection.images.length === 1 ? '' : 's'}`;
+  document.getElementById('collection-bar-description').textContent = collection.description || '';
+}
+
+function setCollectionFilter(id) {
+  activeCollectionId = id || '';
+  renderCollectionFilter();
+  renderCollectionBar();
+  renderGallery();
+}
+
+function initCollections() {
+  document.getElementById('collection-filter')?.addEventListener('change', (event) => {
+    setCollectionFilter(event.target.value);
+  });
+
+  const modal = document.getElementById('collection-modal');
+  document.getElementById('collection-modal-close')?.addEventListener('click', closeCollectionModal);
+  document.getElementById('collection-modal-done-btn')?.addEventListener('click', closeCollectionModal);
+  modal?.addEventListener('click', (event) => {
+    if (event.target === modal) {
+      closeCollectionModal();
+    }
+  });
+  document.getElementById('collection-modal-list')?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-collection-action]');
+    if (button) {
+      updateSelectedInCollection(button.dataset.collectionId, button.dataset.collectionAction);
+    }
+  });
+  document.getElementById('create-collection-btn')?.addEventListener('click', createCollectionFromSelection);
+  document.getElementById('new-collection-name')?.addEventListener('keypress', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      createCollectionFromSelection();
+    }
+  });
+
+  const editModal = document.getElementById('collection-edit-modal');
+  document.getElementById('edit-collection-btn')?.addEventListener('click', openCollectionEditor);
+  document.getElementById('delete-collection-btn')?.addEventListener('click', deleteActiveCollection);
+  document.getElementById('collection-edit-close')?.addEventListener('click', closeCollectionEditor);
+  document.getElementById('collection-edit-cancel-btn')?.addEventListener('click', closeCollectionEditor);
+  document.getElementById('collection-edit-save-btn')?.addEventListener('click', saveCollectionEdits);
+  editModal?.addEventListener('click', (event) => {
+    if (event.target === editModal) {
+      closeCollectionEditor();
+    }
+  });
+}
+
+function openCollectionModal() {
+  if (selectedImages.size === 0) return;
+  document.getElementById('collection-modal-count').textContent = selectedImages.size;
+  document.getElementById('new-collection-name').value = '';
+  renderCollectionModalList();
+  document.getElementById('collection-modal').classList.add('active');
+}
+
+function closeCollectionModal() {
+  document.getElementById('collection-modal')?.classList.remove('active');
+}
+
+function renderCollectionModalList() {
+  const list = document.getElementById('collection-modal-list');
+  if (!list) return;
+
+  if (allCollections.length === 0) {
+    list.innerHTML = '<p class="collection-modal-empty">No collections yet. Create one below.</p>';
+    return;
+  }
+
+  const selected = Array.from(selectedImages);
+  list.innerHTML = allCollections.map(collection => {
+    const members = new Set(collection.images);
+    const inCollection = selected.filter(filename => members.has(filename)).length;
+    const id = escapeHtml(collection.id);
+    return `
+      <div class="collection-modal-row">
+        <div>
+          <div>${escapeHtml(collection.name)}</div>
+          <div class="collection-membership">${inCollection} of ${selected.length} selected already in it · ${collection.images.length} total</div>
+        </div>
+        <div>
+          <button class="btn-primary" data-collection-action="add" data-collection-id="${id}" ${inCollection === selected.length ? 'disabled' : ''}>Add</button>
+          <button class="btn-secondary" data-collection-action="remove" data-collection-id="${id}" ${inCollection === 0 ? 'disabled' : ''}>Remove</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function updateSelectedInCollection(id, action) {
+  const collection = allCollections.find(existing => existing.id === id);
+  if (!collection || selectedImages.size === 0) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/collections/${encodeURIComponent(id)}/images${action === 'remove' ? '/remove' : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filenames: Array.from(selectedImages) })
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      alert(result.error || 'Failed to update collection');
+      return;
+    }
+
+    storeCollection(result.collection);
+    renderCollectionModalList();
+    renderCollectionFilter();
+    renderCollectionBar();
+    if (activeCollectionId === id) {
+      renderGallery();
+    }
+    showToast(action === 'remove'
+      ? `Removed ${result.count} image${result.count === 1 ? '' : 's'} from ${collection.name}`
+      : `Added ${result.count} image${result.count === 1 ? '' : 's'} to ${collection.name}`);
+    await updateSyncStatus();
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    alert('Failed to update collection');
+  }
+}
+
+async function createCollectionFromSelection() {
+  const input = document.getElementById('new-collection-name');
+  const name = input?.value.trim();
+  if (!name) {
+    input?.focus();
+    return;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE}/collections`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, images: Array.from(selectedImages) })
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      alert(result.error || 'Failed to create collection');
+      return;
+    }
+
+    storeCollection(result.collection);
+    input.value = '';
+    renderCollectionModalList();
+    renderCollectionFilter();
+    showToast(`Created ${result.collection.name} with ${result.collection.images.length} image${result.collection.images.length === 1 ? '' : 's'}`);
+    await updateSyncStatus();
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    alert('Failed to create collection');
+  }
+}
+
+function openCollectionEditor() {
+  const collection = getActiveCollection();
+  if (!collection) return;
+
+  document.getElementById('collection-edit-name').value = collection.name;
+  document.getElementById('collection-edit-description').value = collection.description || '';
+  const coverSelect = document.getElementById('collection-edit-cover');
+  coverSelect.innerHTML = '<option value="">First image</option>' + collection.images.map(filename =>
+    `<option value="${escapeHtml(filename)}">${escapeHtml(getDisplayName(filename))}</option>`
+  ).join('');
+  coverSelect.value = collection.cover || '';
+  document.getElementById('collection-edit-modal').classList.add('active');
+}
+
+function closeCollectionEditor() {
+  document.getElementById('collection-edit-modal')?.classList.remove('active');
+}
+
+async function saveCollectionEdits() {
+  const collection = getActiveCollection();
+  if (!collection) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/collections/${encodeURIComponent(collection.id)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: document.getElementById('collection-edit-name').value,
+        description: document.getElementById('collection-edit-description').value,
+        cover: document.getElementById('collection-edit-cover').value || null
+      })
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      alert(result.error || 'Failed to save collection');
+      return;
+    }
+
+    storeCollection(result.collection);
+    allCollections.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    closeCollectionEditor();
+    renderCollectionFilter();
+    renderCollectionBar();
+    await updateSyncStatus();
+  } catch (error) {
+    console.error('Error saving collection:', error);
+    alert('Failed to save collection');
+  }
+}
+
+async function deleteActiveCollection() {
+  const collection = getActiveCollection();
+  if (!collection) return;
+  if (!confirm(`Delete the collection "${collection.name}"? Its images stay in the library.`)) return;
+
+  try {
+    const response = await fetch(`${API_BASE}/collections/${encodeURIComponent(collection.id)}`, {
+      method: 'DELETE'
     });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      alert(result.error || 'Failed to delete collection');
+      return;
+    }
+
+    allCollections = allCollections.filter(existing => existing.id !== collection.id);
+    setCollectionFilter('');
+    showToast(`Deleted collection ${collection.name}`);
+    await updateSyncStatus();
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    alert('Failed to delete collection');
   }
 }
 
@@ -8765,48 +10590,33 @@ async function deleteBulkImages() {
   const count = selectedImages.size;
   const plural = count !== 1 ? 's' : '';
   
-  if (!confirm(`Are you sure you want to delete ${count} image${plural}? This cannot be undone.`)) {
+  if (!confirm(`Are you sure you want to delete ${count} image${plural}? They can be restored from Advanced → Trash.`)) {
     return;
   }
   
-  const selectedArray = Array.from(selectedImages);
-  let successCount = 0;
-  let errorCount = 0;
-  
-  // Delete each selected image
-  for (const filename of selectedArray) {
-    try {
-      const response = await fetch(`${API_BASE}/images/${encodeURIComponent(filename)}`, {
-        method: 'DELETE'
-      });
-      
-      const result = await response.json();
-      if (result.success) {
-        successCount++;
-      } else {
-        errorCount++;
-      }
-    } catch (error) {
-      console.error(`Error deleting ${filename}:`, error);
-      errorCount++;
-    }
+  // One request, one metadata write and one commit for the whole selection
+  let result;
+  try {
+    result = await runBatchOperation({ delete: true });
+  } catch (error) {
+    console.error('Error deleting images:', error);
+    alert(`Failed to delete images: ${error.message}`);
+    return;
   }
   
   // Show result
-  if (errorCount > 0) {
-    alert(`Deleted ${successCount} image${successCount !== 1 ? 's' : ''}. ${errorCount} failed.`);
+  if (result.failed > 0) {
+    alert(`Deleted ${result.deleted} image${result.deleted !== 1 ? 's' : ''}. ${result.failed} failed.`);
+  } else {
+    showToast(`Deleted ${result.deleted} image${result.deleted !== 1 ? 's' : ''}`, 3000, { undoId: result.journalId });
   }
   
   // Clear selection and refresh gallery
   clearSelection();
-  await loadGallery();
-  
-  // Update sync status since files were deleted
-  await updateSyncStatus();
+  await refreshAfterBatch();
   
   // Refresh similar groups and filter count
   await fetchSimilarGroups();
-  await loadTagsForFilter();
   if (similarFilterActive) {
     renderGallery();
   }
@@ -8818,6 +10628,123 @@ async function deleteBulkImages() {
   }
 }
 
+/**
+ * POST /api/images/batch for the current selection
+ * @returns {Promise<Object>} Response with per-file results (throws on a rejected request)
+ */
+async function runBatchOperation(operations) {
+  const response = await fetch(`${API_BASE}/images/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filenames: Array.from(selectedImages), operations })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || 'Batch operation failed');
+  }
+  return result;
+}
+
+async function refreshAfterBatch() {
+  await loadGallery();
+  await loadTagsForFilter();
+  await updateSyncStatus();
+}
+
+// Batch Edit Modal (matte, filter, replace tags, pattern rename)
+function initBatchEdit() {
+  const modal = document.getElementById('batch-edit-modal');
+  document.getElementById('bulk-edit-btn')?.addEventListener('click', openBatchEditModal);
+  document.getElementById('batch-edit-close')?.addEventListener('click', closeBatchEditModal);
+  document.getElementById('batch-edit-cancel-btn')?.addEventListener('click', closeBatchEditModal);
+  document.getElementById('batch-edit-apply-btn')?.addEventListener('click', applyBatchEdit);
+  document.getElementById('batch-edit-replace-tags')?.addEventListener('change', (event) => {
+    document.getElementById('batch-edit-tags').disabled = !event.target.checked;
+  });
+  modal?.addEventListener('click', (event) => {
+    if (event.target === modal) {
+      closeBatchEditModal();
+    }
+  });
+}
+
+function openBatchEditModal() {
+  if (selectedImages.size === 0) return;
+
+  // Same options as the image modal, plus "keep current"
+  const keepOption = '<option value="">(keep current)</option>';
+  document.getElementById('batch-edit-matte').innerHTML = keepOption + document.getElementById('modal-matte').innerHTML;
+  document.getElementById('batch-edit-filter').innerHTML = keepOption + document.getElementById('modal-filter').innerHTML;
+  document.getElementById('batch-edit-matte').value = '';
+  document.getElementById('batch-edit-filter').value = '';
+
+  document.getElementById('batch-edit-replace-tags').checked = false;
+  const tagsInput = document.getElementById('batch-edit-tags');
+  tagsInput.value = '';
+  tagsInput.disabled = true;
+  document.getElementById('batch-edit-rename').value = '';
+
+  const results = document.getElementById('batch-edit-results');
+  results.innerHTML = '';
+  results.classList.add('hidden');
+
+  document.getElementById('batch-edit-count').textContent = selectedImages.size;
+  document.getElementById('batch-edit-modal').classList.add('active');
+}
+
+function closeBatchEditModal() {
+  document.getElementById('batch-edit-modal')?.classList.remove('active');
+}
+
+async function applyBatchEdit() {
+  const operations = {};
+  const matte = document.getElementById('batch-edit-matte').value;
+  const filter = document.getElementById('batch-edit-filter').value;
+  const renamePattern = document.getElementById('batch-edit-rename').value.trim();
+  if (matte) operations.matte = matte;
+  if (filter) operations.filter = filter;
+  if (document.getElementById('batch-edit-replace-tags').checked) {
+    operations.tags = document.getElementById('batch-edit-tags').value.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (renamePattern) operations.rename = { pattern: renamePattern };
+
+  if (Object.keys(operations).length === 0) {
+    showToast('Nothing to change');
+    return;
+  }
+
+  const applyBtn = document.getElementById('batch-edit-apply-btn');
+  applyBtn.disabled = true;
+  try {
+    const result = await runBatchOperation(operations);
+    await refreshAfterBatch();
+
+    const failures = result.results.filter(item => item.status === 'error');
+    if (failures.length === 0) {
+      clearSelection();
+      closeBatchEditModal();
+      showToast(`Updated ${result.updated} image${result.updated !== 1 ? 's' : ''}`, 3000, { undoId: result.journalId });
+      return;
+    }
+
+    // Keep the modal open with what didn't apply; the rest is already saved
+    const resultsEl = document.getElementById('batch-edit-results');
+    resultsEl.innerHTML = `<strong>Updated ${result.updated}, ${failures.length} failed:</strong><ul>${
+      failures.map(item => `<li>${escapeHtml(getDisplayName(item.filename))}: ${escapeHtml(item.error)}</li>`).join('')
+    }</ul>`;
+    resultsEl.classList.remove('hidden');
+    selectedImages.clear();
+    failures.forEach(item => selectedImages.add(item.filename));
+    updateGallerySelectionVisual();
+    document.getElementById('batch-edit-count').textContent = selectedImages.size;
+  } catch (error) {
+    console.error('Error applying batch edit:', error);
+    alert(`Failed to apply changes: ${error.message}`);
+  } finally {
+    applyBtn.disabled = false;
+  }
+}
+
 // TV Selection Modal
 function initTvModal() {
   const tvModal = document.getElementById('tv-select-modal');
@@ -10787,11 +12714,12 @@ function imageMatchesTagset(imageData, tagset) {
   const excludeTags = (tagset.exclude_tags || []).map(t => t.toLowerCase());
   
   // If no include tags specified, all images match (unless excluded)
+  // Parent tags match their descendants ("season" matches "season/winter")
   const matchesInclude = includeTags.length === 0 || 
-    imageTags.some(tag => includeTags.includes(tag));
+    includeTags.some(tag => imageHasTag(imageTags, tag));
   
-  // Check none of the image tags are in exclude list
-  const matchesExclude = !imageTags.some(tag => excludeTags.includes(tag));
+  // Check none of the image tags are in (or under) the exclude list
+  const matchesExclude = !excludeTags.some(tag => imageHasTag(imageTags, tag));
   
   return matchesInclude && matchesExclude;
 }
@@ -11308,8 +13236,353 @@ async function loadTagsTab() {
     await loadTVs();
   }
 
+  if (!allTags || allTags.length === 0) {
+    await loadTags();
+  }
+
   renderTagsetsTable();
   renderTVAssignments();
+  renderTagTree();
+}
+
+// ============================================================================
+// TAG TREE
+// ============================================================================
+
+// Tag paths the user has expanded in the tag tree (kept across re-renders)
+const expandedTagTreeNodes = new Set();
+
+// Nest tags by "/" path; parents that only exist through their children are implicit
+function buildTagTree(tags) {
+  const root = { children: new Map() };
+  for (const tag of (tags || [])) {
+    let node = root;
+    for (const path of getTagAncestry(tag)) {
+      if (!node.children.has(path)) {
+        node.children.set(path, { path, isTag: false, children: new Map() });
+      }
+      node = node.children.get(path);
+    }
+    node.isTag = true;
+  }
+  return root;
+}
+
+function renderTagTreeNodes(nodes, counts) {
+  const sorted = Array.from(nodes.values())
+    .sort((a, b) => a.path.localeCompare(b.path, undefined, { sensitivity: 'base' }));
+
+  const items = sorted.map(node => {
+    const count = counts[node.path] || 0;
+    const details = allTagDetails[node.path] || {};
+    const title = details.description ? `${node.path} - ${details.description}` : node.path;
+    const label = `${renderTagColorDot(node.path)}<span class="tag-tree-name${node.isTag ? '' : ' implicit'}" data-tag-path="${escapeHtml(node.path)}" title="${escapeHtml(title)}">${escapeHtml(getTagLeafName(node.path))}</span> <span class="tag-count">(${count})</span>`
+      + (details.pinned ? ' <span class="tag-pinned" title="Pinned: kept even when no image uses it">📌</span>' : '')
+      + ` <button type="button" class="tag-tree-edit" data-tag-path="${escapeHtml(node.path)}" title="Edit color, description, aliases">✎</button>`;
+
+    if (node.children.size === 0) {
+      return `<li class="tag-tree-leaf">${label}</li>`;
+    }
+
+    const open = expandedTagTreeNodes.has(node.path) ? ' open' : '';
+    return `
+      <li>
+        <details class="tag-tree-node" data-tag-path="${escapeHtml(node.path)}"${open}>
+          <summary>${label}</summary>
+          ${renderTagTreeNodes(node.children, counts)}
+        </details>
+      </li>
+    `;
+  }).join('');
+
+  return `<ul class="tag-tree-list">${items}</ul>`;
+}
+
+// Render all tags as a collapsible tree (counts include descendants)
+function renderTagTree() {
+  const container = document.getElementById('tag-tree-container');
+  if (!container) return;
+
+  if (!allTags || allTags.length === 0) {
+    container.innerHTML = '<p class="empty-state">No tags yet.</p>';
+    return;
+  }
+
+  container.innerHTML = renderTagTreeNodes(buildTagTree(allTags).children, getImageCountPerTag());
+
+  container.querySelectorAll('details.tag-tree-node').forEach(details => {
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        expandedTagTreeNodes.add(details.dataset.tagPath);
+      } else {
+        expandedTagTreeNodes.delete(details.dataset.tagPath);
+      }
+    });
+  });
+
+  // Clicking a name picks it for rename/merge (without toggling its branch)
+  container.querySelectorAll('.tag-tree-name').forEach(name => {
+    name.addEventListener('click', (e) => {
+      e.preventDefault();
+      addTagRenameSource(name.dataset.tagPath);
+    });
+  });
+
+  container.querySelectorAll('.tag-tree-edit').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      openTagDetailsEditor(btn.dataset.tagPath);
+    });
+  });
+
+  initTagRenameForm();
+  initTagDetailsEditor();
+}
+
+// ============================================================================
+// TAG DETAILS (color, description, aliases, pinned)
+// ============================================================================
+
+function openTagDetailsEditor(tag) {
+  const editor = document.getElementById('tag-details-editor');
+  if (!editor) return;
+  const details = allTagDetails[tag] || {};
+
+  editor.dataset.tag = tag;
+  document.getElementById('tag-details-name').textContent = tag;
+  document.getElementById('tag-details-has-color').checked = Boolean(details.color);
+  document.getElementById('tag-details-color').value = details.color || getTagColor(tag) || '#3498db';
+  document.getElementById('tag-details-description').value = details.description || '';
+  document.getElementById('tag-details-aliases').value = (details.aliases || []).join(', ');
+  document.getElementById('tag-details-pinned').checked = Boolean(details.pinned);
+  editor.classList.remove('hidden');
+  document.getElementById('tag-details-description').focus();
+}
+
+function closeTagDetailsEditor() {
+  document.getElementById('tag-details-editor')?.classList.add('hidden');
+}
+
+function initTagDetailsEditor() {
+  const editor = document.getElementById('tag-details-editor');
+  if (!editor || editor.dataset.initialized) return;
+  editor.dataset.initialized = 'true';
+
+  // Picking a color implies the tag should have one
+  document.getElementById('tag-details-color').addEventListener('input', () => {
+    document.getElementById('tag-details-has-color').checked = true;
+  });
+  document.getElementById('tag-details-save-btn').addEventListener('click', saveTagDetails);
+  document.getElementById('tag-details-cancel-btn').addEventListener('click', closeTagDetailsEditor);
+}
+
+async function saveTagDetails() {
+  const editor = document.getElementById('tag-details-editor');
+  const tag = editor?.dataset.tag;
+  if (!tag) return;
+
+  const body = {
+    color: document.getElementById('tag-details-has-color').checked
+      ? document.getElementById('tag-details-color').value
+      : null,
+    description: document.getElementById('tag-details-description').value,
+    aliases: document.getElementById('tag-details-aliases').value,
+    pinned: document.getElementById('tag-details-pinned').checked
+  };
+
+  const btn = document.getElementById('tag-details-save-btn');
+  btn.disabled = true;
+  try {
+    const response = await fetch(`${API_BASE}/tags/${encodeURIComponent(tag)}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to update tag');
+      return;
+    }
+
+    closeTagDetailsEditor();
+    showToast(`Updated tag ${tag}`);
+
+    // Colors show up on gallery badges and in the tag filter
+    await loadTagsForFilter({ skipRender: true });
+    renderGallery();
+    renderTagTree();
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    showToast('Failed to update tag');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// ============================================================================
+// TAG RENAME / MERGE
+// ============================================================================
+
+function getTagRenameSources() {
+  const input = document.getElementById('tag-rename-sources');
+  return (input?.value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function updateTagRenameButton() {
+  const btn = document.getElementById('tag-rename-btn');
+  if (btn) {
+    btn.textContent = getTagRenameSources().length > 1 ? 'Merge' : 'Rename';
+  }
+}
+
+function addTagRenameSource(tag) {
+  const input = document.getElementById('tag-rename-sources');
+  if (!input) return;
+  const sources = getTagRenameSources();
+  if (!sources.includes(tag)) {
+    sources.push(tag);
+  }
+  input.value = sources.join(', ');
+  updateTagRenameButton();
+}
+
+function initTagRenameForm() {
+  const sourcesInput = document.getElementById('tag-rename-sources');
+  const targetInput = document.getElementById('tag-rename-target');
+  const btn = document.getElementById('tag-rename-btn');
+  if (!sourcesInput || !targetInput || !btn || btn.dataset.initialized) return;
+  btn.dataset.initialized = 'true';
+
+  sourcesInput.addEventListener('input', updateTagRenameButton);
+  targetInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submitTagRename();
+    }
+  });
+  btn.addEventListener('click', submitTagRename);
+}
+
+// Rename one tag or merge several via the tags API, then refresh everything showing tags
+async function submitTagRename() {
+  const sourcesInput = document.getElementById('tag-rename-sources');
+  const targetInput = document.getElementById('tag-rename-target');
+  const btn = document.getElementById('tag-rename-btn');
+  const sources = getTagRenameSources();
+  const target = (targetInput?.value || '').trim();
+
+  if (sources.length === 0 || !target) {
+    showToast('Enter the tag(s) to rename and a new name');
+    return;
+  }
+
+  const isMerge = sources.length > 1;
+  const request = isMerge
+    ? { url: `${API_BASE}/tags/merge`, body: { sources, target } }
+    : { url: `${API_BASE}/tags/${encodeURIComponent(sources[0])}/rename`, body: { newName: target } };
+
+  btn.disabled = true;
+  try {
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request.body)
+    });
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      showToast(result.error || `Failed to ${isMerge ? 'merge' : 'rename'} tag`);
+      return;
+    }
+
+    sourcesInput.value = '';
+    targetInput.value = '';
+    updateTagRenameButton();
+    showToast(result.message);
+
+    await loadGallery();
+    await loadTagsForFilter({ skipRender: true });
+    renderTagTree();
+    await offerTagsetUpdatesForRename(result.sources, result.target);
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    showToast(`Failed to ${isMerge ? 'merge' : 'rename'} tag`);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// Same rewrite rule as the server: a source tag and its descendants move under the target
+function createTagRewriter(sources, target) {
+  const ordered = [...sources].sort((a, b) => b.length - a.length);
+  return tag => {
+    const source = ordered.find(candidate => tagMatchesFilter(tag, candidate));
+    return source ? target + tag.slice(source.length) : tag;
+  };
+}
+
+// Tagset payload with renamed tags, or null if the tagset doesn't use any of them
+function rewriteTagsetTags(name, tagset, rewrite) {
+  const tags = tagset.tags || [];
+  const excludeTags = tagset.exclude_tags || [];
+  const tagWeights = tagset.tag_weights || {};
+  const usesRenamedTag = [...tags, ...excludeTags, ...Object.keys(tagWeights)].some(tag => rewrite(tag) !== tag);
+  if (!usesRenamedTag) return null;
+
+  const payload = {
+    name,
+    tags: [...new Set(tags.map(rewrite))],
+    exclude_tags: [...new Set(excludeTags.map(rewrite))],
+    weighting_type: tagset.weighting_type || 'image'
+  };
+  if (Object.keys(tagWeights).length > 0) {
+    payload.tag_weights = Object.fromEntries(Object.entries(tagWeights).map(([tag, weight]) => [rewrite(tag), weight]));
+  }
+  return payload;
+}
+
+// Offer to update HA tagsets (frame_art_shuffler.upsert_tagset) that reference renamed tags
+async function offerTagsetUpdatesForRename(sources, target) {
+  const rewrite = createTagRewriter(sources || [], target);
+  const updates = Object.entries(allGlobalTagsets || {})
+    .map(([name, tagset]) => rewriteTagsetTags(name, tagset, rewrite))
+    .filter(Boolean);
+
+  if (updates.length === 0) return;
+
+  const names = updates.map(update => update.name).join(', ');
+  const plural = updates.length === 1 ? '' : 's';
+  if (!confirm(`Update ${updates.length} tagset${plural} that use the old tag name (${names})?`)) {
+    return;
+  }
+
+  const failed = [];
+  for (const payload of updates) {
+    try {
+      const response = await fetch(`${API_BASE}/ha/tagsets/upsert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const result = await response.json();
+      if (!result.success) {
+        failed.push(payload.name);
+      }
+    } catch (error) {
+      console.error(`Error updating tagset ${payload.name}:`, error);
+      failed.push(payload.name);
+    }
+  }
+
+  await loadTVs();
+  loadTagsTab();
+
+  if (failed.length > 0) {
+    showToast(`Could not update tagset${failed.length === 1 ? '' : 's'}: ${failed.join(', ')}`);
+  } else {
+    showToast(`Updated ${updates.length} tagset${plural}`);
+  }
 }
 
 // Load and render the Recency tab content
@@ -11325,11 +13598,16 @@ async function loadRecencyTab() {
 const expandedTagsets = new Set();
 
 // Count images per tag (for tag pool display)
+// Parent tags count every image tagged with them or any descendant, once per image
 function getImageCountPerTag() {
   const counts = {};
   for (const [filename, imageData] of Object.entries(allImages || {})) {
+    const paths = new Set();
     for (const tag of (imageData.tags || [])) {
-      counts[tag] = (counts[tag] || 0) + 1;
+      getTagAncestry(tag).forEach(path => paths.add(path));
+    }
+    for (const path of paths) {
+      counts[path] = (counts[path] || 0) + 1;
     }
   }
   return counts;
@@ -11946,7 +14224,11 @@ function startTagsetEdit(row) {
 }
 
 // Show a toast notification
-function showToast(message, duration = 3000) {
+/**
+ * Show a toast; with options.undoId (a journal entry id from the API
+ * response) it gets an Undo button and stays a little longer
+ */
+function showToast(message, duration = 3000, { undoId = null } = {}) {
   // Remove any existing toast
   const existingToast = document.querySelector('.toast-notification');
   if (existingToast) {
@@ -11956,6 +14238,17 @@ function showToast(message, duration = 3000) {
   const toast = document.createElement('div');
   toast.className = 'toast-notification';
   toast.textContent = message;
+  if (undoId) {
+    const undoBtn = document.createElement('button');
+    undoBtn.className = 'toast-undo-btn';
+    undoBtn.textContent = 'Undo';
+    undoBtn.addEventListener('click', () => {
+      toast.remove();
+      undoJournalEntry(undoId);
+    });
+    toast.appendChild(undoBtn);
+    duration = Math.max(duration, 8000);
+  }
   document.body.appendChild(toast);
 
   // Trigger animation
@@ -11970,6 +14263,29 @@ function showToast(message, duration = 3000) {
   }, duration);
 }
 
+/**
+ * Undo a journaled operation (POST /api/journal/:id/undo) and refresh what it touched
+ */
+async function undoJournalEntry(id) {
+  try {
+    const response = await fetch(`${API_BASE}/journal/${encodeURIComponent(id)}/undo`, { method: 'POST' });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      showToast(result.error || 'Failed to undo', 5000);
+      return;
+    }
+
+    showToast(`Undone: ${result.entry.summary}`);
+    await refreshAfterBatch();
+    if (currentImage && !allImages[currentImage]) {
+      document.getElementById('image-modal')?.classList.remove('active');
+    }
+  } catch (error) {
+    console.error('Error undoing operation:', error);
+    showToast('Failed to undo');
+  }
+}
+
 // ============================================================================
 // POOL HEALTH
 // ============================================================================
@@ -12610,7 +14926,8 @@ function renderTagsetTagPool() {
   const container = document.getElementById('tagset-tag-pool');
   if (!container) return;
   
-  const allTagNames = allTags || [];
+  // Include parent paths so a tagset can select a whole branch of the hierarchy
+  const allTagNames = expandTagHierarchy(allTags);
   const tagCounts = getImageCountPerTag();
   
   // Filter out tags already in include or exclude
@@ -0,0 +1,169 @@
+const path = require('path');
+const axios = require('axios');
+const { ALLOWED_MIME_TYPES } = require('./upload_helper');
+const { CONVERTIBLE_EXTENSIONS } = require('./conversion_helper');
+const { LIBRARY_IMAGE_EXTENSIONS } = require('./constants');
+
+// Same ceiling as a form upload
+const MAX_REMOTE_IMAGE_BYTES = 50 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 30 * 1000;
+const MAX_REDIRECTS = 5;
+
+// Servers that don't know better send images as generic binary; the URL's
+// extension decides for these
+const GENERIC_CONTENT_TYPES = new Set(['application/octet-stream', 'binary/octet-stream', '']);
+
+function remoteError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+function isImageExtension(ext) {
+  return LIBRARY_IMAGE_EXTENSIONS.includes(ext) || CONVERTIBLE_EXTENSIONS.has(ext);
+}
+
+/**
+ * Parse and check an import URL (http/https only)
+ * Throws VALIDATION_ERROR otherwise.
+ * @returns {URL}
+ */
+function parseImportUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    throw remoteError('VALIDATION_ERROR', 'url must be an http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw remoteError('VALIDATION_ERROR', 'url must be an http(s) URL');
+  }
+  if (url.username || url.password) {
+    throw remoteError('VALIDATION_ERROR', 'url must not contain credentials');
+  }
+  return url;
+}
+
+/**
+ * Original filename for a download: Content-Disposition's filename, else the
+ * last path segment. The extension is kept only if it is an image extension,
+ * so "view.php?id=3" gets one from the content type instead.
+ */
+function remoteOriginalName(url, contentDisposition) {
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(contentDisposition || '');
+  let name = match ? match[1] : url.pathname.split('/').filter(Boolean).pop() || '';
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the raw segment
+  }
+  name = path.basename(name);
+  const ext = path.extname(name).toLowerCase();
+  return isImageExtension(ext) ? name : name.slice(0, name.length - ext.length);
+}
+
+/**
+ * Download an image, following up to MAX_REDIRECTS redirects (each must stay
+ * http/https) and stopping as soon as the body passes maxBytes
+ * Throws VALIDATION_ERROR (bad URL, not an image), TOO_LARGE or FETCH_FAILED
+ * (network error, timeout, non-2xx status).
+ * @param {string} rawUrl
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes]
+ * @param {number} [options.timeoutMs] - For the whole download
+ * @param {number} [options.maxRedirects]
+ * @returns {Promise<{buffer: Buffer, mimetype: string, originalname: string, finalUrl: string}>}
+ */
+async function fetchRemoteImage(rawUrl, {
+  maxBytes = MAX_REMOTE_IMAGE_BYTES,
+  timeoutMs = FETCH_TIMEOUT_MS,
+  maxRedirects = MAX_REDIRECTS
+} = {}) {
+  const url = parseImportUrl(rawUrl);
+  const tooLarge = () => remoteError('TOO_LARGE', `Image is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`);
+  // axios's timeout only covers a stalled socket; the signal bounds the whole download
+  const signal = AbortSignal.timeout(timeoutMs);
+
+  let response;
+  try {
+    response = await axios({
+      method: 'GET',
+      url: url.href,
+      headers: { Accept: 'image/*' },
+      responseType: 'stream',
+      maxRedirects,
+      maxContentLength: maxBytes,
+      timeout: timeoutMs,
+      signal,
+      beforeRedirect: options => {
+        parseImportUrl(options.href);
+      }
+    });
+  } catch (error) {
+    error.response?.data?.destroy?.();
+    if (error.cause?.code === 'VALIDATION_ERROR') {
+      throw error.cause;
+    }
+    if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+      throw remoteError('FETCH_FAILED', `Too many redirects (more than ${maxRedirects})`);
+    }
+    if (error.response) {
+      throw remoteError('FETCH_FAILED', `Image URL returned HTTP ${error.response.status}`);
+    }
+    throw remoteError('FETCH_FAILED', signal.aborted || error.code === 'ECONNABORTED'
+      ? 'Timed out downloading the image'
+      : 'Could not reach the image URL', error.cause?.message || error.message);
+  }
+
+  const body = response.data;
+  const finalUrl = new URL(response.request?.res?.responseUrl || url.href);
+  const originalname = remoteOriginalName(finalUrl, response.headers['content-disposition']);
+  const mimetype = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const isImageType = ALLOWED_MIME_TYPES.has(mimetype) || mimetype.startsWith('image/');
+  if (!isImageType && !(GENERIC_CONTENT_TYPES.has(mimetype) && path.extname(originalname))) {
+    body.destroy();
+    throw remoteError('VALIDATION_ERROR', `URL is not an image (content type ${mimetype || 'unknown'})`);
+  }
+
+  if (Number(response.headers['content-length']) > maxBytes) {
+    body.destroy();
+    throw tooLarge();
+  }
+
+  // maxContentLength is only enforced on buffered responses, so the stream is counted here
+  const chunks = [];
+  let received = 0;
+  try {
+    for await (const chunk of body) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        body.destroy();
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    if (error.code === 'TOO_LARGE') {
+      throw error;
+    }
+    throw remoteError('FETCH_FAILED', signal.aborted
+      ? 'Timed out downloading the image'
+      : 'Download was interrupted', error.message);
+  }
+
+  return {
+    buffer: Buffer.concat(chunks),
+    mimetype: isImageType ? mimetype : '',
+    originalname,
+    finalUrl: finalUrl.href
+  };
+}
+
+module.exports = {
+  MAX_REMOTE_IMAGE_BYTES,
+  parseImportUrl,
+  fetchRemoteImage
+};
@@ -208,37 +208,52 @@ router.get('/status', async (req, res) => {
   }
 });
 
+/**
+ * Most recent completed display per image from the events log.
+ * Returns { filename: epochMs }; an empty map when there is no display history.
+ */
+async function getLastDisplayedTimes(req) {
+  let data;
+  try {
+    data = await readLog(req, 'events');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // No events file - no display history
+      return {};
+    }
+    throw error;
+  }
+
+  const events = parseJsonl(data);
+
+  // Find the most recent completed_at for each filename
+  const lastDisplayed = {};
+  for (const event of events) {
+    const { filename, completed_at } = event;
+    if (!filename || !completed_at) continue;
+
+    const timestamp = new Date(completed_at).getTime();
+    if (isNaN(timestamp)) continue;
+
+    if (!lastDisplayed[filename] || timestamp > lastDisplayed[filename]) {
+      lastDisplayed[filename] = timestamp;
+    }
+  }
+
+  return lastDisplayed;
+}
+
 // GET /api/analytics/last-displayed - Get last displayed timestamp for each image
 // Returns { filename: timestamp } for sorting by last displayed
 router.get('/last-displayed', async (req, res) => {
   try {
-    const data = await readLog(req, 'events');
-    const events = parseJsonl(data);
-    
-    // Find the most recent completed_at for each filename
-    const lastDisplayed = {};
-    for (const event of events) {
-      const { filename, completed_at } = event;
-      if (!filename || !completed_at) continue;
-      
-      const timestamp = new Date(completed_at).getTime();
-      if (isNaN(timestamp)) continue;
-      
-      if (!lastDisplayed[filename] || timestamp > lastDisplayed[filename]) {
-        lastDisplayed[filename] = timestamp;
-      }
-    }
-    
+    const lastDisplayed = await getLastDisplayedTimes(req);
     res.json({ success: true, lastDisplayed });
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      // No events file - return empty (no display history)
-      res.json({ success: true, lastDisplayed: {} });
-    } else {
-      console.error('Error reading events.json for last-displayed:', error.message);
-      res.status(500).json({ success: false, error: error.message });
-    }
+    console.error('Error reading events.json for last-displayed:', error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 module.exports = router;
+module.exports.getLastDisplayedTimes = getLastDisplayedTimes;
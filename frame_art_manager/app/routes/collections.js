@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const MetadataHelper = require('../metadata_helper');
+
+function sendCollectionError(res, error, failureMessage) {
+  if (error.code === 'VALIDATION_ERROR') {
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.code === 'CONFLICT') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${failureMessage}:`, error);
+  res.status(500).json({ error: failureMessage });
+}
+
+function pickCollectionFields(body = {}) {
+  const fields = {};
+  for (const field of ['name', 'description', 'cover', 'images']) {
+    if (Object.prototype.hasOwnProperty.call(body, field)) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+// GET all collections, sorted by name
+// Responds with [{ id, name, description, cover, images, created, updated }]
+router.get('/', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    res.json(await helper.getCollections());
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to retrieve collections');
+  }
+});
+
+// GET one collection (images in collection order)
+router.get('/:id', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    res.json(await helper.getCollection(req.params.id));
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to retrieve collection');
+  }
+});
+
+// POST create a collection
+// Body: { name, description?, cover?, images? }
+router.post('/', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const collection = await helper.createCollection(pickCollectionFields(req.body));
+    res.status(201).json({ success: true, collection });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to create collection');
+  }
+});
+
+// PUT update name, description, cover or image order
+// Body: any subset of { name, description, cover, images }; images replaces the ordered list
+router.put('/:id', async (req, res) => {
+  try {
+    const fields = pickCollectionFields(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (expected one of: name, description, cover, images)' });
+    }
+
+    const helper = new MetadataHelper(req.frameArtPath);
+    const collection = await helper.updateCollection(req.params.id, fields);
+    res.json({ success: true, collection });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to update collection');
+  }
+});
+
+// DELETE a collection (images stay in the library)
+router.delete('/:id', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const collection = await helper.deleteCollection(req.params.id);
+    res.json({ success: true, collection });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to delete collection');
+  }
+});
+
+// POST add images to a collection
+// Body: { filenames: [], position? } - images already in the collection are skipped
+router.post('/:id/images', async (req, res) => {
+  try {
+    const { filenames, position } = req.body || {};
+    const helper = new MetadataHelper(req.frameArtPath);
+    const { collection, added } = await helper.addImagesToCollection(req.params.id, filenames, { position });
+    res.json({ success: true, collection, added, count: added.length });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to add images to collection');
+  }
+});
+
+// POST remove images from a collection
+// Body: { filenames: [] }
+router.post('/:id/images/remove', async (req, res) => {
+  try {
+    const { filenames } = req.body || {};
+    const helper = new MetadataHelper(req.frameArtPath);
+    const { collection, removed } = await helper.removeImagesFromCollection(req.params.id, filenames);
+    res.json({ success: true, collection, removed, count: removed.length });
+  } catch (error) {
+    sendCollectionError(res, error, 'Failed to remove images from collection');
+  }
+});
+
+module.exports = router;
@@ -3,10 +3,12 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const crypto = require('crypto');
-const heicConvert = require('heic-convert');
 const MetadataHelper = require('../metadata_helper');
 const ImageEditService = require('../image_edit_service');
+const TrashHelper = require('../trash_helper');
+const ImageHistory = require('../image_history');
+const BatchOperations = require('../batch_operations');
+const JournalHelper = require('../journal_helper');
 const {
   computePerceptualHash,
   findSimilarImages,
@@ -14,156 +16,44 @@ const {
   getThresholdBreakpoints,
   DEFAULT_THRESHOLD
 } = require('../hash_helper');
+const { extractEmbeddedMetadata, suggestTagsFromKeywords } = require('../exif_helper');
+const { parseSearchParams, needsDisplayHistory, searchImages } = require('../image_query');
+const { getLastDisplayedTimes } = require('./analytics');
+const { withoutGroupedVariants } = require('../variant_helper');
+const {
+  FALLBACK_BASE_NAME,
+  sanitizeBaseName,
+  extractUuidSegment
+} = require('../filename_helper');
+const {
+  determineExtension,
+  buildUploadFilename,
+  parseTagList,
+  isAllowedImageType,
+  ingestUploadedFile
+} = require('../upload_helper');
+const { parseFrameIndex, getConversionSource, convertImageBuffer, renameConversionSource } = require('../conversion_helper');
 const {
   MATTE_TYPES,
   FILTER_TYPES,
   DEFAULT_MATTE,
   DEFAULT_FILTER,
   normalizeMatteValue,
-  normalizeFilterValue
+  normalizeFilterValue,
+  ARTWORK_FIELDS,
+  ARTWORK_FIELD_NAMES,
+  validateArtworkFields,
+  DUPLICATE_POLICIES
 } = require('../constants');
+const { parseImportUrl, fetchRemoteImage } = require('../remote_image');
+const { MAX_ARCHIVE_BYTES, importArchive } = require('../archive_helper');
+const ChunkedUploadHelper = require('../chunked_upload_helper');
+const { ensureStateDir } = require('../state_helper');
+const { getJobManager, trackJob } = require('../job_manager');
 
 const LIBRARY_DIR = 'library';
 const THUMBS_DIR = 'thumbs';
 const ORIGINALS_DIR = 'originals';
-const FALLBACK_BASE_NAME = 'image';
-
-const ALLOWED_MIME_TYPES = new Set([
-  'image/jpeg',
-  'image/jpg',
-  'image/png',
-  'image/webp',
-  'image/gif',
-  'image/avif',
-  'image/heic',
-  'image/heif',
-  'image/heic-sequence',
-  'image/heif-sequence'
-]);
-
-function sanitizeBaseName(rawName, fallback = FALLBACK_BASE_NAME) {
-  if (!rawName || typeof rawName !== 'string') {
-    return fallback;
-  }
-
-  const normalized = rawName
-    .normalize('NFKD')
-    .replace(/[\u0300-\u036f]/g, '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
-
-  return normalized || fallback;
-}
-
-function determineExtension(file) {
-  const originalExt = path.extname(file.originalname || '').toLowerCase();
-  if (originalExt) {
-    return originalExt;
-  }
-
-  const mimetype = (file.mimetype || '').toLowerCase();
-  switch (mimetype) {
-    case 'image/jpeg':
-    case 'image/jpg':
-      return '.jpg';
-    case 'image/png':
-      return '.png';
-    case 'image/webp':
-      return '.webp';
-    case 'image/gif':
-      return '.gif';
-    case 'image/avif':
-      return '.avif';
-    case 'image/heic':
-    case 'image/heif':
-    case 'image/heic-sequence':
-    case 'image/heif-sequence':
-      return '.heic';
-    default:
-      return '.jpg';
-  }
-}
-
-function extractUuidSegment(filename) {
-  const match = filename.match(/-([0-9a-f]{8})(\.[^.]+)$/i);
-  return match ? match[1] : null;
-}
-
-function baseWithoutUuid(filename) {
-  const ext = path.extname(filename);
-  const nameWithoutExt = path.basename(filename, ext);
-  return nameWithoutExt.replace(/-([0-9a-f]{8})$/i, '');
-}
-
-async function removeFileIfExists(filePath) {
-  try {
-    await fs.unlink(filePath);
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.warn(`Failed to remove file ${filePath}:`, error);
-    }
-  }
-}
-
-async function applyCustomUploadName({
-  frameArtPath,
-  currentFilename,
-  currentFilePath,
-  customName,
-  uploadContext
-}) {
-  const extension = path.extname(currentFilename).toLowerCase();
-  const libraryPath = path.join(frameArtPath, LIBRARY_DIR);
-
-  const context = {
-    originalBase: uploadContext?.originalBase || baseWithoutUuid(currentFilename) || FALLBACK_BASE_NAME,
-    uuid: uploadContext?.uuid || extractUuidSegment(currentFilename) || crypto.randomUUID().split('-')[0],
-    originalExt: uploadContext?.originalExt || extension
-  };
-
-  let targetBase = context.originalBase;
-  if (typeof customName === 'string' && customName.trim()) {
-    const sanitizedCustom = sanitizeBaseName(customName, context.originalBase);
-    if (sanitizedCustom) {
-      targetBase = sanitizedCustom;
-    }
-  }
-
-  let candidateFilename = `${targetBase}-${context.uuid}${extension}`;
-  let candidatePath = path.join(libraryPath, candidateFilename);
-
-  if (candidateFilename === currentFilename) {
-    return {
-      filename: currentFilename,
-      filepath: currentFilePath,
-      context: { ...context, originalBase: targetBase, originalExt: extension }
-    };
-  }
-
-  while (true) {
-    try {
-      await fs.access(candidatePath);
-      context.uuid = crypto.randomUUID().split('-')[0];
-      candidateFilename = `${targetBase}-${context.uuid}${extension}`;
-      candidatePath = path.join(libraryPath, candidateFilename);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        break;
-      }
-      throw error;
-    }
-  }
-
-  await fs.rename(currentFilePath, candidatePath);
-
-  return {
-    filename: candidateFilename,
-    filepath: candidatePath,
-    context: { ...context, originalBase: targetBase, originalExt: extension }
-  };
-}
 
 const storage = multer.diskStorage({
   destination(req, file, cb) {
@@ -174,40 +64,17 @@ const storage = multer.diskStorage({
   },
   filename(req, file, cb) {
     try {
-      const extension = determineExtension(file);
-      const originalBase = sanitizeBaseName(
-        path.basename(file.originalname || '', path.extname(file.originalname || '')),
-        FALLBACK_BASE_NAME
-      );
-      const uuidSegment = crypto.randomUUID().split('-')[0];
-      const finalFilename = `${originalBase}-${uuidSegment}${extension}`;
-      req.uploadContext = {
-        originalBase,
-        uuid: uuidSegment,
-        originalExt: extension
-      };
-      cb(null, finalFilename);
+      const { filename, context } = buildUploadFilename(file);
+      req.uploadContext = context;
+      cb(null, filename);
     } catch (error) {
       cb(error);
     }
   }
 });
 
-const HEIC_EXTENSIONS = new Set(['.heic', '.heif']);
-const HEIC_MIME_TYPES = new Set([
-  'image/heic',
-  'image/heif',
-  'image/heic-sequence',
-  'image/heif-sequence'
-]);
-
 function imageFileFilter(req, file, cb) {
-  const mimetype = (file.mimetype || '').toLowerCase();
-  const ext = path.extname(file.originalname || '').toLowerCase();
-
-  if (ALLOWED_MIME_TYPES.has(mimetype) || HEIC_EXTENSIONS.has(ext)) {
-    cb(null, true);
-  } else if (mimetype.startsWith('image/')) {
+  if (isAllowedImageType(file)) {
     cb(null, true);
   } else {
     const error = new Error('Unsupported file type');
@@ -232,10 +99,56 @@ const previewUpload = multer({
   }
 });
 
-function isHeicType({ mimetype, ext }) {
-  const normalizedMime = (mimetype || '').toLowerCase();
-  const normalizedExt = (ext || '').toLowerCase();
-  return HEIC_MIME_TYPES.has(normalizedMime) || HEIC_EXTENSIONS.has(normalizedExt);
+// ZIPs are received into the state area (same volume, never committed) and
+// removed once imported
+const archiveUpload = multer({
+  storage: multer.diskStorage({
+    destination(req, file, cb) {
+      ensureStateDir(req.frameArtPath, 'uploads')
+        .then(dir => cb(null, dir))
+        .catch(cb);
+    }
+  }),
+  fileFilter(req, file, cb) {
+    const mimetype = (file.mimetype || '').toLowerCase();
+    if (path.extname(file.originalname || '').toLowerCase() === '.zip' || /^application\/(x-)?zip(-compressed)?$/.test(mimetype)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Upload must be a ZIP archive');
+      error.statusCode = 400;
+      cb(error);
+    }
+  },
+  limits: {
+    fileSize: MAX_ARCHIVE_BYTES
+  }
+});
+
+function receiveArchive(req, res, next) {
+  archiveUpload.single('archive')(req, res, error => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Archive is larger than ${Math.round(MAX_ARCHIVE_BYTES / 1024 / 1024)}MB` });
+    }
+    res.status(error.statusCode || 400).json({ error: error.message });
+  });
+}
+
+// Chunk bodies are raw bytes of any content type
+const rawChunkParser = express.raw({ type: () => true, limit: ChunkedUploadHelper.MAX_CHUNK_BYTES });
+
+function receiveChunk(req, res, next) {
+  rawChunkParser(req, res, error => {
+    if (!error) {
+      return next();
+    }
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Chunk is larger than ${Math.round(ChunkedUploadHelper.MAX_CHUNK_BYTES / 1024 / 1024)}MB` });
+    }
+    res.status(error.statusCode || 400).json({ error: error.message });
+  });
 }
 
 function extensionToContentType(ext) {
@@ -256,18 +169,72 @@ function extensionToContentType(ext) {
   }
 }
 
-async function convertHeicBufferToJpeg(buffer, quality = 0.95) {
-  return heicConvert({
-    buffer,
-    format: 'JPEG',
-    quality
-  });
+/**
+ * An uploaded buffer as the library would store it: converted like
+ * ingestUploadedFile does (see conversion_helper.js), otherwise as sent
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+async function convertUploadedBuffer(file, frame) {
+  const ext = determineExtension(file);
+  const source = await getConversionSource(file.buffer, { mimetype: file.mimetype, ext });
+  if (!source) {
+    return { buffer: file.buffer, contentType: file.mimetype || extensionToContentType(ext) };
+  }
+  const converted = await convertImageBuffer(file.buffer, source, { frame: parseFrameIndex(frame) ?? 0 });
+  return { buffer: converted.buffer, contentType: extensionToContentType(converted.extension) };
+}
+
+// Errors from ingestUploadedFile / fetchRemoteImage
+function sendIngestError(res, error, failureMessage) {
+  switch (error.code) {
+    case 'VALIDATION_ERROR':
+      return res.status(400).json({ error: error.message, details: error.details });
+    case 'NOT_FOUND':
+      return res.status(404).json({ error: error.message });
+    case 'CONFLICT':
+      return res.status(409).json({ error: error.message, details: error.details });
+    case 'TOO_LARGE':
+      return res.status(413).json({ error: error.message });
+    case 'FETCH_FAILED':
+      return res.status(502).json({ error: error.message, details: error.details });
+    case 'CONVERSION_FAILED':
+      return res.status(500).json({ success: false, error: error.message, details: error.details });
+    case 'CANCELLED':
+      return res.status(409).json({ error: error.message, cancelled: true });
+    default: {
+      const status = error.statusCode || 500;
+      res.status(status).json({ error: status === 400 ? error.message : failureMessage });
+    }
+  }
+}
+
+// Weak comparison of an If-None-Match header against an ETag
+function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) {
+    return false;
+  }
+  const stripWeak = tag => tag.trim().replace(/^W\//, '');
+  const target = stripWeak(etag);
+  return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || stripWeak(tag) === target);
 }
 
+/**
+ * Get all images
+ * GET /api/images
+ * Responds with an ETag for the library snapshot; a matching If-None-Match
+ * gets 304 so the gallery can skip re-downloading an unchanged library.
+ */
 router.get('/', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
-    const images = await helper.getAllImages();
+    const { images, etag } = await helper.getLibrarySnapshot();
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'no-cache');
+    // Compared by hand: req.fresh ignores If-None-Match when the request also
+    // carries Cache-Control: no-cache, which fetch() adds to conditional requests
+    if (etagMatches(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
     res.json(images);
   } catch (error) {
     console.error('Error getting images:', error);
@@ -278,10 +245,54 @@ router.get('/', async (req, res) => {
 router.get('/options', (req, res) => {
   res.json({
     matteTypes: MATTE_TYPES,
-    filterTypes: FILTER_TYPES
+    filterTypes: FILTER_TYPES,
+    artworkFields: ARTWORK_FIELDS
   });
 });
 
+/**
+ * Search images
+ * GET /api/images/search?tags=(winter OR snow) AND NOT family&orientation=landscape
+ * Filters: tags (boolean expression), q, orientation, minAspect/maxAspect, is16x9,
+ * addedAfter/addedBefore, updatedAfter/updatedBefore, minSize/maxSize (bytes),
+ * hasBackup, displayedWithin/notDisplayedWithin (e.g. 7d).
+ * Sorting: sort=name|date|modified|displayed|size, order=asc|desc.
+ * Paging: limit (max 1000), offset.
+ * Records are the same as GET /api/images; `filenames` gives the page order.
+ */
+router.get('/search', async (req, res) => {
+  let criteria;
+  try {
+    criteria = parseSearchParams(req.query);
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error parsing search query:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const { images } = await helper.getLibrarySnapshot();
+
+    let lastDisplayed = {};
+    if (needsDisplayHistory(criteria)) {
+      try {
+        lastDisplayed = await getLastDisplayedTimes(req);
+      } catch (error) {
+        // Search still works without display history; displayed filters just match nothing recent
+        console.warn('[SEARCH] Could not load display history:', error.message);
+      }
+    }
+
+    res.json(searchImages(images, criteria, { lastDisplayed }));
+  } catch (error) {
+    console.error('Error searching images:', error);
+    res.status(500).json({ error: 'Failed to search images' });
+  }
+});
+
 router.get('/tag/:tagName', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
@@ -310,26 +321,71 @@ router.post('/preview', previewUpload.single('image'), async (req, res) => {
   }
 
   try {
-    const ext = determineExtension(req.file);
-    const isHeic = isHeicType({ mimetype: req.file.mimetype, ext });
-    const contentType = isHeic
-      ? 'image/jpeg'
-      : req.file.mimetype || extensionToContentType(ext);
-
-    const outputBuffer = isHeic
-      ? await convertHeicBufferToJpeg(req.file.buffer, 0.9)
-      : req.file.buffer;
-
-    res.set('Content-Type', contentType || extensionToContentType(ext));
+    // Optional field "frame" picks the frame of a multi-page or animated file
+    const { buffer, contentType } = await convertUploadedBuffer(req.file, req.body?.frame);
+    res.set('Content-Type', contentType);
     res.set('Cache-Control', 'no-store');
-    res.send(outputBuffer);
+    res.send(buffer);
   } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error generating preview image:', error);
     res.status(500).json({ error: 'Failed to generate preview image.' });
   }
 });
 
-router.post('/upload', upload.single('image'), async (req, res) => {
+/**
+ * Read embedded metadata from a file before it is uploaded
+ * POST /api/images/embedded-metadata (multipart, field "image")
+ * Returns the extracted data plus keywords mapped onto existing tag names,
+ * which the upload form offers as suggested tags.
+ */
+router.post('/embedded-metadata', previewUpload.single('image'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    let embeddedMetadata = {};
+    try {
+      embeddedMetadata = await extractEmbeddedMetadata(req.file.buffer, 'upload');
+    } catch (metadataError) {
+      // Formats sharp cannot parse simply have no suggestions
+      console.warn('Could not read embedded metadata:', metadataError.message);
+    }
+
+    const tagLibrary = await helper.getTagLibrary();
+    res.json({
+      embeddedMetadata,
+      suggestedTags: suggestTagsFromKeywords(embeddedMetadata.keywords || [], tagLibrary)
+    });
+  } catch (error) {
+    console.error('Error reading embedded metadata:', error);
+    res.status(500).json({ error: 'Failed to read embedded metadata' });
+  }
+});
+
+/**
+ * Backfill embedded metadata for existing images
+ * POST /api/images/embedded-metadata/backfill
+ * Reads from originals/ when an edit backup exists, otherwise from library/.
+ */
+router.post('/embedded-metadata/backfill', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const result = await helper.ensureEmbeddedMetadata(extractEmbeddedMetadata);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error backfilling embedded metadata:', error);
+    res.status(500).json({ error: 'Failed to backfill embedded metadata' });
+  }
+});
+
+// Tracked as a job (see job_manager.js): send X-Job-Id to follow the processing
+// steps over /api/jobs/:id/events once the bytes are sent
+router.post('/upload', trackJob('upload', { label: 'Upload' }), upload.single('image'), async (req, res) => {
   const uploadStartTime = Date.now();
   const originalFilename = req.file?.originalname || 'unknown';
   const fileSize = req.file?.size || 0;
@@ -342,138 +398,273 @@ router.post('/upload', upload.single('image'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const helper = new MetadataHelper(req.frameArtPath);
-    const { matte = DEFAULT_MATTE, filter = DEFAULT_FILTER, tags = '' } = req.body;
+    req.job?.setLabel(`Upload ${originalFilename}`);
+    const { matte = DEFAULT_MATTE, filter = DEFAULT_FILTER, tags = '', normalize, frame, duplicatePolicy } = req.body;
+    const { filename, data, duplicates } = await ingestUploadedFile(req.frameArtPath, {
+      file: req.file,
+      uploadContext: req.uploadContext,
+      customName: req.body.customName,
+      matte,
+      filter,
+      tags: parseTagList(tags),
+      normalize,
+      frame,
+      duplicatePolicy,
+      job: req.job
+    });
 
-    const tagArray = Array.isArray(tags)
-      ? tags.map(tag => String(tag).trim()).filter(Boolean)
-      : typeof tags === 'string'
-        ? tags.split(',').map(tag => tag.trim()).filter(Boolean)
-        : [];
+    const uploadDuration = ((Date.now() - uploadStartTime) / 1000).toFixed(2);
+    console.log(`[Upload] Success: ${originalFilename} -> ${filename} (${uploadDuration}s)`);
 
-    const normalizedMatte = normalizeMatteValue(matte);
-    const normalizedFilter = normalizeFilterValue(filter);
+    res.json({
+      success: true,
+      filename,
+      data,
+      duplicates
+    });
+  } catch (error) {
+    const uploadDuration = ((Date.now() - uploadStartTime) / 1000).toFixed(2);
+    console.error(`[Upload] Failed: ${originalFilename} after ${uploadDuration}s -`, error.message);
+    sendIngestError(res, error, 'Failed to upload image');
+  }
+});
 
-    let finalFilename = req.file.filename;
-    let finalFilePath = req.file.path;
+// POST import an image from a URL (JSON: url, customName, matte, filter, tags, normalize, frame,
+// duplicatePolicy)
+// Downloads it (http/https, up to 50MB, following up to 5 redirects), then runs
+// the same pipeline as /upload and records the URL as the image's sourceUrl.
+// 400 bad URL / not an image, 413 too large, 502 download failed
+router.post('/import-url', trackJob('import-url', { label: 'Import from URL' }), async (req, res) => {
+  const importStartTime = Date.now();
+  const { url, customName, matte = DEFAULT_MATTE, filter = DEFAULT_FILTER, tags = '', normalize, frame, duplicatePolicy } = req.body || {};
 
-    const fileExt = path.extname(finalFilename).toLowerCase();
-    if (isHeicType({ mimetype: req.file.mimetype, ext: fileExt })) {
-      console.log(`[Upload] Converting HEIC: ${originalFilename}`);
+  try {
+    const sourceUrl = parseImportUrl(url).href;
+    const { errors } = validateArtworkFields({ sourceUrl });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), details: errors });
+    }
 
-      const originalPath = req.file.path;
-      const jpegFilename = finalFilename.replace(/\.(heic|heif)$/i, '.jpg');
-      const jpegPath = path.join(req.frameArtPath, LIBRARY_DIR, jpegFilename);
+    console.log(`[Import URL] Starting: ${sourceUrl}`);
+    req.job?.setLabel(`Import ${sourceUrl}`);
+    req.job?.step('Downloading');
+    const remote = await fetchRemoteImage(sourceUrl);
 
-      try {
-        const inputBuffer = await fs.readFile(originalPath);
-        const outputBuffer = await convertHeicBufferToJpeg(inputBuffer, 0.95);
+    const libraryPath = path.join(req.frameArtPath, LIBRARY_DIR);
+    await fs.mkdir(libraryPath, { recursive: true });
+    const { filename: downloadFilename, context } = buildUploadFilename(remote);
+    const downloadPath = path.join(libraryPath, downloadFilename);
+    await fs.writeFile(downloadPath, remote.buffer);
+
+    const { filename, data, duplicates } = await ingestUploadedFile(req.frameArtPath, {
+      file: { path: downloadPath, filename: downloadFilename, mimetype: remote.mimetype, originalname: remote.originalname },
+      uploadContext: context,
+      customName,
+      matte,
+      filter,
+      tags: parseTagList(tags),
+      normalize,
+      frame,
+      duplicatePolicy,
+      fields: { sourceUrl },
+      logPrefix: '[Import URL]',
+      job: req.job
+    });
 
-        await fs.writeFile(jpegPath, outputBuffer);
-        await fs.unlink(originalPath);
+    const importDuration = ((Date.now() - importStartTime) / 1000).toFixed(2);
+    console.log(`[Import URL] Success: ${remote.finalUrl} -> ${filename} (${(remote.buffer.length / 1024 / 1024).toFixed(2)}MB, ${importDuration}s)`);
 
-        finalFilename = jpegFilename;
-        finalFilePath = jpegPath;
-        if (req.uploadContext) {
-          req.uploadContext.originalExt = '.jpg';
-        }
+    res.json({
+      success: true,
+      filename,
+      data,
+      duplicates
+    });
+  } catch (error) {
+    console.error(`[Import URL] Failed: ${url} -`, error.message);
+    sendIngestError(res, error, 'Failed to import image');
+  }
+});
 
-        req.file.filename = finalFilename;
-        req.file.path = finalFilePath;
-        console.log(`[Upload] HEIC conversion complete: ${jpegFilename}`);
-      } catch (conversionError) {
-        console.error(`[Upload] HEIC conversion failed for ${originalFilename}:`, conversionError.message);
-        try {
-          await fs.unlink(originalPath);
-        } catch (cleanupError) {
-          // Ignore cleanup errors
-        }
-        return res.status(500).json({
-          success: false,
-          error: 'Failed to convert HEIC image. Please try uploading as JPEG or PNG.',
-          details: conversionError.message
-        });
-      }
-    }
+// POST import every image in a ZIP (multipart: archive, optional matte, filter, tags,
+// normalize, frame, duplicatePolicy)
+// Entries go through the same pipeline as /upload. An optional manifest.json or
+// tags.csv inside the archive sets per-file tags, matte, filter and name.
+// Responds with { success, manifest, imported, skipped, failed, warnings,
+// entries: [{ entry, status, filename?, reason?, duplicates? }] }. Duplicates
+// rejected by the duplicate policy are skipped.
+// 400 not a ZIP / unsafe path / bad manifest, 413 too large or too many entries
+router.post('/upload-archive', trackJob('archive-upload', { label: 'Upload archive' }), receiveArchive, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No archive uploaded' });
+  }
 
-    const renameResult = await applyCustomUploadName({
-      frameArtPath: req.frameArtPath,
-      currentFilename: finalFilename,
-      currentFilePath: finalFilePath,
-      customName: req.body.customName,
-      uploadContext: req.uploadContext || {}
+  const importStartTime = Date.now();
+  const archiveName = req.file.originalname || 'archive.zip';
+  console.log(`[Archive] Starting: ${archiveName} (${(req.file.size / 1024 / 1024).toFixed(2)}MB)`);
+  req.job?.setLabel(`Upload ${archiveName}`);
+
+  try {
+    const { matte = DEFAULT_MATTE, filter = DEFAULT_FILTER, tags = '', normalize, frame, duplicatePolicy } = req.body;
+    const result = await importArchive(req.frameArtPath, req.file.path, {
+      matte,
+      filter,
+      tags: parseTagList(tags),
+      normalize,
+      frame,
+      duplicatePolicy,
+      job: req.job
     });
 
-    finalFilename = renameResult.filename;
-    finalFilePath = renameResult.filepath;
-    req.uploadContext = renameResult.context;
-    req.file.filename = finalFilename;
-    req.file.path = finalFilePath;
+    const importDuration = ((Date.now() - importStartTime) / 1000).toFixed(2);
+    console.log(`[Archive] Done: ${archiveName} - ${result.imported} imported, ${result.skipped} skipped, ${result.failed} failed (${importDuration}s)`);
 
-    try {
-      const stats = await fs.stat(finalFilePath);
-      if (!stats.size) {
-        await removeFileIfExists(finalFilePath);
-        return res.status(400).json({ error: 'Uploaded file is empty.' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error(`[Archive] Failed: ${archiveName} -`, error.message);
+    sendIngestError(res, error, 'Failed to import archive');
+  } finally {
+    await fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+// Resumable uploads (see chunked_upload_helper.js): create a session, PUT the
+// chunks (again after a dropped connection, checking GET for what arrived),
+// then finalize. Images up to 200MB; sessions expire 24h after the last chunk.
+
+// POST start an upload (JSON: filename, size, mimetype, chunkSize?, customName,
+// matte, filter, tags, normalize, frame, duplicatePolicy). 201 with the session status;
+// 400 invalid, 413 too large
+router.post('/uploads', async (req, res) => {
+  const { filename, size, mimetype, chunkSize, customName, matte, filter, tags = '', normalize, frame, duplicatePolicy } = req.body || {};
+  try {
+    const uploads = new ChunkedUploadHelper(req.frameArtPath);
+    const status = await uploads.create({
+      filename,
+      size,
+      mimetype,
+      chunkSize,
+      fields: { customName, matte, filter, tags: parseTagList(tags), normalize, frame, duplicatePolicy }
+    });
+    res.status(201).json({ success: true, ...status });
+  } catch (error) {
+    sendIngestError(res, error, 'Failed to start upload');
+  }
+});
+
+// GET which chunks of an upload have arrived ({ received, missing, receivedBytes, ... })
+router.get('/uploads/:id', async (req, res) => {
+  try {
+    const uploads = new ChunkedUploadHelper(req.frameArtPath);
+    res.json(await uploads.getStatus(req.params.id));
+  } catch (error) {
+    sendIngestError(res, error, 'Failed to read upload');
+  }
+});
+
+// PUT one chunk (raw body, 0-based index). Every chunk but the last must be
+// exactly chunkSize bytes; sending a chunk again replaces it
+router.put('/uploads/:id/chunks/:index', receiveChunk, async (req, res) => {
+  try {
+    const uploads = new ChunkedUploadHelper(req.frameArtPath);
+    const index = /^\d+$/.test(req.params.index) ? Number(req.params.index) : NaN;
+    const status = await uploads.writeChunk(req.params.id, index, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+    res.json({ success: true, ...status });
+  } catch (error) {
+    sendIngestError(res, error, 'Failed to store chunk');
+  }
+});
+
+// POST join the chunks and add the image (JSON: sha256, required)
+// Responds like /upload; finalizing again returns the same result. 409 with
+// details.missing when chunks are missing, 400 on a missing or mismatched
+// checksum or an invalid image. Tracked as an upload job.
+router.post('/uploads/:id/finalize', trackJob('upload', { label: 'Upload' }), async (req, res) => {
+  const finalizeStartTime = Date.now();
+  try {
+    const uploads = new ChunkedUploadHelper(req.frameArtPath);
+    const { filename: originalFilename } = await uploads.getStatus(req.params.id);
+    req.job?.setLabel(`Upload ${originalFilename}`);
+    const { filename, data, duplicates, sha256 } = await uploads.finalize(req.params.id, {
+      sha256: req.body?.sha256,
+      job: req.job
+    });
+
+    const finalizeDuration = ((Date.now() - finalizeStartTime) / 1000).toFixed(2);
+    console.log(`[Chunked Upload] Success: ${originalFilename} -> ${filename} (${finalizeDuration}s)`);
+    res.json({ success: true, filename, data, duplicates, sha256 });
+  } catch (error) {
+    console.error(`[Chunked Upload] Finalize failed for ${req.params.id} -`, error.message);
+    sendIngestError(res, error, 'Failed to finalize upload');
+  }
+});
+
+// DELETE abandon an upload and its chunks
+router.delete('/uploads/:id', async (req, res) => {
+  try {
+    const uploads = new ChunkedUploadHelper(req.frameArtPath);
+    await uploads.getStatus(req.params.id);
+    await uploads.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendIngestError(res, error, 'Failed to cancel upload');
+  }
+});
+
+/**
+ * Get settings
+ * GET /api/images/settings
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const settings = await helper.getSettings();
+    res.json(settings);
+  } catch (error) {
+    console.error('Error getting settings:', error);
+    res.status(500).json({ error: 'Failed to get settings' });
+  }
+});
+
+/**
+ * Update settings
+ * PUT /api/images/settings
+ * (before PUT /:filename, which would take "settings" for a filename)
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const updates = {};
+
+    // Validate and sanitize duplicateThreshold
+    if (req.body.duplicateThreshold !== undefined) {
+      const threshold = parseInt(req.body.duplicateThreshold, 10);
+      if (Number.isFinite(threshold) && threshold >= 0 && threshold <= 20) {
+        updates.duplicateThreshold = threshold;
       }
-    } catch (statError) {
-      await removeFileIfExists(finalFilePath);
-      return res.status(400).json({ error: 'Uploaded file could not be accessed.' });
     }
 
-    // Compute perceptual hash for duplicate detection
-    let sourceHash = null;
-    try {
-      const imageBuffer = await fs.readFile(finalFilePath);
-      sourceHash = await computePerceptualHash(imageBuffer);
-    } catch (hashError) {
-      console.warn('Failed to compute source hash:', hashError.message);
-      // Continue without hash - not critical
+    if (DUPLICATE_POLICIES.includes(req.body.duplicatePolicy)) {
+      updates.duplicatePolicy = req.body.duplicatePolicy;
     }
 
-    let imageData;
-    try {
-      imageData = await helper.addImage(
-        finalFilename,
-        normalizedMatte,
-        normalizedFilter,
-        tagArray
-      );
-      
-      // Add sourceHash to image metadata if computed
-      if (sourceHash) {
-        await helper.updateImage(finalFilename, { sourceHash });
-        imageData.sourceHash = sourceHash;
-      }
-    } catch (validationError) {
-      await removeFileIfExists(finalFilePath);
-      console.error('Error validating uploaded image:', validationError);
-      return res.status(400).json({
-        error: 'Uploaded file is not a valid image.',
-        details: validationError.message
-      });
+    if (typeof req.body.shuffleOneVariantPerGroup === 'boolean') {
+      updates.shuffleOneVariantPerGroup = req.body.shuffleOneVariantPerGroup;
     }
 
-    try {
-      await helper.generateThumbnail(finalFilename);
-    } catch (thumbError) {
-      console.error('[Upload] Thumbnail generation failed:', thumbError.message);
-      // Continue even if thumbnail generation fails
+    // Validate and sanitize trashRetentionDays
+    if (req.body.trashRetentionDays !== undefined) {
+      const days = parseInt(req.body.trashRetentionDays, 10);
+      if (Number.isFinite(days) && days >= 1 && days <= 365) {
+        updates.trashRetentionDays = days;
+      }
     }
 
-    const uploadDuration = ((Date.now() - uploadStartTime) / 1000).toFixed(2);
-    console.log(`[Upload] Success: ${originalFilename} -> ${finalFilename} (${uploadDuration}s)`);
-
-    res.json({
-      success: true,
-      filename: finalFilename,
-      data: imageData
-    });
+    const settings = await helper.updateSettings(updates);
+    res.json({ success: true, settings });
   } catch (error) {
-    const uploadDuration = ((Date.now() - uploadStartTime) / 1000).toFixed(2);
-    console.error(`[Upload] Failed: ${originalFilename} after ${uploadDuration}s -`, error.message);
-    const status = error.statusCode || 500;
-    res.status(status).json({ error: status === 400 ? error.message : 'Failed to upload image' });
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
@@ -528,14 +719,16 @@ router.post('/:filename/revert', async (req, res) => {
 
   try {
     const service = new ImageEditService(req.frameArtPath);
-    const result = await service.revertToOriginal(filename);
+    const journal = new JournalHelper(req.frameArtPath);
+    const { result, journalId } = await journal.trackRevert(filename, () => service.revertToOriginal(filename));
 
     res.json({
       success: true,
       hasBackup: !!result.hasBackup,
       dimensions: result.dimensions,
       aspectRatio: result.aspectRatio,
-      imageData: result.imageData
+      imageData: result.imageData,
+      journalId
     });
   } catch (error) {
     console.error('Error reverting to original:', error);
@@ -543,6 +736,57 @@ router.post('/:filename/revert', async (req, res) => {
   }
 });
 
+function sendHistoryError(res, error, failureMessage) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.code === 'VALIDATION_ERROR' || error.code === 'GIT_UNAVAILABLE') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${failureMessage}:`, error);
+  res.status(500).json({ error: failureMessage });
+}
+
+// GET versions of an image from git history, newest first
+// Responds with { filename, truncated, versions: [{ commit, shortCommit, date, message, imageChanged, metadataChanged, summary, record }] }
+router.get('/:filename/history', async (req, res) => {
+  try {
+    const history = new ImageHistory(req.frameArtPath);
+    const limit = parseInt(req.query.limit, 10);
+    res.json(await history.getHistory(req.params.filename, Number.isInteger(limit) && limit > 0 ? { limit } : {}));
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to load image history');
+  }
+});
+
+// GET thumbnail of the image as it was at a commit (rendered on demand, cached)
+router.get('/:filename/history/:commit/thumbnail', async (req, res) => {
+  try {
+    const history = new ImageHistory(req.frameArtPath);
+    const thumbPath = await history.getThumbnail(req.params.filename, req.params.commit);
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.sendFile(thumbPath);
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to load history thumbnail');
+  }
+});
+
+// POST restore the pixels and/or metadata record from a commit as a new commit
+// Body: { image?: boolean = true, metadata?: boolean = true }
+router.post('/:filename/history/:commit/restore', async (req, res) => {
+  try {
+    const history = new ImageHistory(req.frameArtPath);
+    const body = req.body || {};
+    const { result, message, committed } = await history.restoreVersion(req.params.filename, req.params.commit, {
+      image: body.image !== false,
+      metadata: body.metadata !== false
+    });
+    res.json({ success: true, restored: result.restored, message, committed, image: result.record });
+  } catch (error) {
+    sendHistoryError(res, error, 'Failed to restore image version');
+  }
+});
+
 router.post('/:filename/rename', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
@@ -576,34 +820,68 @@ router.post('/:filename/rename', async (req, res) => {
     const GitHelper = require('../git_helper');
     const git = new GitHelper(req.frameArtPath);
 
-    await git.git.mv(
-      path.join(LIBRARY_DIR, oldFilename),
-      path.join(LIBRARY_DIR, newFilename)
-    );
-
-    const oldThumb = path.join(req.frameArtPath, THUMBS_DIR, `thumb_${oldFilename}`);
-    const newThumb = path.join(req.frameArtPath, THUMBS_DIR, `thumb_${newFilename}`);
+    // Moves made so far, undone if a later step fails
+    const moved = [];
+    const gitMove = async (from, to) => {
+      await git.git.mv(from, to);
+      moved.push([from, to]);
+    };
 
     try {
-      await fs.access(oldThumb);
-      await git.git.mv(
-        path.join(THUMBS_DIR, `thumb_${oldFilename}`),
-        path.join(THUMBS_DIR, `thumb_${newFilename}`)
+      await gitMove(
+        path.join(LIBRARY_DIR, oldFilename),
+        path.join(LIBRARY_DIR, newFilename)
       );
-    } catch (thumbError) {
-      if (thumbError.code !== 'ENOENT') {
-        console.warn('[RENAME] Thumbnail rename issue:', thumbError.message);
+
+      const oldThumb = path.join(req.frameArtPath, THUMBS_DIR, `thumb_${oldFilename}`);
+
+      try {
+        await fs.access(oldThumb);
+        await gitMove(
+          path.join(THUMBS_DIR, `thumb_${oldFilename}`),
+          path.join(THUMBS_DIR, `thumb_${newFilename}`)
+        );
+      } catch (thumbError) {
+        if (thumbError.code !== 'ENOENT') {
+          console.warn('[RENAME] Thumbnail rename issue:', thumbError.message);
+        }
+      }
+
+      // A converted image's kept upload is named after it; renameImage points
+      // the record at the new name, so a failed move aborts the rename
+      const { images } = await helper.readMetadata();
+      const conversion = images[oldFilename]?.conversion;
+      if (conversion?.source) {
+        const sourcePath = path.join(req.frameArtPath, ORIGINALS_DIR, conversion.source);
+        if (await fs.access(sourcePath).then(() => true, () => false)) {
+          await gitMove(
+            path.join(ORIGINALS_DIR, conversion.source),
+            path.join(ORIGINALS_DIR, renameConversionSource(conversion, newFilename).source)
+          );
+        }
       }
-    }
 
-    await helper.renameImage(oldFilename, newFilename);
+      await helper.renameImage(oldFilename, newFilename);
+    } catch (renameError) {
+      for (const [from, to] of moved.reverse()) {
+        await git.git.mv(to, from)
+          .catch(rollbackError => console.warn(`[RENAME] Could not move ${to} back:`, rollbackError.message));
+      }
+      throw renameError;
+    }
     await git.git.add('metadata.json');
 
+    const journal = new JournalHelper(req.frameArtPath);
+    const journalId = await journal.tryRecord('rename', `Renamed ${oldFilename} to ${newFilename}`, {
+      renames: [{ from: oldFilename, to: newFilename }]
+    });
+
     res.json({
       success: true,
       oldFilename,
       newFilename,
-      message: 'Image renamed successfully'
+      message: 'Image renamed successfully',
+      journalId
     });
   } catch (error) {
     console.error('Error renaming image:', error);
@@ -614,7 +892,8 @@ router.post('/:filename/rename', async (req, res) => {
 router.put('/:filename', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
-    const { matte, filter, tags } = req.body || {};
+    const body = req.body || {};
+    const { matte, filter, tags } = body;
 
     const updates = {};
     if (matte !== undefined) {
@@ -630,38 +909,84 @@ router.put('/:filename', async (req, res) => {
           ? tags.split(',').map(tag => tag.trim()).filter(Boolean)
           : [];
     }
+    // Descriptive fields are validated by updateImage
+    ARTWORK_FIELD_NAMES.forEach(field => {
+      if (body[field] !== undefined) {
+        updates[field] = body[field];
+      }
+    });
 
-    const imageData = await helper.updateImage(req.params.filename, updates);
-    res.json({ success: true, data: imageData });
+    const filename = req.params.filename;
+    const journal = new JournalHelper(req.frameArtPath);
+    const { result: imageData, journalId } = await journal.trackFieldChanges(
+      'update',
+      ([change]) => `Edited ${filename} (${Object.keys(change.before).join(', ')})`,
+      { filenames: [filename], fields: Object.keys(updates) },
+      () => helper.updateImage(filename, updates)
+    );
+    res.json({ success: true, data: imageData, journalId });
   } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
     console.error('Error updating image:', error);
     res.status(404).json({ error: error.message });
   }
 });
 
+// DELETE moves the image, thumbnail, original backup and metadata record to
+// the trash (see trash_helper.js); GET /api/trash lists what can be restored
 router.delete('/:filename', async (req, res) => {
   try {
-    const helper = new MetadataHelper(req.frameArtPath);
-    const filename = req.params.filename;
-    const service = new ImageEditService(req.frameArtPath);
-
-    await helper.deleteImage(filename);
-
-    const imagePath = path.join(req.frameArtPath, LIBRARY_DIR, filename);
-    await removeFileIfExists(imagePath);
-
-    const thumbPath = path.join(req.frameArtPath, THUMBS_DIR, `thumb_${filename}`);
-    await removeFileIfExists(thumbPath);
+    const trash = new TrashHelper(req.frameArtPath);
+    const entry = await trash.moveToTrash(req.params.filename);
 
-    await service.removeOriginalBackup(filename);
+    const journal = new JournalHelper(req.frameArtPath);
+    const journalId = await journal.tryRecord('delete', `Deleted ${entry.filename}`, {
+      trash: [{ id: entry.id, filename: entry.filename }]
+    });
 
-    res.json({ success: true, message: 'Image deleted successfully' });
+    res.json({ success: true, message: 'Image moved to trash', trashId: entry.id, journalId });
   } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Error deleting image:', error);
     res.status(500).json({ error: 'Failed to delete image' });
   }
 });
 
+/**
+ * Regenerate thumbnails in the background
+ * POST /api/images/thumbnails/regenerate  { filenames? } (default: every image)
+ * Responds 202 with { jobId, job }; follow it at /api/jobs/:id/events
+ */
+router.post('/thumbnails/regenerate', async (req, res) => {
+  try {
+    const { filenames } = req.body || {};
+    const helper = new MetadataHelper(req.frameArtPath);
+    if (filenames !== undefined) {
+      if (!Array.isArray(filenames) || filenames.length === 0 || filenames.some(name => typeof name !== 'string')) {
+        return res.status(400).json({ error: 'filenames must be a non-empty array of strings' });
+      }
+      const { images } = await helper.readMetadata();
+      const unknown = filenames.filter(name => !images[name]);
+      if (unknown.length > 0) {
+        return res.status(404).json({ error: `Images not found: ${unknown.join(', ')}` });
+      }
+    }
+
+    const jobs = getJobManager(req.frameArtPath);
+    await jobs.ready;
+    const label = filenames ? `Regenerate ${filenames.length} thumbnail${filenames.length === 1 ? '' : 's'}` : 'Regenerate all thumbnails';
+    const job = jobs.start('thumbnails', { label }, jobHandle => helper.regenerateThumbnails(filenames || null, { job: jobHandle }));
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) {
+    console.error('Error starting thumbnail regeneration:', error);
+    res.status(500).json({ error: 'Failed to start thumbnail regeneration' });
+  }
+});
+
 router.post('/:filename/thumbnail', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
@@ -681,7 +1006,7 @@ router.post('/:filename/thumbnail', async (req, res) => {
 /**
  * Check if an uploaded file might be a duplicate
  * POST /api/images/check-duplicate
- * Body: multipart/form-data with 'image' file
+ * Body: multipart/form-data with 'image' file (and optional 'frame')
  */
 router.post('/check-duplicate', previewUpload.single('image'), async (req, res) => {
   if (!req.file) {
@@ -693,8 +1018,9 @@ router.post('/check-duplicate', previewUpload.single('image'), async (req, res)
     const settings = await helper.getSettings();
     const threshold = settings.duplicateThreshold || DEFAULT_THRESHOLD;
 
-    // Compute hash of uploaded file
-    const newHash = await computePerceptualHash(req.file.buffer);
+    // Compute hash of the file as it would be stored (formats converted on upload too)
+    const { buffer } = await convertUploadedBuffer(req.file, req.body?.frame);
+    const newHash = await computePerceptualHash(buffer);
 
     // Get all existing images
     const images = await helper.getAllImages();
@@ -708,6 +1034,9 @@ router.post('/check-duplicate', previewUpload.single('image'), async (req, res)
       threshold
     });
   } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error checking for duplicates:', error);
     res.status(500).json({ error: 'Failed to check for duplicates' });
   }
@@ -716,6 +1045,7 @@ router.post('/check-duplicate', previewUpload.single('image'), async (req, res)
 /**
  * Get all duplicate groups in the library
  * GET /api/images/duplicates
+ * Images already linked as variants are left out (see variant_helper.js)
  */
 router.get('/duplicates', async (req, res) => {
   try {
@@ -723,7 +1053,7 @@ router.get('/duplicates', async (req, res) => {
     const settings = await helper.getSettings();
     const threshold = settings.duplicateThreshold || DEFAULT_THRESHOLD;
 
-    const images = await helper.getAllImages();
+    const images = withoutGroupedVariants(await helper.getAllImages());
     const groups = findDuplicateGroups(images, threshold);
 
     res.json({
@@ -745,7 +1075,7 @@ router.get('/duplicates', async (req, res) => {
 router.get('/similar/breakpoints', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
-    const images = await helper.getAllImages();
+    const images = withoutGroupedVariants(await helper.getAllImages());
     
     const breakpoints = getThresholdBreakpoints(images, 60);
 
@@ -759,13 +1089,14 @@ router.get('/similar/breakpoints', async (req, res) => {
 /**
  * Get all similar image groups in the library (higher threshold than duplicates)
  * GET /api/images/similar?threshold=38
+ * Like /duplicates, grouped variants are left out
  */
 const DEFAULT_SIMILAR_THRESHOLD = 38; // Default threshold for "similar" vs "duplicate" (10)
 
 router.get('/similar', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
-    const images = await helper.getAllImages();
+    const images = withoutGroupedVariants(await helper.getAllImages());
     
     // Allow threshold to be passed as query param, default to 38
     const threshold = parseInt(req.query.threshold, 10) || DEFAULT_SIMILAR_THRESHOLD;
@@ -784,43 +1115,81 @@ router.get('/similar', async (req, res) => {
   }
 });
 
-/**
- * Get settings
- * GET /api/images/settings
- */
-router.get('/settings', async (req, res) => {
+// ============================================
+// Variant groups (see variant_helper.js)
+// ============================================
+
+function sendVariantError(res, error, failureMessage) {
+  if (error.code === 'VALIDATION_ERROR') {
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`${failureMessage}:`, error);
+  res.status(500).json({ error: failureMessage });
+}
+
+// GET all variant groups, sorted by primary
+// Responds with [{ primary, variants, variantTags }]
+router.get('/variants', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
-    const settings = await helper.getSettings();
-    res.json(settings);
+    res.json(await helper.getVariantGroups());
   } catch (error) {
-    console.error('Error getting settings:', error);
-    res.status(500).json({ error: 'Failed to get settings' });
+    sendVariantError(res, error, 'Failed to retrieve variant groups');
   }
 });
 
-/**
- * Update settings
- * PUT /api/images/settings
- */
-router.put('/settings', async (req, res) => {
+// GET the variant group an image belongs to
+// Responds with { group: { primary, variants, variantTags } | null }
+router.get('/:filename/variants', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
-    const updates = {};
+    res.json({ group: await helper.getVariantGroup(req.params.filename) });
+  } catch (error) {
+    sendVariantError(res, error, 'Failed to retrieve variant group');
+  }
+});
 
-    // Validate and sanitize duplicateThreshold
-    if (req.body.duplicateThreshold !== undefined) {
-      const threshold = parseInt(req.body.duplicateThreshold, 10);
-      if (Number.isFinite(threshold) && threshold >= 0 && threshold <= 20) {
-        updates.duplicateThreshold = threshold;
-      }
+// POST link images as variants of :filename (the primary)
+// Body: { variants: string[], variantTags?: 'shared' | 'per-variant' }
+router.post('/:filename/variants', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const { variants, variantTags } = req.body || {};
+    const group = await helper.linkVariants(req.params.filename, variants, { variantTags });
+    res.json({ success: true, group });
+  } catch (error) {
+    sendVariantError(res, error, 'Failed to link variants');
+  }
+});
+
+// PUT change the tag mode or primary of :filename's group
+// Body: { variantTags?: 'shared' | 'per-variant', primary?: string }
+router.put('/:filename/variants', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const { variantTags, primary } = req.body || {};
+    if (variantTags === undefined && primary === undefined) {
+      return res.status(400).json({ error: 'Nothing to update (expected one of: variantTags, primary)' });
     }
+    const group = await helper.updateVariantGroup(req.params.filename, { variantTags, primary });
+    res.json({ success: true, group });
+  } catch (error) {
+    sendVariantError(res, error, 'Failed to update variant group');
+  }
+});
 
-    const settings = await helper.updateSettings(updates);
-    res.json({ success: true, settings });
+// DELETE take :filename out of its variant group
+// Responds with { success, filename, group } where group is what remains (or null)
+router.delete('/:filename/variants', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    const result = await helper.unlinkVariant(req.params.filename);
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('Error updating settings:', error);
-    res.status(500).json({ error: 'Failed to update settings' });
+    sendVariantError(res, error, 'Failed to unlink variant');
   }
 });
 
@@ -845,12 +1214,19 @@ router.post('/batch/add-tag', async (req, res) => {
     }
 
     const helper = new MetadataHelper(req.frameArtPath);
-    const results = await helper.batchAddTag(filenames, tag.trim());
+    const journal = new JournalHelper(req.frameArtPath);
+    const { result: results, journalId } = await journal.trackFieldChanges(
+      'batch-add-tag',
+      changes => `Added tag "${tag.trim()}" to ${changes.length} images`,
+      { filenames, fields: ['tags'] },
+      () => helper.batchAddTag(filenames, tag.trim())
+    );
 
     res.json({
       success: true,
       results,
-      message: `Added tag "${tag}" to ${results.success} images (${results.skipped} already had it)`
+      message: `Added tag "${tag}" to ${results.success} images (${results.skipped} already had it)`,
+      journalId
     });
   } catch (error) {
     console.error('Error in batch add tag:', error);
@@ -875,12 +1251,19 @@ router.post('/batch/remove-tag', async (req, res) => {
     }
 
     const helper = new MetadataHelper(req.frameArtPath);
-    const results = await helper.batchRemoveTag(filenames, tag.trim());
+    const journal = new JournalHelper(req.frameArtPath);
+    const { result: results, journalId } = await journal.trackFieldChanges(
+      'batch-remove-tag',
+      changes => `Removed tag "${tag.trim()}" from ${changes.length} images`,
+      { filenames, fields: ['tags'] },
+      () => helper.batchRemoveTag(filenames, tag.trim())
+    );
 
     res.json({
       success: true,
       results,
-      message: `Removed tag "${tag}" from ${results.success} images (${results.skipped} didn't have it)`
+      message: `Removed tag "${tag}" from ${results.success} images (${results.skipped} didn't have it)`,
+      journalId
     });
   } catch (error) {
     console.error('Error in batch remove tag:', error);
@@ -888,6 +1271,54 @@ router.post('/batch/remove-tag', async (req, res) => {
   }
 });
 
+/**
+ * Apply several operations to many images in one metadata write and one commit
+ * POST /api/images/batch
+ * Body: {
+ *   filenames: string[],
+ *   operations: { matte?, filter?, tags?: string[], rename?: { pattern, start? }, delete?: true }
+ * }
+ * Rename patterns use {base}, {title}, {date} and {n} / {n:3}; the uuid and extension are kept.
+ * delete moves the images to the trash and can't be combined with other operations.
+ * Responds with a result per file: { filename, status: updated|unchanged|deleted|error, newFilename?, error? }
+ */
+router.post('/batch', trackJob('batch', {
+  label: req => `Batch edit (${Array.isArray(req.body?.filenames) ? req.body.filenames.length : 0} images)`
+}), async (req, res) => {
+  try {
+    const { filenames, operations } = req.body || {};
+    const batch = new BatchOperations(req.frameArtPath);
+    const { result, message, committed } = await batch.run(filenames, operations, { job: req.job });
+
+    const journal = new JournalHelper(req.frameArtPath);
+    const { changes, renames, trash } = result.inverse;
+    const journalId = changes.length || renames.length || trash.length
+      ? await journal.tryRecord(operations.delete ? 'batch-delete' : 'batch', message.split(' -- ')[0], result.inverse)
+      : null;
+
+    res.json({
+      success: true,
+      results: result.results,
+      updated: result.updated,
+      deleted: result.deleted,
+      unchanged: result.unchanged,
+      failed: result.failed,
+      message,
+      committed,
+      journalId
+    });
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    if (error.code === 'CANCELLED') {
+      return res.status(409).json({ error: 'Batch cancelled; no changes were made', cancelled: true });
+    }
+    console.error('Error in batch operation:', error);
+    res.status(500).json({ error: 'Failed to apply batch operation' });
+  }
+});
+
 // ============================================
 // Single Image Routes (MUST be LAST - :filename is a catch-all)
 // ============================================
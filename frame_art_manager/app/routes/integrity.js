@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const IntegrityScanner = require('../integrity_helper');
+
+// GET a full integrity scan of library/, thumbs/, originals/ and metadata.json
+// Query: deep=true decodes every image instead of reading headers (slow)
+// Responds with { scannedAt, deep, totals, findings: [{ id, type, filename, path, message, repair }] }
+router.get('/scan', async (req, res) => {
+  try {
+    const scanner = new IntegrityScanner(req.frameArtPath);
+    res.json(await scanner.scan({ deep: req.query.deep === 'true' }));
+  } catch (error) {
+    console.error('Error scanning library integrity:', error);
+    res.status(500).json({ error: 'Failed to scan library' });
+  }
+});
+
+// POST repair findings by id ({ ids: [...] } from a scan)
+// Findings are re-checked first; ones that are gone are reported as skipped
+// Responds with { success, repaired: [{ id, action }], skipped: [{ id, reason }], failed: [{ id, action, error }], message, committed }
+router.post('/repair', async (req, res) => {
+  try {
+    const scanner = new IntegrityScanner(req.frameArtPath);
+    const { result, message, committed } = await scanner.repair(req.body?.ids);
+    res.json({
+      success: result.failed.length === 0,
+      repaired: result.repaired,
+      skipped: result.skipped,
+      failed: result.failed,
+      message,
+      committed
+    });
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    console.error('Error repairing library:', error);
+    res.status(500).json({ error: 'Failed to repair library' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const { getJobManager } = require('../job_manager');
+
+// SSE comment sent this often so proxies (HA ingress) keep the stream open
+const HEARTBEAT_MS = 15 * 1000;
+
+// GET jobs, newest first (?active=true for running jobs only)
+// Responds with { jobs: [{ id, type, label, status, step, message, current, total, ... }] }
+router.get('/', async (req, res) => {
+  try {
+    const manager = getJobManager(req.frameArtPath);
+    await manager.ready;
+    res.json({ jobs: manager.list({ active: req.query.active === 'true' }) });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// GET one job
+router.get('/:id', async (req, res) => {
+  const manager = getJobManager(req.frameArtPath);
+  await manager.ready;
+  const job = manager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  res.json({ job });
+});
+
+// GET a job's progress as Server-Sent Events
+// Sends the current state at once, a "progress" event on every change and a
+// final "done" event (succeeded/failed/cancelled/interrupted), then closes.
+router.get('/:id/events', async (req, res) => {
+  const manager = getJobManager(req.frameArtPath);
+  await manager.ready;
+  const job = manager.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+  const send = update => {
+    const done = update.status !== 'running';
+    res.write(`event: ${done ? 'done' : 'progress'}\ndata: ${JSON.stringify(update)}\n\n`);
+    if (done) {
+      close();
+    }
+  };
+
+  send(job);
+  if (job.status !== 'running') {
+    return;
+  }
+  unsubscribe = manager.subscribe(job.id, send);
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  req.on('close', close);
+});
+
+// POST ask a running job to stop
+// 404 unknown job, 409 already finished or not cancellable
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const manager = getJobManager(req.frameArtPath);
+    await manager.ready;
+    res.json({ success: true, job: manager.cancel(req.params.id) });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'CONFLICT') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
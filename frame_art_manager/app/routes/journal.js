@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const JournalHelper = require('../journal_helper');
+const { MAX_JOURNAL_ENTRIES } = require('../journal_helper');
+
+// GET recent library operations, newest first
+// Query: limit (1-50, default 20)
+// Responds with { entries: [{ id, action, summary, createdAt, undoneAt, undoable }] }
+router.get('/', async (req, res) => {
+  try {
+    let limit;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_JOURNAL_ENTRIES) {
+        return res.status(400).json({ error: `limit must be between 1 and ${MAX_JOURNAL_ENTRIES}` });
+      }
+    }
+
+    const journal = new JournalHelper(req.frameArtPath);
+    res.json({ entries: await journal.listEntries({ limit }) });
+  } catch (error) {
+    console.error('Error reading journal:', error);
+    res.status(500).json({ error: 'Failed to read journal' });
+  }
+});
+
+// POST undo one operation
+// 409 when it was already undone or the images changed since (details lists them)
+router.post('/:id/undo', async (req, res) => {
+  try {
+    const journal = new JournalHelper(req.frameArtPath);
+    const { entry, message, committed } = await journal.undo(req.params.id);
+    res.json({ success: true, entry, message, committed });
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === 'CONFLICT') {
+      return res.status(409).json({ error: error.message, details: error.details });
+    }
+    console.error('Error undoing operation:', error);
+    res.status(500).json({ error: 'Failed to undo operation' });
+  }
+});
+
+module.exports = router;
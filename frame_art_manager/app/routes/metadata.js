@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const MetadataTransfer = require('../metadata_transfer');
+const { EXPORT_FORMATS } = require('../metadata_transfer');
+const JournalHelper = require('../journal_helper');
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024
+  }
+});
+
+function sendTransferError(res, error, failureMessage) {
+  if (error.code === 'VALIDATION_ERROR') {
+    return res.status(400).json({ error: error.message, details: error.details });
+  }
+  console.error(`${failureMessage}:`, error);
+  res.status(500).json({ error: failureMessage });
+}
+
+// Format from the explicit `format` field, else the file extension (default csv)
+function resolveFormat(requested, originalName) {
+  const format = String(requested || path.extname(originalName || '').slice(1) || 'csv').toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+// GET every image's metadata as a download
+// Query: format=csv|json (default csv)
+// Columns: filename, tags (";"-separated), matte, filter, width, height, added and the descriptive fields
+router.get('/export', async (req, res) => {
+  try {
+    const format = resolveFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const transfer = new MetadataTransfer(req.frameArtPath);
+    const content = await transfer.exportLibrary(format);
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="frame-art-metadata-${date}.${format}"`);
+    res.send(content);
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to export metadata');
+  }
+});
+
+// POST import an edited export (multipart field "file"; optional "format")
+// Query/field preview=true only reports the diff:
+//   { changes: [{ filename, fields: { tags: { from, to }, ... } }], unchanged, errors: [{ row, filename, error }], warnings }
+// Otherwise applies it as one write and one commit; 400 (with per-row details) if any row is invalid
+router.post('/import', importUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const format = resolveFormat(req.body.format, req.file.originalname);
+    if (!format) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const content = req.file.buffer.toString('utf8');
+    const transfer = new MetadataTransfer(req.frameArtPath);
+    const preview = String(req.query.preview ?? req.body.preview) === 'true';
+    if (preview) {
+      return res.json({ success: true, preview: true, ...await transfer.previewImport(content, format) });
+    }
+
+    const { result, message, committed } = await transfer.applyImport(content, format, { filename: req.file.originalname });
+    const journal = new JournalHelper(req.frameArtPath);
+    const journalId = result.inverse
+      ? await journal.tryRecord('import', `Imported metadata for ${result.changes.length} images`, result.inverse)
+      : null;
+
+    res.json({
+      success: true,
+      preview: false,
+      changes: result.changes,
+      unchanged: result.unchanged,
+      warnings: result.warnings,
+      message,
+      committed,
+      journalId
+    });
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to import metadata');
+  }
+});
+
+module.exports = router;
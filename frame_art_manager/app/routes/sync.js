@@ -4,6 +4,8 @@ const path = require('path');
 const router = express.Router();
 const GitHelper = require('../git_helper');
 const MetadataHelper = require('../metadata_helper');
+const { logSyncOperation, getSyncLogs, clearSyncLogs } = require('../sync_log');
+const { trackJob } = require('../job_manager');
 
 const LFS_POINTER_SIGNATURE = 'version https://git-lfs.github.com/spec/v1';
 
@@ -194,7 +196,7 @@ router.get('/status', async (req, res) => {
  * Complete sync operation: commit → pull → push (atomic, holds lock for entire operation)
  * This prevents race conditions from multiple sequential API calls
  */
-router.post('/full', async (req, res) => {
+router.post('/full', trackJob('sync', { label: 'Full sync', cancellable: false }), async (req, res) => {
   const requestId = Math.random().toString(36).substring(7);
   // console.log(`\n🔵 [${requestId}] /api/sync/full request received`);
   
@@ -239,8 +241,11 @@ router.post('/full', async (req, res) => {
       console.warn(`   [${requestId}] Could not determine branch name:`, branchError.message);
     }
     
+    const helper = new MetadataHelper(req.frameArtPath);
+
     // Step 1: Commit any uncommitted changes
     // console.log(`📝 [${requestId}] Step 1: Checking for uncommitted changes...`);
+    req.job?.step('Checking for changes');
     const status = await git.getStatus();
     const hasUncommittedChanges = status.files.length > 0;
     // console.log(`   [${requestId}] Uncommitted changes: ${hasUncommittedChanges ? 'YES (' + status.files.length + ' files)' : 'NO'}`);
@@ -274,13 +279,18 @@ router.post('/full', async (req, res) => {
         });
       }
 
-      preCommitChangesSummary = await git.describeUncommittedChanges();
-      // console.log(`   [${requestId}] Pre-commit changes captured:`, preCommitChangesSummary);
-      // console.log(`   [${requestId}] Committing ${status.files.length} uncommitted file(s)...`);
-      const commitMessage = await git.generateCommitMessage(status.files);
-      // console.log(`   [${requestId}] Commit message: ${commitMessage}`);
-      
-      const commitResult = await git.commitChanges(commitMessage);
+      // Hold the metadata lock so no write lands between the diff that
+      // describes the commit and the commit itself
+      req.job?.step('Committing local changes');
+      const commitResult = await helper.withMetadataLock(async () => {
+        const currentStatus = await git.getStatus();
+        preCommitChangesSummary = await git.describeUncommittedChanges();
+        // console.log(`   [${requestId}] Pre-commit changes captured:`, preCommitChangesSummary);
+        // console.log(`   [${requestId}] Committing ${currentStatus.files.length} uncommitted file(s)...`);
+        const commitMessage = await git.generateCommitMessage(currentStatus.files);
+        // console.log(`   [${requestId}] Commit message: ${commitMessage}`);
+        return git.commitChanges(commitMessage);
+      });
       
       if (!commitResult.success) {
         console.error(`❌ [${requestId}] Commit failed: ${commitResult.error}`);
@@ -306,8 +316,11 @@ router.post('/full', async (req, res) => {
     }
     
     // Step 2: Pull from remote (now that changes are committed)
+    // The pull rewrites metadata.json, so a write that read it before the pull
+    // must not land after it (and be pushed as a silent revert)
     // console.log(`⬇️  [${requestId}] Step 2: Pulling from remote...`);
-    const pullResult = await git.pullLatest(preCommitChangesSummary);
+    req.job?.step('Pulling from remote');
+    const pullResult = await helper.withMetadataLock(() => git.pullLatest(preCommitChangesSummary));
     const remoteChangesSummary = Array.isArray(pullResult.remoteChangesSummary) ? pullResult.remoteChangesSummary : [];
     
     if (!pullResult.success) {
@@ -352,6 +365,7 @@ router.post('/full', async (req, res) => {
     
     // Step 3: Push to remote
     // console.log(`⬆️  [${requestId}] Step 3: Pushing to remote...`);
+    req.job?.step('Pushing to remote');
     const pushResult = await git.pushChanges();
     
     if (!pushResult.success) {
@@ -438,15 +452,18 @@ router.post('/full', async (req, res) => {
             });
           }
           
+          req.job?.step('Retrying after clearing a stale lock');
           const retryGit = new GitHelper(req.frameArtPath);
-          const retryStatus = await retryGit.getStatus();
-          const retryHasChanges = retryStatus.files.length > 0;
-          
-          if (retryHasChanges) {
-            await retryGit.commitChanges();
-          }
-          
-          const retryPull = await retryGit.pullLatest();
+          const retryHelper = new MetadataHelper(req.frameArtPath);
+          // Commit and pull under the metadata lock, like the first attempt
+          const { retryHasChanges, retryPull } = await retryHelper.withMetadataLock(async () => {
+            const retryStatus = await retryGit.getStatus();
+            const hasChanges = retryStatus.files.length > 0;
+            if (hasChanges) {
+              await retryGit.commitChanges();
+            }
+            return { retryHasChanges: hasChanges, retryPull: await retryGit.pullLatest() };
+          });
           if (!retryPull.success) {
             throw new Error(retryPull.error);
           }
@@ -766,59 +783,4 @@ router.get('/conflicts', async (req, res) => {
   }
 });
 
-const SYNC_LOG_PATH = path.join(__dirname, '..', 'sync_logs.json');
-const SYNC_LOG_LIMIT = 200;
-
-async function readSyncLogsFile() {
-  try {
-    const data = await fs.readFile(SYNC_LOG_PATH, 'utf8');
-    const parsed = JSON.parse(data);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      return [];
-    }
-    console.warn('Failed to read sync logs, resetting file:', error.message);
-    return [];
-  }
-}
-
-async function writeSyncLogsFile(entries) {
-  const payload = JSON.stringify(entries, null, 2);
-  await fs.writeFile(SYNC_LOG_PATH, payload);
-}
-
-async function logSyncOperation(_frameArtPath, logEntry = {}) {
-  try {
-    const logs = await readSyncLogsFile();
-    const entry = {
-      timestamp: new Date().toISOString(),
-      operation: logEntry.operation || 'full-sync',
-      status: logEntry.status || 'info',
-      message: logEntry.message || '',
-      error: logEntry.error || null,
-      hasConflicts: Boolean(logEntry.hasConflicts),
-      conflictType: logEntry.conflictType || null,
-      conflictedFiles: Array.isArray(logEntry.conflictedFiles) ? logEntry.conflictedFiles : [],
-      lostChanges: Array.isArray(logEntry.lostChanges) ? logEntry.lostChanges : [],
-      remoteChanges: Array.isArray(logEntry.remoteChanges) ? logEntry.remoteChanges : [],
-      branch: logEntry.branch || 'unknown',
-      remoteCommit: logEntry.remoteCommit || null
-    };
-    logs.unshift(entry);
-    const trimmed = logs.slice(0, SYNC_LOG_LIMIT);
-    await writeSyncLogsFile(trimmed);
-  } catch (error) {
-    console.warn('Failed to log sync operation:', error.message);
-  }
-}
-
-async function getSyncLogs() {
-  return readSyncLogsFile();
-}
-
-async function clearSyncLogs() {
-  await writeSyncLogsFile([]);
-}
-
 module.exports = router;
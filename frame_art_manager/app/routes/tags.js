@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const MetadataHelper = require('../metadata_helper');
+const JournalHelper = require('../journal_helper');
+const { TAG_ATTRIBUTE_NAMES } = require('../tag_helper');
 
 // GET all tags
 router.get('/', async (req, res) => {
@@ -14,30 +16,150 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET tag library: [{ name, color?, description?, aliases?, pinned? }]
+router.get('/library', async (req, res) => {
+  try {
+    const helper = new MetadataHelper(req.frameArtPath);
+    res.json(await helper.getTagLibrary());
+  } catch (error) {
+    console.error('Error getting tag library:', error);
+    res.status(500).json({ error: 'Failed to retrieve tag library' });
+  }
+});
+
 // POST add new tag
+// Body: { name, color?, description?, aliases?, pinned? }
 router.post('/', async (req, res) => {
   try {
     const { name } = req.body;
 
-    if (!name) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
       return res.status(400).json({ error: 'Tag name is required' });
     }
 
     const helper = new MetadataHelper(req.frameArtPath);
-    const tags = await helper.addTag(name);
+    const tags = await helper.addTag(name, pickTagAttributes(req.body));
     res.json({ success: true, tags });
   } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
     console.error('Error adding tag:', error);
     res.status(500).json({ error: 'Failed to add tag' });
   }
 });
 
+// PUT update a tag's color, description, aliases or pinned flag
+// Body: any subset of { color, description, aliases, pinned }; null/"" clears
+router.put('/:tagName', async (req, res) => {
+  try {
+    const attributes = pickTagAttributes(req.body);
+    if (Object.keys(attributes).length === 0) {
+      return res.status(400).json({ error: `Nothing to update (expected one of: ${TAG_ATTRIBUTE_NAMES.join(', ')})` });
+    }
+
+    const helper = new MetadataHelper(req.frameArtPath);
+    const tag = await helper.updateTagAttributes(req.params.tagName, attributes);
+    res.json({ success: true, tag });
+  } catch (error) {
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error updating tag:', error);
+    res.status(500).json({ error: 'Failed to update tag' });
+  }
+});
+
+function pickTagAttributes(body = {}) {
+  const attributes = {};
+  for (const attribute of TAG_ATTRIBUTE_NAMES) {
+    if (Object.prototype.hasOwnProperty.call(body, attribute)) {
+      attributes[attribute] = body[attribute];
+    }
+  }
+  return attributes;
+}
+
+function sendTagReplacement(res, outcome) {
+  const { result, message, committed } = outcome;
+  res.json({
+    success: true,
+    sources: result.sources,
+    target: result.target,
+    renamed: result.renamed,
+    images: result.images,
+    count: result.images.length,
+    message,
+    committed
+  });
+}
+
+function sendTagReplacementError(res, error, failureMessage) {
+  if (error.code === 'VALIDATION_ERROR') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  console.error(`${failureMessage}:`, error);
+  res.status(500).json({ error: failureMessage });
+}
+
+// POST rename a tag on every image (hierarchical descendants move with it)
+// Body: { newName }
+// Responds with { sources, target, renamed: {old: new}, images, count, message };
+// the UI uses sources/target to offer updating HA tagsets that use the old names
+router.post('/:tagName/rename', async (req, res) => {
+  try {
+    const { newName } = req.body;
+
+    if (!newName || typeof newName !== 'string') {
+      return res.status(400).json({ error: 'newName is required' });
+    }
+
+    const helper = new MetadataHelper(req.frameArtPath);
+    sendTagReplacement(res, await helper.renameTag(req.params.tagName, newName));
+  } catch (error) {
+    sendTagReplacementError(res, error, 'Failed to rename tag');
+  }
+});
+
+// POST merge several tags into one on every image
+// Body: { sources: string[], target }
+router.post('/merge', async (req, res) => {
+  try {
+    const { sources, target } = req.body;
+
+    if (!Array.isArray(sources) || sources.length === 0) {
+      return res.status(400).json({ error: 'sources must be a non-empty array of tag names' });
+    }
+    if (!target || typeof target !== 'string') {
+      return res.status(400).json({ error: 'target is required' });
+    }
+
+    const helper = new MetadataHelper(req.frameArtPath);
+    sendTagReplacement(res, await helper.mergeTags(sources, target));
+  } catch (error) {
+    sendTagReplacementError(res, error, 'Failed to merge tags');
+  }
+});
+
 // DELETE tag
 router.delete('/:tagName', async (req, res) => {
   try {
     const helper = new MetadataHelper(req.frameArtPath);
-    const tags = await helper.removeTag(req.params.tagName);
-    res.json({ success: true, tags });
+    const tagName = req.params.tagName;
+    const journal = new JournalHelper(req.frameArtPath);
+    const { result: tags, journalId } = await journal.trackFieldChanges(
+      'tag-delete',
+      changes => `Deleted tag "${tagName}" (from ${changes.length} images)`,
+      { fields: ['tags'] },
+      () => helper.removeTag(tagName)
+    );
+    res.json({ success: true, tags, journalId });
   } catch (error) {
     console.error('Error removing tag:', error);
     res.status(500).json({ error: 'Failed to remove tag' });
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const TrashHelper = require('../trash_helper');
+
+function sendTrashError(res, error, failureMessage) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.code === 'CONFLICT') {
+    return res.status(409).json({ error: error.message });
+  }
+  console.error(`${failureMessage}:`, error);
+  res.status(500).json({ error: failureMessage });
+}
+
+// GET trashed images, newest first
+// Responds with { retentionDays, items: [{ id, filename, deletedAt, expiresAt, tags, title, hasThumbnail, hasBackup }] }
+router.get('/', async (req, res) => {
+  try {
+    const trash = new TrashHelper(req.frameArtPath);
+    res.json(await trash.listTrash());
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to list trash');
+  }
+});
+
+// GET thumbnail of a trashed image (for the Trash view)
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    const trash = new TrashHelper(req.frameArtPath);
+    const thumbPath = await trash.getThumbnailPath(req.params.id);
+    if (!thumbPath) {
+      return res.status(404).json({ error: 'No thumbnail for this image' });
+    }
+    res.sendFile(thumbPath);
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to load trash thumbnail');
+  }
+});
+
+// POST restore a trashed image (files and metadata record) to the library
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const trash = new TrashHelper(req.frameArtPath);
+    const entry = await trash.restore(req.params.id);
+    res.json({ success: true, filename: entry.filename });
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to restore image');
+  }
+});
+
+// DELETE permanently purge one trashed image
+router.delete('/:id', async (req, res) => {
+  try {
+    const trash = new TrashHelper(req.frameArtPath);
+    const entry = await trash.purge(req.params.id);
+    res.json({ success: true, filename: entry.filename });
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to purge image');
+  }
+});
+
+// DELETE permanently purge everything in the trash
+router.delete('/', async (req, res) => {
+  try {
+    const trash = new TrashHelper(req.frameArtPath);
+    const purged = await trash.emptyTrash();
+    res.json({ success: true, purged, count: purged.length });
+  } catch (error) {
+    sendTrashError(res, error, 'Failed to empty trash');
+  }
+});
+
+module.exports = router;
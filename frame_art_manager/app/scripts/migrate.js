@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Run metadata.json schema migrations (see ../migrations.js)
+ * The server runs these automatically on startup; this is for dry runs and
+ * for libraries that aren't served by a running instance.
+ *
+ * Usage: FRAME_ART_PATH=/path/to/frame_art node scripts/migrate.js [--dry-run] [--no-commit]
+ */
+
+const path = require('path');
+const os = require('os');
+const { runMigrations, CURRENT_SCHEMA_VERSION } = require('../migrations');
+
+let FRAME_ART_PATH = process.env.FRAME_ART_PATH || '/config/www/frame_art';
+if (FRAME_ART_PATH.startsWith('~/')) {
+  FRAME_ART_PATH = path.join(os.homedir(), FRAME_ART_PATH.slice(2));
+}
+
+const dryRun = process.argv.includes('--dry-run');
+const commit = !process.argv.includes('--no-commit');
+
+async function main() {
+  console.log(`🔍 Checking ${path.join(FRAME_ART_PATH, 'metadata.json')} (current schema: ${CURRENT_SCHEMA_VERSION})${dryRun ? ' [dry run]' : ''}\n`);
+
+  const result = await runMigrations(FRAME_ART_PATH, { dryRun, commit });
+
+  if (result.applied.length === 0) {
+    console.log(`✅ Already at schema ${result.fromVersion} - nothing to do`);
+    return;
+  }
+
+  for (const step of result.applied) {
+    console.log(`📐 ${step.version} - ${step.description}`);
+    if (step.changes.length === 0) {
+      console.log('   (no changes needed)');
+    }
+    step.changes.forEach(change => console.log(`   ✅ ${change}`));
+  }
+
+  console.log(`\n📝 ${result.message}`);
+  if (dryRun) {
+    console.log('\n🧪 Dry run - metadata.json was not modified');
+  } else {
+    console.log(`\n💾 Saved schema ${result.toVersion}${result.committed ? ' and committed' : ''}`);
+  }
+}
+
+main()
+  .then(() => {
+    console.log('\n✨ Migration complete!');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('\n💥 Migration failed:', error);
+    process.exit(1);
+  });
@@ -13,6 +13,12 @@ const tagsRouter = require('./routes/tags');
 const syncRouter = require('./routes/sync');
 const haRouter = require('./routes/ha');
 const analyticsRouter = require('./routes/analytics');
+const trashRouter = require('./routes/trash');
+const collectionsRouter = require('./routes/collections');
+const journalRouter = require('./routes/journal');
+const metadataRouter = require('./routes/metadata');
+const integrityRouter = require('./routes/integrity');
+const jobsRouter = require('./routes/jobs');
 
 const app = express();
 const PORT = process.env.PORT || 8099;
@@ -66,6 +72,12 @@ app.use('/api/tags', tagsRouter);
 app.use('/api/sync', syncRouter);
 app.use('/api/ha', haRouter);
 app.use('/api/analytics', analyticsRouter);
+app.use('/api/trash', trashRouter);
+app.use('/api/collections', collectionsRouter);
+app.use('/api/journal', journalRouter);
+app.use('/api/metadata', metadataRouter);
+app.use('/api/integrity', integrityRouter);
+app.use('/api/jobs', jobsRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -81,15 +93,9 @@ app.get('/api/health', (req, res) => {
 // Get raw metadata endpoint
 app.get('/api/metadata', async (req, res) => {
   try {
-    const metadataPath = path.join(FRAME_ART_PATH, 'metadata.json');
-    const data = await fs.readFile(metadataPath, 'utf8');
-    const parsed = JSON.parse(data);
-    
-    // Deprecate 'tvs' array - remove it if present
-    if (parsed.tvs) {
-      delete parsed.tvs;
-    }
-    
+    const MetadataHelper = require('./metadata_helper');
+    const helper = new MetadataHelper(FRAME_ART_PATH);
+    const parsed = await helper.readMetadata();
     res.json(parsed);
   } catch (error) {
     console.error('Error reading metadata:', error);
@@ -106,21 +112,26 @@ app.get('/', (req, res) => {
 async function initializeDirectories() {
   try {
     const libraryPath = path.join(FRAME_ART_PATH, 'library');
-  const thumbsPath = path.join(FRAME_ART_PATH, 'thumbs');
-  const originalsPath = path.join(FRAME_ART_PATH, 'originals');
+    const thumbsPath = path.join(FRAME_ART_PATH, 'thumbs');
+    const originalsPath = path.join(FRAME_ART_PATH, 'originals');
     const metadataPath = path.join(FRAME_ART_PATH, 'metadata.json');
 
     // Create directories if they don't exist
     await fs.mkdir(libraryPath, { recursive: true });
-  await fs.mkdir(thumbsPath, { recursive: true });
-  await fs.mkdir(originalsPath, { recursive: true });
+    await fs.mkdir(thumbsPath, { recursive: true });
+    await fs.mkdir(originalsPath, { recursive: true });
+
+    // Private, git-excluded working area (atomic-write temp files, last-good metadata)
+    const { ensureStateDir } = require('./state_helper');
+    await ensureStateDir(FRAME_ART_PATH);
 
     // Create metadata.json if it doesn't exist
     try {
       await fs.access(metadataPath);
     } catch {
+      const { CURRENT_SCHEMA_VERSION } = require('./migrations');
       const initialMetadata = {
-        version: "1.0",
+        version: CURRENT_SCHEMA_VERSION,
         images: {},
         tags: []
       };
@@ -192,7 +203,9 @@ app.listen(PORT, async () => {
   console.log(`Frame art path: ${FRAME_ART_PATH}`);
   await verifyGitConfiguration();
   await initializeDirectories();
+  await runSchemaMigrations();
   await backfillSourceHashes();
+  await backfillEmbeddedMetadata();
   console.log('\n✨ Server ready!\n');
 });
 
@@ -206,6 +219,7 @@ function startPushSweep() {
   if (!seconds || process.env.GIT_AUTO_PUSH_ON_CHANGE === 'false') return;
 
   const GitHelper = require('./git_helper');
+  const MetadataHelper = require('./metadata_helper');
   let running = false;
 
   setInterval(async () => {
@@ -213,20 +227,30 @@ function startPushSweep() {
     running = true;
     try {
       const git = new GitHelper(FRAME_ART_PATH);
-      const status = await git.git.status();
-      const dirty = status.files.length > 0;
-      const ahead = (status.ahead || 0) > 0;
-      if (!dirty && !ahead) return;
-
-      if (dirty) {
-        // Same semantic message the UI sync path generates (e.g. "added: foo").
-        const message = await git.generateCommitMessage(status.files);
-        const result = await git.commitChanges(message);
-        if (!result || result.success === false) {
-          console.warn('Push sweep: commit failed:', result && result.error);
-          return;
+      const helper = new MetadataHelper(FRAME_ART_PATH);
+
+      // Status, message and commit run under the metadata lock so a write
+      // landing mid-sweep can't end up half in this commit and half in the next.
+      const committed = await helper.withMetadataLock(async () => {
+        const status = await git.git.status();
+        const dirty = status.files.length > 0;
+        const ahead = (status.ahead || 0) > 0;
+        if (!dirty && !ahead) return null;
+
+        if (dirty) {
+          // Same semantic message the UI sync path generates (e.g. "added: foo").
+          const message = await git.generateCommitMessage(status.files);
+          const result = await git.commitChanges(message);
+          if (!result || result.success === false) {
+            console.warn('Push sweep: commit failed:', result && result.error);
+            return null;
+          }
         }
-      }
+        return { dirty };
+      });
+      if (!committed) return;
+
+      const { dirty } = committed;
       const push = await git.pushChanges();
       if (push && push.success) {
         console.log(`Push sweep: pushed${dirty ? ' new commit' : ' pending commits'}`);
@@ -245,6 +269,77 @@ function startPushSweep() {
 
 startPushSweep();
 
+// Purge trashed images past the trashRetentionDays setting (hourly, and once
+// at startup). Purging only touches the git-excluded state area, so there is
+// nothing to commit.
+function startTrashPurge() {
+  const TrashHelper = require('./trash_helper');
+  const purge = async () => {
+    try {
+      const purged = await new TrashHelper(FRAME_ART_PATH).purgeExpired();
+      if (purged.length > 0) {
+        console.log(`🗑️  Purged ${purged.length} expired image(s) from trash`);
+      }
+    } catch (error) {
+      console.warn('Trash purge error:', error.message);
+    }
+  };
+
+  purge();
+  setInterval(purge, 60 * 60 * 1000).unref();
+}
+
+startTrashPurge();
+
+// Remove resumable uploads abandoned for a day (hourly, and once at startup)
+function startChunkedUploadCleanup() {
+  const ChunkedUploadHelper = require('./chunked_upload_helper');
+  const cleanup = async () => {
+    try {
+      const removed = await new ChunkedUploadHelper(FRAME_ART_PATH).purgeExpired();
+      if (removed.length > 0) {
+        console.log(`🧹 Removed ${removed.length} abandoned upload(s)`);
+      }
+    } catch (error) {
+      console.warn('Upload cleanup error:', error.message);
+    }
+  };
+
+  cleanup();
+  setInterval(cleanup, 60 * 60 * 1000).unref();
+}
+
+startChunkedUploadCleanup();
+
+// Import files dropped into <FRAME_ART_PATH>/inbox/ (see inbox_helper.js).
+// The push sweep commits what gets imported. INBOX_SCAN_SECONDS=0 disables it.
+function startInboxWatcher() {
+  const seconds = Number(process.env.INBOX_SCAN_SECONDS ?? 30);
+  if (!seconds) return;
+
+  const InboxHelper = require('./inbox_helper');
+  let running = false;
+
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { imported, duplicates, quarantined } = await new InboxHelper(FRAME_ART_PATH).processInbox();
+      if (imported.length + duplicates.length + quarantined.length > 0) {
+        console.log(`📥 Inbox: imported ${imported.length}, duplicates ${duplicates.length}, quarantined ${quarantined.length}`);
+      }
+    } catch (error) {
+      console.warn('Inbox scan error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, seconds * 1000).unref();
+
+  console.log(`Inbox watcher enabled (every ${seconds}s)`);
+}
+
+startInboxWatcher();
+
 // Optional second listener so bare vanity hostnames work without a port suffix
 // (http://frame.mad/). `tailscale serve` cannot cover these: it matches on the
 // Host header and only knows its own ts.net names, returning 404 for anything
@@ -256,14 +351,48 @@ if (process.env.HTTP_ALT_PORT) {
   });
 }
 
-// Backfill sourceHash for images that don't have one
+// Upgrade metadata.json to the current schema version (see migrations.js).
+// METADATA_MIGRATIONS_DRY_RUN=true only logs what would change.
+async function runSchemaMigrations() {
+  try {
+    const { runMigrations } = require('./migrations');
+    const dryRun = process.env.METADATA_MIGRATIONS_DRY_RUN === 'true';
+    const result = await runMigrations(FRAME_ART_PATH, { dryRun });
+
+    if (result.applied.length === 0) {
+      return;
+    }
+    if (dryRun) {
+      console.log(`🧪 Metadata migration dry run (${result.fromVersion} → ${result.toVersion}): ${result.message}`);
+      return;
+    }
+    console.log(`✅ Migrated metadata schema ${result.fromVersion} → ${result.toVersion}${result.committed ? ' (committed)' : ''}`);
+    result.applied.forEach(step => {
+      step.changes.forEach(change => console.log(`   - ${step.version}: ${change}`));
+    });
+  } catch (error) {
+    console.error('❌ Metadata migration failed:', error.message);
+    // Non-fatal - the app still works against the older schema
+  }
+}
+
+// Backfill sourceHash for images that don't have one (shown in the jobs panel)
 async function backfillSourceHashes() {
   try {
     const MetadataHelper = require('./metadata_helper');
     const { computePerceptualHash } = require('./hash_helper');
+    const { getJobManager } = require('./job_manager');
     
     const helper = new MetadataHelper(FRAME_ART_PATH);
-    const result = await helper.ensureSourceHashes(computePerceptualHash);
+    const { images = {} } = await helper.readMetadata();
+    if (Object.values(images).every(image => image.sourceHash)) {
+      return;
+    }
+
+    const jobs = getJobManager(FRAME_ART_PATH);
+    await jobs.ready;
+    const result = await jobs.run('hash-backfill', { label: 'Backfill image hashes' },
+      job => helper.ensureSourceHashes(computePerceptualHash, { job }));
     
     if (result.updated > 0) {
       console.log(`✅ Backfilled sourceHash for ${result.updated} image(s)`);
@@ -276,3 +405,24 @@ async function backfillSourceHashes() {
     // Non-fatal - continue startup
   }
 }
+
+// Extract EXIF/IPTC/XMP for images uploaded before extraction existed
+async function backfillEmbeddedMetadata() {
+  try {
+    const MetadataHelper = require('./metadata_helper');
+    const { extractEmbeddedMetadata } = require('./exif_helper');
+
+    const helper = new MetadataHelper(FRAME_ART_PATH);
+    const result = await helper.ensureEmbeddedMetadata(extractEmbeddedMetadata);
+
+    if (result.updated > 0) {
+      console.log(`✅ Extracted embedded metadata for ${result.updated} image(s)`);
+    }
+    if (result.errors.length > 0) {
+      console.warn(`⚠️  Failed to read embedded metadata for ${result.errors.length} image(s)`);
+    }
+  } catch (error) {
+    console.warn('⚠️  Could not backfill embedded metadata:', error.message);
+    // Non-fatal - continue startup
+  }
+}
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Private, git-excluded working area inside FRAME_ART_PATH.
+ * Holds files the manager needs on the same volume as the library (temp files
+ * for atomic renames, last-good metadata backup) that must never be committed.
+ */
+const STATE_DIR_NAME = '.frame_art_manager';
+
+// frameArtPath + pattern pairs whose .git/info/exclude entry has already been checked
+const excludedPaths = new Set();
+
+function getStateDir(frameArtPath) {
+  return path.join(frameArtPath, STATE_DIR_NAME);
+}
+
+/**
+ * Add a top-level directory (the state directory by default) to
+ * .git/info/exclude so `git add .` (manual sync, push sweep) never picks it up.
+ * No-op when FRAME_ART_PATH is not a git repo.
+ * @param {string} frameArtPath - Library root
+ * @param {string} [dirName] - Directory name relative to the library root
+ */
+async function ensureGitExcluded(frameArtPath, dirName = STATE_DIR_NAME) {
+  const pattern = `/${dirName}/`;
+  const key = `${frameArtPath}\0${pattern}`;
+  if (excludedPaths.has(key)) {
+    return;
+  }
+
+  const gitDir = path.join(frameArtPath, '.git');
+  try {
+    const stats = await fs.stat(gitDir);
+    if (!stats.isDirectory()) {
+      excludedPaths.add(key);
+      return;
+    }
+  } catch {
+    excludedPaths.add(key);
+    return;
+  }
+
+  const excludePath = path.join(gitDir, 'info', 'exclude');
+  let current = '';
+  try {
+    current = await fs.readFile(excludePath, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (!current.split('\n').some(line => line.trim() === pattern)) {
+    await fs.mkdir(path.dirname(excludePath), { recursive: true });
+    const prefix = current && !current.endsWith('\n') ? '\n' : '';
+    await fs.appendFile(excludePath, `${prefix}${pattern}\n`);
+  }
+
+  excludedPaths.add(key);
+}
+
+/**
+ * Create (if needed) and return a directory inside the state area
+ * @param {string} frameArtPath - Library root
+ * @param {...string} segments - Optional sub-directory segments
+ * @returns {Promise<string>} Absolute directory path
+ */
+async function ensureStateDir(frameArtPath, ...segments) {
+  const dir = path.join(getStateDir(frameArtPath), ...segments);
+  await fs.mkdir(dir, { recursive: true });
+  await ensureGitExcluded(frameArtPath);
+  return dir;
+}
+
+/**
+ * Crash-safe write: temp file + fsync + rename.
+ * Readers only ever see the complete old or the complete new content.
+ * @param {string} filePath - Destination file
+ * @param {string|Buffer} data - Content to write
+ * @param {Object} [options]
+ * @param {string} [options.tmpDir] - Directory for the temp file (must be on the same filesystem)
+ */
+async function writeFileAtomic(filePath, data, { tmpDir } = {}) {
+  const dir = tmpDir || path.dirname(filePath);
+  const tmpName = `${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const tmpPath = path.join(dir, tmpName);
+
+  let handle;
+  try {
+    handle = await fs.open(tmpPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+
+  // Persist the rename itself; not every platform allows fsync on a directory
+  try {
+    const dirHandle = await fs.open(path.dirname(filePath), 'r');
+    try {
+      await dirHandle.sync();
+    } finally {
+      await dirHandle.close();
+    }
+  } catch {
+    // Best effort
+  }
+}
+
+module.exports = {
+  STATE_DIR_NAME,
+  getStateDir,
+  ensureGitExcluded,
+  ensureStateDir,
+  writeFileAtomic
+};
@@ -0,0 +1,69 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Sync history shown in Advanced > Sync Detail (newest first, capped)
+ * Written by the sync routes and by background work such as the inbox watcher.
+ */
+const SYNC_LOG_PATH = path.join(__dirname, 'sync_logs.json');
+const SYNC_LOG_LIMIT = 200;
+
+async function readSyncLogsFile() {
+  try {
+    const data = await fs.readFile(SYNC_LOG_PATH, 'utf8');
+    const parsed = JSON.parse(data);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    console.warn('Failed to read sync logs, resetting file:', error.message);
+    return [];
+  }
+}
+
+async function writeSyncLogsFile(entries) {
+  const payload = JSON.stringify(entries, null, 2);
+  await fs.writeFile(SYNC_LOG_PATH, payload);
+}
+
+async function logSyncOperation(_frameArtPath, logEntry = {}) {
+  try {
+    const logs = await readSyncLogsFile();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      operation: logEntry.operation || 'full-sync',
+      status: logEntry.status || 'info',
+      message: logEntry.message || '',
+      error: logEntry.error || null,
+      hasConflicts: Boolean(logEntry.hasConflicts),
+      conflictType: logEntry.conflictType || null,
+      conflictedFiles: Array.isArray(logEntry.conflictedFiles) ? logEntry.conflictedFiles : [],
+      lostChanges: Array.isArray(logEntry.lostChanges) ? logEntry.lostChanges : [],
+      remoteChanges: Array.isArray(logEntry.remoteChanges) ? logEntry.remoteChanges : [],
+      branch: logEntry.branch || 'unknown',
+      remoteCommit: logEntry.remoteCommit || null,
+      details: Array.isArray(logEntry.details) ? logEntry.details : []
+    };
+    logs.unshift(entry);
+    const trimmed = logs.slice(0, SYNC_LOG_LIMIT);
+    await writeSyncLogsFile(trimmed);
+  } catch (error) {
+    console.warn('Failed to log sync operation:', error.message);
+  }
+}
+
+async function getSyncLogs() {
+  return readSyncLogsFile();
+}
+
+async function clearSyncLogs() {
+  await writeSyncLogsFile([]);
+}
+
+module.exports = {
+  SYNC_LOG_PATH,
+  logSyncOperation,
+  getSyncLogs,
+  clearSyncLogs
+};
@@ -0,0 +1,245 @@
+/**
+ * Hierarchical tag helpers
+ *
+ * Tags may be namespaced with "/" (e.g. "season/winter/christmas"). Matching a
+ * parent matches every descendant, so filtering by "season/winter" finds images
+ * tagged "season/winter/christmas". Flat tags have no separator and only match
+ * themselves, exactly as before.
+ */
+
+const TAG_PATH_SEPARATOR = '/';
+
+/**
+ * Whether an image tag satisfies a filter tag (itself or a descendant of it)
+ * @param {string} imageTag - Tag on the image
+ * @param {string} filterTag - Tag being matched against
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreCase=false]
+ * @returns {boolean}
+ */
+function tagMatches(imageTag, filterTag, { ignoreCase = false } = {}) {
+  if (typeof imageTag !== 'string' || typeof filterTag !== 'string') {
+    return false;
+  }
+  const tag = ignoreCase ? imageTag.toLowerCase() : imageTag;
+  const filter = ignoreCase ? filterTag.toLowerCase() : filterTag;
+  return tag === filter || tag.startsWith(filter + TAG_PATH_SEPARATOR);
+}
+
+/**
+ * Whether any of an image's tags satisfies a filter tag
+ * @param {Iterable<string>} imageTags
+ * @param {string} filterTag
+ * @param {Object} [options] - See tagMatches
+ * @returns {boolean}
+ */
+function hasTag(imageTags, filterTag, options) {
+  for (const tag of imageTags || []) {
+    if (tagMatches(tag, filterTag, options)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * A tag and its ancestors, outermost first
+ * e.g. "season/winter/christmas" -> ["season", "season/winter", "season/winter/christmas"]
+ * @param {string} tag
+ * @returns {string[]}
+ */
+function getTagAncestry(tag) {
+  const segments = String(tag).split(TAG_PATH_SEPARATOR);
+  return segments.map((_, index) => segments.slice(0, index + 1).join(TAG_PATH_SEPARATOR));
+}
+
+// ============================================
+// Tag library (metadata.tags)
+// ============================================
+//
+// metadata.tags holds one object per tag:
+//   { name, color?, description?, aliases?, pinned? }
+// Older libraries (and older add-on versions writing to a pulled library)
+// store plain strings, so every reader goes through normalizeTagLibrary.
+
+const TAG_ATTRIBUTES = {
+  color: { label: 'Color' },
+  description: { label: 'Description', maxLength: 500 },
+  aliases: { label: 'Aliases', maxItems: 20, maxLength: 100 },
+  pinned: { label: 'Pinned' }
+};
+
+const TAG_ATTRIBUTE_NAMES = Object.keys(TAG_ATTRIBUTES);
+
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Normalize one metadata.tags entry (string or object) to an object
+ * @returns {Object|null} null for entries without a usable name
+ */
+function normalizeTagEntry(entry) {
+  if (typeof entry === 'string') {
+    const name = entry.trim();
+    return name ? { name } : null;
+  }
+  if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || !entry.name.trim()) {
+    return null;
+  }
+
+  const normalized = { name: entry.name.trim() };
+  if (typeof entry.color === 'string' && TAG_COLOR_PATTERN.test(entry.color)) {
+    normalized.color = entry.color.toLowerCase();
+  }
+  if (typeof entry.description === 'string' && entry.description.trim()) {
+    normalized.description = entry.description.trim();
+  }
+  if (Array.isArray(entry.aliases)) {
+    const aliases = entry.aliases.filter(alias => typeof alias === 'string' && alias.trim()).map(alias => alias.trim());
+    if (aliases.length > 0) {
+      normalized.aliases = aliases;
+    }
+  }
+  if (entry.pinned === true) {
+    normalized.pinned = true;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize metadata.tags to an array of tag objects
+ * Accepts the legacy string array, objects, or a mix of both. Duplicate names
+ * collapse into one entry; the first entry with attributes wins.
+ * @param {Array} tags
+ * @returns {Object[]}
+ */
+function normalizeTagLibrary(tags) {
+  const byName = new Map();
+  for (const entry of Array.isArray(tags) ? tags : []) {
+    const normalized = normalizeTagEntry(entry);
+    if (!normalized) continue;
+
+    const existing = byName.get(normalized.name);
+    if (!existing) {
+      byName.set(normalized.name, normalized);
+    } else {
+      byName.set(normalized.name, { ...normalized, ...existing });
+    }
+  }
+  return Array.from(byName.values());
+}
+
+/**
+ * Tag names from metadata.tags (either shape)
+ * @returns {string[]}
+ */
+function getTagNames(tags) {
+  return normalizeTagLibrary(tags).map(entry => entry.name);
+}
+
+/**
+ * Add tag names to metadata.tags, converting legacy string entries to tag
+ * objects on the way. Existing entries (and their attributes) are kept.
+ * Note: This modifies the metadata object passed to it
+ */
+function addTagsToLibrary(metadata, tags) {
+  metadata.tags = normalizeTagLibrary(metadata.tags);
+  const known = new Set(metadata.tags.map(entry => entry.name));
+  for (const tag of tags) {
+    if (typeof tag === 'string' && tag.trim() && !known.has(tag.trim())) {
+      known.add(tag.trim());
+      metadata.tags.push({ name: tag.trim() });
+    }
+  }
+  return metadata.tags;
+}
+
+/**
+ * Validate tag attribute updates
+ * Only keys in TAG_ATTRIBUTES are considered. Aliases may be an array or a
+ * comma-separated string.
+ * @param {Object} input - Raw values keyed by attribute name
+ * @returns {{values: Object, errors: string[]}} Normalized values (null = clear the attribute) and validation errors
+ */
+function validateTagAttributes(input = {}) {
+  const values = {};
+  const errors = [];
+  const has = key => Object.prototype.hasOwnProperty.call(input, key);
+
+  if (has('color')) {
+    const color = input.color;
+    if (color === null || color === undefined || color === '') {
+      values.color = null;
+    } else if (typeof color !== 'string' || !TAG_COLOR_PATTERN.test(color.trim())) {
+      errors.push('Color must be a hex color like #3498db');
+    } else {
+      values.color = color.trim().toLowerCase();
+    }
+  }
+
+  if (has('description')) {
+    const description = input.description;
+    const { label, maxLength } = TAG_ATTRIBUTES.description;
+    if (description === null || description === undefined) {
+      values.description = null;
+    } else if (typeof description !== 'string') {
+      errors.push(`${label} must be a string`);
+    } else if (description.trim().length > maxLength) {
+      errors.push(`${label} must be at most ${maxLength} characters`);
+    } else {
+      values.description = description.trim() || null;
+    }
+  }
+
+  if (has('aliases')) {
+    const raw = input.aliases;
+    const { label, maxItems, maxLength } = TAG_ATTRIBUTES.aliases;
+    const list = raw === null || raw === undefined ? []
+      : typeof raw === 'string' ? raw.split(',')
+        : raw;
+
+    if (!Array.isArray(list) || list.some(alias => typeof alias !== 'string')) {
+      errors.push(`${label} must be a list of strings`);
+    } else {
+      const seen = new Set();
+      const aliases = [];
+      for (const alias of list.map(value => value.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+        if (!seen.has(alias.toLowerCase())) {
+          seen.add(alias.toLowerCase());
+          aliases.push(alias);
+        }
+      }
+      if (aliases.length > maxItems) {
+        errors.push(`${label} can have at most ${maxItems} entries`);
+      } else if (aliases.some(alias => alias.length > maxLength)) {
+        errors.push(`Each alias must be at most ${maxLength} characters`);
+      } else {
+        values.aliases = aliases.length > 0 ? aliases : null;
+      }
+    }
+  }
+
+  if (has('pinned')) {
+    if (typeof input.pinned !== 'boolean' && input.pinned !== null) {
+      errors.push('Pinned must be true or false');
+    } else {
+      values.pinned = input.pinned === true ? true : null;
+    }
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  TAG_PATH_SEPARATOR,
+  tagMatches,
+  hasTag,
+  getTagAncestry,
+  TAG_ATTRIBUTES,
+  TAG_ATTRIBUTE_NAMES,
+  TAG_COLOR_PATTERN,
+  normalizeTagEntry,
+  normalizeTagLibrary,
+  getTagNames,
+  addTagsToLibrary,
+  validateTagAttributes
+};
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+/**
+ * Archive Upload Tests
+ * Tests importing ZIP archives (archive_helper.js) and POST /api/images/upload-archive
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const imagesRouter = require('../routes/images');
+const { importArchive } = require('../archive_helper');
+
+// Locate the /upload-archive route handler (after the multer middleware)
+const archiveLayer = imagesRouter.stack.find(layer => layer.route && layer.route.path === '/upload-archive');
+const archiveHandler = archiveLayer?.route?.stack?.slice(-1)[0]?.handle;
+
+if (typeof archiveHandler !== 'function') {
+  throw new Error('Could not locate /api/images/upload-archive handler for tests');
+}
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Minimal ZIP writer so tests can build archives a real zip tool would refuse
+ * to (unsafe names, sizes that lie)
+ * @param {Array<{name: string, data?: Buffer|string, declaredSize?: number}>} files
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.from(file.data ?? '');
+    const compressed = zlib.deflateRawSync(data);
+    const size = file.declaredSize ?? data.length;
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+async function createImage(color) {
+  return sharp({
+    create: { width: 32, height: 18, channels: 3, background: color }
+  }).jpeg().toBuffer();
+}
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [] }, null, 2));
+  return root;
+}
+
+async function writeZip(root, files) {
+  const zipPath = path.join(root, `upload-${Date.now()}-${Math.random().toString(16).slice(2)}.zip`);
+  await fs.writeFile(zipPath, buildZip(files));
+  return zipPath;
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+async function invokeArchiveUpload(frameArtPath, file, body = {}) {
+  const req = { method: 'POST', url: '/upload-archive', frameArtPath, file, body, headers: {}, query: {}, params: {} };
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, body: payload });
+        return this;
+      }
+    };
+    Promise.resolve(archiveHandler(req, res, reject)).catch(reject);
+  });
+}
+
+test('imports image entries and reports every entry', async () => {
+  const root = await createLibrary('basic');
+  const zipPath = await writeZip(root, [
+    { name: 'pack/' },
+    { name: 'pack/Water Lilies.jpg', data: await createImage({ r: 40, g: 120, b: 80 }) },
+    { name: 'pack/nested/night.jpg', data: await createImage({ r: 10, g: 10, b: 60 }) },
+    { name: 'pack/readme.txt', data: 'hello' },
+    { name: 'pack/broken.jpg', data: 'not a jpeg' },
+    { name: '__MACOSX/pack/._Water Lilies.jpg', data: 'resource fork' },
+    { name: 'pack/.DS_Store', data: 'finder' }
+  ]);
+
+  const result = await importArchive(root, zipPath, { matte: 'none', tags: ['museum'] });
+
+  assert.strictEqual(result.imported, 2);
+  assert.strictEqual(result.skipped, 1);
+  assert.strictEqual(result.failed, 1);
+  assert.strictEqual(result.manifest, null);
+  assert.deepStrictEqual(result.entries.map(item => [item.entry, item.status]), [
+    ['pack/Water Lilies.jpg', 'imported'],
+    ['pack/nested/night.jpg', 'imported'],
+    ['pack/readme.txt', 'skipped'],
+    ['pack/broken.jpg', 'failed']
+  ]);
+  assert.strictEqual(result.entries[3].reason, 'Uploaded file is not a valid image.');
+
+  const lilies = result.entries[0].filename;
+  assert.match(lilies, /^water-lilies-[0-9a-f]{8}\.jpg$/);
+  const metadata = await readMetadata(root);
+  assert.deepStrictEqual(Object.keys(metadata.images).sort(), [lilies, result.entries[1].filename].sort());
+  assert.deepStrictEqual(metadata.images[lilies].tags, ['museum']);
+  assert.match(metadata.images[lilies].sourceHash, /^[0-9a-f]{64}$/);
+  await fs.access(path.join(root, 'thumbs', `thumb_${lilies}`));
+
+  // Only the imported images are in the library (no folders, no rejected file)
+  assert.strictEqual((await fs.readdir(path.join(root, 'library'))).length, 2);
+});
+
+test('applies a tags.csv manifest from the wrapping folder', async () => {
+  const root = await createLibrary('csv-manifest');
+  const zipPath = await writeZip(root, [
+    {
+      name: 'pack/tags.csv',
+      data: 'File,Tags,Matte,Filter,Name\r\n'
+        + 'monet.jpg,"impressionism; water",shadowbox_black,none,Water Lilies 1916\r\n'
+        + 'sub/vangogh.jpg,night,,,\r\n'
+        + 'missing.jpg,ghost,,,\r\n'
+    },
+    { name: 'pack/monet.jpg', data: await createImage({ r: 40, g: 120, b: 80 }) },
+    { name: 'pack/sub/vangogh.jpg', data: await createImage({ r: 10, g: 10, b: 60 }) },
+    { name: 'pack/plain.jpg', data: await createImage({ r: 200, g: 200, b: 0 }) }
+  ]);
+
+  const result = await importArchive(root, zipPath, { tags: ['pack'] });
+
+  assert.strictEqual(result.manifest, 'pack/tags.csv');
+  assert.strictEqual(result.imported, 3);
+  assert.deepStrictEqual(result.warnings, ['tags.csv lists "missing.jpg", which is not an image in the archive']);
+
+  const metadata = await readMetadata(root);
+  const [monet, vangogh, plain] = result.entries.map(item => metadata.images[item.filename]);
+  assert.match(result.entries[0].filename, /^water-lilies-1916-[0-9a-f]{8}\.jpg$/);
+  assert.deepStrictEqual(monet.tags, ['pack', 'impressionism', 'water']);
+  assert.strictEqual(monet.matte, 'shadowbox_black');
+  assert.deepStrictEqual(vangogh.tags, ['pack', 'night']);
+  assert.deepStrictEqual(plain.tags, ['pack']);
+});
+
+test('applies a manifest.json keyed by file name', async () => {
+  const root = await createLibrary('json-manifest');
+  const zipPath = await writeZip(root, [
+    {
+      name: 'manifest.json',
+      data: JSON.stringify({ 'a.jpg': { tags: ['one', 'two'], name: 'First' }, 'b.jpg': { tags: 'three' } })
+    },
+    { name: 'a.jpg', data: await createImage({ r: 1, g: 2, b: 3 }) },
+    { name: 'b.jpg', data: await createImage({ r: 3, g: 2, b: 1 }) }
+  ]);
+
+  const result = await importArchive(root, zipPath);
+  const metadata = await readMetadata(root);
+
+  assert.match(result.entries[0].filename, /^first-[0-9a-f]{8}\.jpg$/);
+  assert.deepStrictEqual(metadata.images[result.entries[0].filename].tags, ['one', 'two']);
+  assert.deepStrictEqual(metadata.images[result.entries[1].filename].tags, ['three']);
+
+  const badZip = await writeZip(root, [{ name: 'manifest.json', data: '{nope' }]);
+  await assert.rejects(importArchive(root, badZip), { code: 'VALIDATION_ERROR', message: /not valid JSON/ });
+});
+
+test('rejects archives with unsafe paths before extracting anything', async () => {
+  const root = await createLibrary('zip-slip');
+  const image = await createImage({ r: 0, g: 0, b: 0 });
+
+  for (const name of ['../../evil.jpg', 'pack/../../evil.jpg', '/tmp/evil.jpg']) {
+    const zipPath = await writeZip(root, [
+      { name: 'fine.jpg', data: image },
+      { name, data: image }
+    ]);
+    await assert.rejects(importArchive(root, zipPath), { code: 'VALIDATION_ERROR', message: 'Archive contains an unsafe path.' });
+  }
+
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), []);
+  await assert.rejects(fs.access(path.join(testPath, 'evil.jpg')));
+
+  const notZip = path.join(root, 'not.zip');
+  await fs.writeFile(notZip, 'plain text');
+  await assert.rejects(importArchive(root, notZip), { code: 'VALIDATION_ERROR', message: 'File is not a valid ZIP archive.' });
+});
+
+test('guards against size bombs and sizes that lie', async () => {
+  const root = await createLibrary('size-bomb');
+  const zeros = Buffer.alloc(2 * 1024 * 1024); // Deflates to a few KB
+  const zipPath = await writeZip(root, [
+    { name: 'bomb.jpg', data: zeros },
+    { name: 'small.jpg', data: await createImage({ r: 9, g: 9, b: 9 }) }
+  ]);
+
+  await assert.rejects(importArchive(root, zipPath, { maxEntries: 1 }), { code: 'TOO_LARGE' });
+  await assert.rejects(importArchive(root, zipPath, { maxExtractedBytes: 1024 * 1024 }), { code: 'TOO_LARGE' });
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), []);
+
+  const result = await importArchive(root, zipPath, { maxEntryBytes: 1024 * 1024 });
+  assert.deepStrictEqual(result.entries.map(item => item.status), ['failed', 'imported']);
+  assert.match(result.entries[0].reason, /^Larger than/);
+
+  // Declares 100 bytes but inflates to 2MB: stopped while extracting
+  const liar = await writeZip(root, [{ name: 'liar.jpg', data: zeros, declaredSize: 100 }]);
+  const lied = await importArchive(root, liar);
+  assert.strictEqual(lied.entries[0].status, 'failed');
+  assert.strictEqual((await fs.readdir(path.join(root, 'library'))).length, 1);
+});
+
+test('upload-archive responds with the report and removes the uploaded zip', async () => {
+  const root = await createLibrary('route');
+  const zipPath = await writeZip(root, [
+    { name: 'one.jpg', data: await createImage({ r: 100, g: 0, b: 0 }) },
+    { name: 'notes.txt', data: 'skip me' }
+  ]);
+
+  const response = await invokeArchiveUpload(
+    root,
+    { path: zipPath, originalname: 'pack.zip', size: 1 },
+    { matte: 'shadowbox_polar', tags: 'art, pack' }
+  );
+  assert.strictEqual(response.statusCode, 200, JSON.stringify(response.body));
+  assert.strictEqual(response.body.success, true);
+  assert.strictEqual(response.body.imported, 1);
+  assert.strictEqual(response.body.skipped, 1);
+  const record = (await readMetadata(root)).images[response.body.entries[0].filename];
+  assert.strictEqual(record.matte, 'shadowbox_polar');
+  assert.deepStrictEqual(record.tags, ['art', 'pack']);
+  await assert.rejects(fs.access(zipPath));
+
+  const slipPath = await writeZip(root, [{ name: '../x.jpg', data: 'x' }]);
+  const rejected = await invokeArchiveUpload(root, { path: slipPath, originalname: 'bad.zip', size: 1 });
+  assert.strictEqual(rejected.statusCode, 400);
+  assert.strictEqual(rejected.body.error, 'Archive contains an unsafe path.');
+  await assert.rejects(fs.access(slipPath));
+
+  assert.strictEqual((await invokeArchiveUpload(root, undefined)).statusCode, 400);
+});
+
+async function runTests() {
+  console.log('🧪 Running Archive Upload Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-archive-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * Batch Operation Tests
+ * Tests POST /api/images/batch operations: matte, filter, tag replacement,
+ * pattern renames and deletes in one metadata write and commit (batch_operations.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const simpleGit = require('simple-git');
+const BatchOperations = require('../batch_operations');
+const { validateBatchRequest, renderRenamePattern } = require('../batch_operations');
+const TrashHelper = require('../trash_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const LANDSCAPE = { width: 3840, height: 2160 };
+const PORTRAIT = { width: 2160, height: 3840 };
+
+/**
+ * Library repo with three committed images (sunset has a thumbnail and an
+ * original backup and is in a collection; tower is portrait)
+ */
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  for (const dir of ['library', 'thumbs', 'originals']) {
+    await fs.mkdir(path.join(root, dir), { recursive: true });
+  }
+  await fs.writeFile(path.join(root, 'library', 'sunset-aaaa1111.jpg'), 'sunset');
+  await fs.writeFile(path.join(root, 'thumbs', 'thumb_sunset-aaaa1111.jpg'), 'thumb');
+  await fs.writeFile(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'), 'original');
+  await fs.writeFile(path.join(root, 'library', 'lake-bbbb2222.jpg'), 'lake');
+  await fs.writeFile(path.join(root, 'library', 'tower-cccc3333.jpg'), 'tower');
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.3',
+    images: {
+      'sunset-aaaa1111.jpg': { matte: 'none', filter: 'None', tags: ['sky'], title: 'Sunset', dimensions: LANDSCAPE, added: '2025-03-04T10:00:00.000Z' },
+      'lake-bbbb2222.jpg': { matte: 'none', filter: 'None', tags: ['water'], dimensions: LANDSCAPE },
+      'tower-cccc3333.jpg': { matte: 'none', filter: 'None', tags: [], dimensions: PORTRAIT }
+    },
+    tags: [{ name: 'sky', color: '#ff8800' }, { name: 'water' }],
+    collections: {
+      '0a1b2c3d': { name: 'Favorites', cover: 'sunset-aaaa1111.jpg', images: ['lake-bbbb2222.jpg', 'sunset-aaaa1111.jpg'] }
+    }
+  }, null, 2));
+
+  const git = simpleGit(root);
+  await git.init();
+  await git.addConfig('user.name', 'Test User');
+  await git.addConfig('user.email', 'test@example.com');
+  await git.add('.');
+  await git.commit('Initial library');
+  return { root, git };
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+async function commitCount(git) {
+  return Number((await git.raw(['rev-list', '--count', 'HEAD'])).trim());
+}
+
+test('validateBatchRequest rejects unknown values and delete combined with edits', () => {
+  const files = ['sunset-aaaa1111.jpg'];
+  assert.deepStrictEqual(validateBatchRequest(files, { matte: 'SHADOWBOX_POLAR' }).values.operations, { matte: 'shadowbox_polar' });
+  assert.deepStrictEqual(validateBatchRequest(files, { tags: 'a, b,,a' }).values.operations, { tags: ['a', 'b'] });
+  assert.deepStrictEqual(validateBatchRequest(files, { rename: 'trip-{n:2}' }).values.operations, { rename: { pattern: 'trip-{n:2}', start: 1 } });
+
+  assert.strictEqual(validateBatchRequest([], { matte: 'none' }).errors.length, 1);
+  assert.strictEqual(validateBatchRequest(files, {}).errors.length, 1);
+  assert.match(validateBatchRequest(files, { matte: 'velvet' }).errors[0], /Unknown matte/);
+  assert.match(validateBatchRequest(files, { filter: 'Sepia2000' }).errors[0], /Unknown filter/);
+  assert.match(validateBatchRequest(files, { rename: '{base}-{month}' }).errors[0], /Unknown rename token \{month\}/);
+  assert.match(validateBatchRequest(files, { delete: true, matte: 'none' }).errors[0], /cannot be combined/);
+});
+
+test('renderRenamePattern fills base, title, date and padded counters', () => {
+  const record = { title: 'Evening Sky', added: '2025-03-04T10:00:00.000Z' };
+  const render = pattern => renderRenamePattern(pattern, { filename: 'sunset-aaaa1111.jpg', record, number: 7 });
+  assert.strictEqual(render('{base}-{n}'), 'sunset-7');
+  assert.strictEqual(render('{title} {date} {n:3}'), 'Evening Sky 2025-03-04 007');
+});
+
+test('INTEGRATION: one write and one commit with a result per file', async () => {
+  const { root, git } = await createLibrary('edit');
+  const before = await commitCount(git);
+  const batch = new BatchOperations(root);
+
+  const { result, message, committed } = await batch.run(
+    ['sunset-aaaa1111.jpg', 'tower-cccc3333.jpg', 'missing-dddd4444.jpg', 'lake-bbbb2222.jpg'],
+    { matte: 'modern_polar', filter: 'Ink', tags: ['beach', 'summer'] }
+  );
+
+  assert.deepStrictEqual(result.results.map(item => item.status), ['updated', 'error', 'error', 'updated']);
+  assert.match(result.results[1].error, /not available for portrait/);
+  assert.strictEqual(result.results[2].error, 'Image not found');
+  assert.strictEqual(result.updated, 2);
+  assert.strictEqual(result.failed, 2);
+
+  const metadata = await readMetadata(root);
+  assert.strictEqual(metadata.images['sunset-aaaa1111.jpg'].matte, 'modern_polar');
+  assert.strictEqual(metadata.images['lake-bbbb2222.jpg'].filter, 'Ink');
+  assert.deepStrictEqual(metadata.images['lake-bbbb2222.jpg'].tags, ['beach', 'summer']);
+  assert.deepStrictEqual(metadata.images['tower-cccc3333.jpg'], {
+    matte: 'none', filter: 'None', tags: [], dimensions: PORTRAIT
+  }, 'failed file is left untouched');
+  assert.deepStrictEqual(metadata.tags.map(tag => tag.name).sort(), ['beach', 'summer'], 'unused tags pruned, new tags added');
+
+  assert.strictEqual(committed, true);
+  assert.strictEqual(await commitCount(git), before + 1);
+  assert.match(message, /^batch update of 2 images: matte → modern_polar, filter → Ink, tags → beach, summer/);
+  assert.strictEqual((await git.status()).isClean(), true);
+
+  // Running it again changes nothing
+  const again = await batch.run(['sunset-aaaa1111.jpg'], { matte: 'modern_polar' });
+  assert.deepStrictEqual(again.result.results, [{ filename: 'sunset-aaaa1111.jpg', status: 'unchanged' }]);
+});
+
+test('INTEGRATION: pattern rename moves files, keeps uuids and follows collections', async () => {
+  const { root, git } = await createLibrary('rename');
+  const batch = new BatchOperations(root);
+
+  const { result, message } = await batch.run(
+    ['lake-bbbb2222.jpg', 'sunset-aaaa1111.jpg'],
+    { rename: { pattern: 'Trip {n:2}' } }
+  );
+
+  assert.deepStrictEqual(result.results.map(item => item.newFilename), ['trip-01-bbbb2222.jpg', 'trip-02-aaaa1111.jpg']);
+  assert.ok(await exists(path.join(root, 'library', 'trip-02-aaaa1111.jpg')));
+  assert.ok(await exists(path.join(root, 'thumbs', 'thumb_trip-02-aaaa1111.jpg')));
+  assert.ok(await exists(path.join(root, 'originals', 'trip-02-aaaa1111_original.jpg')));
+  assert.ok(!(await exists(path.join(root, 'library', 'sunset-aaaa1111.jpg'))));
+
+  const metadata = await readMetadata(root);
+  assert.strictEqual(metadata.images['trip-02-aaaa1111.jpg'].title, 'Sunset');
+  assert.ok(!metadata.images['sunset-aaaa1111.jpg']);
+  assert.deepStrictEqual(metadata.collections['0a1b2c3d'].images, ['trip-01-bbbb2222.jpg', 'trip-02-aaaa1111.jpg']);
+  assert.strictEqual(metadata.collections['0a1b2c3d'].cover, 'trip-02-aaaa1111.jpg');
+
+  assert.match(message, /renamed as Trip \{n:2\} -- lake-bbbb2222\.jpg → trip-01-bbbb2222\.jpg/);
+  assert.strictEqual((await git.status()).isClean(), true, 'old and new paths committed together');
+
+  // A name that's already taken fails for that file only
+  await fs.writeFile(path.join(root, 'library', 'stray-cccc3333.jpg'), 'untracked');
+  const clash = await batch.run(['tower-cccc3333.jpg', 'trip-01-bbbb2222.jpg'], { rename: { pattern: 'stray', start: 5 } });
+  assert.deepStrictEqual(clash.result.results.map(item => item.status), ['error', 'updated']);
+  assert.match(clash.result.results[0].error, /already exists/);
+  assert.strictEqual(clash.result.results[1].newFilename, 'stray-bbbb2222.jpg');
+});
+
+test('INTEGRATION: delete moves images to the trash in one commit', async () => {
+  const { root, git } = await createLibrary('delete');
+  const before = await commitCount(git);
+  const batch = new BatchOperations(root);
+
+  const { result, message } = await batch.run(['sunset-aaaa1111.jpg', 'lake-bbbb2222.jpg'], { delete: true });
+  assert.strictEqual(result.deleted, 2);
+  assert.strictEqual(message, 'deleted 2 images (moved to trash) -- sunset-aaaa1111.jpg -- lake-bbbb2222.jpg');
+  assert.strictEqual(await commitCount(git), before + 1);
+  assert.strictEqual((await git.status()).isClean(), true);
+
+  const metadata = await readMetadata(root);
+  assert.deepStrictEqual(Object.keys(metadata.images), ['tower-cccc3333.jpg']);
+  assert.deepStrictEqual(metadata.collections['0a1b2c3d'].images, []);
+
+  // Restorable from the trash, back into its collection
+  const trash = new TrashHelper(root);
+  const entry = (await trash.listTrash()).items.find(item => item.filename === 'sunset-aaaa1111.jpg');
+  await trash.restore(entry.id);
+  const restored = await readMetadata(root);
+  assert.strictEqual(restored.images['sunset-aaaa1111.jpg'].title, 'Sunset');
+  assert.deepStrictEqual(restored.collections['0a1b2c3d'].images, ['sunset-aaaa1111.jpg']);
+});
+
+test('INTEGRATION: a failed metadata write puts moved files back', async () => {
+  const { root } = await createLibrary('rollback');
+  const batch = new BatchOperations(root);
+  batch.helper.writeMetadata = async () => {
+    throw new Error('disk full');
+  };
+
+  await assert.rejects(() => batch.run(['sunset-aaaa1111.jpg'], { rename: 'renamed' }), /disk full/);
+  assert.ok(await exists(path.join(root, 'library', 'sunset-aaaa1111.jpg')));
+  assert.ok(await exists(path.join(root, 'thumbs', 'thumb_sunset-aaaa1111.jpg')));
+  assert.ok(!(await exists(path.join(root, 'library', 'renamed-aaaa1111.jpg'))));
+
+  await assert.rejects(() => batch.run(['lake-bbbb2222.jpg'], { delete: true }), /disk full/);
+  assert.ok(await exists(path.join(root, 'library', 'lake-bbbb2222.jpg')));
+  assert.deepStrictEqual((await new TrashHelper(root).listTrash()).items, []);
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Batch Operation Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-batch-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+/**
+ * Chunked Upload Tests
+ * Tests resumable uploads (chunked_upload_helper.js) and the /api/images/uploads routes
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const crypto = require('crypto');
+const express = require('express');
+const sharp = require('sharp');
+const imagesRouter = require('../routes/images');
+const ChunkedUploadHelper = require('../chunked_upload_helper');
+
+const { MIN_CHUNK_BYTES, SESSION_TTL_MS } = ChunkedUploadHelper;
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [] }, null, 2));
+  return root;
+}
+
+// A JPEG a little over two minimum-size chunks (noise does not compress)
+async function createLargeImage() {
+  const width = 700;
+  const height = 640;
+  const pixels = crypto.randomBytes(width * height * 3);
+  const image = await sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality: 100 }).toBuffer();
+  assert.ok(image.length > 2 * MIN_CHUNK_BYTES && image.length < 3 * MIN_CHUNK_BYTES, `unexpected test image size ${image.length}`);
+  return image;
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function chunkOf(buffer, index) {
+  return buffer.subarray(index * MIN_CHUNK_BYTES, (index + 1) * MIN_CHUNK_BYTES);
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+async function listSessions(root) {
+  return fs.readdir(path.join(root, '.frame_art_manager', 'chunked-uploads')).catch(() => []);
+}
+
+async function startApp(root) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.frameArtPath = root;
+    next();
+  });
+  app.use('/api/images', imagesRouter);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}/api/images` };
+}
+
+test('validates new uploads', async () => {
+  const root = await createLibrary('validation');
+  const uploads = new ChunkedUploadHelper(root);
+
+  await assert.rejects(uploads.create({ filename: 'notes.txt', size: 10, mimetype: 'text/plain' }), {
+    code: 'VALIDATION_ERROR',
+    message: 'Unsupported file type'
+  });
+  await assert.rejects(uploads.create({ filename: 'a.jpg', size: 0, mimetype: 'image/jpeg' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(uploads.create({ filename: 'a.jpg', size: 10, mimetype: 'image/jpeg', chunkSize: 1024 }), {
+    code: 'VALIDATION_ERROR',
+    message: /chunkSize/
+  });
+  await assert.rejects(uploads.create({ filename: 'a.jpg', size: 500 * 1024 * 1024, mimetype: 'image/jpeg' }), { code: 'TOO_LARGE' });
+  // HEIC files often arrive without a type
+  const heic = await uploads.create({ filename: 'IMG_0001.HEIC', size: 10 });
+  assert.strictEqual(heic.totalChunks, 1);
+
+  await assert.rejects(uploads.getStatus('../../etc'), { code: 'NOT_FOUND' });
+  await assert.rejects(uploads.getStatus('0'.repeat(32)), { code: 'NOT_FOUND' });
+});
+
+test('accepts chunks in any order and reports what is missing', async () => {
+  const root = await createLibrary('resume');
+  const uploads = new ChunkedUploadHelper(root);
+  const image = await createLargeImage();
+
+  const created = await uploads.create({ filename: 'big.jpg', size: image.length, mimetype: 'image/jpeg', chunkSize: MIN_CHUNK_BYTES });
+  assert.strictEqual(created.totalChunks, 3);
+  assert.deepStrictEqual(created.missing, [0, 1, 2]);
+
+  await uploads.writeChunk(created.id, 2, chunkOf(image, 2));
+  // A dropped connection: the client asks what arrived
+  const status = await uploads.getStatus(created.id);
+  assert.deepStrictEqual(status.received, [2]);
+  assert.deepStrictEqual(status.missing, [0, 1]);
+  assert.strictEqual(status.receivedBytes, image.length - 2 * MIN_CHUNK_BYTES);
+  assert.ok(Date.parse(status.expiresAt) > Date.now());
+
+  await assert.rejects(uploads.writeChunk(created.id, 0, chunkOf(image, 0).subarray(1)), {
+    code: 'VALIDATION_ERROR',
+    message: /must be 262144 bytes/
+  });
+  await assert.rejects(uploads.writeChunk(created.id, 3, Buffer.alloc(1)), { code: 'VALIDATION_ERROR' });
+
+  await assert.rejects(uploads.finalize(created.id, { sha256: sha256(image) }), error => {
+    assert.strictEqual(error.code, 'CONFLICT');
+    assert.deepStrictEqual(error.details.missing, [0, 1]);
+    return true;
+  });
+  // Kept so the client can send the rest
+  assert.deepStrictEqual(await listSessions(root), [created.id]);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), []);
+});
+
+test('finalize joins the chunks, checks the checksum and runs the upload pipeline once', async () => {
+  const root = await createLibrary('finalize');
+  const uploads = new ChunkedUploadHelper(root);
+  const image = await createLargeImage();
+
+  const created = await uploads.create({
+    filename: 'Water Lilies.jpg',
+    size: image.length,
+    mimetype: 'image/jpeg',
+    chunkSize: MIN_CHUNK_BYTES,
+    fields: { matte: 'shadowbox_black', tags: ['museum'], customName: 'Lilies 1916' }
+  });
+  for (const index of [1, 0, 2, 1]) {
+    await uploads.writeChunk(created.id, index, chunkOf(image, index));
+  }
+
+  const result = await uploads.finalize(created.id, { sha256: sha256(image).toUpperCase() });
+  assert.match(result.filename, /^lilies-1916-[0-9a-f]{8}\.jpg$/);
+  assert.strictEqual(result.sha256, sha256(image));
+  assert.ok((await fs.readFile(path.join(root, 'library', result.filename))).equals(image));
+
+  const record = (await readMetadata(root)).images[result.filename];
+  assert.strictEqual(record.matte, 'shadowbox_black');
+  assert.deepStrictEqual(record.tags, ['museum']);
+  assert.match(record.sourceHash, /^[0-9a-f]{64}$/);
+  await fs.access(path.join(root, 'thumbs', `thumb_${result.filename}`));
+
+  // A client that lost the response finds the result instead of adding the image again
+  const status = await uploads.getStatus(created.id);
+  assert.strictEqual(status.finalizing, false);
+  assert.strictEqual(status.result.filename, result.filename);
+  assert.deepStrictEqual(status.missing, []);
+  assert.deepStrictEqual(await uploads.finalize(created.id, { sha256: sha256(image) }), result);
+  assert.deepStrictEqual(Object.keys((await readMetadata(root)).images), [result.filename]);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [result.filename]);
+  await assert.rejects(uploads.writeChunk(created.id, 0, chunkOf(image, 0)), { code: 'CONFLICT' });
+  // Only the result is kept, until the session expires
+  assert.deepStrictEqual(
+    (await fs.readdir(path.join(root, '.frame_art_manager', 'chunked-uploads', created.id))).sort(),
+    ['result.json', 'session.json']
+  );
+});
+
+test('a checksum mismatch or invalid image leaves nothing behind', async () => {
+  const root = await createLibrary('mismatch');
+  const uploads = new ChunkedUploadHelper(root);
+  const image = await createLargeImage();
+
+  const created = await uploads.create({ filename: 'big.jpg', size: image.length, mimetype: 'image/jpeg', chunkSize: MIN_CHUNK_BYTES });
+  const corrupted = Buffer.from(chunkOf(image, 1));
+  corrupted[100] ^= 0xff;
+  await uploads.writeChunk(created.id, 0, chunkOf(image, 0));
+  await uploads.writeChunk(created.id, 1, corrupted);
+  await uploads.writeChunk(created.id, 2, chunkOf(image, 2));
+  await assert.rejects(uploads.finalize(created.id), { code: 'VALIDATION_ERROR', message: /sha256 is required/ });
+  await assert.rejects(uploads.finalize(created.id, { sha256: 'abc' }), { code: 'VALIDATION_ERROR', message: /64 hex/ });
+  await assert.rejects(uploads.finalize(created.id, { sha256: sha256(image) }), {
+    code: 'VALIDATION_ERROR',
+    message: /Checksum mismatch/
+  });
+
+  const junk = Buffer.from('definitely not a jpeg');
+  const notImage = await uploads.create({ filename: 'junk.jpg', size: junk.length, mimetype: 'image/jpeg' });
+  await uploads.writeChunk(notImage.id, 0, junk);
+  await assert.rejects(uploads.finalize(notImage.id, { sha256: sha256(junk) }), { code: 'VALIDATION_ERROR' });
+
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), []);
+  assert.deepStrictEqual(await listSessions(root), []);
+  assert.deepStrictEqual((await readMetadata(root)).images, {});
+});
+
+test('purges uploads abandoned past the expiry', async () => {
+  const root = await createLibrary('expiry');
+  const uploads = new ChunkedUploadHelper(root);
+  const stale = await uploads.create({ filename: 'stale.jpg', size: 10, mimetype: 'image/jpeg' });
+  const fresh = await uploads.create({ filename: 'fresh.jpg', size: 10, mimetype: 'image/jpeg' });
+
+  const longAgo = new Date(Date.now() - SESSION_TTL_MS - 60 * 1000);
+  await fs.utimes(path.join(root, '.frame_art_manager', 'chunked-uploads', stale.id, 'session.json'), longAgo, longAgo);
+  assert.deepStrictEqual(await uploads.purgeExpired(), [stale.id]);
+  assert.deepStrictEqual(await listSessions(root), [fresh.id]);
+
+  // Writing a chunk counts as activity
+  await uploads.writeChunk(fresh.id, 0, Buffer.alloc(10));
+  assert.deepStrictEqual(await uploads.purgeExpired({ now: Date.now() + SESSION_TTL_MS - 60 * 1000 }), []);
+  assert.deepStrictEqual(await uploads.purgeExpired({ now: Date.now() + SESSION_TTL_MS + 60 * 1000 }), [fresh.id]);
+});
+
+test('the upload routes resume an interrupted upload end to end', async () => {
+  const root = await createLibrary('routes');
+  const image = await createLargeImage();
+  const { server, baseUrl } = await startApp(root);
+
+  try {
+    const rejected = await fetch(`${baseUrl}/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: 'a.txt', size: 10, mimetype: 'text/plain' })
+    });
+    assert.strictEqual(rejected.status, 400);
+
+    const createdResponse = await fetch(`${baseUrl}/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: 'big.jpg', size: image.length, mimetype: 'image/jpeg', chunkSize: MIN_CHUNK_BYTES, tags: 'art, big' })
+    });
+    assert.strictEqual(createdResponse.status, 201);
+    const created = await createdResponse.json();
+
+    const put = index => fetch(`${baseUrl}/uploads/${created.id}/chunks/${index}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: chunkOf(image, index)
+    });
+    assert.strictEqual((await put(0)).status, 200);
+
+    const early = await fetch(`${baseUrl}/uploads/${created.id}/finalize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sha256: sha256(image) })
+    });
+    assert.strictEqual(early.status, 409);
+    assert.deepStrictEqual((await early.json()).details.missing, [1, 2]);
+
+    const status = await (await fetch(`${baseUrl}/uploads/${created.id}`)).json();
+    for (const index of status.missing) {
+      assert.strictEqual((await put(index)).status, 200);
+    }
+    assert.strictEqual((await fetch(`${baseUrl}/uploads/${created.id}/chunks/x`, { method: 'PUT', body: 'x' })).status, 400);
+
+    const finalized = await fetch(`${baseUrl}/uploads/${created.id}/finalize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Job-Id': 'chunked-upload-job' },
+      body: JSON.stringify({ sha256: sha256(image) })
+    });
+    const body = await finalized.json();
+    assert.strictEqual(finalized.status, 200, JSON.stringify(body));
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.jobId, 'chunked-upload-job');
+    assert.deepStrictEqual((await readMetadata(root)).images[body.filename].tags, ['art', 'big']);
+    const finished = await (await fetch(`${baseUrl}/uploads/${created.id}`)).json();
+    assert.strictEqual(finished.result.filename, body.filename);
+
+    const abandoned = await (await fetch(`${baseUrl}/uploads`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: 'later.jpg', size: 10, mimetype: 'image/jpeg' })
+    })).json();
+    assert.strictEqual((await fetch(`${baseUrl}/uploads/${abandoned.id}`, { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await fetch(`${baseUrl}/uploads/${abandoned.id}`, { method: 'DELETE' })).status, 404);
+    assert.deepStrictEqual(await listSessions(root), [created.id]);
+  } finally {
+    server.close();
+  }
+});
+
+async function runTests() {
+  console.log('🧪 Running Chunked Upload Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-chunked-upload-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
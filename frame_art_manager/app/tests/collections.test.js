@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Collection Tests
+ * Tests ordered collections (albums) in metadata.json (collection_helper.js + MetadataHelper)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const MetadataHelper = require('../metadata_helper');
+const TrashHelper = require('../trash_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const SUNSET = 'sunset-aaaa1111.jpg';
+const LAKE = 'lake-bbbb2222.jpg';
+const DUNES = 'dunes-cccc3333.jpg';
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.3',
+    images: {
+      [SUNSET]: { matte: 'none', filter: 'None', tags: ['sky'] },
+      [LAKE]: { matte: 'none', filter: 'None', tags: ['water'] },
+      [DUNES]: { matte: 'none', filter: 'None', tags: [] }
+    },
+    tags: [{ name: 'sky' }, { name: 'water' }]
+  }, null, 2));
+  return { root, helper: new MetadataHelper(root) };
+}
+
+test('create stores an ordered collection without touching tags', async () => {
+  const { root, helper } = await createLibrary('create');
+
+  const collection = await helper.createCollection({
+    name: '  Best   of 2025 ',
+    description: 'Favourites',
+    images: [LAKE, SUNSET, LAKE],
+    cover: SUNSET
+  });
+  assert.match(collection.id, /^[0-9a-f]{8}$/);
+  assert.strictEqual(collection.name, 'Best of 2025');
+  assert.deepStrictEqual(collection.images, [LAKE, SUNSET]);
+  assert.strictEqual(collection.cover, SUNSET);
+
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.deepStrictEqual(metadata.collections[collection.id].images, [LAKE, SUNSET]);
+  assert.deepStrictEqual(metadata.tags, [{ name: 'sky' }, { name: 'water' }]);
+  assert.deepStrictEqual(metadata.images[LAKE].tags, ['water']);
+
+  assert.deepStrictEqual(await helper.getCollection(collection.id), collection);
+  assert.deepStrictEqual((await helper.getCollections()).map(c => c.name), ['Best of 2025']);
+});
+
+test('create and update validate names, images and covers', async () => {
+  const { helper } = await createLibrary('validate');
+  const { id } = await helper.createCollection({ name: 'Grandma' });
+
+  await assert.rejects(() => helper.createCollection({}), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(() => helper.createCollection({ name: 'x'.repeat(101) }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(() => helper.createCollection({ name: 'grandma' }), { code: 'CONFLICT' });
+  await assert.rejects(() => helper.createCollection({ name: 'Other', images: ['missing.jpg'] }), /Unknown image: missing.jpg/);
+  await assert.rejects(() => helper.createCollection({ name: 'Other', images: [LAKE], cover: SUNSET }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(() => helper.updateCollection(id, { images: 'nope' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(() => helper.updateCollection('00000000', { name: 'x' }), { code: 'NOT_FOUND' });
+  await assert.rejects(() => helper.getCollection('../etc'), { code: 'NOT_FOUND' });
+
+  // Renaming to its own name in another case is fine
+  const renamed = await helper.updateCollection(id, { name: 'GRANDMA', description: 'Her 80th' });
+  assert.strictEqual(renamed.name, 'GRANDMA');
+  assert.strictEqual(renamed.description, 'Her 80th');
+  assert.strictEqual((await helper.updateCollection(id, { description: '' })).description, null);
+});
+
+test('add, remove and reorder images', async () => {
+  const { helper } = await createLibrary('membership');
+  const { id } = await helper.createCollection({ name: 'Slideshow', images: [SUNSET] });
+
+  let outcome = await helper.addImagesToCollection(id, [LAKE, SUNSET]);
+  assert.deepStrictEqual(outcome.added, [LAKE]);
+  assert.deepStrictEqual(outcome.collection.images, [SUNSET, LAKE]);
+
+  outcome = await helper.addImagesToCollection(id, [DUNES], { position: 0 });
+  assert.deepStrictEqual(outcome.collection.images, [DUNES, SUNSET, LAKE]);
+
+  await helper.updateCollection(id, { cover: LAKE });
+  const reordered = await helper.updateCollection(id, { images: [LAKE, DUNES, SUNSET] });
+  assert.deepStrictEqual(reordered.images, [LAKE, DUNES, SUNSET]);
+  assert.strictEqual(reordered.cover, LAKE);
+
+  const removed = await helper.removeImagesFromCollection(id, [LAKE, 'not-in-it.jpg']);
+  assert.deepStrictEqual(removed.removed, [LAKE]);
+  assert.deepStrictEqual(removed.collection.images, [DUNES, SUNSET]);
+  assert.strictEqual(removed.collection.cover, null, 'cover cleared with its image');
+
+  await assert.rejects(() => helper.addImagesToCollection(id, []), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(() => helper.addImagesToCollection(id, ['missing.jpg']), { code: 'VALIDATION_ERROR' });
+
+  const deleted = await helper.deleteCollection(id);
+  assert.strictEqual(deleted.name, 'Slideshow');
+  assert.deepStrictEqual(await helper.getCollections(), []);
+  assert.ok((await helper.readMetadata()).images[SUNSET], 'images stay in the library');
+});
+
+test('membership follows image renames and deletes', async () => {
+  const { helper } = await createLibrary('follow');
+  const { id } = await helper.createCollection({ name: 'Trip', images: [SUNSET, LAKE], cover: SUNSET });
+
+  await helper.renameImage(SUNSET, 'evening-aaaa1111.jpg');
+  let collection = await helper.getCollection(id);
+  assert.deepStrictEqual(collection.images, ['evening-aaaa1111.jpg', LAKE]);
+  assert.strictEqual(collection.cover, 'evening-aaaa1111.jpg');
+
+  await helper.deleteImage('evening-aaaa1111.jpg');
+  collection = await helper.getCollection(id);
+  assert.deepStrictEqual(collection.images, [LAKE]);
+  assert.strictEqual(collection.cover, null);
+});
+
+test('trash restore puts an image back at its old position', async () => {
+  const { root, helper } = await createLibrary('trash');
+  const { id } = await helper.createCollection({ name: 'Trip', images: [LAKE, SUNSET, DUNES], cover: SUNSET });
+  const trash = new TrashHelper(root);
+
+  const entry = await trash.moveToTrash(SUNSET);
+  assert.deepStrictEqual(entry.collections, [{ id, index: 1, cover: true }]);
+  assert.deepStrictEqual((await helper.getCollection(id)).images, [LAKE, DUNES]);
+
+  await trash.restore(entry.id);
+  const collection = await helper.getCollection(id);
+  assert.deepStrictEqual(collection.images, [LAKE, SUNSET, DUNES]);
+  assert.strictEqual(collection.cover, SUNSET);
+});
+
+async function runTests() {
+  console.log('🧪 Running Collection Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-collections-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
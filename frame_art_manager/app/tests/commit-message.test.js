@@ -121,8 +121,12 @@ class TestHelper {
     return GitHelper.prototype.parseMetadataDiff.call(this, diff);
   }
   
-  formatImageChanges(imageName, addedTags, removedTags, propertyChanges) {
-    return GitHelper.prototype.formatImageChanges.call(this, imageName, addedTags, removedTags, propertyChanges);
+  formatImageChanges(imageName, addedTags, removedTags, propertyChanges, fieldChanges) {
+    return GitHelper.prototype.formatImageChanges.call(this, imageName, addedTags, removedTags, propertyChanges, fieldChanges);
+  }
+
+  diffArtworkFields(removedFields, addedFields) {
+    return GitHelper.prototype.diffArtworkFields.call(this, removedFields, addedFields);
   }
 }
 
@@ -866,6 +870,76 @@ test('parseMetadataDiff: ignores existing image properties when new images added
     'Should NOT report amanda-tx-license-back-copy as having property changes');
 });
 
+// Descriptive artwork fields (title, artist, year, ...)
+test('parseMetadataDiff: reports changed descriptive field with old and new value', () => {
+  const diff = `@@ -10,9 +10,9 @@
+     "starry-night-1a2b3c4d.jpg": {
+       "matte": "none",
+       "filter": "None",
+-      "title": "Starry Night",
++      "title": "The Starry Night",
+       "artist": "Vincent van Gogh",`;
+
+  const changes = gitHelper.parseMetadataDiff(diff);
+
+  assert.strictEqual(changes.length, 1, 'Should report exactly one change');
+  assert.ok(changes[0].includes("title: 'Starry Night' → 'The Starry Night'"), `Unexpected change: ${changes[0]}`);
+  assert.ok(changes[0].includes('starry-night-1a2b3c4d.jpg'), 'Should mention the image');
+});
+
+test('parseMetadataDiff: reports added and cleared descriptive fields', () => {
+  const diff = `@@ -10,9 +10,9 @@
+     "starry-night-1a2b3c4d.jpg": {
+       "matte": "none",
+       "filter": "None",
+-      "notes": "Check the \\"real\\" colors",
+-      "updated": "2025-01-01T00:00:00.000Z"
++      "updated": "2025-01-02T00:00:00.000Z",
++      "year": "1889"
+     },`;
+
+  const changes = gitHelper.parseMetadataDiff(diff);
+
+  assert.strictEqual(changes.length, 2, `Should report two changes, got ${JSON.stringify(changes)}`);
+  assert.ok(changes.some(c => c.includes("notes: 'Check the \"real\" colors' → (none)")), 'Should report cleared notes');
+  assert.ok(changes.some(c => c.includes("year: (none) → '1889'")), 'Should report added year');
+});
+
+test('parseMetadataDiff: ignores descriptive fields that only moved (same value)', () => {
+  const diff = `@@ -10,9 +10,10 @@
+     "starry-night-1a2b3c4d.jpg": {
+-      "title": "Starry Night"
++      "title": "Starry Night",
++      "updated": "2025-01-02T00:00:00.000Z"
+     },`;
+
+  const changes = gitHelper.parseMetadataDiff(diff);
+
+  assert.strictEqual(changes.length, 0, 'Should not report unchanged title');
+});
+
+test('parseMetadataDiff: ignores descriptive fields on newly added images', () => {
+  const diff = `@@ -15,6 +15,10 @@
++    "new-image-54280340.jpg": {
++      "matte": "none",
++      "title": "Imported title",
++      "added": "2025-10-17T22:20:18.619Z"
++    },`;
+
+  const changes = gitHelper.parseMetadataDiff(diff);
+
+  assert.strictEqual(changes.length, 0, 'New images are reported elsewhere in the commit message');
+});
+
+test('formatImageChanges: truncates long descriptive values', () => {
+  const longNotes = 'x'.repeat(200);
+  const changes = gitHelper.formatImageChanges('photo-12345678.jpg', [], [], [], [{ field: 'notes', from: null, to: longNotes }]);
+
+  assert.strictEqual(changes.length, 1);
+  assert.ok(changes[0].includes("notes: (none) → 'xxx"), changes[0]);
+  assert.ok(changes[0].length < 120, 'Should shorten the value');
+});
+
 // INTEGRATION TESTS: generateCommitMessage format
 
 test('generateCommitMessage: single metadata change produces single-line format', () => {
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Policy Tests
+ * Tests the duplicatePolicy setting enforced by the upload pipeline (upload_helper.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const crypto = require('crypto');
+const express = require('express');
+const sharp = require('sharp');
+const imagesRouter = require('../routes/images');
+const MetadataHelper = require('../metadata_helper');
+const TrashHelper = require('../trash_helper');
+const JournalHelper = require('../journal_helper');
+const { ingestUploadedFile } = require('../upload_helper');
+const { getJobManager } = require('../job_manager');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+async function createLibrary(name, settings) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [], settings }, null, 2));
+  return root;
+}
+
+// Random blocks: unrelated images hash far apart
+async function createImage() {
+  const pixels = crypto.randomBytes(8 * 8 * 3);
+  return sharp(pixels, { raw: { width: 8, height: 8, channels: 3 } })
+    .resize(320, 240, { kernel: sharp.kernel.nearest })
+    .jpeg()
+    .toBuffer();
+}
+
+// Write a buffer into library/ and run it through the pipeline
+let uploadCount = 0;
+async function upload(root, buffer, name, options = {}) {
+  const filename = `${name}-${String(++uploadCount).padStart(8, '0')}.jpg`;
+  const filePath = path.join(root, 'library', filename);
+  await fs.writeFile(filePath, buffer);
+  return ingestUploadedFile(root, {
+    file: { path: filePath, filename, mimetype: 'image/jpeg', originalname: `${name}.jpg` },
+    ...options
+  });
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+async function startApp(root) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.frameArtPath = root;
+    next();
+  });
+  app.use('/api/images', imagesRouter);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}/api/images` };
+}
+
+test('warns by default and reports the matches', async () => {
+  const root = await createLibrary('warn');
+  assert.strictEqual((await new MetadataHelper(root).getSettings()).duplicatePolicy, 'warn');
+
+  const image = await createImage();
+  const first = await upload(root, image, 'sunset');
+  assert.strictEqual(first.duplicates, null);
+
+  const second = await upload(root, image, 'sunset-again');
+  assert.strictEqual(second.duplicates.policy, 'warn');
+  assert.strictEqual(second.duplicates.action, 'warned');
+  assert.strictEqual(second.duplicates.threshold, 10);
+  assert.deepStrictEqual(second.duplicates.matches, [{ filename: first.filename, distance: 0 }]);
+
+  const unrelated = await upload(root, await createImage(), 'forest');
+  assert.strictEqual(unrelated.duplicates, null);
+  assert.strictEqual(Object.keys((await readMetadata(root)).images).length, 3);
+});
+
+test('reject removes the upload unless the request overrides the policy', async () => {
+  const root = await createLibrary('reject', { duplicatePolicy: 'reject' });
+  const image = await createImage();
+  const first = await upload(root, image, 'harbor');
+
+  await assert.rejects(upload(root, image, 'harbor-copy'), error => {
+    assert.strictEqual(error.code, 'CONFLICT');
+    assert.strictEqual(error.details.policy, 'reject');
+    assert.strictEqual(error.details.action, 'rejected');
+    assert.strictEqual(error.details.matches[0].filename, first.filename);
+    return true;
+  });
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [first.filename]);
+
+  const allowed = await upload(root, image, 'harbor-copy', { duplicatePolicy: 'allow' });
+  assert.strictEqual(allowed.duplicates, null);
+
+  await assert.rejects(upload(root, image, 'harbor-bad', { duplicatePolicy: 'sometimes' }), { code: 'VALIDATION_ERROR' });
+  assert.strictEqual((await fs.readdir(path.join(root, 'library'))).length, 2);
+});
+
+test('concurrent uploads of the same image cannot both pass reject', async () => {
+  const root = await createLibrary('reject-concurrent', { duplicatePolicy: 'reject' });
+  const image = await createImage();
+
+  const results = await Promise.allSettled([
+    upload(root, image, 'pier'),
+    upload(root, image, 'pier-copy')
+  ]);
+  const added = results.filter(result => result.status === 'fulfilled');
+  const rejected = results.filter(result => result.status === 'rejected');
+  assert.strictEqual(added.length, 1);
+  assert.strictEqual(rejected.length, 1);
+  assert.strictEqual(rejected[0].reason.code, 'CONFLICT');
+
+  assert.deepStrictEqual(Object.keys((await readMetadata(root)).images), [added[0].value.filename]);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [added[0].value.filename]);
+});
+
+test('replace-existing trashes the closest match and keeps its tags', async () => {
+  const root = await createLibrary('replace', { duplicatePolicy: 'replace-existing' });
+  const image = await createImage();
+  const first = await upload(root, image, 'portrait', { tags: ['family', 'hall'] });
+
+  const second = await upload(root, image, 'portrait-rescan', { tags: ['scan'] });
+  assert.strictEqual(second.duplicates.action, 'replaced');
+  assert.strictEqual(second.duplicates.replaced.filename, first.filename);
+  assert.deepStrictEqual(second.data.tags.sort(), ['family', 'hall', 'scan']);
+
+  const { images } = await readMetadata(root);
+  assert.deepStrictEqual(Object.keys(images), [second.filename]);
+  const { items } = await new TrashHelper(root).listTrash();
+  assert.deepStrictEqual(items.map(item => item.id), [second.duplicates.replaced.trashId]);
+
+  // Undo brings the replaced image back next to the new one
+  await new JournalHelper(root).undo(second.duplicates.replaced.journalId);
+  assert.deepStrictEqual(Object.keys((await readMetadata(root)).images).sort(), [first.filename, second.filename].sort());
+});
+
+test('keep-as-variant links the upload to the primary image', async () => {
+  const root = await createLibrary('variant', { duplicatePolicy: 'keep-as-variant' });
+  const image = await createImage();
+  const primary = await upload(root, image, 'bridge');
+  const variant = await upload(root, image, 'bridge-bw');
+  const another = await upload(root, image, 'bridge-crop');
+
+  assert.strictEqual(variant.duplicates.action, 'kept-as-variant');
+  assert.strictEqual(variant.data.variantOf, primary.filename);
+  // Matching a variant still links to its primary
+  assert.strictEqual(another.duplicates.variantOf, primary.filename);
+  assert.strictEqual((await readMetadata(root)).images[another.filename].variantOf, primary.filename);
+  assert.strictEqual((await readMetadata(root)).images[primary.filename].variantOf, undefined);
+});
+
+test('the settings and upload routes expose the policy', async () => {
+  const root = await createLibrary('routes');
+  const { server, baseUrl } = await startApp(root);
+  try {
+    const put = body => fetch(`${baseUrl}/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(response => response.json());
+
+    assert.strictEqual((await put({ duplicatePolicy: 'reject' })).settings.duplicatePolicy, 'reject');
+    // Unknown values are ignored like the other settings
+    assert.strictEqual((await put({ duplicatePolicy: 'maybe' })).settings.duplicatePolicy, 'reject');
+
+    const image = await createImage();
+    const send = fields => {
+      const form = new FormData();
+      form.append('image', new Blob([image], { type: 'image/jpeg' }), 'lake.jpg');
+      for (const [key, value] of Object.entries(fields)) {
+        form.append(key, value);
+      }
+      return fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+    };
+
+    const first = await send({});
+    assert.strictEqual(first.status, 200);
+    const { filename, duplicates } = await first.json();
+    assert.strictEqual(duplicates, null);
+
+    const rejected = await send({});
+    assert.strictEqual(rejected.status, 409);
+    const body = await rejected.json();
+    assert.strictEqual(body.details.matches[0].filename, filename);
+
+    const warned = await send({ duplicatePolicy: 'warn' });
+    assert.strictEqual(warned.status, 200);
+    assert.strictEqual((await warned.json()).duplicates.matches[0].filename, filename);
+
+    const invalid = await send({ duplicatePolicy: 'maybe' });
+    assert.strictEqual(invalid.status, 400);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    // Uploads are tracked as jobs; let the history write finish before cleanup
+    await getJobManager(root).save();
+  }
+});
+
+async function runTests() {
+  console.log('🧪 Running Duplicate Policy Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-duplicate-policy-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
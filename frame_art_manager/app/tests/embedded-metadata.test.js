@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+/**
+ * Embedded Metadata Tests
+ * Tests EXIF/IPTC/XMP extraction (exif_helper.js) and the library backfill
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const sharp = require('sharp');
+const MetadataHelper = require('../metadata_helper');
+const {
+  extractEmbeddedMetadata,
+  parseIptc,
+  parseXmp,
+  suggestTagsFromKeywords
+} = require('../exif_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const XMP_PACKET = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+  '<rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+  '<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Eiffel &amp; Sky</rdf:li></rdf:Alt></dc:title>' +
+  '<dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li></rdf:Seq></dc:creator>' +
+  '<dc:subject><rdf:Bag><rdf:li>paris</rdf:li><rdf:li>Tower</rdf:li></rdf:Bag></dc:subject>' +
+  '</rdf:Description></rdf:RDF></x:xmpmeta>';
+
+// JPEG with camera, capture date, lens, GPS and XMP
+function createTaggedJpeg() {
+  return sharp({ create: { width: 8, height: 6, channels: 3, background: 'red' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'Canon', Model: 'Canon EOS R5' },
+      IFD2: { DateTimeOriginal: '2023:05:20 17:02:00', OffsetTimeOriginal: '+02:00', LensModel: 'RF24-105mm F4 L IS USM' },
+      IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '33/1 51/1 3540/100', GPSLongitudeRef: 'E', GPSLongitude: '151/1 12/1 3000/100' }
+    })
+    .withXmp(XMP_PACKET)
+    .toBuffer();
+}
+
+function createPlainJpeg(color = 'blue') {
+  return sharp({ create: { width: 8, height: 6, channels: 3, background: color } }).jpeg().toBuffer();
+}
+
+// IPTC IIM dataset: 0x1C, record, dataset, 16-bit length, data
+function iimDataset(record, dataset, value) {
+  const data = Buffer.from(value, 'utf8');
+  const header = Buffer.from([0x1c, record, dataset, data.length >> 8, data.length & 0xff]);
+  return Buffer.concat([header, data]);
+}
+
+// UNIT TESTS
+
+test('UNIT: extracts EXIF capture date, camera, lens and GPS', async () => {
+  const result = await extractEmbeddedMetadata(await createTaggedJpeg(), 'upload');
+
+  assert.strictEqual(result.capturedAt, '2023-05-20T17:02:00+02:00');
+  assert.strictEqual(result.camera, 'Canon EOS R5', 'Make should not be repeated');
+  assert.strictEqual(result.lens, 'RF24-105mm F4 L IS USM');
+  assert.strictEqual(result.gps.latitude, -33.859833);
+  assert.strictEqual(result.gps.longitude, 151.208333);
+  assert.strictEqual(result.source, 'upload');
+  assert.ok(result.extractedAt);
+});
+
+test('UNIT: extracts XMP title, creator and keywords', async () => {
+  const result = await extractEmbeddedMetadata(await createTaggedJpeg());
+
+  assert.strictEqual(result.xmpTitle, 'Eiffel & Sky');
+  assert.strictEqual(result.xmpCreator, 'Jane Doe');
+  assert.deepStrictEqual(result.keywords, ['paris', 'Tower']);
+  assert.ok(!('title' in result), 'Must not collide with the editable title field');
+});
+
+test('UNIT: images without metadata only record the source', async () => {
+  const result = await extractEmbeddedMetadata(await createPlainJpeg(), 'library');
+
+  assert.deepStrictEqual(Object.keys(result).sort(), ['extractedAt', 'source']);
+});
+
+test('UNIT: parseIptc reads raw IIM keywords, object name and byline', () => {
+  const buffer = Buffer.concat([
+    iimDataset(1, 90, '\x1b%G'),
+    iimDataset(2, 5, 'Harbour at dusk'),
+    iimDataset(2, 25, 'harbour'),
+    iimDataset(2, 25, 'Boats'),
+    iimDataset(2, 25, 'boats'),
+    iimDataset(2, 80, 'Sam Smith')
+  ]);
+
+  const result = parseIptc(buffer);
+
+  assert.deepStrictEqual(result.keywords, ['harbour', 'Boats']);
+  assert.strictEqual(result.iptcTitle, 'Harbour at dusk');
+  assert.strictEqual(result.iptcCreator, 'Sam Smith');
+});
+
+test('UNIT: parseIptc finds IIM data inside a Photoshop 8BIM resource', () => {
+  const iim = iimDataset(2, 25, 'café');
+  const otherResource = Buffer.concat([
+    Buffer.from('8BIM'), Buffer.from([0x04, 0x25, 0x00, 0x00]), Buffer.from([0, 0, 0, 2]), Buffer.from([1, 2])
+  ]);
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(iim.length);
+  const iptcResource = Buffer.concat([
+    Buffer.from('8BIM'), Buffer.from([0x04, 0x04, 0x00, 0x00]), size, iim, Buffer.alloc(iim.length % 2)
+  ]);
+  const buffer = Buffer.concat([Buffer.from('Photoshop 3.0\0'), otherResource, iptcResource]);
+
+  assert.deepStrictEqual(parseIptc(buffer).keywords, ['café']);
+});
+
+test('UNIT: parseXmp tolerates missing properties and attribute form', () => {
+  assert.deepStrictEqual(parseXmp(Buffer.from('<x:xmpmeta></x:xmpmeta>')), {});
+  const result = parseXmp('<rdf:Description dc:title="Quick &quot;one&quot;"/>');
+  assert.strictEqual(result.xmpTitle, 'Quick "one"');
+});
+
+test('UNIT: suggestTagsFromKeywords reuses existing tag spelling', () => {
+  const suggestions = suggestTagsFromKeywords(['beach', 'Sunset', 'a,b', 'SUNSET'], ['Beach', 'mountains']);
+  assert.deepStrictEqual(suggestions, ['Beach', 'Sunset', 'a b']);
+});
+
+test('UNIT: suggestTagsFromKeywords maps tag aliases to the tag', () => {
+  const library = [
+    { name: 'Beach', aliases: ['shore', 'Coast'] },
+    { name: 'coast' }
+  ];
+  const suggestions = suggestTagsFromKeywords(['Shore', 'coast', 'SHORE'], library);
+  assert.deepStrictEqual(suggestions, ['Beach', 'coast']);
+});
+
+// INTEGRATION TESTS
+
+test('INTEGRATION: backfill prefers originals/ and skips images already extracted', async () => {
+  const root = path.join(testPath, 'backfill');
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'originals'), { recursive: true });
+
+  // Edited library file has lost its EXIF; the backup still has it
+  await fs.writeFile(path.join(root, 'library', 'edited-aaaa1111.jpg'), await createPlainJpeg());
+  await fs.writeFile(path.join(root, 'originals', 'edited-aaaa1111_original.jpg'), await createTaggedJpeg());
+  await fs.writeFile(path.join(root, 'library', 'plain-bbbb2222.jpg'), await createPlainJpeg('green'));
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.2',
+    images: {
+      'edited-aaaa1111.jpg': { matte: 'none', filter: 'None', tags: [] },
+      'plain-bbbb2222.jpg': { matte: 'none', filter: 'None', tags: [] },
+      'done-cccc3333.jpg': { matte: 'none', filter: 'None', tags: [], embeddedMetadata: { source: 'upload' } }
+    },
+    tags: []
+  }, null, 2));
+
+  const helper = new MetadataHelper(root);
+  const result = await helper.ensureEmbeddedMetadata(extractEmbeddedMetadata);
+
+  assert.strictEqual(result.updated, 2);
+  assert.deepStrictEqual(result.errors, []);
+
+  const { images } = await helper.readMetadata();
+  assert.strictEqual(images['edited-aaaa1111.jpg'].embeddedMetadata.source, 'original');
+  assert.strictEqual(images['edited-aaaa1111.jpg'].embeddedMetadata.camera, 'Canon EOS R5');
+  assert.strictEqual(images['plain-bbbb2222.jpg'].embeddedMetadata.source, 'library');
+  assert.deepStrictEqual(images['done-cccc3333.jpg'].embeddedMetadata, { source: 'upload' });
+
+  const again = await helper.ensureEmbeddedMetadata(extractEmbeddedMetadata);
+  assert.strictEqual(again.updated, 0, 'Second run should have nothing to do');
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Embedded Metadata Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-embedded-metadata-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
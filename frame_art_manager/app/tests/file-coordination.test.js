@@ -521,6 +521,21 @@ test('INTEGRATION: filename sanitization removes invalid characters', async () =
   }
 });
 
+// INTEGRATION TEST: Private state stays out of git
+
+test('INTEGRATION: metadata backup and temp files are excluded from git status', async () => {
+  const GitHelper = require('../git_helper');
+  const git = new GitHelper(testPath);
+
+  await helper.addTag('git-exclude-check');
+
+  const status = await git.git.status();
+  const leaked = status.files.filter(f => f.path.startsWith('.frame_art_manager'));
+  assert.strictEqual(leaked.length, 0, `State files leaked into git: ${leaked.map(f => f.path).join(', ')}`);
+  assert.ok(await fileExists(path.join(testPath, '.frame_art_manager', 'metadata.last-good.json')),
+    'Last-good backup should be written alongside each metadata write');
+});
+
 // Test runner
 async function runTests() {
   console.log('🧪 Running File Coordination Tests...\n');
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+
+/**
+ * Format Conversion Tests
+ * Tests converting uploads the TV can't show (conversion_helper.js) in the upload pipeline
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const express = require('express');
+const sharp = require('sharp');
+const simpleGit = require('simple-git');
+const imagesRouter = require('../routes/images');
+const TrashHelper = require('../trash_helper');
+const BatchOperations = require('../batch_operations');
+const JournalHelper = require('../journal_helper');
+const IntegrityScanner = require('../integrity_helper');
+const { ingestUploadedFile } = require('../upload_helper');
+const { getJobManager } = require('../job_manager');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [] }, null, 2));
+  return root;
+}
+
+// Write a buffer into library/ and run it through the pipeline
+let uploadCount = 0;
+async function upload(root, buffer, originalname, options = {}) {
+  const ext = path.extname(originalname);
+  const filename = `${path.basename(originalname, ext)}-${String(++uploadCount).padStart(8, '0')}${ext}`;
+  const filePath = path.join(root, 'library', filename);
+  await fs.writeFile(filePath, buffer);
+  return ingestUploadedFile(root, { file: { path: filePath, filename, originalname }, ...options });
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+// Solid colour frames stacked as pages
+async function createPages(colours, width, height, format) {
+  const frames = await Promise.all(colours.map(background =>
+    sharp({ create: { width, height, channels: 4, background } }).raw().toBuffer()));
+  return sharp(Buffer.concat(frames), { raw: { width, height: height * colours.length, channels: 4, pageHeight: height } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+async function pixelAt(buffer, x, y) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return [...data.subarray(offset, offset + info.channels)];
+}
+
+// 24-bit bottom-up bitmap from rows of [r, g, b] pixels, top row first
+function createBmp(rows) {
+  const width = rows[0].length;
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const bmp = Buffer.alloc(54 + rowSize * rows.length);
+  bmp.write('BM', 0, 'latin1');
+  bmp.writeUInt32LE(bmp.length, 2);
+  bmp.writeUInt32LE(54, 10);
+  bmp.writeUInt32LE(40, 14);
+  bmp.writeInt32LE(width, 18);
+  bmp.writeInt32LE(rows.length, 22);
+  bmp.writeUInt16LE(1, 26);
+  bmp.writeUInt16LE(24, 28);
+  rows.forEach((row, y) => {
+    const offset = 54 + (rows.length - 1 - y) * rowSize;
+    row.forEach(([r, g, b], x) => bmp.set([b, g, r], offset + x * 3));
+  });
+  return bmp;
+}
+
+// TIFF header with an orientation tag, followed by a JPEG preview, like a camera RAW
+function createRaw(preview, orientation) {
+  const header = Buffer.alloc(32);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(8, 4);
+  header.writeUInt16LE(1, 8);
+  header.writeUInt16LE(0x0112, 10);
+  header.writeUInt16LE(3, 12);
+  header.writeUInt32LE(1, 14);
+  header.writeUInt16LE(orientation, 18);
+  return Buffer.concat([header, preview, Buffer.from('sensor data')]);
+}
+
+test('a multi-page TIFF keeps the chosen page and the source goes to originals/', async () => {
+  const root = await createLibrary('tiff');
+  const tiff = await createPages(['red', 'lime', 'blue'], 40, 30, 'tiff');
+  const result = await upload(root, tiff, 'museum-scan.tif', { frame: '1' });
+
+  assert.match(result.filename, /^museum-scan-\d{8}\.jpg$/);
+  const output = await fs.readFile(path.join(root, 'library', result.filename));
+  assert.strictEqual((await sharp(output).metadata()).format, 'jpeg');
+  const [r, g, b] = await pixelAt(output, 20, 15);
+  assert.ok(r < 20 && g > 235 && b < 20, 'page 1 is the green one');
+
+  const { conversion } = (await readMetadata(root)).images[result.filename];
+  assert.strictEqual(conversion.from, 'tiff');
+  assert.strictEqual(conversion.to, 'jpeg');
+  assert.strictEqual(conversion.frame, 1);
+  assert.strictEqual(conversion.frames, 3);
+  assert.strictEqual(conversion.source, result.filename.replace('.jpg', '_source.tif'));
+  assert.deepStrictEqual(await fs.readFile(path.join(root, 'originals', conversion.source)), tiff);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [result.filename]);
+  await fs.access(path.join(root, 'thumbs', `thumb_${result.filename}`));
+
+  // Library formats are stored as they are
+  const png = await sharp({ create: { width: 20, height: 20, channels: 3, background: 'red' } }).png().toBuffer();
+  const kept = await upload(root, png, 'plain.png');
+  assert.match(kept.filename, /\.png$/);
+  assert.strictEqual(kept.data.conversion, undefined);
+});
+
+test('animated images keep one frame and transparency becomes PNG', async () => {
+  const root = await createLibrary('animated');
+  const gif = await createPages([{ r: 255, g: 0, b: 0, alpha: 1 }, { r: 0, g: 0, b: 255, alpha: 0 }], 20, 20, 'gif');
+
+  const opaque = await upload(root, gif, 'loop.gif');
+  assert.match(opaque.filename, /\.jpg$/);
+  assert.strictEqual(opaque.data.conversion.frames, 2);
+  assert.strictEqual(opaque.data.conversion.source, opaque.filename.replace('.jpg', '_source.gif'));
+
+  const transparent = await upload(root, gif, 'loop.gif', { frame: 1 });
+  assert.match(transparent.filename, /\.png$/);
+  const [, , , alpha] = await pixelAt(await fs.readFile(path.join(root, 'library', transparent.filename)), 10, 10);
+  assert.strictEqual(alpha, 0);
+
+  // A frame the file doesn't have is refused and nothing is left behind
+  const before = await fs.readdir(path.join(root, 'originals'));
+  await assert.rejects(upload(root, gif, 'loop.gif', { frame: 7 }), error => {
+    assert.strictEqual(error.code, 'VALIDATION_ERROR');
+    assert.match(error.message, /Frame 7 is out of range: the GIF image has 2 frames/);
+    return true;
+  });
+  await assert.rejects(upload(root, gif, 'loop.gif', { frame: 'last' }), { code: 'VALIDATION_ERROR' });
+  assert.deepStrictEqual((await fs.readdir(path.join(root, 'library'))).sort(), [opaque.filename, transparent.filename].sort());
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'originals')), before);
+});
+
+test('SVG is rasterized to fit 4K', async () => {
+  const root = await createLibrary('svg');
+  const svg = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="160" height="120">' +
+    '<rect width="160" height="120" fill="#336699"/><circle cx="80" cy="60" r="30" fill="white"/></svg>');
+  const result = await upload(root, svg, 'poster.svg');
+
+  assert.match(result.filename, /\.jpg$/);
+  const { width, height } = await sharp(path.join(root, 'library', result.filename)).metadata();
+  assert.deepStrictEqual([width, height], [2880, 2160]);
+  assert.strictEqual(result.data.conversion.from, 'svg');
+  assert.strictEqual(result.data.conversion.frame, undefined);
+});
+
+test('BMP is decoded and converted', async () => {
+  const root = await createLibrary('bmp');
+  const red = [255, 0, 0];
+  const blue = [0, 0, 255];
+  const bmp = createBmp([[red, red, blue], [blue, blue, blue]]);
+  const result = await upload(root, bmp, 'scan.bmp');
+
+  const output = await fs.readFile(path.join(root, 'library', result.filename));
+  const metadata = await sharp(output).metadata();
+  assert.deepStrictEqual([metadata.format, metadata.width, metadata.height], ['jpeg', 3, 2]);
+  const [r, , b] = await pixelAt(output, 0, 0);
+  assert.ok(r > 200 && b < 60, 'top-left pixel is red');
+
+  // RLE bitmaps are not supported
+  const rle = Buffer.from(bmp);
+  rle.writeUInt32LE(1, 30);
+  await assert.rejects(upload(root, rle, 'rle.bmp'), error => {
+    assert.strictEqual(error.code, 'CONVERSION_FAILED');
+    assert.strictEqual(error.message, 'Failed to convert BMP image. Please try uploading as JPEG or PNG.');
+    return true;
+  });
+
+  // A header claiming more pixels than sharp would accept is refused before decoding
+  const huge = Buffer.from(bmp);
+  huge.writeInt32LE(20000, 18);
+  huge.writeInt32LE(20000, 22);
+  await assert.rejects(upload(root, huge, 'huge.bmp'), error => {
+    assert.strictEqual(error.code, 'VALIDATION_ERROR');
+    assert.strictEqual(error.message, 'BMP is too large: 20000x20000 is over the 268402689 pixel limit');
+    return true;
+  });
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [result.filename]);
+});
+
+test('RAW files use their embedded preview, turned upright', async () => {
+  const root = await createLibrary('raw');
+  const preview = await sharp({ create: { width: 60, height: 40, channels: 3, background: 'white' } })
+    .composite([{ input: await sharp({ create: { width: 20, height: 20, channels: 3, background: 'red' } }).png().toBuffer(), left: 0, top: 0 }])
+    .jpeg({ quality: 95 })
+    .toBuffer();
+  const thumbnail = await sharp(preview).resize(15, 10).jpeg().toBuffer();
+  const raw = Buffer.concat([createRaw(thumbnail, 6), preview]);
+  const result = await upload(root, raw, 'IMG_0042.DNG');
+
+  const output = await fs.readFile(path.join(root, 'library', result.filename));
+  const { width, height } = await sharp(output).metadata();
+  assert.deepStrictEqual([width, height], [40, 60], 'largest preview, rotated 90 degrees');
+  const [r, g] = await pixelAt(output, 35, 5);
+  assert.ok(r > 200 && g < 60, 'the red corner is now top-right');
+  assert.strictEqual(result.data.conversion.from, 'raw');
+  assert.strictEqual(result.data.conversion.source, result.filename.replace('.jpg', '_source.dng'));
+
+  await assert.rejects(upload(root, Buffer.from('no preview in here'), 'empty.nef'), { code: 'CONVERSION_FAILED' });
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [result.filename]);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'originals')), [result.data.conversion.source]);
+});
+
+test('the source follows the image into the trash and is not an orphan', async () => {
+  const root = await createLibrary('trash');
+  const result = await upload(root, createBmp([[[0, 128, 0]]]), 'leaf.bmp');
+  const sourcePath = path.join(root, 'originals', result.data.conversion.source);
+
+  const findings = (await new IntegrityScanner(root).scan()).findings;
+  assert.deepStrictEqual(findings.filter(item => item.type === 'orphaned-original'), []);
+
+  const trash = new TrashHelper(root);
+  const entry = await trash.moveToTrash(result.filename);
+  assert.ok(entry.files.includes(path.join('originals', result.data.conversion.source)));
+  await assert.rejects(fs.access(sourcePath));
+  assert.strictEqual((await trash.listTrash()).items[0].hasBackup, false);
+
+  await trash.restore(entry.id);
+  await fs.access(sourcePath);
+  assert.strictEqual((await readMetadata(root)).images[result.filename].conversion.source, result.data.conversion.source);
+});
+
+test('the source is named after a custom upload name and follows renames', async () => {
+  const root = await createLibrary('rename');
+  const result = await upload(root, createBmp([[[0, 0, 255]]]), 'scan.bmp', { customName: 'Harbour' });
+  assert.match(result.filename, /^harbour-\d{8}\.jpg$/);
+  const { source } = result.data.conversion;
+  assert.strictEqual(source, result.filename.replace('.jpg', '_source.bmp'));
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'originals')), [source]);
+
+  const batch = new BatchOperations(root);
+  const { result: batchResult } = await batch.run([result.filename], { rename: { pattern: 'quay' } });
+  const [{ newFilename }] = batchResult.results;
+  const renamedSource = newFilename.replace('.jpg', '_source.bmp');
+  assert.strictEqual((await readMetadata(root)).images[newFilename].conversion.source, renamedSource);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'originals')), [renamedSource]);
+
+  const journal = new JournalHelper(root);
+  const entry = await journal.record('batch', 'batch update of 1 image', batchResult.inverse);
+  await journal.undo(entry.id);
+  assert.strictEqual((await readMetadata(root)).images[result.filename].conversion.source, source);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'originals')), [source]);
+});
+
+test('the rename route is undone when the source cannot follow', async () => {
+  const root = await createLibrary('rename-route');
+  const result = await upload(root, createBmp([[[0, 0, 255]]]), 'scan.bmp', { customName: 'Harbour' });
+  const { source } = result.data.conversion;
+  const git = simpleGit(root);
+  await git.init();
+  await git.addConfig('user.name', 'Test User');
+  await git.addConfig('user.email', 'test@example.com');
+  await git.add('.');
+  await git.commit('Sync: add harbour');
+
+  // Something already sits where the source would go, so git mv refuses
+  const newFilename = result.filename.replace(/^harbour/, 'quay');
+  await fs.writeFile(path.join(root, 'originals', newFilename.replace('.jpg', '_source.bmp')), 'in the way');
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.frameArtPath = root;
+    next();
+  });
+  app.use('/api/images', imagesRouter);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/images/${result.filename}/rename`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ newBaseName: 'quay' })
+    });
+    assert.strictEqual(response.status, 500);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [result.filename]);
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'thumbs')), [`thumb_${result.filename}`]);
+  const record = (await readMetadata(root)).images[result.filename];
+  assert.strictEqual(record.conversion.source, source);
+  assert.ok((await fs.readdir(path.join(root, 'originals'))).includes(source));
+  assert.deepStrictEqual((await git.status()).renamed, []);
+});
+
+test('upload and preview routes convert and take a frame', async () => {
+  const root = await createLibrary('routes');
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.frameArtPath = root;
+    next();
+  });
+  app.use('/api/images', imagesRouter);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/images`;
+
+  try {
+    const tiff = await createPages(['red', 'blue'], 16, 16, 'tiff');
+    const send = (route, buffer, name, fields = {}) => {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(fields)) {
+        form.append(key, value);
+      }
+      form.append('image', new Blob([buffer], { type: '' }), name);
+      return fetch(`${baseUrl}/${route}`, { method: 'POST', body: form });
+    };
+
+    const uploaded = await send('upload', tiff, 'archive.tiff', { frame: '1' });
+    assert.strictEqual(uploaded.status, 200);
+    const { filename, data } = await uploaded.json();
+    assert.match(filename, /\.jpg$/);
+    assert.strictEqual(data.conversion.frame, 1);
+    assert.match(data.conversion.source, /_source\.tiff$/);
+
+    const outOfRange = await send('upload', tiff, 'archive.tiff', { frame: '2' });
+    assert.strictEqual(outOfRange.status, 400);
+
+    const preview = await send('preview', createBmp([[[255, 255, 0]]]), 'tiny.bmp');
+    assert.strictEqual(preview.status, 200);
+    assert.strictEqual(preview.headers.get('content-type'), 'image/jpeg');
+    assert.strictEqual((await sharp(Buffer.from(await preview.arrayBuffer())).metadata()).width, 1);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    // Uploads are tracked as jobs; let the history write finish before cleanup
+    await getJobManager(root).save();
+  }
+});
+
+async function runTests() {
+  console.log('🧪 Running Format Conversion Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-format-conversion-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
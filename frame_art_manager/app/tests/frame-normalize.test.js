@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * Frame-ready Normalization Tests
+ * Tests ImageEditService.normalizeForFrame and the normalize upload option
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const sharp = require('sharp');
+const ImageEditService = require('../image_edit_service');
+const MetadataHelper = require('../metadata_helper');
+const { ingestUploadedFile } = require('../upload_helper');
+const { computePerceptualHash } = require('../hash_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [] }, null, 2));
+  return root;
+}
+
+// A solid image with a lighter block, so crops and fills have something to see
+async function createImage(width, height, background = { r: 200, g: 30, b: 30 }) {
+  return sharp({ create: { width, height, channels: 3, background } })
+    .composite([{
+      input: { create: { width: Math.round(width / 4), height: Math.round(height / 4), channels: 3, background: { r: 250, g: 240, b: 220 } } },
+      gravity: 'centre'
+    }])
+    .jpeg()
+    .toBuffer();
+}
+
+async function addLibraryImage(root, filename, width, height) {
+  const buffer = await createImage(width, height);
+  await fs.writeFile(path.join(root, 'library', filename), buffer);
+  await new MetadataHelper(root).addImage(filename);
+  return buffer;
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+test('blur-fills a portrait to 3840x2160 and keeps the original for revert', async () => {
+  const root = await createLibrary('blur');
+  await addLibraryImage(root, 'portrait-a1b2c3d4.jpg', 300, 450);
+  const service = new ImageEditService(root);
+
+  const result = await service.normalizeForFrame('portrait-a1b2c3d4.jpg', 'blur');
+  assert.strictEqual(result.backupCreated, true);
+  assert.deepStrictEqual(result.dimensions, { width: 3840, height: 2160 });
+
+  const output = await sharp(path.join(root, 'library', 'portrait-a1b2c3d4.jpg')).metadata();
+  assert.strictEqual(output.width, 3840);
+  assert.strictEqual(output.height, 2160);
+  assert.strictEqual(output.format, 'jpeg');
+
+  // The sides are filled from the image itself, not black bars
+  const { data } = await sharp(path.join(root, 'library', 'portrait-a1b2c3d4.jpg'))
+    .extract({ left: 0, top: 1000, width: 1, height: 1 })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  assert.ok(data[0] > 100 && data[0] > data[2] * 2, `expected a red fill, got rgb(${data[0]}, ${data[1]}, ${data[2]})`);
+
+  const backup = await sharp(path.join(root, 'originals', 'portrait-a1b2c3d4_original.jpg')).metadata();
+  assert.strictEqual(backup.width, 300);
+  assert.strictEqual(backup.height, 450);
+
+  let record = (await readMetadata(root)).images['portrait-a1b2c3d4.jpg'];
+  assert.deepStrictEqual(record.dimensions, { width: 3840, height: 2160 });
+  assert.strictEqual(record.aspectRatio, 1.78);
+  assert.strictEqual(record.normalization.strategy, 'blur');
+  assert.strictEqual(record.normalization.requested, 'blur');
+  assert.deepStrictEqual(record.normalization.from, { width: 300, height: 450 });
+  assert.ok(record.normalization.normalizedAt);
+
+  await service.revertToOriginal('portrait-a1b2c3d4.jpg');
+  record = (await readMetadata(root)).images['portrait-a1b2c3d4.jpg'];
+  assert.deepStrictEqual(record.dimensions, { width: 300, height: 450 });
+  assert.strictEqual(record.normalization, undefined);
+  assert.strictEqual(await exists(path.join(root, 'originals', 'portrait-a1b2c3d4_original.jpg')), false);
+});
+
+test('auto smart-crops near-16:9 images and blur-fills the rest', async () => {
+  const root = await createLibrary('auto');
+  const service = new ImageEditService(root);
+  const cases = [
+    { filename: 'landscape.jpg', width: 600, height: 400, expected: 'attention' },
+    { filename: 'portrait.jpg', width: 400, height: 600, expected: 'blur' },
+    { filename: 'panorama.jpg', width: 960, height: 240, expected: 'blur' },
+    { filename: 'widescreen.jpg', width: 640, height: 360, expected: 'resize' }
+  ];
+
+  for (const { filename, width, height, expected } of cases) {
+    await addLibraryImage(root, filename, width, height);
+    const result = await service.normalizeForFrame(filename, 'auto', { thumbnail: false });
+    assert.strictEqual(result.normalization.strategy, expected, filename);
+    assert.strictEqual(result.normalization.requested, 'auto');
+    const output = await sharp(path.join(root, 'library', filename)).metadata();
+    assert.deepStrictEqual({ width: output.width, height: output.height }, { width: 3840, height: 2160 }, filename);
+  }
+
+  // An explicit crop strategy is used as asked
+  await addLibraryImage(root, 'detail.jpg', 500, 500);
+  const entropy = await service.normalizeForFrame('detail.jpg', 'entropy', { thumbnail: false });
+  assert.strictEqual(entropy.normalization.strategy, 'entropy');
+});
+
+test('leaves images that are already Frame-ready alone', async () => {
+  const root = await createLibrary('ready');
+  await addLibraryImage(root, 'ready.jpg', 3840, 2160);
+  const before = await fs.readFile(path.join(root, 'library', 'ready.jpg'));
+
+  const result = await new ImageEditService(root).normalizeForFrame('ready.jpg', 'blur');
+  assert.strictEqual(result, null);
+  assert.ok(before.equals(await fs.readFile(path.join(root, 'library', 'ready.jpg'))));
+  assert.strictEqual(await exists(path.join(root, 'originals', 'ready_original.jpg')), false);
+  assert.strictEqual((await readMetadata(root)).images['ready.jpg'].normalization, undefined);
+});
+
+test('rejects unknown strategies', async () => {
+  const root = await createLibrary('invalid');
+  await addLibraryImage(root, 'photo.jpg', 400, 300);
+  const service = new ImageEditService(root);
+
+  await assert.rejects(service.normalizeForFrame('photo.jpg', 'stretch'), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(service.normalizeForFrame('photo.jpg', 'none'), { code: 'VALIDATION_ERROR' });
+  assert.strictEqual(await exists(path.join(root, 'originals', 'photo_original.jpg')), false);
+
+  const uploadPath = path.join(root, 'library', 'upload-0a1b2c3d.jpg');
+  await fs.writeFile(uploadPath, await createImage(400, 300));
+  await assert.rejects(ingestUploadedFile(root, {
+    file: { path: uploadPath, filename: 'upload-0a1b2c3d.jpg', mimetype: 'image/jpeg', originalname: 'upload.jpg' },
+    normalize: 'stretch'
+  }), { code: 'VALIDATION_ERROR' });
+  assert.strictEqual(await exists(uploadPath), false);
+});
+
+test('the upload pipeline normalizes on request and hashes the upload as sent', async () => {
+  const root = await createLibrary('ingest');
+  const upload = await createImage(500, 800);
+  const uploadPath = path.join(root, 'library', 'tall-0a1b2c3d.jpg');
+  await fs.writeFile(uploadPath, upload);
+
+  const { filename, data } = await ingestUploadedFile(root, {
+    file: { path: uploadPath, filename: 'tall-0a1b2c3d.jpg', mimetype: 'image/jpeg', originalname: 'tall.jpg' },
+    uploadContext: { originalBase: 'tall', uuid: '0a1b2c3d', originalExt: '.jpg' },
+    tags: ['portrait'],
+    normalize: 'auto'
+  });
+
+  assert.strictEqual(filename, 'tall-0a1b2c3d.jpg');
+  assert.strictEqual(data.normalization.strategy, 'blur');
+  assert.strictEqual(data.normalization.requested, 'auto');
+  assert.deepStrictEqual(data.dimensions, { width: 3840, height: 2160 });
+  assert.deepStrictEqual(data.tags, ['portrait']);
+  assert.strictEqual(data.sourceHash, await computePerceptualHash(upload));
+  assert.ok(await exists(path.join(root, 'originals', 'tall-0a1b2c3d_original.jpg')));
+  assert.ok(await exists(path.join(root, 'thumbs', 'thumb_tall-0a1b2c3d.jpg')));
+
+  // Without the option nothing changes
+  const plainPath = path.join(root, 'library', 'plain-0a1b2c3d.jpg');
+  await fs.writeFile(plainPath, upload);
+  const plain = await ingestUploadedFile(root, {
+    file: { path: plainPath, filename: 'plain-0a1b2c3d.jpg', mimetype: 'image/jpeg', originalname: 'plain.jpg' },
+    uploadContext: { originalBase: 'plain', uuid: '0a1b2c3d', originalExt: '.jpg' }
+  });
+  assert.deepStrictEqual(plain.data.dimensions, { width: 500, height: 800 });
+  assert.strictEqual(plain.data.normalization, undefined);
+  assert.strictEqual(await exists(path.join(root, 'originals', 'plain-0a1b2c3d_original.jpg')), false);
+});
+
+async function runTests() {
+  console.log('🧪 Running Frame-ready Normalization Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-frame-normalize-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * Image History Tests
+ * Tests per-image version history, historical thumbnails and restore from git (image_history.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const sharp = require('sharp');
+const simpleGit = require('simple-git');
+const ImageHistory = require('../image_history');
+const MetadataHelper = require('../metadata_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const IMAGE = 'sunset-aaaa1111.png';
+
+function solidPng(width, height, color) {
+  return sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+}
+
+async function writeMetadata(root, images) {
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.3',
+    images,
+    tags: [{ name: 'sky' }, { name: 'evening' }]
+  }, null, 2));
+}
+
+/**
+ * Library repo with three commits for IMAGE:
+ *   1. image added (red, 40x30) with tag "sky"
+ *   2. tag "evening" added and title set (metadata only)
+ *   3. image replaced (blue, 60x30)
+ * plus an unrelated commit touching another image's record.
+ */
+async function createHistoryRepo(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  const git = simpleGit(root);
+  await git.init();
+  await git.addConfig('user.name', 'Test User');
+  await git.addConfig('user.email', 'test@example.com');
+
+  const base = { matte: 'none', filter: 'None', dimensions: { width: 40, height: 30 }, aspectRatio: 1.33 };
+  await fs.writeFile(path.join(root, 'library', IMAGE), await solidPng(40, 30, '#ff0000'));
+  await writeMetadata(root, { [IMAGE]: { ...base, tags: ['sky'], updated: '2025-01-01T00:00:00.000Z' } });
+  await git.add('.');
+  await git.commit('Sync: add sunset');
+
+  await writeMetadata(root, {
+    [IMAGE]: { ...base, tags: ['sky', 'evening'], title: 'Sunset', updated: '2025-01-02T00:00:00.000Z' }
+  });
+  await git.add('.');
+  await git.commit('Sync: tag sunset');
+
+  // Touches metadata.json but not this image's record
+  await writeMetadata(root, {
+    [IMAGE]: { ...base, tags: ['sky', 'evening'], title: 'Sunset', updated: '2025-01-02T00:00:00.000Z' },
+    'lake-bbbb2222.png': { matte: 'none', filter: 'None', tags: [] }
+  });
+  await git.add('.');
+  await git.commit('Sync: add lake');
+
+  await fs.writeFile(path.join(root, 'library', IMAGE), await solidPng(60, 30, '#0000ff'));
+  await git.add('.');
+  await git.commit('Sync: edit sunset');
+
+  return { root, git };
+}
+
+test('INTEGRATION: history lists pixel and metadata versions newest first', async () => {
+  const { root } = await createHistoryRepo('list');
+  const history = new ImageHistory(root);
+
+  const { versions, truncated } = await history.getHistory(IMAGE);
+  assert.strictEqual(truncated, false);
+  assert.deepStrictEqual(versions.map(version => version.message), [
+    'Sync: edit sunset',
+    'Sync: tag sunset',
+    'Sync: add sunset'
+  ]);
+
+  const [edited, tagged, added] = versions;
+  assert.deepStrictEqual(edited.summary, ['image replaced']);
+  assert.strictEqual(edited.imageChanged, true);
+  assert.strictEqual(edited.metadataChanged, false);
+
+  assert.strictEqual(tagged.imageChanged, false);
+  assert.deepStrictEqual(tagged.summary, [
+    'sunset: added tag: evening (sunset-aaaa1111.png)',
+    "sunset: title: (none) → 'Sunset' (sunset-aaaa1111.png)"
+  ]);
+  assert.strictEqual(tagged.record.title, 'Sunset');
+
+  assert.deepStrictEqual(added.summary, ['image added', 'added to metadata']);
+  assert.strictEqual(added.shortCommit, added.commit.slice(0, 7));
+
+  const limited = await history.getHistory(IMAGE, { limit: 1 });
+  assert.strictEqual(limited.versions.length, 1);
+  assert.strictEqual(limited.truncated, true);
+});
+
+test('INTEGRATION: historical thumbnails render the old pixels and are cached', async () => {
+  const { root } = await createHistoryRepo('thumbs');
+  const history = new ImageHistory(root);
+  const { versions } = await history.getHistory(IMAGE);
+  const added = versions[versions.length - 1];
+
+  const thumbPath = await history.getThumbnail(IMAGE, added.commit);
+  const info = await sharp(thumbPath).metadata();
+  assert.deepStrictEqual([info.format, info.width, info.height], ['jpeg', 40, 30]);
+  assert.ok(thumbPath.includes('.frame_art_manager'), 'cached in the state area');
+
+  const { mtimeMs } = await fs.stat(thumbPath);
+  assert.strictEqual(await history.getThumbnail(IMAGE, added.commit.slice(0, 7)), thumbPath);
+  assert.strictEqual((await fs.stat(thumbPath)).mtimeMs, mtimeMs, 'second request reuses the cache');
+
+  await assert.rejects(() => history.getThumbnail(IMAGE, 'deadbeef'), { code: 'NOT_FOUND' });
+  await assert.rejects(() => history.getThumbnail(IMAGE, 'HEAD~1; rm -rf'), { code: 'NOT_FOUND' });
+  await assert.rejects(() => history.getThumbnail('lake-bbbb2222.png', added.commit), { code: 'NOT_FOUND' });
+});
+
+test('INTEGRATION: restoring a version writes pixels and record as a new commit', async () => {
+  const { root, git } = await createHistoryRepo('restore');
+  const history = new ImageHistory(root);
+  const { versions } = await history.getHistory(IMAGE);
+  const added = versions[versions.length - 1];
+
+  const { result, message, committed } = await history.restoreVersion(IMAGE, added.commit);
+  assert.strictEqual(committed, true);
+  assert.deepStrictEqual(result.restored, ['image', 'metadata']);
+  assert.strictEqual(message, `restored image and metadata of ${IMAGE} from ${added.shortCommit} (${added.date.slice(0, 10)})`);
+
+  const info = await sharp(path.join(root, 'library', IMAGE)).metadata();
+  assert.deepStrictEqual([info.width, info.height], [40, 30]);
+  const record = (await new MetadataHelper(root).readMetadata()).images[IMAGE];
+  assert.deepStrictEqual(record.tags, ['sky']);
+  assert.strictEqual(record.title, undefined);
+
+  const log = await git.log();
+  assert.strictEqual(log.latest.message, message);
+  assert.strictEqual((await git.status()).isClean(), true, 'library, thumbnail and metadata all committed');
+
+  // The restore itself shows up as the newest version
+  const after = await history.getHistory(IMAGE);
+  assert.strictEqual(after.versions[0].message, message);
+  assert.deepStrictEqual(after.versions[0].summary, [
+    'image replaced',
+    'sunset: removed tag: evening (sunset-aaaa1111.png)',
+    "sunset: title: 'Sunset' → (none) (sunset-aaaa1111.png)"
+  ]);
+});
+
+test('INTEGRATION: a restore whose metadata write fails puts the current pixels back', async () => {
+  const { root, git } = await createHistoryRepo('restore-failure');
+  const history = new ImageHistory(root);
+  const { versions } = await history.getHistory(IMAGE);
+  const added = versions[versions.length - 1];
+  const before = await fs.readFile(path.join(root, 'library', IMAGE));
+
+  history.helper.writeMetadata = async () => {
+    throw new Error('disk full');
+  };
+  await assert.rejects(() => history.restoreVersion(IMAGE, added.commit), /disk full/);
+
+  assert.ok((await fs.readFile(path.join(root, 'library', IMAGE))).equals(before));
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'thumbs')), [], 'no thumbnail left from the failed restore');
+  assert.deepStrictEqual(await fs.readdir(path.join(root, '.frame_art_manager', 'restore-staging')), []);
+  assert.strictEqual((await git.status()).isClean(), true);
+});
+
+test('INTEGRATION: restoring only metadata keeps the current pixels', async () => {
+  const { root } = await createHistoryRepo('metadata-only');
+  const history = new ImageHistory(root);
+  const { versions } = await history.getHistory(IMAGE);
+  const added = versions[versions.length - 1];
+
+  const { message } = await history.restoreVersion(IMAGE, added.commit, { image: false });
+  assert.ok(message.startsWith(`restored metadata of ${IMAGE}`));
+
+  const info = await sharp(path.join(root, 'library', IMAGE)).metadata();
+  assert.strictEqual(info.width, 60, 'pixels untouched');
+  const record = (await new MetadataHelper(root).readMetadata()).images[IMAGE];
+  assert.deepStrictEqual(record.tags, ['sky']);
+});
+
+test('INTEGRATION: restoring metadata across an edit keeps the fields read from the current file', async () => {
+  const { root, git } = await createHistoryRepo('metadata-across-edit');
+  const helper = new MetadataHelper(root);
+  const fileFields = {
+    dimensions: { width: 60, height: 30 },
+    aspectRatio: 2,
+    sourceHash: 'f'.repeat(64),
+    normalization: { strategy: 'pad', normalizedAt: '2025-01-03T00:00:00.000Z' }
+  };
+  await helper.updateImage(IMAGE, { ...fileFields, title: 'Blue sunset' });
+  await git.add('.');
+  await git.commit('Sync: normalize sunset');
+
+  const history = new ImageHistory(root);
+  const { versions } = await history.getHistory(IMAGE);
+  const tagged = versions.find(version => version.message === 'Sync: tag sunset');
+
+  await history.restoreVersion(IMAGE, tagged.commit, { image: false });
+  const record = (await helper.readMetadata()).images[IMAGE];
+  assert.strictEqual(record.title, 'Sunset', 'user-editable fields restored');
+  assert.deepStrictEqual(record.tags, ['sky', 'evening']);
+  for (const [key, value] of Object.entries(fileFields)) {
+    assert.deepStrictEqual(record[key], value, `${key} still describes the current file`);
+  }
+});
+
+test('INTEGRATION: restore validates the request', async () => {
+  const { root } = await createHistoryRepo('invalid');
+  const history = new ImageHistory(root);
+  const { versions } = await history.getHistory(IMAGE);
+  const added = versions[versions.length - 1];
+
+  await assert.rejects(() => history.restoreVersion(IMAGE, added.commit, { image: false, metadata: false }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(() => history.restoreVersion(IMAGE, 'abcdef1'), { code: 'NOT_FOUND' });
+  await assert.rejects(() => history.restoreVersion('lake-bbbb2222.png', added.commit), { code: 'NOT_FOUND' });
+  await assert.rejects(() => history.restoreVersion('../metadata.json', added.commit), { code: 'NOT_FOUND' });
+
+  // Pixels alone can't bring back an image that is no longer in metadata
+  await new MetadataHelper(root).deleteImage(IMAGE);
+  await assert.rejects(() => history.restoreVersion(IMAGE, added.commit, { metadata: false }), { code: 'VALIDATION_ERROR' });
+});
+
+test('history needs a git repository', async () => {
+  const root = path.join(testPath, 'no-git');
+  await fs.mkdir(root, { recursive: true });
+  await writeMetadata(root, {});
+  await assert.rejects(() => new ImageHistory(root).getHistory(IMAGE), { code: 'GIT_UNAVAILABLE' });
+});
+
+async function runTests() {
+  console.log('🧪 Running Image History Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-history-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Image Query Tests
+ * Tests tag expression parsing and filtering/sorting for GET /api/images/search
+ */
+
+const assert = require('assert');
+const {
+  parseTagExpression,
+  matchesTagExpression,
+  parseSearchParams,
+  needsDisplayHistory,
+  searchImages
+} = require('../image_query');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const NOW = new Date('2025-06-15T12:00:00Z').getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+// Records shaped like GET /api/images (library index snapshot)
+const IMAGES = {
+  'snowy-peak-aaaa1111.jpg': {
+    tags: ['winter', 'mountains'], aspectRatio: 1.78, fileSize: 5000000, hasBackup: true,
+    added: '2025-01-10T10:00:00Z', updated: '2025-06-01T10:00:00Z', title: 'Snowy Peak'
+  },
+  'family-snow-bbbb2222.jpg': {
+    tags: ['snow', 'family'], aspectRatio: 1.5, fileSize: 2000000, hasBackup: false,
+    added: '2025-02-10T10:00:00Z'
+  },
+  'portrait-cccc3333.jpg': {
+    tags: ['Winter', 'portrait art'], aspectRatio: 0.75, fileSize: 800000, hasBackup: false,
+    added: '2025-03-10T10:00:00Z', artist: 'Vermeer'
+  },
+  'beach-dddd4444.jpg': {
+    tags: ['summer'], aspectRatio: 1.78, fileSize: 3000000, hasBackup: false,
+    added: '2025-04-10T10:00:00Z', updated: '2025-04-20T10:00:00Z'
+  },
+  'square-eeee5555.jpg': {
+    tags: [], aspectRatio: 1, fileSize: 100000, hasBackup: true,
+    added: '2025-05-10T10:00:00Z'
+  }
+};
+
+const LAST_DISPLAYED = {
+  'snowy-peak-aaaa1111.jpg': NOW - 2 * DAY,
+  'beach-dddd4444.jpg': NOW - 30 * DAY
+};
+
+function search(query) {
+  return searchImages(IMAGES, parseSearchParams(query), { lastDisplayed: LAST_DISPLAYED, now: NOW });
+}
+
+function assertInvalid(fn, pattern) {
+  assert.throws(fn, error => error.code === 'INVALID_QUERY' && pattern.test(error.message));
+}
+
+// ============================================
+// Tag expressions
+// ============================================
+
+test('Tag expression: precedence NOT > AND > OR with parentheses', () => {
+  const ast = parseTagExpression('(winter OR snow) AND NOT family');
+  assert.strictEqual(matchesTagExpression(ast, ['winter']), true);
+  assert.strictEqual(matchesTagExpression(ast, ['snow', 'family']), false);
+  assert.strictEqual(matchesTagExpression(ast, ['summer']), false);
+
+  // Without parentheses AND binds tighter than OR
+  const loose = parseTagExpression('winter OR snow AND NOT family');
+  assert.strictEqual(matchesTagExpression(loose, ['winter', 'family']), true);
+});
+
+test('Tag expression: quoted tags, aliases, implicit AND and case-insensitivity', () => {
+  const ast = parseTagExpression('"portrait art" !family && (WINTER || snow)');
+  assert.strictEqual(matchesTagExpression(ast, ['Portrait Art', 'winter']), true);
+  assert.strictEqual(matchesTagExpression(ast, ['portrait art']), false);
+
+  const implicit = parseTagExpression('winter mountains');
+  assert.strictEqual(implicit.type, 'and');
+  assert.strictEqual(matchesTagExpression(implicit, ['winter']), false);
+});
+
+test('Tag expression: parent tags match hierarchical descendants', () => {
+  const ast = parseTagExpression('season/winter AND NOT season/winter/christmas');
+  assert.strictEqual(matchesTagExpression(ast, ['Season/Winter/Snowfall']), true);
+  assert.strictEqual(matchesTagExpression(ast, ['season/winter/christmas']), false);
+  assert.strictEqual(matchesTagExpression(ast, ['season/wintertime']), false);
+  assert.strictEqual(matchesTagExpression(parseTagExpression('season'), ['season/summer']), true);
+});
+
+test('Tag expression: syntax errors are INVALID_QUERY', () => {
+  assertInvalid(() => parseTagExpression('(winter OR snow'), /closing parenthesis/);
+  assertInvalid(() => parseTagExpression('winter AND'), /ended unexpectedly/);
+  assertInvalid(() => parseTagExpression('winter)'), /Unexpected '\)'/);
+  assertInvalid(() => parseTagExpression('OR winter'), /Unexpected OR/);
+  assertInvalid(() => parseTagExpression('"unterminated'), /Unterminated/);
+  assertInvalid(() => parseTagExpression('   '), /empty/);
+});
+
+// ============================================
+// Filters
+// ============================================
+
+test('Search: tag expression filter with default sort (newest first)', () => {
+  const result = search({ tags: '(winter OR snow) AND NOT family' });
+  assert.deepStrictEqual(result.filenames, ['portrait-cccc3333.jpg', 'snowy-peak-aaaa1111.jpg']);
+  assert.strictEqual(result.total, 2);
+  // Records are passed through untouched
+  assert.strictEqual(result.images['snowy-peak-aaaa1111.jpg'], IMAGES['snowy-peak-aaaa1111.jpg']);
+});
+
+test('Search: orientation, aspect range and 16:9 filters', () => {
+  assert.deepStrictEqual(search({ orientation: 'portrait' }).filenames, ['portrait-cccc3333.jpg']);
+  assert.deepStrictEqual(search({ orientation: 'square' }).filenames, ['square-eeee5555.jpg']);
+  assert.strictEqual(search({ orientation: 'landscape' }).total, 3);
+  assert.deepStrictEqual(search({ minAspect: '1.4', maxAspect: '1.6' }).filenames, ['family-snow-bbbb2222.jpg']);
+  assert.deepStrictEqual(
+    search({ is16x9: 'false', orientation: 'landscape' }).filenames,
+    ['family-snow-bbbb2222.jpg']
+  );
+});
+
+test('Search: added/updated date ranges (updated falls back to added)', () => {
+  assert.deepStrictEqual(
+    search({ addedAfter: '2025-02-01', addedBefore: '2025-03-31', sort: 'name' }).filenames,
+    ['family-snow-bbbb2222.jpg', 'portrait-cccc3333.jpg']
+  );
+  assert.deepStrictEqual(
+    search({ updatedAfter: '2025-05-01', sort: 'name' }).filenames,
+    ['snowy-peak-aaaa1111.jpg', 'square-eeee5555.jpg']
+  );
+});
+
+test('Search: file size and edit-backup filters', () => {
+  assert.deepStrictEqual(search({ minSize: '1000000', maxSize: '3000000', sort: 'size' }).filenames,
+    ['beach-dddd4444.jpg', 'family-snow-bbbb2222.jpg']);
+  assert.deepStrictEqual(search({ hasBackup: 'true', sort: 'name' }).filenames,
+    ['snowy-peak-aaaa1111.jpg', 'square-eeee5555.jpg']);
+});
+
+test('Search: displayed windows use display history', () => {
+  assert.deepStrictEqual(search({ displayedWithin: '7d' }).filenames, ['snowy-peak-aaaa1111.jpg']);
+
+  const notRecent = search({ notDisplayedWithin: '1w', sort: 'name' });
+  assert.deepStrictEqual(notRecent.filenames, [
+    'beach-dddd4444.jpg',
+    'family-snow-bbbb2222.jpg',
+    'portrait-cccc3333.jpg',
+    'square-eeee5555.jpg'
+  ]);
+
+  assert.strictEqual(needsDisplayHistory(parseSearchParams({ displayedWithin: '12h' })), true);
+  assert.strictEqual(needsDisplayHistory(parseSearchParams({ sort: 'displayed' })), true);
+  assert.strictEqual(needsDisplayHistory(parseSearchParams({ tags: 'winter' })), false);
+});
+
+test('Search: free-text query matches filename, title and artist', () => {
+  assert.deepStrictEqual(search({ q: 'vermeer' }).filenames, ['portrait-cccc3333.jpg']);
+  assert.deepStrictEqual(search({ q: 'snowy peak' }).filenames, ['snowy-peak-aaaa1111.jpg']);
+});
+
+// ============================================
+// Sorting and paging
+// ============================================
+
+test('Search: sort by displayed puts never-displayed last, ties by filename', () => {
+  const result = search({ sort: 'displayed' });
+  assert.deepStrictEqual(result.filenames.slice(0, 2), ['snowy-peak-aaaa1111.jpg', 'beach-dddd4444.jpg']);
+  assert.deepStrictEqual(result.filenames.slice(2), [
+    'family-snow-bbbb2222.jpg',
+    'portrait-cccc3333.jpg',
+    'square-eeee5555.jpg'
+  ]);
+  assert.strictEqual(result.order, 'desc');
+});
+
+test('Search: limit and offset page through a stable order', () => {
+  const first = search({ sort: 'name', limit: '2' });
+  const second = search({ sort: 'name', limit: '2', offset: '2' });
+  assert.deepStrictEqual(first.filenames, ['beach-dddd4444.jpg', 'family-snow-bbbb2222.jpg']);
+  assert.deepStrictEqual(second.filenames, ['portrait-cccc3333.jpg', 'snowy-peak-aaaa1111.jpg']);
+  assert.strictEqual(second.total, 5);
+  assert.deepStrictEqual(Object.keys(second.images), second.filenames);
+
+  assert.strictEqual(parseSearchParams({ limit: '50000' }).limit, 1000);
+  assert.strictEqual(parseSearchParams({}).limit, 100);
+});
+
+test('Search: invalid parameters are INVALID_QUERY', () => {
+  assertInvalid(() => parseSearchParams({ orientation: 'diagonal' }), /orientation/);
+  assertInvalid(() => parseSearchParams({ addedAfter: 'last tuesday' }), /addedAfter/);
+  assertInvalid(() => parseSearchParams({ minSize: '-1' }), /minSize/);
+  assertInvalid(() => parseSearchParams({ displayedWithin: '7' }), /duration/);
+  assertInvalid(() => parseSearchParams({ sort: 'random' }), /sort must be one of/);
+  assertInvalid(() => parseSearchParams({ order: 'sideways' }), /order/);
+  assertInvalid(() => parseSearchParams({ hasBackup: 'maybe' }), /hasBackup/);
+  assertInvalid(() => parseSearchParams({ limit: '0' }), /limit/);
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Image Query Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const test of tests) {
+    try {
+      await test.fn();
+      logSuccess(test.name);
+      passed++;
+    } catch (error) {
+      logError(`${test.name}`);
+      console.error(`  ${error.message}`);
+      if (error.stack) {
+        console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+      }
+      failed++;
+    }
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * Inbox Tests
+ * Tests importing files dropped into the inbox folder (inbox_helper.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const sharp = require('sharp');
+const InboxHelper = require('../inbox_helper');
+const MetadataHelper = require('../metadata_helper');
+const { SYNC_LOG_PATH } = require('../sync_log');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Random-noise JPEG; different seeds give perceptually different images
+ */
+async function createImage(seed, { width = 64, height = 48 } = {}) {
+  const pixels = Buffer.alloc(width * height * 3);
+  let state = seed * 2654435761 % 4294967296 || 1;
+  for (let i = 0; i < pixels.length; i++) {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    pixels[i] = state >>> 24;
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+}
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [] }, null, 2));
+  return root;
+}
+
+async function dropFile(root, relativePath, content) {
+  const filePath = path.join(root, 'inbox', relativePath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+async function readSyncLogs() {
+  try {
+    return JSON.parse(await fs.readFile(SYNC_LOG_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+test('imports dropped files with subfolder names as tags', async () => {
+  const root = await createLibrary('import');
+  await dropFile(root, 'winter/snow/Frozen Lake.jpg', await createImage(1));
+  await dropFile(root, 'sunset.jpg', await createImage(2));
+  const logsBefore = (await readSyncLogs()).length;
+
+  const result = await new InboxHelper(root).processInbox({ settleMs: 0 });
+
+  assert.strictEqual(result.imported.length, 2);
+  assert.deepStrictEqual(result.quarantined, []);
+  assert.deepStrictEqual(result.duplicates, []);
+
+  const metadata = await readMetadata(root);
+  const lake = result.imported.find(item => item.source.endsWith('Frozen Lake.jpg'));
+  assert.match(lake.filename, /^frozen-lake-[0-9a-f]{8}\.jpg$/);
+  assert.deepStrictEqual(metadata.images[lake.filename].tags, ['winter', 'snow']);
+  assert.match(metadata.images[lake.filename].sourceHash, /^[0-9a-f]{64}$/);
+  assert.ok(await exists(path.join(root, 'library', lake.filename)));
+  assert.ok(await exists(path.join(root, 'thumbs', `thumb_${lake.filename}`)));
+
+  const sunset = result.imported.find(item => item.source === 'sunset.jpg');
+  assert.deepStrictEqual(metadata.images[sunset.filename].tags, []);
+
+  // Imported files and their emptied folders are gone; quarantine stays
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'inbox')), ['_quarantine']);
+
+  const logs = await readSyncLogs();
+  assert.strictEqual(logs.length, logsBefore + 1);
+  const entry = logs[0];
+  assert.strictEqual(entry.operation, 'inbox');
+  assert.strictEqual(entry.status, 'success');
+  assert.strictEqual(entry.message, 'Inbox: imported 2 images');
+  assert.ok(entry.details.some(line => line.includes(lake.filename) && line.includes('tags: winter, snow')));
+});
+
+test('quarantines rejected duplicates, unsupported and unreadable files with a reason file', async () => {
+  const root = await createLibrary('quarantine');
+  const original = await createImage(3);
+  await dropFile(root, 'first.jpg', original);
+  await new InboxHelper(root).processInbox({ settleMs: 0 });
+  const [libraryFile] = await fs.readdir(path.join(root, 'library'));
+
+  await dropFile(root, 'again/copy.jpg', original);
+  await dropFile(root, 'notes.txt', 'not an image');
+  await dropFile(root, 'broken.jpg', 'definitely not a jpeg');
+  await dropFile(root, 'empty.png', '');
+
+  const result = await new InboxHelper(root).processInbox({ settleMs: 0 });
+
+  assert.deepStrictEqual(result.imported, []);
+  assert.strictEqual(result.duplicates.length, 1);
+  assert.strictEqual(result.duplicates[0].duplicateOf, libraryFile);
+  assert.deepStrictEqual(
+    result.quarantined.map(item => item.source).sort(),
+    ['broken.jpg', 'empty.png', 'notes.txt']
+  );
+
+  const quarantine = path.join(root, 'inbox', '_quarantine');
+  assert.ok(await exists(path.join(quarantine, 'again', 'copy.jpg')));
+  const duplicateReason = await fs.readFile(path.join(quarantine, 'again', 'copy.jpg.reason.txt'), 'utf8');
+  assert.match(duplicateReason, new RegExp(`^Duplicate of ${libraryFile.replace('.', '\\.')} \\(distance 0\\)`));
+  assert.match(duplicateReason, /File: inbox\/again\/copy\.jpg/);
+  assert.match(await fs.readFile(path.join(quarantine, 'notes.txt.reason.txt'), 'utf8'), /^Unsupported file type/);
+  assert.match(await fs.readFile(path.join(quarantine, 'broken.jpg.reason.txt'), 'utf8'), /^Uploaded file is not a valid image/);
+  assert.match(await fs.readFile(path.join(quarantine, 'empty.png.reason.txt'), 'utf8'), /^File is empty/);
+
+  // Nothing rejected reached the library
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), [libraryFile]);
+  assert.deepStrictEqual(Object.keys((await readMetadata(root)).images), [libraryFile]);
+
+  const [entry] = await readSyncLogs();
+  assert.strictEqual(entry.status, 'warning');
+  assert.strictEqual(entry.message, 'Inbox: rejected 1 duplicate, quarantined 3 files');
+  assert.strictEqual(entry.details.length, 4);
+});
+
+test('duplicates are quarantined unless the setting replaces them or keeps them as variants', async () => {
+  const root = await createLibrary('policy');
+  const original = await createImage(4);
+  await dropFile(root, 'harbor.jpg', original);
+  await new InboxHelper(root).processInbox({ settleMs: 0 });
+  const [libraryFile] = await fs.readdir(path.join(root, 'library'));
+
+  // The default (warn) would import it unreviewed, so the inbox rejects instead
+  assert.strictEqual((await new MetadataHelper(root).getSettings()).duplicatePolicy, 'warn');
+  await dropFile(root, 'harbor-copy.jpg', original);
+  const warned = await new InboxHelper(root).processInbox({ settleMs: 0 });
+  assert.deepStrictEqual(warned.imported, []);
+  assert.strictEqual(warned.duplicates[0].duplicateOf, libraryFile);
+  assert.ok(await exists(path.join(root, 'inbox', '_quarantine', 'harbor-copy.jpg')));
+  assert.deepStrictEqual(Object.keys((await readMetadata(root)).images), [libraryFile]);
+
+  await new MetadataHelper(root).updateSettings({ duplicatePolicy: 'replace-existing' });
+  await dropFile(root, 'harbor-again.jpg', original);
+  const replaced = await new InboxHelper(root).processInbox({ settleMs: 0 });
+  assert.strictEqual(replaced.imported[0].duplicates.action, 'replaced');
+  assert.strictEqual((await readMetadata(root)).images[libraryFile], undefined);
+  const [entry] = await readSyncLogs();
+  assert.ok(entry.details[0].endsWith(`; duplicate of ${libraryFile} (replaced)`));
+});
+
+test('never overwrites an earlier quarantined file', async () => {
+  const root = await createLibrary('collision');
+  const helper = new InboxHelper(root);
+
+  await dropFile(root, 'notes.txt', 'one');
+  await helper.processInbox({ settleMs: 0 });
+  await dropFile(root, 'notes.txt', 'two');
+  await helper.processInbox({ settleMs: 0 });
+
+  const quarantine = path.join(root, 'inbox', '_quarantine');
+  assert.strictEqual(await fs.readFile(path.join(quarantine, 'notes.txt'), 'utf8'), 'one');
+  assert.strictEqual(await fs.readFile(path.join(quarantine, 'notes-2.txt'), 'utf8'), 'two');
+  assert.ok(await exists(path.join(quarantine, 'notes-2.txt.reason.txt')));
+});
+
+test('leaves files that are still being written, hidden files and the quarantine alone', async () => {
+  const root = await createLibrary('pending');
+  const helper = new InboxHelper(root);
+  await dropFile(root, 'copying.jpg', await createImage(4));
+  await dropFile(root, '.DS_Store', 'finder');
+  await dropFile(root, 'trip/Thumbs.db', 'explorer');
+  await dropFile(root, '_quarantine/old.jpg', 'quarantined earlier');
+  const logsBefore = (await readSyncLogs()).length;
+
+  const result = await helper.processInbox({ settleMs: 60 * 1000 });
+
+  assert.strictEqual(result.pending, 1);
+  assert.deepStrictEqual(result.imported, []);
+  assert.deepStrictEqual(result.quarantined, []);
+  assert.ok(await exists(path.join(root, 'inbox', 'copying.jpg')));
+  assert.ok(await exists(path.join(root, 'inbox', '.DS_Store')));
+  assert.ok(await exists(path.join(root, 'inbox', 'trip', 'Thumbs.db')));
+  assert.ok(await exists(path.join(root, 'inbox', '_quarantine', 'old.jpg')));
+  assert.strictEqual((await readSyncLogs()).length, logsBefore, 'idle passes are not logged');
+
+  const later = await helper.processInbox({ settleMs: 60 * 1000, now: Date.now() + 2 * 60 * 1000 });
+  assert.strictEqual(later.imported.length, 1);
+  assert.strictEqual(later.pending, 0);
+});
+
+test('git-excludes the inbox folder', async () => {
+  const root = await createLibrary('git-exclude');
+  await fs.mkdir(path.join(root, '.git', 'info'), { recursive: true });
+  await fs.writeFile(path.join(root, '.git', 'info', 'exclude'), '# git ls-files --others --exclude-from=.git/info/exclude\n');
+
+  await new InboxHelper(root).processInbox({ settleMs: 0 });
+  await new InboxHelper(root).processInbox({ settleMs: 0 });
+
+  const exclude = await fs.readFile(path.join(root, '.git', 'info', 'exclude'), 'utf8');
+  assert.strictEqual(exclude.split('\n').filter(line => line === '/inbox/').length, 1);
+});
+
+async function runTests() {
+  console.log('🧪 Running Inbox Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-inbox-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  // The sync log is shared with the app; put back whatever was there
+  let syncLogSnapshot = null;
+  try {
+    syncLogSnapshot = await fs.readFile(SYNC_LOG_PATH, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    if (syncLogSnapshot === null) {
+      await fs.rm(SYNC_LOG_PATH, { force: true });
+    } else {
+      await fs.writeFile(SYNC_LOG_PATH, syncLogSnapshot);
+    }
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * Integrity Tests
+ * Tests the library integrity scan and its repairs (integrity_helper.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const sharp = require('sharp');
+const simpleGit = require('simple-git');
+const IntegrityScanner = require('../integrity_helper');
+const MetadataHelper = require('../metadata_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const SUNSET = 'sunset-aaaa1111.jpg';
+const TOWER = 'tower-bbbb2222.avif';
+
+function createImage(width, height, format = 'jpeg') {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } }
+  })[format]().toBuffer();
+}
+
+/**
+ * A healthy two-image library committed to git
+ */
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  for (const dir of ['library', 'thumbs', 'originals']) {
+    await fs.mkdir(path.join(root, dir), { recursive: true });
+  }
+  await fs.writeFile(path.join(root, 'library', SUNSET), await createImage(64, 36));
+  await fs.writeFile(path.join(root, 'library', TOWER), await createImage(36, 64, 'avif'));
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.3',
+    images: {
+      [SUNSET]: {
+        matte: 'none', filter: 'None', tags: ['sky'], sourceHash: 'a'.repeat(64),
+        dimensions: { width: 64, height: 36 }, aspectRatio: 1.78
+      },
+      [TOWER]: {
+        matte: 'none', filter: 'None', tags: [], sourceHash: 'b'.repeat(64),
+        dimensions: { width: 36, height: 64 }, aspectRatio: 0.56
+      }
+    },
+    tags: [{ name: 'sky' }]
+  }, null, 2));
+
+  const helper = new MetadataHelper(root);
+  await helper.generateThumbnail(SUNSET);
+  await helper.generateThumbnail(TOWER);
+
+  const git = simpleGit(root);
+  await git.init();
+  await git.addConfig('user.name', 'Test User');
+  await git.addConfig('user.email', 'test@example.com');
+  await git.add('.');
+  await git.commit('Initial library');
+  return { root, git, helper, scanner: new IntegrityScanner(root) };
+}
+
+function findingTypes(scan) {
+  return scan.findings.map(item => `${item.type}:${item.filename || item.path || item.tag}`).sort();
+}
+
+test('A healthy library (including .avif images) has no findings', async () => {
+  const { scanner, helper } = await createLibrary('healthy');
+  const scan = await scanner.scan();
+  assert.deepStrictEqual(scan.findings, []);
+  assert.strictEqual(scan.totals.images, 2);
+  assert.strictEqual(scan.totals.libraryFiles, 2);
+
+  // verifySync shares the extension list, so .avif files count as synced
+  const sync = await helper.verifySync();
+  assert.deepStrictEqual(sync.synced.sort(), [SUNSET, TOWER].sort());
+  assert.deepStrictEqual(sync.onDiskNotInMetadata, []);
+});
+
+test('Scan reports thumbnail, orphan, dimension, hash and tag problems', async () => {
+  const { root, scanner } = await createLibrary('problems');
+  await fs.unlink(path.join(root, 'thumbs', `thumb_${TOWER}`));
+  const past = new Date(Date.now() - 60 * 1000);
+  await fs.utimes(path.join(root, 'thumbs', `thumb_${SUNSET}`), past, past);
+  await fs.writeFile(path.join(root, 'thumbs', 'thumb_gone-cccc3333.jpg'), await createImage(8, 8));
+  await fs.writeFile(path.join(root, 'originals', 'gone-cccc3333_original.jpg'), await createImage(8, 8));
+  await fs.writeFile(path.join(root, 'library', 'stray-dddd4444.png'), await createImage(20, 10, 'png'));
+
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  metadata.images[SUNSET].dimensions = { width: 3840, height: 2160 };
+  metadata.images[SUNSET].tags.push('lost');
+  delete metadata.images[TOWER].sourceHash;
+  metadata.images['missing-eeee5555.jpg'] = { matte: 'none', filter: 'None', tags: [] };
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+  const scan = await scanner.scan();
+  assert.deepStrictEqual(findingTypes(scan), [
+    `dimension-mismatch:${SUNSET}`,
+    'missing-file:missing-eeee5555.jpg',
+    `missing-source-hash:${TOWER}`,
+    `missing-thumbnail:${TOWER}`,
+    'orphaned-original:originals/gone-cccc3333_original.jpg',
+    'orphaned-thumbnail:thumbs/thumb_gone-cccc3333.jpg',
+    `stale-thumbnail:${SUNSET}`,
+    'unknown-tag:lost',
+    'untracked-file:stray-dddd4444.png'
+  ]);
+
+  const mismatch = scan.findings.find(item => item.type === 'dimension-mismatch');
+  assert.strictEqual(mismatch.id, `dimension-mismatch:library/${SUNSET}`);
+  assert.strictEqual(mismatch.repair, 're-measure');
+  assert.deepStrictEqual(mismatch.actual, { dimensions: { width: 64, height: 36 }, aspectRatio: 1.78 });
+  assert.deepStrictEqual(scan.findings.find(item => item.type === 'unknown-tag').images, [SUNSET]);
+});
+
+test('Scan flags LFS pointers, empty and undecodable files', async () => {
+  const { root, scanner } = await createLibrary('broken');
+  await fs.writeFile(path.join(root, 'library', SUNSET),
+    'version https://git-lfs.github.com/spec/v1\noid sha256:abc\nsize 123\n');
+  await fs.writeFile(path.join(root, 'library', TOWER), '');
+
+  let scan = await scanner.scan();
+  assert.deepStrictEqual(findingTypes(scan), [`empty-file:${TOWER}`, `lfs-pointer:${SUNSET}`]);
+  assert.strictEqual(scan.findings.find(item => item.type === 'lfs-pointer').repair, 'hydrate');
+  assert.strictEqual(scan.findings.find(item => item.type === 'empty-file').repair, 'move-to-trash');
+
+  // Garbage bytes with a usable original backup: restore from it
+  await fs.writeFile(path.join(root, 'library', SUNSET), Buffer.from('not an image at all'));
+  await fs.writeFile(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'), await createImage(64, 36));
+  scan = await scanner.scan();
+  const undecodable = scan.findings.find(item => item.type === 'undecodable-file');
+  assert.strictEqual(undecodable.filename, SUNSET);
+  assert.strictEqual(undecodable.repair, 'restore-original');
+});
+
+test('Deep scan catches truncated images that have a valid header', async () => {
+  const { root, scanner } = await createLibrary('truncated');
+  const full = await sharp({
+    create: { width: 400, height: 300, channels: 3, noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+  }).jpeg().toBuffer();
+  await fs.writeFile(path.join(root, 'library', SUNSET), full.subarray(0, Math.floor(full.length / 2)));
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  metadata.images[SUNSET].dimensions = { width: 400, height: 300 };
+  metadata.images[SUNSET].aspectRatio = 1.33;
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  await fs.utimes(path.join(root, 'thumbs', `thumb_${SUNSET}`), new Date(), new Date(Date.now() + 60 * 1000));
+
+  assert.deepStrictEqual((await scanner.scan()).findings, []);
+  assert.deepStrictEqual(findingTypes(await scanner.scan({ deep: true })), [`undecodable-file:${SUNSET}`]);
+});
+
+test('Repair fixes selected findings in one commit and skips stale ids', async () => {
+  const { root, git, scanner } = await createLibrary('repair');
+  await fs.unlink(path.join(root, 'thumbs', `thumb_${TOWER}`));
+  await fs.writeFile(path.join(root, 'thumbs', 'thumb_gone-cccc3333.jpg'), await createImage(8, 8));
+  await fs.writeFile(path.join(root, 'library', 'stray-dddd4444.png'), await createImage(20, 10, 'png'));
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  metadata.images[SUNSET].dimensions = { width: 3840, height: 2160 };
+  metadata.images[SUNSET].tags.push('lost');
+  delete metadata.images[TOWER].sourceHash;
+  metadata.images['missing-eeee5555.jpg'] = { matte: 'none', filter: 'None', tags: ['sky'] };
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  await git.add('.');
+  await git.commit('Damaged library');
+
+  const scan = await scanner.scan();
+  const ids = [...scan.findings.map(item => item.id), 'missing-thumbnail:thumbs/thumb_nope.jpg'];
+  const { result, message, committed } = await scanner.repair(ids);
+
+  assert.strictEqual(result.failed.length, 0, JSON.stringify(result.failed));
+  assert.strictEqual(result.repaired.length, scan.findings.length);
+  assert.deepStrictEqual(result.skipped, [{ id: 'missing-thumbnail:thumbs/thumb_nope.jpg', reason: 'No longer found' }]);
+  assert.ok(committed);
+  assert.ok(message.startsWith('integrity repair: '), message);
+  assert.ok(message.includes('regenerated 1 thumbnail'), message);
+  assert.ok(message.includes('re-imported 1 image'), message);
+
+  const repaired = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.deepStrictEqual(repaired.images[SUNSET].dimensions, { width: 64, height: 36 });
+  assert.strictEqual(repaired.images[SUNSET].aspectRatio, 1.78);
+  assert.match(repaired.images[TOWER].sourceHash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(repaired.images['missing-eeee5555.jpg'], undefined);
+  assert.deepStrictEqual(repaired.images['stray-dddd4444.png'].dimensions, { width: 20, height: 10 });
+  assert.strictEqual(repaired.images['stray-dddd4444.png'].aspectRatio, 2);
+  assert.ok(repaired.tags.some(tag => tag.name === 'lost'));
+  await fs.access(path.join(root, 'thumbs', `thumb_${TOWER}`));
+  await fs.access(path.join(root, 'thumbs', 'thumb_stray-dddd4444.png'));
+  await assert.rejects(fs.access(path.join(root, 'thumbs', 'thumb_gone-cccc3333.jpg')));
+
+  assert.deepStrictEqual((await scanner.scan()).findings, []);
+  const status = await git.status();
+  assert.deepStrictEqual(status.files, [], JSON.stringify(status.files));
+  const log = await git.log({ maxCount: 1 });
+  assert.strictEqual(log.latest.message, message);
+
+  // The orphaned record went to the trash, so it can be restored
+  const trashDir = path.join(root, '.frame_art_manager', 'trash');
+  assert.strictEqual((await fs.readdir(trashDir)).length, 1);
+});
+
+test('Repair restores a broken image from its original and rejects bad input', async () => {
+  const { root, scanner } = await createLibrary('restore');
+  await fs.writeFile(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'), await createImage(80, 40));
+  await fs.writeFile(path.join(root, 'library', SUNSET), Buffer.from('not an image at all'));
+
+  const { result } = await scanner.repair([`undecodable-file:library/${SUNSET}`]);
+  assert.deepStrictEqual(result.repaired, [{ id: `undecodable-file:library/${SUNSET}`, action: 'restore-original' }]);
+  const info = await sharp(path.join(root, 'library', SUNSET)).metadata();
+  assert.strictEqual(info.width, 80);
+  await assert.rejects(fs.access(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg')));
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.deepStrictEqual(metadata.images[SUNSET].dimensions, { width: 80, height: 40 });
+  assert.strictEqual(metadata.images[SUNSET].aspectRatio, 2);
+
+  await assert.rejects(scanner.repair([]), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(scanner.repair('all'), { code: 'VALIDATION_ERROR' });
+});
+
+async function runTests() {
+  console.log('🧪 Running Integrity Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-integrity-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+
+/**
+ * Job Tests
+ * Tests the job manager (job_manager.js), the trackJob middleware and the
+ * /api/jobs routes, including the SSE progress stream and cancellation
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const express = require('express');
+const sharp = require('sharp');
+const jobsRouter = require('../routes/jobs');
+const MetadataHelper = require('../metadata_helper');
+const { JobManager, getJobManager, trackJob } = require('../job_manager');
+const { ingestUploadedFile } = require('../upload_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [] }, null, 2));
+  return root;
+}
+
+async function createImage(color) {
+  return sharp({
+    create: { width: 32, height: 18, channels: 3, background: color }
+  }).jpeg().toBuffer();
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+// Wait until check() is truthy (background jobs finish on their own schedule)
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// In-process app with the jobs API and a tracked route the test drives
+async function startApp(root, work, jobOptions = {}) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.frameArtPath = root;
+    next();
+  });
+  app.use('/api/jobs', jobsRouter);
+  app.post('/api/work', trackJob('work', { label: 'Test work', ...jobOptions }), async (req, res) => {
+    try {
+      res.json(await work(req.job));
+    } catch (error) {
+      res.status(error.code === 'CANCELLED' ? 409 : 500).json({ error: error.message });
+    }
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Read an SSE response into [{event, data}] until the server closes it
+async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n')
+    .filter(block => block.startsWith('event:'))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+test('records steps and progress and persists finished jobs', async () => {
+  const root = await createLibrary('manager');
+  const manager = new JobManager(root);
+  await manager.ready;
+
+  const result = await manager.run('thumbnails', { label: 'Thumbnails' }, async job => {
+    job.step('Generating thumbnails', { total: 2 });
+    job.progress(1, 2, 'a.jpg');
+    assert.strictEqual(manager.get(job.id).message, 'a.jpg');
+    job.step('Cleaning up');
+    return { regenerated: 2 };
+  });
+  assert.deepStrictEqual(result, { regenerated: 2 });
+
+  const [job] = manager.list();
+  assert.strictEqual(job.status, 'succeeded');
+  assert.deepStrictEqual(job.result, { regenerated: 2 });
+  assert.deepStrictEqual(job.log.map(entry => entry.step), ['Generating thumbnails', 'Cleaning up']);
+  assert.ok(job.finishedAt);
+
+  await assert.rejects(manager.run('sync', {}, async () => {
+    throw new Error('Push failed');
+  }), /Push failed/);
+  assert.strictEqual(manager.list()[0].status, 'failed');
+  assert.strictEqual(manager.list()[0].error, 'Push failed');
+
+  await manager.save();
+  const reloaded = new JobManager(root);
+  await reloaded.ready;
+  assert.deepStrictEqual(reloaded.list().map(item => item.status).sort(), ['failed', 'succeeded']);
+});
+
+test('jobs still running at restart come back as interrupted', async () => {
+  const root = await createLibrary('interrupted');
+  const manager = new JobManager(root);
+  await manager.ready;
+  const job = manager.create('upload', { label: 'Upload a.jpg' });
+  job.step('Computing perceptual hash');
+  await manager.save();
+
+  const reloaded = new JobManager(root);
+  await reloaded.ready;
+  const record = reloaded.get(job.id);
+  assert.strictEqual(record.status, 'interrupted');
+  assert.strictEqual(record.step, 'Computing perceptual hash');
+  assert.match(record.error, /restarted/);
+  assert.deepStrictEqual(reloaded.list({ active: true }), []);
+
+  // Written back so a second restart does not count it again
+  const stored = JSON.parse(await fs.readFile(path.join(root, '.frame_art_manager', 'jobs.json'), 'utf8'));
+  assert.strictEqual(stored.jobs[0].status, 'interrupted');
+});
+
+test('cancels background jobs at their next safe point', async () => {
+  const root = await createLibrary('cancel');
+  const manager = new JobManager(root);
+  await manager.ready;
+
+  const gate = deferred();
+  const started = manager.start('thumbnails', { label: 'Thumbnails' }, async job => {
+    await gate.promise;
+    job.throwIfCancelled();
+    return { regenerated: 1 };
+  });
+  assert.strictEqual(started.status, 'running');
+  assert.deepStrictEqual(manager.list({ active: true }).map(job => job.id), [started.id]);
+
+  assert.strictEqual(manager.cancel(started.id).cancelRequested, true);
+  gate.resolve();
+  await waitFor(() => manager.get(started.id).status !== 'running');
+  assert.strictEqual(manager.get(started.id).status, 'cancelled');
+  assert.strictEqual(manager.get(started.id).error, null);
+
+  assert.throws(() => manager.cancel(started.id), { code: 'CONFLICT' });
+  assert.throws(() => manager.cancel('no-such-job'), { code: 'NOT_FOUND' });
+
+  const sync = manager.create('sync', { label: 'Full sync', cancellable: false });
+  assert.throws(() => manager.cancel(sync.id), { code: 'CONFLICT', message: 'Full sync cannot be cancelled' });
+  await manager.save();
+});
+
+test('uses well-formed client job ids once', async () => {
+  const root = await createLibrary('client-ids');
+  const manager = new JobManager(root);
+  await manager.ready;
+
+  assert.strictEqual(manager.create('upload', { id: 'client-id-123' }).id, 'client-id-123');
+  for (const id of ['client-id-123', 'short', '../../etc', 'has space here']) {
+    const job = manager.create('upload', { id });
+    assert.notStrictEqual(job.id, id);
+    assert.match(job.id, /^[0-9a-f-]{36}$/);
+  }
+  await manager.save();
+});
+
+test('trackJob streams progress over SSE and finishes with the response', async () => {
+  const root = await createLibrary('sse');
+  const gate = deferred();
+  const { server, baseUrl } = await startApp(root, async job => {
+    job.step('Working', { total: 2 });
+    await gate.promise;
+    job.progress(1, 2, 'one.jpg');
+    job.step('Finishing');
+    return { success: true };
+  });
+
+  try {
+    const request = fetch(`${baseUrl}/api/work`, { method: 'POST', headers: { 'X-Job-Id': 'sse-test-job-1' } });
+    const manager = getJobManager(root);
+    await waitFor(() => manager.get('sse-test-job-1')?.step === 'Working');
+
+    const events = await fetch(`${baseUrl}/api/jobs/sse-test-job-1/events`);
+    assert.strictEqual(events.headers.get('content-type'), 'text/event-stream');
+    const received = readEvents(events);
+    gate.resolve();
+
+    const response = await request;
+    assert.strictEqual(response.headers.get('x-job-id'), 'sse-test-job-1');
+    assert.deepStrictEqual(await response.json(), { success: true, jobId: 'sse-test-job-1' });
+
+    const stream = await received;
+    assert.strictEqual(stream[0].event, 'progress');
+    assert.strictEqual(stream[0].data.step, 'Working');
+    assert.ok(stream.some(item => item.data.message === 'one.jpg'));
+    assert.ok(stream.some(item => item.data.step === 'Finishing'));
+    const last = stream[stream.length - 1];
+    assert.strictEqual(last.event, 'done');
+    assert.strictEqual(last.data.status, 'succeeded');
+
+    // A finished job sends its final state and closes at once
+    const replay = await readEvents(await fetch(`${baseUrl}/api/jobs/sse-test-job-1/events`));
+    assert.deepStrictEqual(replay.map(item => item.event), ['done']);
+
+    const listed = await (await fetch(`${baseUrl}/api/jobs`)).json();
+    assert.strictEqual(listed.jobs[0].id, 'sse-test-job-1');
+    assert.strictEqual((await fetch(`${baseUrl}/api/jobs/unknown-job-id`)).status, 404);
+    assert.strictEqual((await fetch(`${baseUrl}/api/jobs/unknown-job-id/events`)).status, 404);
+  } finally {
+    server.close();
+    await getJobManager(root).save();
+  }
+});
+
+test('the cancel endpoint stops a tracked request', async () => {
+  const root = await createLibrary('cancel-route');
+  const gate = deferred();
+  const { server, baseUrl } = await startApp(root, async job => {
+    await gate.promise;
+    job.throwIfCancelled();
+    return { success: true };
+  });
+
+  try {
+    const request = fetch(`${baseUrl}/api/work`, { method: 'POST', headers: { 'X-Job-Id': 'cancel-test-job' } });
+    await waitFor(() => getJobManager(root).get('cancel-test-job'));
+
+    const cancelled = await fetch(`${baseUrl}/api/jobs/cancel-test-job/cancel`, { method: 'POST' });
+    assert.strictEqual(cancelled.status, 200);
+    assert.strictEqual((await cancelled.json()).job.cancelRequested, true);
+    gate.resolve();
+
+    const response = await request;
+    assert.strictEqual(response.status, 409);
+    const job = (await (await fetch(`${baseUrl}/api/jobs/cancel-test-job`)).json()).job;
+    assert.strictEqual(job.status, 'cancelled');
+
+    assert.strictEqual((await fetch(`${baseUrl}/api/jobs/cancel-test-job/cancel`, { method: 'POST' })).status, 409);
+    assert.strictEqual((await fetch(`${baseUrl}/api/jobs/unknown-job-id/cancel`, { method: 'POST' })).status, 404);
+  } finally {
+    server.close();
+    await getJobManager(root).save();
+  }
+});
+
+test('a tracked request finishes with its handler after the client disconnects', async () => {
+  const root = await createLibrary('disconnect');
+  const gate = deferred();
+  const stuck = deferred();
+  const { server, baseUrl } = await startApp(root, async job => {
+    await (job.id === 'stuck-test-job' ? stuck.promise : gate.promise);
+    job.step('Finishing');
+    return { success: true };
+  }, { abandonMs: 200 });
+  const manager = getJobManager(root);
+
+  try {
+    // The handler still answers: the job takes its outcome
+    const controller = new AbortController();
+    const request = fetch(`${baseUrl}/api/work`, {
+      method: 'POST', headers: { 'X-Job-Id': 'disconnect-test-job' }, signal: controller.signal
+    }).catch(error => error);
+    await waitFor(() => manager.get('disconnect-test-job'));
+    controller.abort();
+    await request;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual(manager.get('disconnect-test-job').status, 'running');
+    gate.resolve();
+    await waitFor(() => manager.get('disconnect-test-job').status !== 'running');
+    assert.strictEqual(manager.get('disconnect-test-job').status, 'succeeded');
+
+    // A handler that goes quiet is failed after abandonMs
+    const stuckController = new AbortController();
+    const stuckRequest = fetch(`${baseUrl}/api/work`, {
+      method: 'POST', headers: { 'X-Job-Id': 'stuck-test-job' }, signal: stuckController.signal
+    }).catch(error => error);
+    await waitFor(() => manager.get('stuck-test-job'));
+    stuckController.abort();
+    await stuckRequest;
+    await waitFor(() => manager.get('stuck-test-job').status !== 'running');
+    assert.strictEqual(manager.get('stuck-test-job').status, 'failed');
+    assert.strictEqual(manager.get('stuck-test-job').error, 'Request closed before it finished');
+  } finally {
+    stuck.resolve();
+    server.close();
+    await manager.save();
+  }
+});
+
+test('regenerates thumbnails with progress', async () => {
+  const root = await createLibrary('thumbnails');
+  const helper = new MetadataHelper(root);
+  for (const [name, color] of [['a.jpg', { r: 200, g: 0, b: 0 }], ['b.jpg', { r: 0, g: 200, b: 0 }]]) {
+    await fs.writeFile(path.join(root, 'library', name), await createImage(color));
+    await helper.addImage(name, 'none', 'none', []);
+  }
+  // A record whose file is missing fails without stopping the rest
+  const metadataPath = path.join(root, 'metadata.json');
+  const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  metadata.images['gone.jpg'] = { matte: 'none', filter: 'none', tags: [] };
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+  const manager = new JobManager(root);
+  await manager.ready;
+  const result = await manager.run('thumbnails', {}, job => helper.regenerateThumbnails(null, { job }));
+  assert.strictEqual(result.regenerated, 2);
+  assert.deepStrictEqual(result.failed.map(item => item.filename), ['gone.jpg']);
+  await fs.access(path.join(root, 'thumbs', 'thumb_a.jpg'));
+
+  const job = manager.list()[0];
+  assert.strictEqual(job.step, 'Generating thumbnails');
+  assert.strictEqual(job.current, 3);
+  assert.strictEqual(job.total, 3);
+  await manager.save();
+});
+
+test('cancelling an upload before it is recorded removes the file', async () => {
+  const root = await createLibrary('upload-cancel');
+  const manager = new JobManager(root);
+  await manager.ready;
+  const job = manager.create('upload', { label: 'Upload' });
+  const filePath = path.join(root, 'library', 'cancel-me.jpg');
+  await fs.writeFile(filePath, await createImage({ r: 5, g: 5, b: 5 }));
+  manager.cancel(job.id);
+
+  await assert.rejects(ingestUploadedFile(root, {
+    file: { path: filePath, filename: 'cancel-me.jpg', mimetype: 'image/jpeg', originalname: 'cancel-me.jpg' },
+    job
+  }), { code: 'CANCELLED' });
+  await assert.rejects(fs.access(filePath));
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.deepStrictEqual(metadata.images, {});
+  await manager.save();
+});
+
+async function runTests() {
+  console.log('🧪 Running Job Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-jobs-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
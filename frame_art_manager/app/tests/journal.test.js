@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Journal Tests
+ * Tests recording library operations and undoing them (journal_helper.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const JournalHelper = require('../journal_helper');
+const { diffImageFields, MAX_JOURNAL_ENTRIES } = require('../journal_helper');
+const MetadataHelper = require('../metadata_helper');
+const TrashHelper = require('../trash_helper');
+const BatchOperations = require('../batch_operations');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const SUNSET = 'sunset-aaaa1111.jpg';
+const LAKE = 'lake-bbbb2222.jpg';
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  for (const dir of ['library', 'thumbs', 'originals']) {
+    await fs.mkdir(path.join(root, dir), { recursive: true });
+  }
+  await fs.writeFile(path.join(root, 'library', SUNSET), 'sunset');
+  await fs.writeFile(path.join(root, 'thumbs', `thumb_${SUNSET}`), 'thumb');
+  await fs.writeFile(path.join(root, 'library', LAKE), 'lake');
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.3',
+    images: {
+      [SUNSET]: { matte: 'none', filter: 'None', tags: ['sky', 'summer'], title: 'Sunset' },
+      [LAKE]: { matte: 'none', filter: 'None', tags: ['summer'] }
+    },
+    tags: [{ name: 'sky', color: '#ff8800' }, { name: 'summer' }]
+  }, null, 2));
+  return { root, helper: new MetadataHelper(root), journal: new JournalHelper(root) };
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+test('diffImageFields records only changed fields, absent as null', () => {
+  const changes = diffImageFields(
+    { [SUNSET]: { matte: 'none', tags: ['sky'] }, [LAKE]: { matte: 'none' } },
+    { [SUNSET]: { matte: 'none', tags: [], title: 'Sunset' }, [LAKE]: { matte: 'none' } },
+    [SUNSET, LAKE, 'missing-cccc3333.jpg'],
+    ['matte', 'tags', 'title']
+  );
+  assert.deepStrictEqual(changes, [
+    { filename: SUNSET, before: { tags: ['sky'], title: null }, after: { tags: [], title: 'Sunset' } }
+  ]);
+});
+
+test('undo puts back tags removed from a selection, with their library entries', async () => {
+  const { helper, journal } = await createLibrary('remove-tag');
+  const { journalId } = await journal.trackFieldChanges(
+    'batch-remove-tag',
+    changes => `Removed tag "sky" from ${changes.length} images`,
+    { filenames: [SUNSET, LAKE], fields: ['tags'] },
+    () => helper.batchRemoveTag([SUNSET, LAKE], 'sky')
+  );
+
+  const [listed] = await journal.listEntries();
+  assert.deepStrictEqual(
+    { id: listed.id, summary: listed.summary, undoable: listed.undoable },
+    { id: journalId, summary: 'Removed tag "sky" from 1 images', undoable: true }
+  );
+
+  const { entry } = await journal.undo(journalId);
+  assert.strictEqual(entry.undoable, false);
+  const metadata = await helper.readMetadata();
+  assert.deepStrictEqual(metadata.images[SUNSET].tags, ['sky', 'summer']);
+  assert.deepStrictEqual(metadata.tags.find(tag => tag.name === 'sky'), { name: 'sky', color: '#ff8800' });
+
+  await assert.rejects(() => journal.undo(journalId), { code: 'CONFLICT' });
+});
+
+test('undo refuses when the image changed again since', async () => {
+  const { helper, journal } = await createLibrary('conflict');
+  const { journalId } = await journal.trackFieldChanges(
+    'update', () => 'Edited sunset', { filenames: [SUNSET], fields: ['matte'] },
+    () => helper.updateImage(SUNSET, { matte: 'shadowbox_polar' })
+  );
+  await helper.updateImage(SUNSET, { matte: 'flexible_black' });
+
+  await assert.rejects(() => journal.undo(journalId), error => {
+    assert.strictEqual(error.code, 'CONFLICT');
+    assert.deepStrictEqual(error.details, [`${SUNSET} has changed since`]);
+    return true;
+  });
+  assert.strictEqual((await helper.readMetadata()).images[SUNSET].matte, 'flexible_black');
+  assert.strictEqual((await journal.listEntries())[0].undoable, true);
+});
+
+test('undo of a tag delete restores it on every image', async () => {
+  const { helper, journal } = await createLibrary('tag-delete');
+  const { journalId } = await journal.trackFieldChanges(
+    'tag-delete', changes => `Deleted tag "summer" (from ${changes.length} images)`, { fields: ['tags'] },
+    () => helper.removeTag('summer')
+  );
+
+  await journal.undo(journalId);
+  const metadata = await helper.readMetadata();
+  assert.deepStrictEqual(metadata.images[SUNSET].tags, ['sky', 'summer']);
+  assert.deepStrictEqual(metadata.images[LAKE].tags, ['summer']);
+  assert.ok(metadata.tags.some(tag => tag.name === 'summer'));
+});
+
+test('writes by other requests during a tracked operation are not journaled', async () => {
+  const { helper, journal } = await createLibrary('concurrent');
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const tracked = journal.trackFieldChanges(
+    'tag-delete', changes => `Deleted tag "summer" (from ${changes.length} images)`, { fields: ['tags'] },
+    async () => {
+      await gate;
+      return helper.removeTag('summer');
+    }
+  );
+  // Lands after the operation started but before its own write
+  await new MetadataHelper(helper.frameArtPath).batchAddTag([LAKE], 'autumn');
+  release();
+  const { journalId } = await tracked;
+
+  await journal.undo(journalId);
+  const metadata = await helper.readMetadata();
+  assert.deepStrictEqual([...metadata.images[LAKE].tags].sort(), ['autumn', 'summer']);
+  assert.deepStrictEqual(metadata.images[SUNSET].tags, ['sky', 'summer']);
+});
+
+test('undo restores deleted images from the trash and moves renamed images back', async () => {
+  const { root, helper, journal } = await createLibrary('files');
+
+  const trashEntry = await new TrashHelper(root).moveToTrash(LAKE);
+  const deleted = await journal.record('delete', `Deleted ${LAKE}`, { trash: [{ id: trashEntry.id, filename: LAKE }] });
+
+  const { result } = await new BatchOperations(root).run([SUNSET], { rename: 'evening', matte: 'modern_black' });
+  const renamed = await journal.record('batch', 'batch update of 1 image', result.inverse);
+  assert.ok(await exists(path.join(root, 'library', 'evening-aaaa1111.jpg')));
+
+  await journal.undo(deleted.id);
+  await journal.undo(renamed.id);
+
+  const metadata = await helper.readMetadata();
+  assert.deepStrictEqual(Object.keys(metadata.images).sort(), [LAKE, SUNSET]);
+  assert.strictEqual(metadata.images[SUNSET].matte, 'none');
+  assert.strictEqual(metadata.images[SUNSET].title, 'Sunset');
+  assert.ok(await exists(path.join(root, 'library', SUNSET)));
+  assert.ok(await exists(path.join(root, 'thumbs', `thumb_${SUNSET}`)));
+  assert.ok(!(await exists(path.join(root, 'library', 'evening-aaaa1111.jpg'))));
+
+  // A purged trash entry can't come back
+  const again = await new TrashHelper(root).moveToTrash(LAKE);
+  const entry = await journal.record('delete', `Deleted ${LAKE}`, { trash: [{ id: again.id, filename: LAKE }] });
+  await new TrashHelper(root).purge(again.id);
+  await assert.rejects(() => journal.undo(entry.id), { code: 'CONFLICT' });
+});
+
+test('concurrent undos apply the inverse once', async () => {
+  const { helper, journal } = await createLibrary('concurrent-undo');
+  const { journalId } = await journal.trackFieldChanges(
+    'update', () => 'Edited sunset', { filenames: [SUNSET], fields: ['matte'] },
+    () => helper.updateImage(SUNSET, { matte: 'shadowbox_polar' })
+  );
+
+  const outcomes = await Promise.allSettled([journal.undo(journalId), journal.undo(journalId)]);
+  assert.deepStrictEqual(outcomes.map(outcome => outcome.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(outcomes.find(outcome => outcome.status === 'rejected').reason.code, 'CONFLICT');
+  assert.strictEqual((await helper.readMetadata()).images[SUNSET].matte, 'none');
+});
+
+test('a failed undo puts restored images back in the trash and stays undoable', async () => {
+  const { root, helper, journal } = await createLibrary('failed-undo');
+  const trash = new TrashHelper(root);
+  const trashEntry = await trash.moveToTrash(LAKE);
+  // The change no longer matches the record, so undoing it conflicts after the restore
+  const entry = await journal.record('batch', 'batch delete and edit', {
+    trash: [{ id: trashEntry.id, filename: LAKE }],
+    changes: [{ filename: SUNSET, before: { matte: 'modern_black' }, after: { matte: 'shadowbox_polar' } }]
+  });
+
+  await assert.rejects(() => journal.undo(entry.id), { code: 'CONFLICT' });
+  assert.strictEqual((await helper.readMetadata()).images[LAKE], undefined);
+  assert.ok(!(await exists(path.join(root, 'library', LAKE))));
+  const [listed] = await journal.listEntries();
+  assert.strictEqual(listed.undoable, true);
+
+  // The entry now points at the new trash entry, so undo works once the conflict is gone
+  await helper.updateImage(SUNSET, { matte: 'shadowbox_polar' });
+  await journal.undo(entry.id);
+  const metadata = await helper.readMetadata();
+  assert.ok(metadata.images[LAKE]);
+  assert.strictEqual(metadata.images[SUNSET].matte, 'modern_black');
+});
+
+test('undo of a revert brings the edited file back and the original becomes the backup again', async () => {
+  const { root, journal } = await createLibrary('revert');
+  await fs.writeFile(path.join(root, 'library', SUNSET), 'edited');
+  const backupPath = path.join(root, 'originals', 'sunset-aaaa1111_original.jpg');
+
+  // Stand-in for ImageEditService.revertToOriginal (no image decoding here)
+  const { journalId } = await journal.trackRevert(SUNSET, async () => {
+    await fs.writeFile(path.join(root, 'library', SUNSET), 'original');
+    return { dimensions: undefined, aspectRatio: undefined };
+  });
+
+  await journal.undo(journalId);
+  assert.strictEqual(await fs.readFile(path.join(root, 'library', SUNSET), 'utf8'), 'edited');
+  assert.strictEqual(await fs.readFile(backupPath, 'utf8'), 'original');
+});
+
+test('only the last entries are kept; unknown ids are NOT_FOUND', async () => {
+  const { journal } = await createLibrary('limit');
+  for (let i = 0; i < MAX_JOURNAL_ENTRIES + 3; i++) {
+    await journal.record('delete', `op ${i}`, { trash: [] });
+  }
+  const entries = await journal.listEntries({ limit: MAX_JOURNAL_ENTRIES + 10 });
+  assert.strictEqual(entries.length, MAX_JOURNAL_ENTRIES);
+  assert.strictEqual(entries[0].summary, `op ${MAX_JOURNAL_ENTRIES + 2}`);
+  assert.strictEqual((await journal.listEntries({ limit: 2 })).length, 2);
+
+  await assert.rejects(() => journal.undo('1700000000000-deadbeef'), { code: 'NOT_FOUND' });
+  await assert.rejects(() => journal.undo('../journal'), { code: 'NOT_FOUND' });
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Journal Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-journal-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Library Index Tests
+ * Tests the in-memory library snapshot used by the image read endpoints
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const MetadataHelper = require('../metadata_helper');
+const LibraryIndex = require('../library_index');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create a fresh library directory with one image on disk
+async function createLibrary(name) {
+  const libraryRoot = path.join(testPath, name);
+  await fs.mkdir(path.join(libraryRoot, 'library'), { recursive: true });
+  await fs.mkdir(path.join(libraryRoot, 'originals'), { recursive: true });
+  await fs.writeFile(path.join(libraryRoot, 'library', 'sunset-aaaa1111.jpg'), Buffer.alloc(1234));
+  await fs.writeFile(path.join(libraryRoot, 'metadata.json'), JSON.stringify({
+    version: '1.2',
+    images: {
+      'sunset-aaaa1111.jpg': { matte: 'none', filter: 'None', tags: ['sky'] },
+      'missing-bbbb2222.jpg': { matte: 'none', filter: 'None', tags: [] }
+    },
+    tags: ['sky']
+  }, null, 2));
+  return libraryRoot;
+}
+
+// UNIT TESTS
+
+test('UNIT: snapshot enriches records with fileSize and hasBackup', async () => {
+  const root = await createLibrary('enrich');
+  await fs.writeFile(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'), Buffer.alloc(10));
+
+  const images = await new MetadataHelper(root).getAllImages();
+
+  assert.strictEqual(images['sunset-aaaa1111.jpg'].fileSize, 1234);
+  assert.strictEqual(images['sunset-aaaa1111.jpg'].hasBackup, true);
+  assert.strictEqual(images['missing-bbbb2222.jpg'].fileSize, undefined);
+  assert.strictEqual(images['missing-bbbb2222.jpg'].hasBackup, false);
+});
+
+test('UNIT: repeated reads are served from the cache', async () => {
+  const root = await createLibrary('cache');
+  const helper = new MetadataHelper(root);
+
+  const first = await helper.getLibrarySnapshot();
+  const second = await new MetadataHelper(root).getLibrarySnapshot();
+
+  assert.strictEqual(first, second, 'Expected the same snapshot object');
+  assert.ok(/^W\/"lib-[0-9a-f]+"$/.test(first.etag), `Unexpected ETag ${first.etag}`);
+});
+
+test('UNIT: metadata writes invalidate the snapshot and change the ETag', async () => {
+  const root = await createLibrary('own-write');
+  const helper = new MetadataHelper(root);
+
+  const before = await helper.getLibrarySnapshot();
+  await helper.updateImage('sunset-aaaa1111.jpg', { tags: ['sky', 'beach'] });
+  const after = await helper.getLibrarySnapshot();
+
+  assert.notStrictEqual(before.etag, after.etag);
+  assert.deepStrictEqual(after.images['sunset-aaaa1111.jpg'].tags, ['sky', 'beach']);
+  assert.deepStrictEqual(Object.keys(await helper.getImagesByTag('beach')), ['sunset-aaaa1111.jpg']);
+});
+
+test('UNIT: external metadata.json edits are picked up', async () => {
+  const root = await createLibrary('external-edit');
+  const helper = new MetadataHelper(root);
+  await helper.getLibrarySnapshot();
+
+  const metadataPath = path.join(root, 'metadata.json');
+  const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  metadata.images['sunset-aaaa1111.jpg'].matte = 'modern_apricot';
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 4));
+
+  const images = await helper.getAllImages();
+  assert.strictEqual(images['sunset-aaaa1111.jpg'].matte, 'modern_apricot');
+});
+
+test('UNIT: explicit invalidation forces a rebuild', async () => {
+  const root = await createLibrary('explicit');
+  const helper = new MetadataHelper(root);
+
+  const before = await helper.getLibrarySnapshot();
+  LibraryIndex.invalidate(root, 'test');
+  const after = await helper.getLibrarySnapshot();
+
+  assert.notStrictEqual(before, after);
+  assert.strictEqual(before.etag, after.etag, 'Unchanged content should keep its ETag');
+});
+
+test('UNIT: library file changes are picked up by the watcher', async () => {
+  const root = await createLibrary('watch');
+  const helper = new MetadataHelper(root);
+  await helper.getLibrarySnapshot();
+
+  await fs.writeFile(path.join(root, 'library', 'missing-bbbb2222.jpg'), Buffer.alloc(42));
+
+  let images;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    await sleep(50);
+    images = await helper.getAllImages();
+    if (images['missing-bbbb2222.jpg'].fileSize === 42) break;
+  }
+  assert.strictEqual(images['missing-bbbb2222.jpg'].fileSize, 42);
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Library Index Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-library-index-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
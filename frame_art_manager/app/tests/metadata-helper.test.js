@@ -146,6 +146,41 @@ test('INTEGRATION: updateImage modifies metadata', async () => {
   assert.deepStrictEqual(updatedImage.tags, updates.tags);
 });
 
+test('INTEGRATION: updateImage stores, trims and clears descriptive fields', async () => {
+  const filename = 'test-image-abc123.jpg';
+
+  await helper.updateImage(filename, {
+    title: '  Starry   Night ',
+    artist: 'Vincent van Gogh',
+    year: 'c. 1889',
+    sourceUrl: 'https://example.com/starry-night',
+    notes: 'Line one\r\nLine two'
+  });
+  let image = (await helper.readMetadata()).images[filename];
+  assert.strictEqual(image.title, 'Starry Night');
+  assert.strictEqual(image.year, 'c. 1889');
+  assert.strictEqual(image.notes, 'Line one\nLine two');
+
+  await helper.updateImage(filename, { notes: '', artist: null });
+  image = (await helper.readMetadata()).images[filename];
+  assert.ok(!('notes' in image), 'Empty value should remove the field');
+  assert.ok(!('artist' in image), 'null should remove the field');
+  assert.strictEqual(image.title, 'Starry Night', 'Untouched fields are kept');
+});
+
+test('INTEGRATION: updateImage rejects invalid descriptive fields without writing', async () => {
+  const filename = 'test-image-abc123.jpg';
+  const before = await helper.readMetadata();
+
+  await assert.rejects(
+    () => helper.updateImage(filename, { sourceUrl: 'javascript:alert(1)', year: 'sometime', matte: 'none' }),
+    error => error.code === 'VALIDATION_ERROR' && error.details.length === 2
+  );
+
+  const after = await helper.readMetadata();
+  assert.deepStrictEqual(after.images[filename], before.images[filename]);
+});
+
 test('INTEGRATION: renameImage updates filename', async () => {
   const oldFilename = 'test-image-abc123.jpg';
   const newFilename = 'renamed-image-abc123.jpg';
@@ -211,6 +246,31 @@ test('INTEGRATION: getImagesByTag filters correctly', async () => {
   assert.strictEqual(Object.keys(natureImages).length, 1, 'Should find 1 nature image');
 });
 
+test('INTEGRATION: getImagesByTag matches hierarchical tag descendants', async () => {
+  const dummyImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+  for (const name of ['tree-a-uuid1.jpg', 'tree-b-uuid2.jpg', 'tree-c-uuid3.jpg']) {
+    await fs.writeFile(path.join(testPath, 'library', name), dummyImage);
+  }
+
+  await helper.addImage('tree-a-uuid1.jpg', 'none', 'none', ['season/winter/christmas']);
+  await helper.addImage('tree-b-uuid2.jpg', 'none', 'none', ['season/winter']);
+  await helper.addImage('tree-c-uuid3.jpg', 'none', 'none', ['season/summer', 'seasonal']);
+
+  const season = await helper.getImagesByTag('season');
+  assert.deepStrictEqual(Object.keys(season).sort(), ['tree-a-uuid1.jpg', 'tree-b-uuid2.jpg', 'tree-c-uuid3.jpg']);
+
+  const winter = await helper.getImagesByTag('season/winter');
+  assert.deepStrictEqual(Object.keys(winter).sort(), ['tree-a-uuid1.jpg', 'tree-b-uuid2.jpg']);
+
+  const christmas = await helper.getImagesByTag('season/winter/christmas');
+  assert.deepStrictEqual(Object.keys(christmas), ['tree-a-uuid1.jpg']);
+
+  // A shared prefix is not a parent: "season" must not match "seasonal" alone
+  const seasonal = await helper.getImagesByTag('seasonal');
+  assert.deepStrictEqual(Object.keys(seasonal), ['tree-c-uuid3.jpg']);
+  assert.strictEqual(Object.keys(await helper.getImagesByTag('sea')).length, 0);
+});
+
 test('INTEGRATION: metadata persists across helper instances', async () => {
   // Create dummy image file
   const imagePath = path.join(testPath, 'library', 'persist-test-uuid.jpg');
@@ -229,31 +289,85 @@ test('INTEGRATION: metadata persists across helper instances', async () => {
   assert.strictEqual(persistedImage.matte, 'none');
 });
 
-test('INTEGRATION: corrupt metadata.json is handled gracefully', async () => {
-  // Write corrupt JSON
+test('INTEGRATION: concurrent writers do not drop each other\'s changes', async () => {
+  const imagePath = path.join(testPath, 'library', 'concurrent-uuid.jpg');
+  const dummyImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+  await fs.writeFile(imagePath, dummyImage);
+  await helper.addImage('concurrent-uuid.jpg', 'none', 'None', []);
+
+  // Separate instances, like separate requests
+  const writers = ['alpha', 'beta', 'gamma', 'delta', 'epsilon'].map(tag =>
+    new MetadataHelper(testPath).batchAddTag(['concurrent-uuid.jpg'], tag)
+  );
+  writers.push(new MetadataHelper(testPath).updateImage('concurrent-uuid.jpg', { sourceHash: 'abc123' }));
+  await Promise.all(writers);
+
+  const metadata = await helper.readMetadata();
+  const image = metadata.images['concurrent-uuid.jpg'];
+  assert.deepStrictEqual([...image.tags].sort(), ['alpha', 'beta', 'delta', 'epsilon', 'gamma']);
+  assert.strictEqual(image.sourceHash, 'abc123');
+});
+
+test('INTEGRATION: writes leave no temp files next to metadata.json', async () => {
+  const entries = await fs.readdir(testPath);
+  assert.ok(!entries.some(name => name.includes('.tmp-')), `Unexpected temp files: ${entries.join(', ')}`);
+});
+
+test('INTEGRATION: corrupt metadata.json is restored from last-good backup', async () => {
   const metadataPath = path.join(testPath, 'metadata.json');
-  await fs.writeFile(metadataPath, '{ invalid json }');
-  
+  const before = await helper.readMetadata();
+
+  // Simulate a truncated write
+  const raw = await fs.readFile(metadataPath, 'utf8');
+  await fs.writeFile(metadataPath, raw.slice(0, Math.floor(raw.length / 2)));
+
+  const originalConsoleWarn = console.warn;
+  console.warn = () => {};
+  let restored;
+  try {
+    restored = await helper.readMetadata();
+  } finally {
+    console.warn = originalConsoleWarn;
+  }
+
+  assert.deepStrictEqual(Object.keys(restored.images).sort(), Object.keys(before.images).sort());
+  // File on disk is repaired too
+  const repaired = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+  assert.deepStrictEqual(Object.keys(repaired.images).sort(), Object.keys(before.images).sort());
+});
+
+test('INTEGRATION: corrupt metadata.json without a backup throws instead of returning an empty library', async () => {
+  const isolatedPath = path.join(testPath, 'no-backup');
+  await fs.mkdir(isolatedPath, { recursive: true });
+  await fs.writeFile(path.join(isolatedPath, 'metadata.json'), '{ invalid json }');
+  const isolated = new MetadataHelper(isolatedPath);
+
   // Suppress console.error for this test (we expect it to fail)
   const originalConsoleError = console.error;
   console.error = () => {};
   
+  let thrown = null;
   try {
-    await helper.readMetadata();
-    assert.fail('Should throw error on corrupt JSON');
+    await isolated.readMetadata();
   } catch (error) {
-    assert.ok(error.message.includes('JSON') || error.message.includes('parse'));
+    thrown = error;
   } finally {
     // Restore console.error
     console.error = originalConsoleError;
   }
-  
-  // Restore valid metadata for remaining tests
-  const validMetadata = {
-    images: {},
-    tags: []
-  };
-  await fs.writeFile(metadataPath, JSON.stringify(validMetadata, null, 2));
+
+  assert.ok(thrown, 'Should throw error on corrupt JSON');
+  assert.ok(thrown.message.includes('JSON'));
+
+  // A writer must not clobber the corrupt file with an empty library
+  console.error = () => {};
+  try {
+    await assert.rejects(() => isolated.addTag('should-not-write'));
+  } finally {
+    console.error = originalConsoleError;
+  }
+  const onDisk = await fs.readFile(path.join(isolatedPath, 'metadata.json'), 'utf8');
+  assert.strictEqual(onDisk, '{ invalid json }');
 });
 
 test('UNIT: normalizeMacAddress handles various formats', () => {
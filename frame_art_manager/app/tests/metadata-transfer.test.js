@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Metadata Transfer Tests
+ * Tests CSV/JSON export and the validated, previewable import (metadata_transfer.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const simpleGit = require('simple-git');
+const MetadataTransfer = require('../metadata_transfer');
+const { parseCsv, toCsv, parseImport, planImport } = require('../metadata_transfer');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const SUNSET = 'sunset-aaaa1111.jpg';
+const TOWER = 'tower-bbbb2222.jpg';
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.3',
+    images: {
+      [SUNSET]: {
+        matte: 'none', filter: 'None', tags: ['sky', 'places/beach'], title: 'Sunset, "late"',
+        dimensions: { width: 3840, height: 2160 }, added: '2025-03-04T10:00:00.000Z'
+      },
+      [TOWER]: { matte: 'none', filter: 'None', tags: [], dimensions: { width: 2160, height: 3840 } }
+    },
+    tags: [{ name: 'sky', color: '#ff8800' }, { name: 'places/beach' }]
+  }, null, 2));
+
+  const git = simpleGit(root);
+  await git.init();
+  await git.addConfig('user.name', 'Test User');
+  await git.addConfig('user.email', 'test@example.com');
+  await git.add('.');
+  await git.commit('Initial library');
+  return { root, git, transfer: new MetadataTransfer(root) };
+}
+
+test('parseCsv handles quotes, escaped quotes, line breaks and a BOM', () => {
+  const text = '\ufeffa,b\r\n"x, y","say ""hi""\nthere"\n\n1,\n';
+  assert.deepStrictEqual(parseCsv(text), [['a', 'b'], ['x, y', 'say "hi"\nthere'], ['1', '']]);
+  assert.deepStrictEqual(parseCsv(toCsv([['a,b', 'c"d', null]])), [['a,b', 'c"d', '']]);
+  assert.throws(() => parseCsv('a,"b'), { code: 'VALIDATION_ERROR' });
+});
+
+test('CSV export round-trips without changes', async () => {
+  const { transfer } = await createLibrary('roundtrip');
+  const csv = await transfer.exportLibrary('csv');
+  const [header, first] = parseCsv(csv);
+  assert.deepStrictEqual(header.slice(0, 7), ['filename', 'tags', 'matte', 'filter', 'width', 'height', 'added']);
+  assert.strictEqual(first[0], SUNSET);
+  assert.strictEqual(first[4], '3840');
+
+  const preview = await transfer.previewImport(csv, 'csv');
+  assert.deepStrictEqual(preview.changes, []);
+  assert.strictEqual(preview.unchanged, 2);
+  assert.deepStrictEqual(preview.errors, []);
+
+  const json = await transfer.exportLibrary('json');
+  assert.strictEqual((await transfer.previewImport(json, 'json')).unchanged, 2);
+});
+
+test('planImport validates rows and diffs only what changes', () => {
+  const images = {
+    [SUNSET]: { matte: 'none', filter: 'None', tags: ['sky'], title: 'Sunset', dimensions: { width: 4, height: 3 } },
+    [TOWER]: { matte: 'none', filter: 'None', tags: [], dimensions: { width: 3, height: 4 } }
+  };
+  const { rows, warnings } = parseImport([
+    'Filename,Tags,Matte,Filter,Title,Width,Rating',
+    `${SUNSET},sky; beach,MODERN_POLAR,,,1,5`,
+    `${TOWER},,modern_black,Ink,,,`,
+    'missing-cccc3333.jpg,,,,,,',
+    `${SUNSET},,,,,,`
+  ].join('\n'), 'csv');
+  assert.deepStrictEqual(warnings, ['Ignored unknown column "Rating"']);
+
+  const plan = planImport(images, rows);
+  assert.deepStrictEqual(plan.changes, [{
+    filename: SUNSET,
+    fields: {
+      tags: { from: ['sky'], to: ['sky', 'beach'] },
+      matte: { from: 'none', to: 'modern_polar' },
+      title: { from: 'Sunset', to: null }
+    }
+  }]);
+  assert.deepStrictEqual(plan.errors, [
+    { row: 3, filename: TOWER, error: 'Matte modern_black is not available for portrait images' },
+    { row: 4, filename: 'missing-cccc3333.jpg', error: 'Image is not in the library' },
+    { row: 5, filename: SUNSET, error: 'Filename appears more than once' }
+  ]);
+
+  const unknown = planImport(images, parseImport(JSON.stringify([{ filename: SUNSET, filter: 'Sepia', year: 'yesterday' }]), 'json').rows);
+  assert.deepStrictEqual(unknown.errors.map(error => error.error), [
+    'Unknown filter: Sepia',
+    'Year/date must look like 1889, c. 1889, 1880s, 1503-1519 or 1889-06-18'
+  ]);
+});
+
+test('INTEGRATION: applying an import is one write and one semantic commit', async () => {
+  const { root, git, transfer } = await createLibrary('apply');
+  const csv = toCsv([
+    ['filename', 'tags', 'matte', 'artist'],
+    [SUNSET, 'sky; summer', 'modern_polar', 'Claude Monet'],
+    [TOWER, 'city', '', '']
+  ]);
+
+  const { result, message, committed } = await transfer.applyImport(csv, 'csv', { filename: 'edited.csv' });
+  assert.strictEqual(committed, true);
+  assert.strictEqual(result.changes.length, 2);
+  assert.ok(message.startsWith('imported metadata from edited.csv for 2 images (tags, matte, artist) -- '), message);
+  assert.ok(message.includes("sunset: artist: (none) → 'Claude Monet'"), message);
+  assert.ok(message.includes('tower: added tag: city'), message);
+
+  const log = await git.log();
+  assert.strictEqual(log.total, 2);
+  assert.strictEqual((await git.status()).isClean(), true);
+
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.deepStrictEqual(metadata.images[SUNSET].tags, ['sky', 'summer']);
+  assert.strictEqual(metadata.images[SUNSET].matte, 'modern_polar');
+  assert.strictEqual(metadata.images[SUNSET].artist, 'Claude Monet');
+  assert.deepStrictEqual(metadata.images[TOWER].tags, ['city']);
+  assert.deepStrictEqual(metadata.tags.map(tag => tag.name).sort(), ['city', 'sky', 'summer']);
+  assert.deepStrictEqual(result.inverse.tagEntries, [{ name: 'places/beach' }]);
+  assert.deepStrictEqual(result.inverse.changes[0].before, { tags: ['sky', 'places/beach'], matte: 'none', artist: null });
+});
+
+test('INTEGRATION: an import with any invalid row writes nothing', async () => {
+  const { root, git, transfer } = await createLibrary('invalid');
+  const before = await fs.readFile(path.join(root, 'metadata.json'), 'utf8');
+  const csv = toCsv([['filename', 'matte'], [SUNSET, 'modern_polar'], [TOWER, 'velvet']]);
+
+  await assert.rejects(() => transfer.applyImport(csv, 'csv'), error => {
+    assert.strictEqual(error.code, 'VALIDATION_ERROR');
+    assert.deepStrictEqual(error.details, [`Row 3 (${TOWER}): Unknown matte: velvet`]);
+    return true;
+  });
+  assert.strictEqual(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'), before);
+  assert.strictEqual((await git.log()).total, 1);
+
+  await assert.rejects(() => transfer.applyImport('title\nx', 'csv'), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(() => transfer.applyImport('{"images": 3}', 'json'), { code: 'VALIDATION_ERROR' });
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Metadata Transfer Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-transfer-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Metadata Migration Tests
+ * Tests the metadata.json schema migration registry and runner
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const simpleGit = require('simple-git');
+const {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  compareVersions,
+  getPendingMigrations,
+  runMigrations
+} = require('../migrations');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const DUMMY_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+// Create a fresh library directory with the given metadata document
+async function createLibrary(name, metadata) {
+  const libraryRoot = path.join(testPath, name);
+  await fs.mkdir(path.join(libraryRoot, 'library'), { recursive: true });
+  await fs.writeFile(path.join(libraryRoot, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  return libraryRoot;
+}
+
+async function readJson(libraryRoot) {
+  return JSON.parse(await fs.readFile(path.join(libraryRoot, 'metadata.json'), 'utf8'));
+}
+
+function legacyMetadata() {
+  return {
+    version: '1.0',
+    images: {
+      'old-aaaa1111.png': { matte: 'none', filter: 'None', tags: ['a'] },
+      'measured-bbbb2222.png': {
+        matte: 'none',
+        filter: 'None',
+        tags: [],
+        dimensions: { width: 1, height: 1 },
+        aspectRatio: 1
+      }
+    },
+    tags: ['a'],
+    tvs: [{ name: 'Living Room' }, { name: 'Office' }]
+  };
+}
+
+// UNIT TESTS
+
+test('UNIT: compareVersions orders numerically', () => {
+  assert.ok(compareVersions('1.0', '1.1') < 0);
+  assert.ok(compareVersions('1.10', '1.9') > 0);
+  assert.strictEqual(compareVersions('1.2', '1.2.0'), 0);
+});
+
+test('UNIT: registry is ordered and ends at CURRENT_SCHEMA_VERSION', () => {
+  for (let i = 1; i < MIGRATIONS.length; i++) {
+    assert.ok(compareVersions(MIGRATIONS[i].version, MIGRATIONS[i - 1].version) > 0,
+      `${MIGRATIONS[i].version} should come after ${MIGRATIONS[i - 1].version}`);
+  }
+  assert.strictEqual(MIGRATIONS[MIGRATIONS.length - 1].version, CURRENT_SCHEMA_VERSION);
+});
+
+test('UNIT: getPendingMigrations skips steps already applied', () => {
+  assert.strictEqual(getPendingMigrations('1.0').length, MIGRATIONS.length);
+  assert.strictEqual(getPendingMigrations(CURRENT_SCHEMA_VERSION).length, 0);
+});
+
+// INTEGRATION TESTS
+
+test('INTEGRATION: dry run reports changes without writing', async () => {
+  const root = await createLibrary('dry-run', legacyMetadata());
+  await fs.writeFile(path.join(root, 'library', 'old-aaaa1111.png'), DUMMY_PNG);
+
+  const result = await runMigrations(root, { dryRun: true });
+
+  assert.strictEqual(result.dryRun, true);
+  assert.strictEqual(result.fromVersion, '1.0');
+  assert.strictEqual(result.toVersion, CURRENT_SCHEMA_VERSION);
+  assert.ok(result.message.includes('removed deprecated tvs array (2 entries)'), result.message);
+
+  const onDisk = await readJson(root);
+  assert.strictEqual(onDisk.version, '1.0');
+  assert.ok(onDisk.tvs, 'tvs should still be present after a dry run');
+});
+
+test('INTEGRATION: migrations upgrade legacy metadata', async () => {
+  const root = await createLibrary('upgrade', legacyMetadata());
+  await fs.writeFile(path.join(root, 'library', 'old-aaaa1111.png'), DUMMY_PNG);
+
+  const result = await runMigrations(root, { commit: false });
+  const onDisk = await readJson(root);
+
+  assert.strictEqual(onDisk.version, CURRENT_SCHEMA_VERSION);
+  assert.ok(!('tvs' in onDisk), 'tvs should be removed');
+  assert.deepStrictEqual(onDisk.images['old-aaaa1111.png'].dimensions, { width: 1, height: 1 });
+  assert.strictEqual(onDisk.images['old-aaaa1111.png'].aspectRatio, 1);
+  assert.ok(result.message.includes('backfilled dimensions for 1 image(s)'), result.message);
+});
+
+test('INTEGRATION: legacy tag strings become tag objects', async () => {
+  const metadata = legacyMetadata();
+  metadata.tags = ['a', { name: 'b', color: '#112233', pinned: true }, 'a'];
+  const root = await createLibrary('tag-objects', metadata);
+  await fs.writeFile(path.join(root, 'library', 'old-aaaa1111.png'), DUMMY_PNG);
+
+  const result = await runMigrations(root, { commit: false });
+  const onDisk = await readJson(root);
+
+  assert.deepStrictEqual(onDisk.tags, [{ name: 'a' }, { name: 'b', color: '#112233', pinned: true }]);
+  assert.ok(result.message.includes('converted 2 tag(s) to tag objects'), result.message);
+});
+
+test('INTEGRATION: running migrations twice is a no-op', async () => {
+  const root = await createLibrary('idempotent', legacyMetadata());
+  await fs.writeFile(path.join(root, 'library', 'old-aaaa1111.png'), DUMMY_PNG);
+
+  await runMigrations(root, { commit: false });
+  const firstPass = await fs.readFile(path.join(root, 'metadata.json'), 'utf8');
+  const second = await runMigrations(root, { commit: false });
+
+  assert.strictEqual(second.applied.length, 0);
+  assert.strictEqual(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'), firstPass);
+});
+
+test('INTEGRATION: steps are idempotent when re-run on migrated data', async () => {
+  const metadata = legacyMetadata();
+  delete metadata.tvs;
+  metadata.images['old-aaaa1111.png'].dimensions = { width: 1, height: 1 };
+  metadata.images['old-aaaa1111.png'].aspectRatio = 1;
+  metadata.tags = [{ name: 'a' }];
+  const root = await createLibrary('rerun', metadata);
+
+  const result = await runMigrations(root, { commit: false });
+  assert.ok(result.applied.every(step => step.changes.length === 0));
+  assert.strictEqual((await readJson(root)).version, CURRENT_SCHEMA_VERSION);
+});
+
+test('INTEGRATION: newer schema versions are left untouched', async () => {
+  const root = await createLibrary('future', { version: '99.0', images: {}, tags: [], tvs: [] });
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  let result;
+  try {
+    result = await runMigrations(root, { commit: false });
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  assert.strictEqual(result.applied.length, 0);
+  assert.ok('tvs' in (await readJson(root)));
+});
+
+test('INTEGRATION: migration creates a semantic git commit', async () => {
+  const root = await createLibrary('git', legacyMetadata());
+  await fs.writeFile(path.join(root, 'library', 'old-aaaa1111.png'), DUMMY_PNG);
+  const git = simpleGit(root);
+  await git.init();
+  await git.addConfig('user.name', 'Test User');
+  await git.addConfig('user.email', 'test@example.com');
+  await git.add('.');
+  await git.commit('initial');
+
+  const result = await runMigrations(root);
+  assert.strictEqual(result.committed, true);
+
+  const log = await git.log({ maxCount: 1 });
+  assert.ok(log.latest.message.startsWith(`migrated metadata: schema 1.0 → ${CURRENT_SCHEMA_VERSION}`), log.latest.message);
+  const status = await git.status();
+  assert.strictEqual(status.files.length, 0, 'Working tree should be clean after the migration commit');
+});
+
+// Test runner
+async function runTests() {
+  console.log('🧪 Running Metadata Migration Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-migrations-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -24,6 +24,27 @@ const testSuites = [
   { name: 'Semantic Sync Tests', file: 'semantic-sync.test.js' },
   { name: 'Git Sync Tests', file: 'git-sync.test.js' },
   { name: 'Metadata Helper Tests', file: 'metadata-helper.test.js' },
+  { name: 'Metadata Migration Tests', file: 'migrations.test.js' },
+  { name: 'Library Index Tests', file: 'library-index.test.js' },
+  { name: 'Embedded Metadata Tests', file: 'embedded-metadata.test.js' },
+  { name: 'Image Query Tests', file: 'image-query.test.js' },
+  { name: 'Tag Operation Tests', file: 'tag-operations.test.js' },
+  { name: 'Trash Tests', file: 'trash.test.js' },
+  { name: 'Image History Tests', file: 'image-history.test.js' },
+  { name: 'Collection Tests', file: 'collections.test.js' },
+  { name: 'Batch Operation Tests', file: 'batch-operations.test.js' },
+  { name: 'Journal Tests', file: 'journal.test.js' },
+  { name: 'Metadata Transfer Tests', file: 'metadata-transfer.test.js' },
+  { name: 'Integrity Tests', file: 'integrity.test.js' },
+  { name: 'URL Import Tests', file: 'url-import.test.js' },
+  { name: 'Inbox Tests', file: 'inbox.test.js' },
+  { name: 'Archive Upload Tests', file: 'archive-upload.test.js' },
+  { name: 'Job Tests', file: 'jobs.test.js' },
+  { name: 'Chunked Upload Tests', file: 'chunked-upload.test.js' },
+  { name: 'Frame-ready Normalization Tests', file: 'frame-normalize.test.js' },
+  { name: 'Duplicate Policy Tests', file: 'duplicate-policy.test.js' },
+  { name: 'Variant Group Tests', file: 'variants.test.js' },
+  { name: 'Format Conversion Tests', file: 'format-conversion.test.js' },
   { name: 'Image Editing Tests', file: 'image-editing.test.js' },
   { name: 'File Coordination Tests', file: 'file-coordination.test.js' },
   { name: 'Upload Validation Tests', file: 'upload-validation.test.js' },
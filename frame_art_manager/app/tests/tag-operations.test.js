@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Tag Operation Tests
+ * Tests library-wide tag rename and merge (MetadataHelper.renameTag/mergeTags)
+ * and the tag library attributes (color, description, aliases, pinned)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const simpleGit = require('simple-git');
+const MetadataHelper = require('../metadata_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function sampleMetadata() {
+  return {
+    version: '1.2',
+    images: {
+      'sand-aaaa1111.jpg': { matte: 'none', filter: 'None', tags: ['Beaches', 'sunset'] },
+      'waves-bbbb2222.jpg': { matte: 'none', filter: 'None', tags: ['beach', 'Beach'] },
+      'dunes-cccc3333.jpg': { matte: 'none', filter: 'None', tags: ['Beach'] },
+      'snow-dddd4444.jpg': { matte: 'none', filter: 'None', tags: ['season/winter', 'season/winter/christmas'] },
+      'leaves-eeee5555.jpg': { matte: 'none', filter: 'None', tags: ['season/autumn', 'seasonal'] }
+    },
+    tags: ['Beaches', 'sunset', 'beach', 'Beach', 'season/winter', 'season/winter/christmas', 'season/autumn', 'seasonal']
+  };
+}
+
+// Create a fresh library directory with sample metadata
+async function createLibrary(name) {
+  const libraryRoot = path.join(testPath, name);
+  await fs.mkdir(path.join(libraryRoot, 'library'), { recursive: true });
+  await fs.writeFile(path.join(libraryRoot, 'metadata.json'), JSON.stringify(sampleMetadata(), null, 2));
+  return libraryRoot;
+}
+
+async function readJson(libraryRoot) {
+  return JSON.parse(await fs.readFile(path.join(libraryRoot, 'metadata.json'), 'utf8'));
+}
+
+test('renameTag rewrites every image and the global tag list', async () => {
+  const root = await createLibrary('rename');
+  const helper = new MetadataHelper(root);
+
+  const { result, message, committed } = await helper.renameTag('sunset', 'Sunset');
+  assert.deepStrictEqual(result.images, ['sand-aaaa1111.jpg']);
+  assert.deepStrictEqual(result.renamed, { sunset: 'Sunset' });
+  assert.strictEqual(message, 'renamed tag sunset → Sunset (1 image)');
+  assert.strictEqual(committed, false, 'Plain directories are not committed');
+
+  const metadata = await readJson(root);
+  assert.deepStrictEqual(metadata.images['sand-aaaa1111.jpg'].tags, ['Beaches', 'Sunset']);
+  assert.ok(metadata.images['sand-aaaa1111.jpg'].updated, 'Changed images get an updated timestamp');
+  assert.ok(!metadata.images['dunes-cccc3333.jpg'].updated, 'Untouched images keep their timestamp');
+  const names = metadata.tags.map(tag => tag.name);
+  assert.ok(names.includes('Sunset') && !names.includes('sunset'));
+});
+
+test('mergeTags collapses variants into the target without duplicates', async () => {
+  const root = await createLibrary('merge');
+  const helper = new MetadataHelper(root);
+
+  const { result, message } = await helper.mergeTags(['Beach', 'beach', 'Beaches'], 'Beach');
+  assert.deepStrictEqual(result.sources, ['beach', 'Beaches']);
+  assert.deepStrictEqual(result.images.sort(), ['sand-aaaa1111.jpg', 'waves-bbbb2222.jpg']);
+  assert.strictEqual(message, 'merged tags beach, Beaches → Beach (2 images)');
+
+  const metadata = await readJson(root);
+  assert.deepStrictEqual(metadata.images['waves-bbbb2222.jpg'].tags, ['Beach']);
+  assert.deepStrictEqual(metadata.images['sand-aaaa1111.jpg'].tags, ['Beach', 'sunset']);
+  assert.strictEqual(metadata.tags.map(tag => tag.name).filter(tag => tag.toLowerCase().startsWith('beach')).join(), 'Beach');
+});
+
+test('renameTag moves hierarchical descendants with the parent', async () => {
+  const root = await createLibrary('hierarchy');
+  const helper = new MetadataHelper(root);
+
+  const { result, message } = await helper.renameTag('season', 'seasons');
+  assert.deepStrictEqual(result.images.sort(), ['leaves-eeee5555.jpg', 'snow-dddd4444.jpg']);
+  assert.strictEqual(
+    message,
+    'renamed tag season → seasons (2 images) -- season/autumn → seasons/autumn -- ' +
+      'season/winter → seasons/winter -- season/winter/christmas → seasons/winter/christmas'
+  );
+
+  const metadata = await readJson(root);
+  assert.deepStrictEqual(metadata.images['snow-dddd4444.jpg'].tags, ['seasons/winter', 'seasons/winter/christmas']);
+  // "seasonal" only shares a prefix and is not a child of "season"
+  assert.deepStrictEqual(metadata.images['leaves-eeee5555.jpg'].tags, ['seasons/autumn', 'seasonal']);
+});
+
+test('Invalid and unknown tags are rejected without writing', async () => {
+  const root = await createLibrary('errors');
+  const helper = new MetadataHelper(root);
+  const before = await fs.readFile(path.join(root, 'metadata.json'), 'utf8');
+
+  await assert.rejects(helper.renameTag('sunset', '   '), error => error.code === 'VALIDATION_ERROR');
+  await assert.rejects(helper.renameTag('sunset', 'sunset'), error => error.code === 'VALIDATION_ERROR');
+  await assert.rejects(helper.mergeTags([], 'Beach'), error => error.code === 'VALIDATION_ERROR');
+  await assert.rejects(
+    helper.mergeTags(['Beach', 'Shoreline'], 'Coast'),
+    error => error.code === 'NOT_FOUND' && /Shoreline/.test(error.message)
+  );
+
+  assert.strictEqual(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'), before);
+});
+
+test('Tag library reads legacy string lists as tag objects', async () => {
+  const root = await createLibrary('library-read');
+  const helper = new MetadataHelper(root);
+
+  const library = await helper.getTagLibrary();
+  assert.deepStrictEqual(library[0], { name: 'Beaches' });
+  assert.strictEqual(library.length, 8);
+  assert.deepStrictEqual((await helper.getAllTags()).slice(0, 2), ['Beaches', 'sunset']);
+
+  // The first write stores objects
+  await helper.addTag('night', { color: '#1A2B3C', pinned: true });
+  const metadata = await readJson(root);
+  assert.deepStrictEqual(metadata.tags[0], { name: 'Beaches' });
+  assert.deepStrictEqual(metadata.tags[metadata.tags.length - 1], { name: 'night', color: '#1a2b3c', pinned: true });
+});
+
+test('updateTagAttributes validates, sets and clears attributes', async () => {
+  const root = await createLibrary('attributes');
+  const helper = new MetadataHelper(root);
+
+  const entry = await helper.updateTagAttributes('sunset', {
+    color: '#FF8800',
+    description: '  Golden hour  ',
+    aliases: 'dusk, Sundown, dusk, sunset'
+  });
+  assert.deepStrictEqual(entry, { name: 'sunset', color: '#ff8800', description: 'Golden hour', aliases: ['dusk', 'Sundown'] });
+
+  const cleared = await helper.updateTagAttributes('sunset', { color: '', aliases: [] });
+  assert.deepStrictEqual(cleared, { name: 'sunset', description: 'Golden hour' });
+
+  // Parents of tags in use can be given attributes without an explicit entry
+  assert.deepStrictEqual(await helper.updateTagAttributes('season', { pinned: true }), { name: 'season', pinned: true });
+
+  await assert.rejects(helper.updateTagAttributes('sunset', { color: 'orange' }), error => error.code === 'VALIDATION_ERROR');
+  await assert.rejects(helper.updateTagAttributes('sunset', { pinned: 'yes' }), error => error.code === 'VALIDATION_ERROR');
+  await assert.rejects(
+    helper.updateTagAttributes('Beach', { aliases: ['Beaches'] }),
+    error => error.code === 'VALIDATION_ERROR' && /Beaches/.test(error.message)
+  );
+  await assert.rejects(helper.updateTagAttributes('mountains', { pinned: true }), error => error.code === 'NOT_FOUND');
+});
+
+test('Pinned tags survive unused-tag cleanup', async () => {
+  const root = await createLibrary('pinned');
+  const helper = new MetadataHelper(root);
+  await helper.updateTagAttributes('sunset', { pinned: true, color: '#ff8800' });
+
+  // Removing the last use of both tags prunes only the unpinned one
+  await helper.updateImage('sand-aaaa1111.jpg', { tags: ['Beach'] });
+
+  const library = await helper.getTagLibrary();
+  const names = library.map(tag => tag.name);
+  assert.ok(!names.includes('Beaches'), 'Unused tag pruned');
+  assert.deepStrictEqual(library.find(tag => tag.name === 'sunset'), { name: 'sunset', color: '#ff8800', pinned: true });
+});
+
+test('mergeTags combines library entries, preferring the target\'s attributes', async () => {
+  const root = await createLibrary('merge-attributes');
+  const helper = new MetadataHelper(root);
+  await helper.updateTagAttributes('Beach', { color: '#0000ff', aliases: ['shore'] });
+  await helper.updateTagAttributes('Beaches', { color: '#00ff00', aliases: ['coast'], pinned: true });
+
+  await helper.mergeTags(['Beaches', 'beach'], 'Beach');
+
+  const beaches = (await helper.getTagLibrary()).filter(tag => tag.name.toLowerCase().startsWith('beach'));
+  assert.deepStrictEqual(beaches, [{ name: 'Beach', color: '#0000ff', aliases: ['shore', 'coast'], pinned: true }]);
+});
+
+test('INTEGRATION: rename is its own commit after pending metadata edits', async () => {
+  const root = await createLibrary('git');
+  const git = simpleGit(root);
+  await git.init();
+  await git.addConfig('user.name', 'Test User');
+  await git.addConfig('user.email', 'test@example.com');
+  await git.add('.');
+  await git.commit('initial');
+
+  // An unrelated edit that hasn't been synced yet
+  const helper = new MetadataHelper(root);
+  await helper.mutateMetadata(metadata => {
+    metadata.images['dunes-cccc3333.jpg'].matte = 'shadowbox_polar';
+  });
+  // Something else staged must not be swept into the tag commit
+  await fs.writeFile(path.join(root, 'notes.txt'), 'staged elsewhere');
+  await git.add('notes.txt');
+
+  const { committed, message } = await helper.renameTag('Beaches', 'Beach');
+  assert.strictEqual(committed, true);
+
+  const log = await git.log({ maxCount: 3 });
+  assert.strictEqual(log.all[0].message, message);
+  assert.strictEqual(message, 'renamed tag Beaches → Beach (1 image)');
+  assert.ok(log.all[1].message.includes('dunes'), `Pending edit committed separately: ${log.all[1].message}`);
+  assert.strictEqual(log.all[2].message, 'initial');
+
+  const renameFiles = await git.show(['--name-only', '--format=', 'HEAD']);
+  assert.strictEqual(renameFiles.trim(), 'metadata.json');
+
+  const status = await git.status();
+  assert.deepStrictEqual(status.staged, ['notes.txt']);
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Tag Operation Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-tag-ops-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
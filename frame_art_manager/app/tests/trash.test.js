@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/**
+ * Trash Tests
+ * Tests moving deleted images to the trash, restoring and purging them (trash_helper.js)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const TrashHelper = require('../trash_helper');
+const MetadataHelper = require('../metadata_helper');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Library with one fully-populated image (file, thumbnail, original backup)
+// and one image without a thumbnail or backup
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  for (const dir of ['library', 'thumbs', 'originals']) {
+    await fs.mkdir(path.join(root, dir), { recursive: true });
+  }
+  await fs.writeFile(path.join(root, 'library', 'sunset-aaaa1111.jpg'), 'edited');
+  await fs.writeFile(path.join(root, 'thumbs', 'thumb_sunset-aaaa1111.jpg'), 'thumb');
+  await fs.writeFile(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'), 'original');
+  await fs.writeFile(path.join(root, 'library', 'lake-bbbb2222.jpg'), 'lake');
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({
+    version: '1.3',
+    images: {
+      'sunset-aaaa1111.jpg': { matte: 'none', filter: 'None', tags: ['sky'], title: 'Sunset' },
+      'lake-bbbb2222.jpg': { matte: 'none', filter: 'None', tags: ['water'] }
+    },
+    tags: [{ name: 'sky', color: '#ff8800' }, { name: 'water' }]
+  }, null, 2));
+  return root;
+}
+
+async function exists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
+
+test('moveToTrash moves files and the metadata record out of the library', async () => {
+  const root = await createLibrary('move');
+  const trash = new TrashHelper(root);
+
+  const entry = await trash.moveToTrash('sunset-aaaa1111.jpg');
+  assert.strictEqual(entry.filename, 'sunset-aaaa1111.jpg');
+  assert.strictEqual(entry.files.length, 3);
+
+  assert.ok(!(await exists(path.join(root, 'library', 'sunset-aaaa1111.jpg'))));
+  assert.ok(!(await exists(path.join(root, 'thumbs', 'thumb_sunset-aaaa1111.jpg'))));
+  assert.ok(!(await exists(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'))));
+
+  const metadata = await new MetadataHelper(root).readMetadata();
+  assert.ok(!metadata.images['sunset-aaaa1111.jpg']);
+  assert.deepStrictEqual(metadata.tags.map(tag => tag.name), ['water'], 'Unused tag pruned as before');
+
+  const { retentionDays, items } = await trash.listTrash();
+  assert.strictEqual(retentionDays, 30);
+  assert.strictEqual(items.length, 1);
+  assert.strictEqual(items[0].title, 'Sunset');
+  assert.deepStrictEqual(items[0].tags, ['sky']);
+  assert.strictEqual(items[0].hasThumbnail, true);
+  assert.strictEqual(items[0].hasBackup, true);
+  assert.strictEqual(Date.parse(items[0].expiresAt) - Date.parse(items[0].deletedAt), 30 * DAY);
+  assert.ok((await trash.getThumbnailPath(entry.id)).startsWith(path.join(root, '.frame_art_manager', 'trash')));
+});
+
+test('restore puts files, record and tags back', async () => {
+  const root = await createLibrary('restore');
+  const trash = new TrashHelper(root);
+  const { id } = await trash.moveToTrash('sunset-aaaa1111.jpg');
+
+  const entry = await trash.restore(id);
+  assert.strictEqual(entry.filename, 'sunset-aaaa1111.jpg');
+
+  assert.strictEqual(await fs.readFile(path.join(root, 'library', 'sunset-aaaa1111.jpg'), 'utf8'), 'edited');
+  assert.strictEqual(await fs.readFile(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'), 'utf8'), 'original');
+  assert.ok(await exists(path.join(root, 'thumbs', 'thumb_sunset-aaaa1111.jpg')));
+
+  const metadata = await new MetadataHelper(root).readMetadata();
+  assert.deepStrictEqual(metadata.images['sunset-aaaa1111.jpg'].tags, ['sky']);
+  assert.deepStrictEqual(metadata.tags.find(tag => tag.name === 'sky'), { name: 'sky', color: '#ff8800' }, 'Pruned tag comes back with its color');
+  assert.deepStrictEqual((await trash.listTrash()).items, []);
+});
+
+test('restore refuses to overwrite an image added since', async () => {
+  const root = await createLibrary('conflict');
+  const trash = new TrashHelper(root);
+  const { id } = await trash.moveToTrash('lake-bbbb2222.jpg');
+  await fs.writeFile(path.join(root, 'library', 'lake-bbbb2222.jpg'), 'new lake');
+
+  await assert.rejects(trash.restore(id), error => error.code === 'CONFLICT');
+  assert.strictEqual(await fs.readFile(path.join(root, 'library', 'lake-bbbb2222.jpg'), 'utf8'), 'new lake');
+  assert.strictEqual((await trash.listTrash()).items.length, 1, 'Entry stays in the trash');
+});
+
+test('a restore whose record write fails moves the files back into the trash', async () => {
+  const root = await createLibrary('restore-failure');
+  const trash = new TrashHelper(root);
+  const { id } = await trash.moveToTrash('sunset-aaaa1111.jpg');
+
+  trash.helper.restoreImage = async () => {
+    throw new Error('disk full');
+  };
+  await assert.rejects(trash.restore(id), /disk full/);
+  assert.ok(!(await exists(path.join(root, 'library', 'sunset-aaaa1111.jpg'))));
+  assert.ok(!(await exists(path.join(root, 'thumbs', 'thumb_sunset-aaaa1111.jpg'))));
+  assert.ok(!(await exists(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'))));
+
+  // Still a complete entry: a later restore brings everything back
+  const retry = new TrashHelper(root);
+  await retry.restore(id);
+  assert.strictEqual(await fs.readFile(path.join(root, 'library', 'sunset-aaaa1111.jpg'), 'utf8'), 'edited');
+  assert.strictEqual(await fs.readFile(path.join(root, 'originals', 'sunset-aaaa1111_original.jpg'), 'utf8'), 'original');
+  assert.ok((await new MetadataHelper(root).readMetadata()).images['sunset-aaaa1111.jpg']);
+});
+
+test('purgeExpired only removes entries past the retention window', async () => {
+  const root = await createLibrary('expire');
+  const trash = new TrashHelper(root);
+  await new MetadataHelper(root).updateSettings({ trashRetentionDays: 7 });
+  await trash.moveToTrash('sunset-aaaa1111.jpg');
+  await trash.moveToTrash('lake-bbbb2222.jpg');
+
+  assert.deepStrictEqual(await trash.purgeExpired({ now: Date.now() + 6 * DAY }), []);
+  const purged = await trash.purgeExpired({ now: Date.now() + 8 * DAY });
+  assert.deepStrictEqual(purged.sort(), ['lake-bbbb2222.jpg', 'sunset-aaaa1111.jpg']);
+  assert.deepStrictEqual((await trash.listTrash()).items, []);
+});
+
+test('purge and emptyTrash delete permanently; unknown ids are NOT_FOUND', async () => {
+  const root = await createLibrary('purge');
+  const trash = new TrashHelper(root);
+  const first = await trash.moveToTrash('sunset-aaaa1111.jpg');
+  await trash.moveToTrash('lake-bbbb2222.jpg');
+
+  assert.strictEqual((await trash.purge(first.id)).filename, 'sunset-aaaa1111.jpg');
+  assert.deepStrictEqual(await trash.emptyTrash(), ['lake-bbbb2222.jpg']);
+  assert.deepStrictEqual((await trash.listTrash()).items, []);
+
+  await assert.rejects(trash.restore(first.id), error => error.code === 'NOT_FOUND');
+  await assert.rejects(trash.purge('../../metadata.json'), error => error.code === 'NOT_FOUND');
+  await assert.rejects(trash.moveToTrash('missing-cccc3333.jpg'), error => error.code === 'NOT_FOUND');
+});
+
+// Run all tests
+async function runTests() {
+  console.log('🧪 Running Trash Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-trash-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -14,7 +14,7 @@ const SYNC_LOG_PATH = path.join(__dirname, '..', 'sync_logs.json');
 
 // Locate the /full route handler from the Express router
 const fullSyncLayer = syncRouter.stack.find(layer => layer.route && layer.route.path === '/full');
-const fullSyncHandler = fullSyncLayer?.route?.stack?.[0]?.handle;
+const fullSyncHandler = fullSyncLayer?.route?.stack?.slice(-1)[0]?.handle;
 
 if (typeof fullSyncHandler !== 'function') {
   throw new Error('Could not locate /api/sync/full handler for tests');
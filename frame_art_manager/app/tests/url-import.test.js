@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+/**
+ * URL Import Tests
+ * Tests downloading remote images (remote_image.js) and POST /api/images/import-url
+ */
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const sharp = require('sharp');
+const imagesRouter = require('../routes/images');
+const { fetchRemoteImage } = require('../remote_image');
+const { ingestUploadedFile } = require('../upload_helper');
+
+// Locate the /import-url route handler from the Express router
+const importLayer = imagesRouter.stack.find(layer => layer.route && layer.route.path === '/import-url');
+const importHandler = importLayer?.route?.stack?.slice(-1)[0]?.handle;
+
+if (typeof importHandler !== 'function') {
+  throw new Error('Could not locate /api/images/import-url handler for tests');
+}
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+let server;
+let baseUrl;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Local server standing in for museum sites and wallpaper archives
+ */
+async function startServer() {
+  const jpeg = await sharp({
+    create: { width: 64, height: 36, channels: 3, background: { r: 30, g: 90, b: 160 } }
+  }).jpeg().toBuffer();
+  const png = await sharp({
+    create: { width: 20, height: 40, channels: 3, background: { r: 0, g: 0, b: 0 } }
+  }).png().toBuffer();
+
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    switch (pathname) {
+      case '/art/starry%20night.jpg':
+        res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': jpeg.length });
+        return res.end(jpeg);
+      case '/view.php':
+        res.writeHead(200, { 'Content-Type': 'image/png; charset=binary' });
+        return res.end(png);
+      case '/download':
+        res.writeHead(200, {
+          'Content-Type': 'application/octet-stream',
+          'Content-Disposition': 'attachment; filename="water-lilies.jpg"'
+        });
+        return res.end(jpeg);
+      case '/short':
+        res.writeHead(302, { Location: '/hop' });
+        return res.end();
+      case '/hop':
+        res.writeHead(301, { Location: `${baseUrl}/art/starry%20night.jpg` });
+        return res.end();
+      case '/loop':
+        res.writeHead(302, { Location: '/loop' });
+        return res.end();
+      case '/to-file':
+        res.writeHead(302, { Location: 'file:///etc/passwd' });
+        return res.end();
+      case '/page':
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end('<html></html>');
+      case '/huge':
+        // No Content-Length: the limit has to trip while streaming
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.write(Buffer.alloc(64 * 1024));
+        res.write(Buffer.alloc(64 * 1024));
+        return res.end(Buffer.alloc(64 * 1024));
+      case '/broken':
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        return res.end('definitely not a jpeg');
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function createLibrary(name) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: {}, tags: [] }, null, 2));
+  return root;
+}
+
+async function invokeImport(frameArtPath, body) {
+  const req = { method: 'POST', url: '/import-url', frameArtPath, body, headers: {}, query: {}, params: {} };
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, body: payload });
+        return this;
+      }
+    };
+    Promise.resolve(importHandler(req, res, reject)).catch(reject);
+  });
+}
+
+test('fetchRemoteImage follows redirects and names the file from the URL', async () => {
+  const remote = await fetchRemoteImage(`${baseUrl}/short`);
+  assert.strictEqual(remote.originalname, 'starry night.jpg');
+  assert.strictEqual(remote.mimetype, 'image/jpeg');
+  assert.strictEqual(remote.finalUrl, `${baseUrl}/art/starry%20night.jpg`);
+  assert.strictEqual((await sharp(remote.buffer).metadata()).width, 64);
+});
+
+test('fetchRemoteImage takes the extension from the content type or Content-Disposition', async () => {
+  const viewer = await fetchRemoteImage(`${baseUrl}/view.php?id=3`);
+  assert.strictEqual(viewer.originalname, 'view');
+  assert.strictEqual(viewer.mimetype, 'image/png');
+
+  const download = await fetchRemoteImage(`${baseUrl}/download`);
+  assert.strictEqual(download.originalname, 'water-lilies.jpg');
+  assert.strictEqual(download.mimetype, '');
+});
+
+test('fetchRemoteImage enforces protocol, redirect, type, status and size limits', async () => {
+  await assert.rejects(fetchRemoteImage('ftp://example.com/a.jpg'), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(fetchRemoteImage('not a url'), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(fetchRemoteImage(`${baseUrl}/loop`), { code: 'FETCH_FAILED', message: /Too many redirects/ });
+  await assert.rejects(fetchRemoteImage(`${baseUrl}/to-file`), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(fetchRemoteImage(`${baseUrl}/page`), { code: 'VALIDATION_ERROR', message: /text\/html/ });
+  await assert.rejects(fetchRemoteImage(`${baseUrl}/missing.jpg`), { code: 'FETCH_FAILED', message: /HTTP 404/ });
+  await assert.rejects(fetchRemoteImage(`${baseUrl}/huge`, { maxBytes: 100 * 1024 }), { code: 'TOO_LARGE' });
+  await assert.rejects(
+    fetchRemoteImage(`${baseUrl}/art/starry%20night.jpg`, { maxBytes: 100 }),
+    { code: 'TOO_LARGE' }
+  );
+});
+
+test('import-url adds the image with tags, matte, custom name and sourceUrl', async () => {
+  const root = await createLibrary('import');
+  const url = `${baseUrl}/short`;
+  const response = await invokeImport(root, {
+    url, customName: 'Starry Night', matte: 'shadowbox_black', tags: 'art, night'
+  });
+
+  assert.strictEqual(response.statusCode, 200, JSON.stringify(response.body));
+  assert.strictEqual(response.body.success, true);
+  const { filename, data } = response.body;
+  assert.match(filename, /^starry-night-[0-9a-f]{8}\.jpg$/);
+  assert.strictEqual(data.sourceUrl, url);
+  assert.strictEqual(data.matte, 'shadowbox_black');
+  assert.deepStrictEqual(data.tags, ['art', 'night']);
+  assert.deepStrictEqual(data.dimensions, { width: 64, height: 36 });
+  assert.match(data.sourceHash, /^[0-9a-f]{64}$/);
+  await fs.access(path.join(root, 'thumbs', `thumb_${filename}`));
+
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.strictEqual(metadata.images[filename].sourceUrl, url);
+});
+
+test('import-url maps failures to status codes and leaves nothing behind', async () => {
+  const root = await createLibrary('failures');
+
+  assert.strictEqual((await invokeImport(root, {})).statusCode, 400);
+  assert.strictEqual((await invokeImport(root, { url: `${baseUrl}/page` })).statusCode, 400);
+  assert.strictEqual((await invokeImport(root, { url: `${baseUrl}/missing.jpg` })).statusCode, 502);
+
+  const broken = await invokeImport(root, { url: `${baseUrl}/broken` });
+  assert.strictEqual(broken.statusCode, 400);
+  assert.strictEqual(broken.body.error, 'Uploaded file is not a valid image.');
+
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), []);
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.deepStrictEqual(metadata.images, {});
+});
+
+test('an invalid sourceUrl is reported as such and adds no record', async () => {
+  const root = await createLibrary('invalid-field');
+  const filename = 'long-url-00000001.jpg';
+  const filePath = path.join(root, 'library', filename);
+  await fs.writeFile(filePath, await sharp({ create: { width: 64, height: 36, channels: 3, background: '#336699' } }).jpeg().toBuffer());
+
+  await assert.rejects(ingestUploadedFile(root, {
+    file: { path: filePath, filename, mimetype: 'image/jpeg', originalname: 'long-url.jpg' },
+    fields: { sourceUrl: `https://example.com/${'a'.repeat(2048)}` }
+  }), error => {
+    assert.strictEqual(error.code, 'VALIDATION_ERROR');
+    assert.match(error.message, /Source URL must be at most 2048 characters/);
+    return true;
+  });
+
+  assert.deepStrictEqual(await fs.readdir(path.join(root, 'library')), []);
+  const metadata = JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+  assert.deepStrictEqual(metadata.images, {});
+});
+
+async function runTests() {
+  console.log('🧪 Running URL Import Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-url-import-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+  await startServer();
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    server.close();
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
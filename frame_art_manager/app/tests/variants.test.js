@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+/**
+ * Variant Group Tests
+ * Tests variant groups (variant_helper.js), their MetadataHelper methods and routes
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const express = require('express');
+const imagesRouter = require('../routes/images');
+const MetadataHelper = require('../metadata_helper');
+const TrashHelper = require('../trash_helper');
+const BatchOperations = require('../batch_operations');
+
+// Color output helpers
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+};
+
+function logSuccess(msg) {
+  console.log(`${colors.green}✓${colors.reset} ${msg}`);
+}
+
+function logError(msg) {
+  console.log(`${colors.red}✗${colors.reset} ${msg}`);
+}
+
+function logSection(msg) {
+  console.log(`\n${colors.blue}${msg}${colors.reset}`);
+}
+
+// Test utilities
+const tests = [];
+let testPath;
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Records only; hashes chosen so every image is a near-duplicate of the others
+async function createLibrary(name, images) {
+  const root = path.join(testPath, name);
+  await fs.mkdir(path.join(root, 'library'), { recursive: true });
+  await fs.mkdir(path.join(root, 'thumbs'), { recursive: true });
+  const records = {};
+  for (const [filename, tags] of Object.entries(images)) {
+    await fs.writeFile(path.join(root, 'library', filename), filename);
+    records[filename] = { matte: 'none', filter: 'None', tags, sourceHash: 'ffffffffffffffff' };
+  }
+  const tagNames = [...new Set(Object.values(images).flat())].map(tag => ({ name: tag }));
+  await fs.writeFile(path.join(root, 'metadata.json'), JSON.stringify({ version: '1.3', images: records, tags: tagNames }, null, 2));
+  return root;
+}
+
+async function readMetadata(root) {
+  return JSON.parse(await fs.readFile(path.join(root, 'metadata.json'), 'utf8'));
+}
+
+async function startApp(root) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.frameArtPath = root;
+    next();
+  });
+  app.use('/api/images', imagesRouter);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}/api/images` };
+}
+
+test('links variants to a primary and validates the request', async () => {
+  const root = await createLibrary('link', { 'bridge.jpg': ['city'], 'bridge-bw.jpg': ['bw'], 'bridge-crop.jpg': [], 'lake.jpg': [] });
+  const helper = new MetadataHelper(root);
+
+  const group = await helper.linkVariants('bridge.jpg', ['bridge-bw.jpg', 'bridge-crop.jpg']);
+  assert.deepStrictEqual(group, { primary: 'bridge.jpg', variants: ['bridge-bw.jpg', 'bridge-crop.jpg'], variantTags: 'per-variant' });
+  assert.deepStrictEqual(await helper.getVariantGroup('bridge-bw.jpg'), group);
+  assert.strictEqual(await helper.getVariantGroup('lake.jpg'), null);
+  assert.deepStrictEqual(await helper.getVariantGroups(), [group]);
+
+  const { images } = await readMetadata(root);
+  assert.strictEqual(images['bridge-bw.jpg'].variantOf, 'bridge.jpg');
+  assert.strictEqual(images['bridge.jpg'].variantOf, undefined);
+  // Per-variant tags are left alone
+  assert.deepStrictEqual(images['bridge-bw.jpg'].tags, ['bw']);
+
+  await assert.rejects(helper.linkVariants('missing.jpg', ['lake.jpg']), { code: 'NOT_FOUND' });
+  await assert.rejects(helper.linkVariants('lake.jpg', ['missing.jpg']), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(helper.linkVariants('lake.jpg', []), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(helper.linkVariants('lake.jpg', ['lake.jpg']), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(helper.linkVariants('bridge-bw.jpg', ['lake.jpg']), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(helper.linkVariants('bridge.jpg', ['lake.jpg'], { variantTags: 'some' }), { code: 'VALIDATION_ERROR' });
+
+  // A primary linked into another group brings its variants along
+  const merged = await helper.linkVariants('lake.jpg', ['bridge.jpg']);
+  assert.deepStrictEqual(merged.variants, ['bridge-bw.jpg', 'bridge-crop.jpg', 'bridge.jpg']);
+  assert.deepStrictEqual((await helper.getVariantGroups()).map(g => g.primary), ['lake.jpg']);
+});
+
+test('shared tags follow edits to any member', async () => {
+  const root = await createLibrary('shared', { 'sea.jpg': ['coast'], 'sea-bw.jpg': ['bw'], 'sea-crop.jpg': [], 'other.jpg': ['coast'] });
+  const helper = new MetadataHelper(root);
+
+  await helper.linkVariants('sea.jpg', ['sea-bw.jpg', 'sea-crop.jpg'], { variantTags: 'shared' });
+  let { images } = await readMetadata(root);
+  for (const filename of ['sea.jpg', 'sea-bw.jpg', 'sea-crop.jpg']) {
+    assert.deepStrictEqual(images[filename].tags.sort(), ['bw', 'coast'], filename);
+  }
+
+  await helper.updateImage('sea-crop.jpg', { tags: ['bw', 'coast', 'summer'] });
+  await helper.updateImage('sea-bw.jpg', { tags: ['coast', 'summer'] });
+  ({ images } = await readMetadata(root));
+  for (const filename of ['sea.jpg', 'sea-bw.jpg', 'sea-crop.jpg']) {
+    assert.deepStrictEqual(images[filename].tags.sort(), ['coast', 'summer'], filename);
+  }
+  assert.deepStrictEqual(images['other.jpg'].tags, ['coast']);
+
+  // Batch edits go through the same path
+  await new BatchOperations(root).run(['sea.jpg'], { tags: ['winter'] });
+  ({ images } = await readMetadata(root));
+  assert.deepStrictEqual(images['sea-crop.jpg'].tags, ['winter']);
+
+  // Per-variant groups keep their own tags
+  await helper.updateVariantGroup('sea-bw.jpg', { variantTags: 'per-variant' });
+  await helper.updateImage('sea-bw.jpg', { tags: ['bw'] });
+  ({ images } = await readMetadata(root));
+  assert.deepStrictEqual(images['sea.jpg'].tags, ['winter']);
+  assert.strictEqual(images['sea.jpg'].variantTags, undefined);
+});
+
+test('groups follow renames, deletes and trash restores', async () => {
+  const root = await createLibrary('lifecycle', { 'tree.jpg': ['park'], 'tree-bw.jpg': ['park'], 'tree-crop.jpg': ['park'] });
+  const helper = new MetadataHelper(root);
+  await helper.linkVariants('tree.jpg', ['tree-bw.jpg', 'tree-crop.jpg'], { variantTags: 'shared' });
+
+  await helper.renameImage('tree.jpg', 'oak.jpg');
+  assert.deepStrictEqual(await helper.getVariantGroup('tree-bw.jpg'), {
+    primary: 'oak.jpg', variants: ['tree-bw.jpg', 'tree-crop.jpg'], variantTags: 'shared'
+  });
+
+  // Deleting the primary hands the group to its first variant
+  const trash = new TrashHelper(root);
+  const entry = await trash.moveToTrash('oak.jpg');
+  assert.deepStrictEqual(await helper.getVariantGroup('tree-crop.jpg'), {
+    primary: 'tree-bw.jpg', variants: ['tree-crop.jpg'], variantTags: 'shared'
+  });
+
+  // The restored primary comes back on its own
+  await trash.restore(entry.id);
+  let { images } = await readMetadata(root);
+  assert.strictEqual(images['oak.jpg'].variantOf, undefined);
+  assert.strictEqual(images['oak.jpg'].variantTags, undefined);
+
+  // A restored variant rejoins its group
+  const variantEntry = await trash.moveToTrash('tree-crop.jpg');
+  ({ images } = await readMetadata(root));
+  assert.strictEqual(images['tree-bw.jpg'].variantTags, undefined);
+  await trash.restore(variantEntry.id);
+  assert.deepStrictEqual((await helper.getVariantGroup('tree-crop.jpg')).primary, 'tree-bw.jpg');
+
+  // Unlinking the last variant dissolves the group
+  const { group } = await helper.unlinkVariant('tree-crop.jpg');
+  assert.strictEqual(group, null);
+  assert.deepStrictEqual(await helper.getVariantGroups(), []);
+  await assert.rejects(helper.unlinkVariant('tree-crop.jpg'), { code: 'VALIDATION_ERROR' });
+});
+
+test('a group can change its primary', async () => {
+  const root = await createLibrary('primary', { 'a.jpg': [], 'b.jpg': [], 'c.jpg': [], 'd.jpg': [] });
+  const helper = new MetadataHelper(root);
+  await helper.linkVariants('a.jpg', ['b.jpg', 'c.jpg'], { variantTags: 'shared' });
+
+  const group = await helper.updateVariantGroup('b.jpg', { primary: 'c.jpg' });
+  assert.deepStrictEqual(group, { primary: 'c.jpg', variants: ['a.jpg', 'b.jpg'], variantTags: 'shared' });
+  await assert.rejects(helper.updateVariantGroup('a.jpg', { primary: 'd.jpg' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(helper.updateVariantGroup('d.jpg', { variantTags: 'shared' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(helper.updateVariantGroup('missing.jpg', {}), { code: 'NOT_FOUND' });
+});
+
+test('routes hide grouped variants from duplicates and expose the shuffle flag', async () => {
+  const root = await createLibrary('routes', { 'cat.jpg': [], 'cat-bw.jpg': [], 'cat-sepia.jpg': [], 'dog.jpg': [] });
+  const { server, baseUrl } = await startApp(root);
+  try {
+    const request = (method, url, body) => fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const before = await (await request('GET', '/duplicates')).json();
+    assert.strictEqual(before.totalDuplicates, 4);
+
+    const linked = await request('POST', '/cat.jpg/variants', { variants: ['cat-bw.jpg', 'cat-sepia.jpg'] });
+    assert.strictEqual(linked.status, 200);
+    assert.deepStrictEqual((await linked.json()).group.variants, ['cat-bw.jpg', 'cat-sepia.jpg']);
+
+    const after = await (await request('GET', '/duplicates')).json();
+    assert.deepStrictEqual(after.groups.map(group => group.sort()), [['cat.jpg', 'dog.jpg']]);
+    const similar = await (await request('GET', '/similar')).json();
+    assert.strictEqual(similar.totalSimilar, 2);
+
+    assert.strictEqual((await (await request('GET', '/variants')).json()).length, 1);
+    assert.deepStrictEqual((await (await request('GET', '/dog.jpg/variants')).json()), { group: null });
+    assert.strictEqual((await request('POST', '/cat.jpg/variants', { variants: 'cat-bw.jpg' })).status, 400);
+    assert.strictEqual((await request('POST', '/missing.jpg/variants', { variants: ['dog.jpg'] })).status, 404);
+    assert.strictEqual((await request('PUT', '/cat.jpg/variants', {})).status, 400);
+
+    const shared = await (await request('PUT', '/cat-bw.jpg/variants', { variantTags: 'shared' })).json();
+    assert.strictEqual(shared.group.variantTags, 'shared');
+
+    const unlinked = await (await request('DELETE', '/cat-sepia.jpg/variants')).json();
+    assert.deepStrictEqual(unlinked.group.variants, ['cat-bw.jpg']);
+
+    assert.strictEqual((await (await request('GET', '/settings')).json()).shuffleOneVariantPerGroup, false);
+    const settings = await (await request('PUT', '/settings', { shuffleOneVariantPerGroup: true })).json();
+    assert.strictEqual(settings.settings.shuffleOneVariantPerGroup, true);
+    // Non-boolean values are ignored
+    await request('PUT', '/settings', { shuffleOneVariantPerGroup: 'no' });
+    // The shuffler reads the flag straight from metadata.json
+    assert.strictEqual((await readMetadata(root)).settings.shuffleOneVariantPerGroup, true);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+async function runTests() {
+  console.log('🧪 Running Variant Group Tests...\n');
+
+  let passed = 0;
+  let failed = 0;
+
+  testPath = path.join(os.tmpdir(), 'frame-art-variants-test-' + Date.now());
+  await fs.mkdir(testPath, { recursive: true });
+
+  try {
+    for (const test of tests) {
+      try {
+        await test.fn();
+        logSuccess(test.name);
+        passed++;
+      } catch (error) {
+        logError(`${test.name}`);
+        console.error(`  ${error.message}`);
+        if (error.stack) {
+          console.error(`  ${error.stack.split('\n').slice(1, 3).join('\n')}`);
+        }
+        failed++;
+      }
+    }
+  } finally {
+    await fs.rm(testPath, { recursive: true, force: true });
+  }
+
+  logSection('📊 Test Results');
+  console.log(`${colors.green}Passed: ${passed}${colors.reset}`);
+  console.log(`${colors.red}Failed: ${failed}${colors.reset}`);
+  console.log(`Total: ${tests.length}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runTests().catch(error => {
+    console.error('Test suite error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
@@ -0,0 +1,288 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const MetadataHelper = require('./metadata_helper');
+const { ensureStateDir, getStateDir, writeFileAtomic } = require('./state_helper');
+const { normalizeTagLibrary } = require('./tag_helper');
+const { getImageMemberships } = require('./collection_helper');
+
+const TRASH_DIR_NAME = 'trash';
+const ENTRY_FILE = 'entry.json';
+const FILES_DIR = 'files';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trash ids are generated here; anything else is rejected before touching the disk
+const TRASH_ID_PATTERN = /^\d+-[0-9a-f]{8}$/;
+
+/**
+ * TrashHelper - deleted images waiting out the retention window
+ *
+ * Deleting an image moves its library file, thumbnail, original backup and
+ * metadata record into the git-excluded state area:
+ *
+ *   .frame_art_manager/trash/<id>/entry.json        { id, filename, deletedAt, record, tagEntries, collections, files }
+ *   .frame_art_manager/trash/<id>/files/<relative>  e.g. files/library/sunset-1a2b3c4d.jpg
+ *
+ * Restoring moves everything back; entries older than the trashRetentionDays
+ * setting are purged by purgeExpired (run periodically by the server).
+ */
+class TrashHelper {
+  constructor(frameArtPath) {
+    this.frameArtPath = frameArtPath;
+    this.trashPath = path.join(getStateDir(frameArtPath), TRASH_DIR_NAME);
+    this.helper = new MetadataHelper(frameArtPath);
+  }
+
+  /**
+   * Library-relative paths of the files that belong to an image
+   * With the record, this includes the upload a converted image was made from.
+   */
+  getImageFiles(filename, record) {
+    const files = [
+      path.join('library', filename),
+      path.join('thumbs', `thumb_${filename}`),
+      path.join('originals', this.helper.getBackupFilename(filename))
+    ];
+    if (record?.conversion?.source) {
+      files.push(path.join('originals', path.basename(record.conversion.source)));
+    }
+    return files;
+  }
+
+  async getRetentionDays() {
+    const settings = await this.helper.getSettings();
+    return settings.trashRetentionDays;
+  }
+
+  /**
+   * Move an image (files + metadata record) into the trash
+   * Throws NOT_FOUND when the image is not in metadata.
+   * @param {string} filename
+   * @returns {Promise<Object>} The trash entry
+   */
+  async moveToTrash(filename) {
+    const metadata = await this.helper.readMetadata();
+    const staged = await this.stageImage(filename, metadata);
+    try {
+      await this.helper.deleteImage(filename);
+      return staged.entry;
+    } catch (error) {
+      await staged.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Move an image's files into a new trash entry without touching metadata.json
+   * The caller removes the metadata record (see MetadataHelper.deleteImage, or
+   * several at once in a batch) and calls rollback() if that fails.
+   * @param {string} filename
+   * @param {Object} metadata - Current metadata, for the record, tag entries and collections
+   * @returns {Promise<{entry: Object, rollback: Function}>}
+   */
+  async stageImage(filename, metadata) {
+    const record = metadata.images[filename];
+    if (!record) {
+      throw notFound(`Image ${filename} not found in metadata`);
+    }
+
+    await ensureStateDir(this.frameArtPath, TRASH_DIR_NAME);
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const entryPath = path.join(this.trashPath, id);
+    await fs.mkdir(path.join(entryPath, FILES_DIR), { recursive: true });
+
+    const moved = [];
+    // Put back whatever was already moved so the image isn't half-deleted
+    const rollback = async () => {
+      for (const relativePath of moved) {
+        await moveIfExists(path.join(entryPath, FILES_DIR, relativePath), path.join(this.frameArtPath, relativePath))
+          .catch(restoreError => console.warn(`Failed to roll back ${relativePath}:`, restoreError.message));
+      }
+      await fs.rm(entryPath, { recursive: true, force: true });
+    };
+
+    try {
+      for (const relativePath of this.getImageFiles(filename, record)) {
+        const trashedPath = path.join(entryPath, FILES_DIR, relativePath);
+        await fs.mkdir(path.dirname(trashedPath), { recursive: true });
+        if (await moveIfExists(path.join(this.frameArtPath, relativePath), trashedPath)) {
+          moved.push(relativePath);
+        }
+      }
+
+      // Tag library entries (colors etc.) may be pruned with the image's last use
+      const imageTags = new Set(record.tags || []);
+      const tagEntries = normalizeTagLibrary(metadata.tags).filter(tag => imageTags.has(tag.name));
+      const collections = getImageMemberships(metadata, filename);
+      const entry = { id, filename, deletedAt: new Date().toISOString(), record, tagEntries, collections, files: moved };
+      await writeFileAtomic(path.join(entryPath, ENTRY_FILE), JSON.stringify(entry, null, 2));
+      return { entry, rollback };
+    } catch (error) {
+      await rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * List trash entries, newest first
+   * @returns {Promise<{retentionDays: number, items: Object[]}>}
+   */
+  async listTrash() {
+    const retentionDays = await this.getRetentionDays();
+    const entries = await this.readEntries();
+    const items = entries
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(entry => ({
+        id: entry.id,
+        filename: entry.filename,
+        deletedAt: entry.deletedAt,
+        expiresAt: new Date(Date.parse(entry.deletedAt) + retentionDays * DAY_MS).toISOString(),
+        tags: entry.record.tags || [],
+        title: entry.record.title || null,
+        hasThumbnail: entry.files.some(file => file.startsWith('thumbs' + path.sep)),
+        hasBackup: entry.files.includes(path.join('originals', this.helper.getBackupFilename(entry.filename)))
+      }));
+    return { retentionDays, items };
+  }
+
+  /**
+   * Absolute path of a trashed thumbnail (null when the image had none)
+   */
+  async getThumbnailPath(id) {
+    const entry = await this.readEntry(id);
+    const thumb = entry.files.find(file => file.startsWith('thumbs' + path.sep));
+    return thumb ? path.join(this.trashPath, id, FILES_DIR, thumb) : null;
+  }
+
+  /**
+   * Move a trashed image back into the library
+   * Throws NOT_FOUND for unknown ids and CONFLICT when an image with the same
+   * filename has been added since.
+   * @returns {Promise<Object>} The restored trash entry
+   */
+  async restore(id) {
+    const entry = await this.readEntry(id);
+    const entryPath = path.join(this.trashPath, id);
+
+    const metadata = await this.helper.readMetadata();
+    const libraryFileExists = await fs.access(path.join(this.frameArtPath, 'library', entry.filename)).then(() => true, () => false);
+    if (metadata.images[entry.filename] || libraryFileExists) {
+      const error = new Error(`An image named ${entry.filename} already exists in the library`);
+      error.code = 'CONFLICT';
+      throw error;
+    }
+
+    // Moved files go back into the entry if the record can't be restored
+    const moved = [];
+    try {
+      for (const relativePath of entry.files) {
+        const destination = path.join(this.frameArtPath, relativePath);
+        await fs.mkdir(path.dirname(destination), { recursive: true });
+        if (await moveIfExists(path.join(entryPath, FILES_DIR, relativePath), destination)) {
+          moved.push(relativePath);
+        }
+      }
+      await this.helper.restoreImage(entry.filename, entry.record, entry.tagEntries, entry.collections);
+    } catch (error) {
+      for (const relativePath of moved) {
+        await moveIfExists(path.join(this.frameArtPath, relativePath), path.join(entryPath, FILES_DIR, relativePath))
+          .catch(rollbackError => console.warn(`Failed to roll back ${relativePath}:`, rollbackError.message));
+      }
+      throw error;
+    }
+
+    await fs.rm(entryPath, { recursive: true, force: true });
+    return entry;
+  }
+
+  /**
+   * Permanently delete one trash entry
+   */
+  async purge(id) {
+    const entry = await this.readEntry(id);
+    await fs.rm(path.join(this.trashPath, id), { recursive: true, force: true });
+    return entry;
+  }
+
+  /**
+   * Permanently delete every trash entry
+   * @returns {Promise<string[]>} Purged filenames
+   */
+  async emptyTrash() {
+    const entries = await this.readEntries();
+    for (const entry of entries) {
+      await fs.rm(path.join(this.trashPath, entry.id), { recursive: true, force: true });
+    }
+    return entries.map(entry => entry.filename);
+  }
+
+  /**
+   * Purge entries older than the retention window
+   * @param {Object} [options]
+   * @param {number} [options.now=Date.now()]
+   * @returns {Promise<string[]>} Purged filenames
+   */
+  async purgeExpired({ now = Date.now() } = {}) {
+    const retentionDays = await this.getRetentionDays();
+    const cutoff = now - retentionDays * DAY_MS;
+    const expired = (await this.readEntries()).filter(entry => Date.parse(entry.deletedAt) <= cutoff);
+    for (const entry of expired) {
+      await fs.rm(path.join(this.trashPath, entry.id), { recursive: true, force: true });
+    }
+    return expired.map(entry => entry.filename);
+  }
+
+  async readEntry(id) {
+    if (typeof id !== 'string' || !TRASH_ID_PATTERN.test(id)) {
+      throw notFound(`Trash entry ${id} not found`);
+    }
+    try {
+      const data = await fs.readFile(path.join(this.trashPath, id, ENTRY_FILE), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw notFound(`Trash entry ${id} not found`);
+      }
+      throw error;
+    }
+  }
+
+  async readEntries() {
+    let ids;
+    try {
+      ids = await fs.readdir(this.trashPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const id of ids.filter(name => TRASH_ID_PATTERN.test(name))) {
+      try {
+        entries.push(await this.readEntry(id));
+      } catch (error) {
+        // A delete interrupted before entry.json was written; nothing to restore
+        console.warn(`Skipping unreadable trash entry ${id}:`, error.message);
+      }
+    }
+    return entries;
+  }
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+async function moveIfExists(from, to) {
+  try {
+    await fs.rename(from, to);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+module.exports = TrashHelper;
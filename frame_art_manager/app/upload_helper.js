@@ -0,0 +1,587 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const MetadataHelper = require('./metadata_helper');
+const ImageEditService = require('./image_edit_service');
+const TrashHelper = require('./trash_helper');
+const JournalHelper = require('./journal_helper');
+const { computePerceptualHash, findSimilarImages, DEFAULT_THRESHOLD } = require('./hash_helper');
+const { extractEmbeddedMetadata } = require('./exif_helper');
+const { getPrimaryFilename } = require('./variant_helper');
+const {
+  HEIC_EXTENSIONS,
+  isHeicType,
+  isConvertibleImageFile,
+  parseFrameIndex,
+  getSourceFilename,
+  getConversionSource,
+  convertImageBuffer
+} = require('./conversion_helper');
+const {
+  FALLBACK_BASE_NAME,
+  sanitizeBaseName,
+  extractUuidSegment,
+  baseWithoutUuid
+} = require('./filename_helper');
+const {
+  normalizeMatteValue,
+  normalizeFilterValue,
+  NORMALIZE_STRATEGIES,
+  parseNormalizeStrategy,
+  DUPLICATE_POLICIES,
+  validateArtworkFields
+} = require('./constants');
+const { cancelledError } = require('./job_manager');
+
+const LIBRARY_DIR = 'library';
+const ORIGINALS_DIR = 'originals';
+
+const ALLOWED_MIME_TYPES = new Set([
+  'image/jpeg',
+  'image/jpg',
+  'image/png',
+  'image/webp',
+  'image/gif',
+  'image/avif',
+  'image/tiff',
+  'image/bmp',
+  'image/svg+xml',
+  'image/heic',
+  'image/heif',
+  'image/heic-sequence',
+  'image/heif-sequence'
+]);
+
+// Reported as duplicates.action for each duplicate policy
+const DUPLICATE_ACTIONS = {
+  warn: 'warned',
+  reject: 'rejected',
+  'replace-existing': 'replaced',
+  'keep-as-variant': 'kept-as-variant'
+};
+
+function determineExtension(file) {
+  const originalExt = path.extname(file.originalname || '').toLowerCase();
+  if (originalExt) {
+    return originalExt;
+  }
+
+  const mimetype = (file.mimetype || '').toLowerCase();
+  switch (mimetype) {
+    case 'image/jpeg':
+    case 'image/jpg':
+      return '.jpg';
+    case 'image/png':
+      return '.png';
+    case 'image/webp':
+      return '.webp';
+    case 'image/gif':
+      return '.gif';
+    case 'image/avif':
+      return '.avif';
+    case 'image/tiff':
+      return '.tif';
+    case 'image/bmp':
+    case 'image/x-ms-bmp':
+      return '.bmp';
+    case 'image/svg+xml':
+      return '.svg';
+    case 'image/x-adobe-dng':
+      return '.dng';
+    case 'image/heic':
+    case 'image/heif':
+    case 'image/heic-sequence':
+    case 'image/heif-sequence':
+      return '.heic';
+    default:
+      return '.jpg';
+  }
+}
+
+/**
+ * Library filename for a new upload: "<sanitized original name>-<uuid><ext>"
+ * @param {{originalname?: string, mimetype?: string}} file
+ * @returns {{filename: string, context: {originalBase: string, uuid: string, originalExt: string}}}
+ */
+function buildUploadFilename(file) {
+  const extension = determineExtension(file);
+  const originalBase = sanitizeBaseName(
+    path.basename(file.originalname || '', path.extname(file.originalname || '')),
+    FALLBACK_BASE_NAME
+  );
+  const uuidSegment = crypto.randomUUID().split('-')[0];
+  return {
+    filename: `${originalBase}-${uuidSegment}${extension}`,
+    context: {
+      originalBase,
+      uuid: uuidSegment,
+      originalExt: extension
+    }
+  };
+}
+
+/**
+ * Tags from a form field: comma-separated string or array
+ */
+function parseTagList(tags) {
+  return Array.isArray(tags)
+    ? tags.map(tag => String(tag).trim()).filter(Boolean)
+    : typeof tags === 'string'
+      ? tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      : [];
+}
+
+async function removeFileIfExists(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to remove file ${filePath}:`, error);
+    }
+  }
+}
+
+async function applyCustomUploadName({
+  frameArtPath,
+  currentFilename,
+  currentFilePath,
+  customName,
+  uploadContext
+}) {
+  const extension = path.extname(currentFilename).toLowerCase();
+  const libraryPath = path.join(frameArtPath, LIBRARY_DIR);
+
+  const context = {
+    originalBase: uploadContext?.originalBase || baseWithoutUuid(currentFilename) || FALLBACK_BASE_NAME,
+    uuid: uploadContext?.uuid || extractUuidSegment(currentFilename) || crypto.randomUUID().split('-')[0],
+    originalExt: uploadContext?.originalExt || extension
+  };
+
+  let targetBase = context.originalBase;
+  if (typeof customName === 'string' && customName.trim()) {
+    const sanitizedCustom = sanitizeBaseName(customName, context.originalBase);
+    if (sanitizedCustom) {
+      targetBase = sanitizedCustom;
+    }
+  }
+
+  let candidateFilename = `${targetBase}-${context.uuid}${extension}`;
+  let candidatePath = path.join(libraryPath, candidateFilename);
+
+  if (candidateFilename === currentFilename) {
+    return {
+      filename: currentFilename,
+      filepath: currentFilePath,
+      context: { ...context, originalBase: targetBase, originalExt: extension }
+    };
+  }
+
+  while (true) {
+    try {
+      await fs.access(candidatePath);
+      context.uuid = crypto.randomUUID().split('-')[0];
+      candidateFilename = `${targetBase}-${context.uuid}${extension}`;
+      candidatePath = path.join(libraryPath, candidateFilename);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        break;
+      }
+      throw error;
+    }
+  }
+
+  await fs.rename(currentFilePath, candidatePath);
+
+  return {
+    filename: candidateFilename,
+    filepath: candidatePath,
+    context: { ...context, originalBase: targetBase, originalExt: extension }
+  };
+}
+
+// Types accepted for upload: known image types, anything image/*, or the
+// extension of a format converted on ingest (browsers send HEIC and RAW files
+// without a type)
+function isAllowedImageType({ mimetype, originalname }) {
+  const normalizedMime = (mimetype || '').toLowerCase();
+  return ALLOWED_MIME_TYPES.has(normalizedMime) || normalizedMime.startsWith('image/') || isConvertibleImageFile(originalname);
+}
+
+function ingestError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Library images within the duplicate threshold of a new upload's hash
+ * @returns {{threshold: number, matches: Array<{filename: string, distance: number}>}}
+ */
+function findUploadDuplicates(images, sourceHash, settings) {
+  const threshold = settings.duplicateThreshold || DEFAULT_THRESHOLD;
+  return { threshold, matches: findSimilarImages(sourceHash, images, threshold) };
+}
+
+/**
+ * replace-existing: the new image takes over the tags of the one it
+ * replaces, which goes to the trash (undoable from the journal)
+ * @returns {Promise<{filename: string, trashId: string, journalId: string|null}>}
+ */
+async function replaceDuplicate(frameArtPath, existingFilename, newFilename) {
+  const helper = new MetadataHelper(frameArtPath);
+  const { images } = await helper.readMetadata();
+  const existingTags = images[existingFilename]?.tags || [];
+  const newTags = images[newFilename]?.tags || [];
+  if (existingTags.some(tag => !newTags.includes(tag))) {
+    await helper.updateImage(newFilename, { tags: [...new Set([...newTags, ...existingTags])] });
+  }
+
+  const entry = await new TrashHelper(frameArtPath).moveToTrash(existingFilename);
+  const journalId = await new JournalHelper(frameArtPath).tryRecord('delete', `Replaced ${entry.filename} with ${newFilename}`, {
+    trash: [{ id: entry.id, filename: entry.filename }]
+  });
+  return { filename: entry.filename, trashId: entry.id, journalId };
+}
+
+/**
+ * Add a file that was written to library/ to the library
+ *
+ * The upload pipeline: read embedded metadata, convert formats the TV can't
+ * show to JPEG or PNG (see conversion_helper.js; the upload is kept in
+ * originals/ and named in the record's `conversion`), apply the custom name, compute the perceptual hash and apply the duplicate policy,
+ * add the metadata record, make the image Frame-ready when asked and make the
+ * thumbnail. The file is removed if it turns out not to be an image, if it is
+ * a rejected duplicate, or if the job is cancelled before the record is added.
+ * A failed normalization is logged and the upload kept as is.
+ *
+ * Duplicate policies (the duplicatePolicy setting unless overridden), for
+ * uploads within duplicateThreshold of a library image: allow (no check),
+ * warn (report the matches), reject (CONFLICT), replace-existing (the closest
+ * match goes to the trash, its tags move to the upload) and keep-as-variant
+ * (the upload joins the closest match's variant group, see variant_helper.js).
+ * Throws VALIDATION_ERROR (empty/invalid image, unknown normalize strategy or
+ * duplicate policy, frame out of range), CONFLICT (rejected duplicate, details
+ * as `duplicates` below), CONVERSION_FAILED (the upload could not be
+ * converted) or CANCELLED.
+ * @param {string} frameArtPath
+ * @param {Object} options
+ * @param {{path: string, filename: string, mimetype?: string, originalname?: string}} options.file
+ * @param {Object} [options.uploadContext] - From buildUploadFilename
+ * @param {string} [options.customName]
+ * @param {string} [options.matte]
+ * @param {string} [options.filter]
+ * @param {string[]} [options.tags]
+ * @param {string} [options.normalize] - One of NORMALIZE_STRATEGIES (default 'none')
+ * @param {number|string} [options.frame] - Frame kept from a multi-page or animated upload (default 0)
+ * @param {string} [options.duplicatePolicy] - One of DUPLICATE_POLICIES; overrides the setting
+ * @param {Object} [options.fields] - Extra record fields written with the hash (e.g. sourceUrl)
+ * @param {string} [options.logPrefix]
+ * @param {Job} [options.job] - Reports each pipeline step (see job_manager.js)
+ * @returns {Promise<{filename: string, filepath: string, data: Object, duplicates: Object|null}>}
+ *   duplicates: { policy, action, threshold, matches: [{filename, distance}], variantOf?, replaced? }
+ *   when the upload matched library images, otherwise null
+ */
+async function ingestUploadedFile(frameArtPath, {
+  file,
+  uploadContext = {},
+  customName,
+  matte,
+  filter,
+  tags = [],
+  normalize,
+  frame,
+  duplicatePolicy,
+  fields = {},
+  logPrefix = '[Upload]',
+  job
+}) {
+  const helper = new MetadataHelper(frameArtPath);
+  const originalFilename = file.originalname || 'unknown';
+  const normalizedMatte = normalizeMatteValue(matte);
+  const normalizedFilter = normalizeFilterValue(filter);
+
+  const normalizeStrategy = parseNormalizeStrategy(normalize);
+  if (!normalizeStrategy) {
+    await removeFileIfExists(file.path);
+    throw ingestError('VALIDATION_ERROR', `Invalid normalize strategy: ${normalize}`, [
+      `normalize must be one of: ${NORMALIZE_STRATEGIES.join(', ')}`
+    ]);
+  }
+  const hasPolicyOverride = duplicatePolicy !== undefined && duplicatePolicy !== null && duplicatePolicy !== '';
+  if (hasPolicyOverride && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    await removeFileIfExists(file.path);
+    throw ingestError('VALIDATION_ERROR', `Invalid duplicate policy: ${duplicatePolicy}`, [
+      `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}`
+    ]);
+  }
+  const frameIndex = parseFrameIndex(frame);
+  if (frameIndex === null) {
+    await removeFileIfExists(file.path);
+    throw ingestError('VALIDATION_ERROR', `Invalid frame: ${frame}`, ['frame must be a whole number (0 is the first frame)']);
+  }
+  const { errors: fieldErrors } = validateArtworkFields(fields);
+  if (fieldErrors.length > 0) {
+    await removeFileIfExists(file.path);
+    throw ingestError('VALIDATION_ERROR', fieldErrors.join('; '), fieldErrors);
+  }
+
+  let finalFilename = file.filename;
+  let finalFilePath = file.path;
+  let sourcePath = null;
+  const fileExt = path.extname(finalFilename).toLowerCase();
+
+  // Remove the upload (and the source kept for a converted one)
+  const discardUpload = async () => {
+    await removeFileIfExists(finalFilePath);
+    if (sourcePath) {
+      await removeFileIfExists(sourcePath);
+    }
+  };
+
+  // Until the record is written, cancelling just removes the file
+  const stopIfCancelled = async () => {
+    if (job?.cancelled) {
+      await discardUpload();
+      throw cancelledError();
+    }
+  };
+
+  // Read EXIF/IPTC/XMP from the file as uploaded, before any conversion
+  // (conversion does not carry metadata across)
+  job?.step('Reading embedded metadata');
+  let embeddedMetadata = null;
+  try {
+    embeddedMetadata = await extractEmbeddedMetadata(file.path, 'upload');
+  } catch (metadataError) {
+    console.warn(`${logPrefix} Could not read embedded metadata for ${originalFilename}:`, metadataError.message);
+  }
+
+  await stopIfCancelled();
+  let conversion = null;
+  let inputBuffer = null;
+  let source = null;
+  try {
+    inputBuffer = await fs.readFile(file.path);
+    source = await getConversionSource(inputBuffer, { mimetype: file.mimetype, ext: fileExt });
+  } catch (readError) {
+    // Unreadable uploads are reported by the checks below
+  }
+
+  if (source) {
+    job?.step(`Converting ${source.label}`);
+    console.log(`${logPrefix} Converting ${source.label}: ${originalFilename}`);
+
+    try {
+      const converted = await convertImageBuffer(inputBuffer, source, { frame: frameIndex });
+      const convertedFilename = `${path.basename(finalFilename, path.extname(finalFilename))}${converted.extension}`;
+
+      // The upload moves out of library/ first: it may have the output's name
+      const originalsPath = path.join(frameArtPath, ORIGINALS_DIR);
+      await fs.mkdir(originalsPath, { recursive: true });
+      sourcePath = path.join(originalsPath, getSourceFilename(convertedFilename, source.extension));
+      await fs.rename(file.path, sourcePath);
+
+      finalFilename = convertedFilename;
+      finalFilePath = path.join(frameArtPath, LIBRARY_DIR, convertedFilename);
+      await fs.writeFile(finalFilePath, converted.buffer);
+      uploadContext = { ...uploadContext, originalExt: converted.extension };
+      conversion = {
+        from: source.from,
+        to: converted.format,
+        source: path.basename(sourcePath),
+        ...(converted.frames > 1 ? { frame: converted.frame, frames: converted.frames } : {}),
+        convertedAt: new Date().toISOString()
+      };
+      console.log(`${logPrefix} ${source.label} conversion complete: ${convertedFilename}`);
+    } catch (conversionError) {
+      console.error(`${logPrefix} ${source.label} conversion failed for ${originalFilename}:`, conversionError.message);
+      await removeFileIfExists(file.path);
+      await discardUpload();
+      if (conversionError.code === 'VALIDATION_ERROR') {
+        throw ingestError('VALIDATION_ERROR', conversionError.message, [conversionError.message]);
+      }
+      throw ingestError(
+        'CONVERSION_FAILED',
+        `Failed to convert ${source.label} image. Please try uploading as JPEG or PNG.`,
+        conversionError.message
+      );
+    }
+  }
+  inputBuffer = null;
+
+  const renameResult = await applyCustomUploadName({
+    frameArtPath,
+    currentFilename: finalFilename,
+    currentFilePath: finalFilePath,
+    customName,
+    uploadContext
+  });
+
+  finalFilename = renameResult.filename;
+  finalFilePath = renameResult.filepath;
+
+  // The kept original follows the custom name
+  if (conversion) {
+    const renamedSourcePath = path.join(
+      path.dirname(sourcePath),
+      getSourceFilename(finalFilename, path.extname(sourcePath))
+    );
+    if (renamedSourcePath !== sourcePath) {
+      await fs.rename(sourcePath, renamedSourcePath);
+      sourcePath = renamedSourcePath;
+      conversion.source = path.basename(sourcePath);
+    }
+  }
+
+  try {
+    const stats = await fs.stat(finalFilePath);
+    if (!stats.size) {
+      await discardUpload();
+      throw ingestError('VALIDATION_ERROR', 'Uploaded file is empty.');
+    }
+  } catch (statError) {
+    if (statError.code === 'VALIDATION_ERROR') {
+      throw statError;
+    }
+    await discardUpload();
+    throw ingestError('VALIDATION_ERROR', 'Uploaded file could not be accessed.');
+  }
+
+  // Compute perceptual hash for duplicate detection
+  await stopIfCancelled();
+  job?.step('Computing perceptual hash');
+  let sourceHash = null;
+  try {
+    const imageBuffer = await fs.readFile(finalFilePath);
+    sourceHash = await computePerceptualHash(imageBuffer);
+  } catch (hashError) {
+    console.warn('Failed to compute source hash:', hashError.message);
+    // Continue without hash - not critical
+  }
+
+  let duplicates = null;
+  const settings = await helper.getSettings();
+  const policy = hasPolicyOverride ? duplicatePolicy : settings.duplicatePolicy;
+  // Runs in the write that adds the record, so two concurrent uploads of the
+  // same image can't both get past it
+  const checkDuplicates = metadata => {
+    duplicates = null;
+    if (!sourceHash || policy === 'allow') {
+      return;
+    }
+    const { threshold, matches } = findUploadDuplicates(metadata.images, sourceHash, settings);
+    if (matches.length === 0) {
+      return;
+    }
+    duplicates = { policy, action: DUPLICATE_ACTIONS[policy], threshold, matches };
+    console.log(`${logPrefix} ${originalFilename} is within ${threshold} of ${matches[0].filename} (policy: ${policy})`);
+    if (policy === 'reject') {
+      throw ingestError('CONFLICT', `Image looks like a duplicate of ${matches[0].filename}`, duplicates);
+    }
+    if (policy === 'keep-as-variant') {
+      duplicates.variantOf = getPrimaryFilename(metadata.images, matches[0].filename);
+    }
+  };
+
+  await stopIfCancelled();
+  job?.step('Adding to library');
+  let imageData;
+  try {
+    // The hash, embedded metadata and extra fields go in with the record, so
+    // no failed follow-up write can leave a record without them
+    const extras = { ...fields };
+    if (sourceHash) {
+      extras.sourceHash = sourceHash;
+    }
+    if (embeddedMetadata) {
+      extras.embeddedMetadata = embeddedMetadata;
+    }
+    if (conversion) {
+      extras.conversion = conversion;
+    }
+    imageData = await helper.addImage(finalFilename, normalizedMatte, normalizedFilter, tags, extras, {
+      beforeAdd: checkDuplicates
+    });
+  } catch (addError) {
+    await discardUpload();
+    if (addError.code === 'CONFLICT') {
+      throw addError;
+    }
+    if (addError.code === 'VALIDATION_ERROR') {
+      throw ingestError('VALIDATION_ERROR', addError.message, addError.details);
+    }
+    console.error('Error validating uploaded image:', addError);
+    throw ingestError('VALIDATION_ERROR', 'Uploaded file is not a valid image.', addError.message);
+  }
+
+  // Linked through the helper so a shared-tags group hands its tags over
+  if (duplicates?.variantOf) {
+    try {
+      await helper.linkVariants(duplicates.variantOf, [finalFilename]);
+      imageData = (await helper.readMetadata()).images[finalFilename] || imageData;
+    } catch (linkError) {
+      console.warn(`${logPrefix} Could not link ${finalFilename} to ${duplicates.variantOf}:`, linkError.message);
+      duplicates.action = DUPLICATE_ACTIONS.warn;
+      duplicates.linkError = linkError.message;
+      delete duplicates.variantOf;
+    }
+  }
+
+  // The hash above is of the upload as sent, so duplicates still match
+  if (normalizeStrategy !== 'none') {
+    job?.step('Making Frame-ready');
+    try {
+      const result = await new ImageEditService(frameArtPath)
+        .normalizeForFrame(finalFilename, normalizeStrategy, { thumbnail: false });
+      if (result) {
+        imageData = result.imageData;
+        console.log(`${logPrefix} Frame-ready (${result.normalization.strategy}): ${finalFilename}`);
+      }
+    } catch (normalizeError) {
+      console.warn(`${logPrefix} Frame-ready normalization failed for ${finalFilename}:`, normalizeError.message);
+      // Keep the upload as it was sent
+    }
+  }
+
+  job?.step('Generating thumbnail');
+  try {
+    await helper.generateThumbnail(finalFilename);
+  } catch (thumbError) {
+    console.error(`${logPrefix} Thumbnail generation failed:`, thumbError.message);
+    // Continue even if thumbnail generation fails
+  }
+
+  // Only once the new image is complete does the old one go
+  if (duplicates?.policy === 'replace-existing') {
+    job?.step('Replacing existing image');
+    try {
+      duplicates.replaced = await replaceDuplicate(frameArtPath, duplicates.matches[0].filename, finalFilename);
+      imageData = (await helper.readMetadata()).images[finalFilename] || imageData;
+      console.log(`${logPrefix} Replaced ${duplicates.replaced.filename} with ${finalFilename}`);
+    } catch (replaceError) {
+      console.warn(`${logPrefix} Could not replace ${duplicates.matches[0].filename}:`, replaceError.message);
+      // Both images stay; report it like warn
+      duplicates.action = DUPLICATE_ACTIONS.warn;
+      duplicates.replaceError = replaceError.message;
+    }
+  }
+
+  return { filename: finalFilename, filepath: finalFilePath, data: imageData, duplicates };
+}
+
+module.exports = {
+  LIBRARY_DIR,
+  ALLOWED_MIME_TYPES,
+  HEIC_EXTENSIONS,
+  determineExtension,
+  buildUploadFilename,
+  parseTagList,
+  removeFileIfExists,
+  applyCustomUploadName,
+  isHeicType,
+  isAllowedImageType,
+  ingestUploadedFile
+};
@@ -0,0 +1,317 @@
+/**
+ * Variant groups
+ *
+ * Versions of one artwork (a colour and a B&W edit, a cropped and an uncropped
+ * scan) kept as a primary image plus linked variants. Each variant's record
+ * points at the primary; the primary says whether the group shares its tags:
+ *
+ *   "bridge-aaaa1111.jpg":    { ..., "variantTags": "shared" }
+ *   "bridge-bw-bbbb2222.jpg": { ..., "variantOf": "bridge-aaaa1111.jpg" }
+ *
+ * Shared tags are written to every member (the shuffler reads each image's
+ * own tags), so tagging one member tags them all. With the
+ * shuffleOneVariantPerGroup setting the shuffler puts one member of each group
+ * in its pool. Links follow images through renames, deletes and trash restores.
+ */
+
+const VARIANT_TAG_MODES = ['shared', 'per-variant'];
+const DEFAULT_VARIANT_TAG_MODE = 'per-variant';
+
+/**
+ * Primary of an image's group (the image itself when it is not a variant)
+ */
+function getPrimaryFilename(images, filename) {
+  const primary = images[filename]?.variantOf;
+  return primary && images[primary] ? primary : filename;
+}
+
+/**
+ * Variants linked to a primary, sorted by filename
+ */
+function getVariantFilenames(images, primary) {
+  return Object.keys(images)
+    .filter(filename => filename !== primary && images[filename].variantOf === primary)
+    .sort();
+}
+
+/**
+ * API shape of the group an image belongs to (null when it is in none)
+ * @returns {{primary: string, variants: string[], variantTags: string}|null}
+ */
+function getVariantGroup(images, filename) {
+  if (!images[filename]) {
+    return null;
+  }
+  const primary = getPrimaryFilename(images, filename);
+  const variants = getVariantFilenames(images, primary);
+  if (variants.length === 0) {
+    return null;
+  }
+  return {
+    primary,
+    variants,
+    variantTags: images[primary].variantTags || DEFAULT_VARIANT_TAG_MODE
+  };
+}
+
+/**
+ * Every group with at least one variant, sorted by primary
+ */
+function getVariantGroups(images) {
+  const primaries = new Set();
+  for (const [filename, record] of Object.entries(images)) {
+    if (record.variantOf && record.variantOf !== filename && images[record.variantOf]) {
+      primaries.add(record.variantOf);
+    }
+  }
+  return [...primaries].sort().map(primary => getVariantGroup(images, primary));
+}
+
+/**
+ * Whether an image is a variant of another image in the library
+ * (the duplicate and similar views leave these out)
+ */
+function isGroupedVariant(images, filename) {
+  const primary = images[filename]?.variantOf;
+  return Boolean(primary && primary !== filename && images[primary]);
+}
+
+/**
+ * Images without the grouped variants, for duplicate/similar detection
+ */
+function withoutGroupedVariants(images) {
+  return Object.fromEntries(Object.entries(images).filter(([filename]) => !isGroupedVariant(images, filename)));
+}
+
+/**
+ * Give every member of a shared-tags group the union of their tags
+ * Note: This modifies the metadata object passed to it
+ */
+function mergeGroupTags(images, primary) {
+  const members = [primary, ...getVariantFilenames(images, primary)];
+  const union = [...new Set(members.flatMap(filename => images[filename].tags || []))];
+  for (const filename of members) {
+    images[filename].tags = [...union];
+  }
+}
+
+/**
+ * Link images as variants of a primary
+ * Variants already in another group move to this one, and a variant that was
+ * itself a primary brings its variants along. The group's tags are merged when
+ * it shares them.
+ * Note: This modifies the metadata object passed to it
+ * @param {Object} metadata
+ * @param {string} primary
+ * @param {string[]} variants
+ * @param {Object} [options]
+ * @param {string} [options.variantTags] - 'shared' or 'per-variant' (default: keep the group's)
+ * @returns {string[]} Validation errors (nothing is changed when there are any)
+ */
+function linkVariants(metadata, primary, variants, { variantTags } = {}) {
+  const images = metadata.images;
+  const errors = [];
+  if (!images[primary]) {
+    errors.push(`Image ${primary} not found`);
+  } else if (isGroupedVariant(images, primary)) {
+    errors.push(`${primary} is a variant of ${images[primary].variantOf}; link to the primary instead`);
+  }
+  for (const filename of variants) {
+    if (!images[filename]) {
+      errors.push(`Image ${filename} not found`);
+    } else if (filename === primary) {
+      errors.push(`${filename} cannot be a variant of itself`);
+    }
+  }
+  if (variantTags !== undefined && !VARIANT_TAG_MODES.includes(variantTags)) {
+    errors.push(`variantTags must be one of: ${VARIANT_TAG_MODES.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const previousPrimaries = new Set();
+  for (const filename of variants) {
+    // A primary joining another group hands over its variants
+    for (const member of getVariantFilenames(images, filename)) {
+      images[member].variantOf = primary;
+    }
+    if (isGroupedVariant(images, filename)) {
+      previousPrimaries.add(images[filename].variantOf);
+    }
+    delete images[filename].variantTags;
+    images[filename].variantOf = primary;
+  }
+  delete images[primary].variantOf;
+  for (const previous of previousPrimaries) {
+    if (previous !== primary && getVariantFilenames(images, previous).length === 0) {
+      delete images[previous].variantTags;
+    }
+  }
+  if (variantTags !== undefined) {
+    setVariantTagMode(images, primary, variantTags);
+  } else if (images[primary].variantTags === 'shared') {
+    mergeGroupTags(images, primary);
+  }
+  return [];
+}
+
+/**
+ * Switch a group between shared and per-variant tags
+ * Sharing starts from the union of the members' tags.
+ * Note: This modifies the metadata object passed to it
+ */
+function setVariantTagMode(images, primary, mode) {
+  if (mode === 'shared') {
+    images[primary].variantTags = 'shared';
+    mergeGroupTags(images, primary);
+  } else {
+    delete images[primary].variantTags;
+  }
+}
+
+/**
+ * Make another member the group's primary (it keeps the tag mode)
+ * Note: This modifies the metadata object passed to it
+ */
+function setGroupPrimary(images, currentPrimary, newPrimary) {
+  if (newPrimary === currentPrimary) {
+    return;
+  }
+  for (const filename of getVariantFilenames(images, currentPrimary)) {
+    images[filename].variantOf = newPrimary;
+  }
+  delete images[newPrimary].variantOf;
+  images[currentPrimary].variantOf = newPrimary;
+  if (images[currentPrimary].variantTags) {
+    images[newPrimary].variantTags = images[currentPrimary].variantTags;
+    delete images[currentPrimary].variantTags;
+  }
+}
+
+/**
+ * Take an image out of its group
+ * A variant is unlinked; a primary hands the group to its first variant.
+ * Groups left without variants drop their tag mode.
+ * Note: This modifies the metadata object passed to it
+ */
+function removeImageFromVariantGroup(metadata, filename) {
+  const images = metadata.images;
+  const record = images[filename];
+  if (!record) {
+    return;
+  }
+
+  const [successor] = getVariantFilenames(images, filename);
+  if (successor) {
+    setGroupPrimary(images, filename, successor);
+  }
+
+  const primary = record.variantOf;
+  delete record.variantOf;
+  delete record.variantTags;
+  if (primary && images[primary] && getVariantFilenames(images, primary).length === 0) {
+    delete images[primary].variantTags;
+  }
+}
+
+/**
+ * Check a record restored from the trash against the current groups
+ * Its primary may be gone, and a restored primary comes back on its own
+ * (its variants were handed to another member when it was deleted).
+ * Note: This modifies the metadata object passed to it
+ */
+function restoreImageToVariantGroup(metadata, filename) {
+  const images = metadata.images;
+  const record = images[filename];
+  if (!record) {
+    return;
+  }
+  if (record.variantOf && (!images[record.variantOf] || isGroupedVariant(images, record.variantOf))) {
+    delete record.variantOf;
+  }
+  if (record.variantTags && getVariantFilenames(images, filename).length === 0) {
+    delete record.variantTags;
+  }
+  if (record.variantOf && images[record.variantOf].variantTags === 'shared') {
+    mergeGroupTags(images, record.variantOf);
+  }
+}
+
+/**
+ * Follow an image rename in its group
+ * Note: This modifies the metadata object passed to it
+ */
+function renameImageInVariantGroups(metadata, oldFilename, newFilename) {
+  for (const record of Object.values(metadata.images)) {
+    if (record.variantOf === oldFilename) {
+      record.variantOf = newFilename;
+    }
+  }
+}
+
+/**
+ * Tags of every image in a shared-tags group, before a metadata change
+ * @returns {Map<string, string[]>}
+ */
+function snapshotSharedVariantTags(metadata) {
+  const snapshot = new Map();
+  const images = metadata.images || {};
+  for (const group of getVariantGroups(images)) {
+    if (group.variantTags !== 'shared') continue;
+    for (const filename of [group.primary, ...group.variants]) {
+      snapshot.set(filename, [...(images[filename].tags || [])]);
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Apply tag changes made to one member of a shared-tags group to all of them
+ * Compares each member with its snapshot; removals are applied before
+ * additions, so a tag added anywhere ends up everywhere.
+ * Note: This modifies the metadata object passed to it
+ * @param {Object} metadata
+ * @param {Map<string, string[]>} snapshot - From snapshotSharedVariantTags
+ */
+function syncSharedVariantTags(metadata, snapshot) {
+  const images = metadata.images || {};
+  for (const group of getVariantGroups(images)) {
+    if (group.variantTags !== 'shared') continue;
+    const members = [group.primary, ...group.variants];
+    const added = new Set();
+    const removed = new Set();
+    for (const filename of members) {
+      const before = snapshot.get(filename);
+      if (!before) continue;
+      const after = images[filename].tags || [];
+      after.filter(tag => !before.includes(tag)).forEach(tag => added.add(tag));
+      before.filter(tag => !after.includes(tag)).forEach(tag => removed.add(tag));
+    }
+    if (added.size === 0 && removed.size === 0) continue;
+
+    for (const filename of members) {
+      const tags = (images[filename].tags || []).filter(tag => !removed.has(tag) || added.has(tag));
+      images[filename].tags = [...new Set([...tags, ...added])];
+    }
+  }
+}
+
+module.exports = {
+  VARIANT_TAG_MODES,
+  DEFAULT_VARIANT_TAG_MODE,
+  getPrimaryFilename,
+  getVariantFilenames,
+  getVariantGroup,
+  getVariantGroups,
+  isGroupedVariant,
+  withoutGroupedVariants,
+  linkVariants,
+  setVariantTagMode,
+  setGroupPrimary,
+  removeImageFromVariantGroup,
+  restoreImageToVariantGroup,
+  renameImageInVariantGroups,
+  snapshotSharedVariantTags,
+  syncSharedVariantTags
+};